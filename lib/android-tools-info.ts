@@ -1,11 +1,21 @@
 import * as path from "path";
+import * as semver from "semver";
 import { cache } from "./common/decorators";
 import { androidToolsInfo } from "nativescript-doctor";
 
 export class AndroidToolsInfo implements IAndroidToolsInfo {
+	private static KEYTOOL_EXECUTABLE_NAME = "keytool";
+	private static AVD_MANAGER_EXECUTABLE_NAME = "avdmanager";
+	private static EMULATOR_EXECUTABLE_NAME = "emulator";
+	private static APK_SIGNER_EXECUTABLE_NAME = "apksigner";
+	private static BUILD_TOOLS_DIRECTORY_NAME = "build-tools";
+
 	constructor(private $errors: IErrors,
+		private $fs: IFileSystem,
+		private $hostInfo: IHostInfo,
 		private $logger: ILogger,
 		private $options: IOptions,
+		private $sysInfo: ISysInfo,
 		protected $staticConfig: Config.IStaticConfig) {
 	}
 
@@ -71,6 +81,58 @@ export class AndroidToolsInfo implements IAndroidToolsInfo {
 		return null;
 	}
 
+	@cache()
+	public async getPathToKeytool(): Promise<string> {
+		const javaPath = await this.$sysInfo.getJavaPath();
+		if (!javaPath) {
+			return null;
+		}
+
+		// keytool is in the same directory as the java executable from JAVA_HOME. When java is found in PATH, keytool is expected to be there as well.
+		if (!path.isAbsolute(javaPath)) {
+			return AndroidToolsInfo.KEYTOOL_EXECUTABLE_NAME;
+		}
+
+		const keytoolFileName = this.$hostInfo.isWindows ? `${AndroidToolsInfo.KEYTOOL_EXECUTABLE_NAME}.exe` : AndroidToolsInfo.KEYTOOL_EXECUTABLE_NAME;
+		return path.join(path.dirname(javaPath), keytoolFileName);
+	}
+
+	@cache()
+	public getPathToAvdManager(): string {
+		const avdManagerFileName = this.$hostInfo.isWindows ? `${AndroidToolsInfo.AVD_MANAGER_EXECUTABLE_NAME}.bat` : AndroidToolsInfo.AVD_MANAGER_EXECUTABLE_NAME;
+		// The command-line tools replace the deprecated SDK tools, so avdmanager from them is preferred.
+		return this.getPathInAndroidHome([
+			path.join("cmdline-tools", "latest", "bin", avdManagerFileName),
+			path.join("tools", "bin", avdManagerFileName)
+		]);
+	}
+
+	@cache()
+	public getPathToEmulator(): string {
+		const emulatorFileName = this.$hostInfo.isWindows ? `${AndroidToolsInfo.EMULATOR_EXECUTABLE_NAME}.exe` : AndroidToolsInfo.EMULATOR_EXECUTABLE_NAME;
+		// Since SDK tools 25.3.0 the emulator is a separate package, but the old executable still exists in the tools directory.
+		return this.getPathInAndroidHome([
+			path.join(AndroidToolsInfo.EMULATOR_EXECUTABLE_NAME, emulatorFileName),
+			path.join("tools", emulatorFileName)
+		]);
+	}
+
+	@cache()
+	public getPathToApkSigner(): string {
+		const androidHome = androidToolsInfo.androidHome;
+		const buildToolsDirectory = androidHome && path.join(androidHome, AndroidToolsInfo.BUILD_TOOLS_DIRECTORY_NAME);
+		if (!buildToolsDirectory || !this.$fs.exists(buildToolsDirectory)) {
+			return null;
+		}
+
+		const apkSignerFileName = this.$hostInfo.isWindows ? `${AndroidToolsInfo.APK_SIGNER_EXECUTABLE_NAME}.bat` : AndroidToolsInfo.APK_SIGNER_EXECUTABLE_NAME;
+		// apksigner is part of the Build Tools since 24.0.3, so the one from the latest installed version is used.
+		const buildToolsVersions = this.$fs.readDirectory(buildToolsDirectory)
+			.sort((firstVersion, secondVersion) => semver.rcompare(semver.coerce(firstVersion) || "0.0.0", semver.coerce(secondVersion) || "0.0.0"));
+
+		return this.getPathInAndroidHome(buildToolsVersions.map(version => path.join(AndroidToolsInfo.BUILD_TOOLS_DIRECTORY_NAME, version, apkSignerFileName)));
+	}
+
 	@cache()
 	public validateAndroidHomeEnvVariable(options?: IAndroidToolsInfoOptions): boolean {
 		const showWarningsAsErrors = options && options.showWarningsAsErrors;
@@ -78,6 +140,17 @@ export class AndroidToolsInfo implements IAndroidToolsInfo {
 		return androidToolsInfo.validateAndroidHomeEnvVariable().map(warning => this.printMessage(warning.warning, showWarningsAsErrors)).length > 0;
 	}
 
+	private getPathInAndroidHome(relativePaths: string[]): string {
+		const androidHome = androidToolsInfo.androidHome;
+		if (!androidHome) {
+			return null;
+		}
+
+		return _(relativePaths)
+			.map(relativePath => path.join(androidHome, relativePath))
+			.find(fullPath => this.$fs.exists(fullPath)) || null;
+	}
+
 	private shouldGenerateTypings(): boolean {
 		return this.$options.androidTypings;
 	}
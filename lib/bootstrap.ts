@@ -14,7 +14,11 @@ $injector.require("androidPluginBuildService", "./services/android-plugin-build-
 $injector.require("gradleCommandService", "./services/android/gradle-command-service");
 $injector.require("gradleBuildService", "./services/android/gradle-build-service");
 $injector.require("gradleBuildArgsService", "./services/android/gradle-build-args-service");
+$injector.require("gradleDependenciesReportService", "./services/android/gradle-dependencies-report-service");
+$injector.require("androidPackageInspectorService", "./services/android/android-package-inspector-service");
 $injector.require("androidBundleToolService", "./services/android/android-bundle-tool-service");
+$injector.require("androidKeystoreService", "./services/android/android-keystore-service");
+$injector.require("androidEmulatorManagerService", "./services/android/android-emulator-manager-service");
 $injector.require("iOSEntitlementsService", "./services/ios-entitlements-service");
 $injector.require("iOSNativeTargetService", "./services/ios-native-target-service");
 $injector.require("iOSExtensionsService", "./services/ios-extensions-service");
@@ -30,6 +34,7 @@ $injector.require("exportOptionsPlistService", "./services/ios/export-options-pl
 
 $injector.require("cocoapodsService", "./services/cocoapods-service");
 $injector.require("cocoaPodsPlatformManager", "./services/cocoapods-platform-manager");
+$injector.require("cocoaPodsReportService", "./services/cocoapods-report-service");
 
 $injector.require("projectTemplatesService", "./services/project-templates-service");
 $injector.require("projectNameService", "./services/project-name-service");
@@ -42,6 +47,9 @@ $injector.require("prepareNativePlatformService", "./services/platform/prepare-n
 $injector.require("platformValidationService", "./services/platform/platform-validation-service");
 
 $injector.require("buildArtefactsService", "./services/build-artefacts-service");
+$injector.require("artifactsManifestService", "./services/artifacts-manifest-service");
+$injector.require("buildCacheService", "./services/build-cache/build-cache-service");
+$injector.require("localBuildCacheBackend", "./services/build-cache/local-build-cache-backend");
 
 $injector.require("deviceInstallAppService", "./services/device/device-install-app-service");
 
@@ -49,6 +57,7 @@ $injector.require("platformController", "./controllers/platform-controller");
 $injector.require("prepareController", "./controllers/prepare-controller");
 $injector.require("deployController", "./controllers/deploy-controller");
 $injector.requirePublicClass("buildController", "./controllers/build-controller");
+$injector.require("buildMatrixController", "./controllers/build-matrix-controller");
 $injector.requirePublicClass("runController", "./controllers/run-controller");
 $injector.requirePublicClass("debugController", "./controllers/debug-controller");
 $injector.requirePublicClass("previewAppController", "./controllers/preview-app-controller");
@@ -75,6 +84,7 @@ $injector.require("platformCommandParameter", "./platform-command-param");
 $injector.requireCommand("create", "./commands/create-project");
 $injector.requireCommand("generate", "./commands/generate");
 $injector.requireCommand("platform|*list", "./commands/list-platforms");
+$injector.requireCommand("hooks|*list", "./commands/list-hooks");
 $injector.requireCommand("platform|add", "./commands/add-platform");
 $injector.requireCommand("platform|remove", "./commands/remove-platform");
 $injector.requireCommand("platform|update", "./commands/update-platform");
@@ -90,6 +100,19 @@ $injector.requireCommand("debug|android", "./commands/debug");
 $injector.requireCommand("prepare", "./commands/prepare");
 $injector.requireCommand("build|ios", "./commands/build");
 $injector.requireCommand("build|android", "./commands/build");
+$injector.requireCommand("inspect|apk", "./commands/inspect");
+$injector.requireCommand("inspect|aab", "./commands/inspect");
+$injector.requireCommand("bundle|convert", "./commands/bundle");
+$injector.requireCommand("keystore|create", "./commands/keystore");
+$injector.requireCommand("keystore|info", "./commands/keystore");
+$injector.requireCommand("keystore|verify", "./commands/keystore");
+$injector.requireCommand("credentials|set", "./commands/credentials");
+$injector.requireCommand("credentials|list", "./commands/credentials");
+$injector.requireCommand("credentials|remove", "./commands/credentials");
+$injector.requireCommand("emulator|create", "./commands/emulator");
+$injector.requireCommand("emulator|start", "./commands/emulator");
+$injector.requireCommand("emulator|stop", "./commands/emulator");
+$injector.requireCommand("emulator|wipe", "./commands/emulator");
 $injector.requireCommand("deploy", "./commands/deploy");
 
 $injector.require("testExecutionService", "./services/test-execution-service");
@@ -131,6 +154,8 @@ $injector.requireCommand("plugin|remove", "./commands/plugin/remove-plugin");
 $injector.requireCommand("plugin|update", "./commands/plugin/update-plugin");
 $injector.requireCommand("plugin|build", "./commands/plugin/build-plugin");
 $injector.requireCommand("plugin|create", "./commands/plugin/create-plugin");
+$injector.requireCommand("plugin|pods", "./commands/plugin/list-plugin-pods");
+$injector.requireCommand("plugin|gradle-deps", "./commands/plugin/list-plugin-gradle-dependencies");
 
 $injector.require("doctorService", "./services/doctor-service");
 $injector.require("xcprojService", "./services/xcproj-service");
@@ -183,6 +208,13 @@ $injector.requireCommand("update", "./commands/update");
 $injector.require("iOSLogFilter", "./services/ios-log-filter");
 $injector.require("logSourceMapService", "./services/log-source-map-service");
 $injector.require("projectChangesService", "./services/project-changes-service");
+$injector.require("changesExplanationService", "./services/changes-explanation-service");
+$injector.require("eventStreamService", "./services/event-stream-service");
+$injector.require("deviceLogFileService", "./services/device-log-file-service");
+$injector.require("daemonService", "./services/daemon-service");
+$injector.require("symbolicationService", "./services/symbolication-service");
+$injector.require("projectGeneratorsService", "./services/project-generators-service");
+$injector.require("credentialStoreService", "./services/credential-store-service");
 
 $injector.require("pbxprojDomXcode", "./node/pbxproj-dom-xcode");
 $injector.require("xcode", "./node/xcode");
@@ -191,6 +223,8 @@ $injector.require("staticConfig", "./config");
 
 $injector.require("requireService", "./services/require-service");
 
+$injector.requireCommand("daemon", "./commands/daemon");
+$injector.requireCommand("symbolicate", "./commands/symbolicate");
 $injector.requireCommand("extension|*list", "./commands/extensibility/list-extensions");
 $injector.requireCommand("extension|install", "./commands/extensibility/install-extension");
 $injector.requireCommand("extension|uninstall", "./commands/extensibility/uninstall-extension");
@@ -7,6 +7,7 @@ export class ListiOSApps implements ICommand {
 	constructor(private $injector: IInjector,
 		private $applePortalApplicationService: IApplePortalApplicationService,
 		private $applePortalSessionService: IApplePortalSessionService,
+		private $credentialStoreService: ICredentialStoreService,
 		private $logger: ILogger,
 		private $projectData: IProjectData,
 		private $devicePlatformsConstants: Mobile.IDevicePlatformsConstants,
@@ -23,7 +24,7 @@ export class ListiOSApps implements ICommand {
 		}
 
 		let username = args[0];
-		let password = args[1];
+		let password = this.$credentialStoreService.resolveCredentialReference(args[1]);
 
 		if (!username) {
 			username = await this.$prompter.getString("Apple ID", { allowEmpty: false });
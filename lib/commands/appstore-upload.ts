@@ -9,6 +9,7 @@ export class PublishIOS implements ICommand {
 
 	constructor(
 		private $applePortalSessionService: IApplePortalSessionService,
+		private $credentialStoreService: ICredentialStoreService,
 		private $injector: IInjector,
 		private $itmsTransporterService: IITMSTransporterService,
 		private $logger: ILogger,
@@ -28,7 +29,7 @@ export class PublishIOS implements ICommand {
 		await this.$itmsTransporterService.validate();
 
 		const username = args[0] || await this.$prompter.getString("Apple ID", { allowEmpty: false });
-		const password = args[1] || await this.$prompter.getPassword("Apple ID password");
+		const password = this.$credentialStoreService.resolveCredentialReference(args[1]) || await this.$prompter.getPassword("Apple ID password");
 		const mobileProvisionIdentifier = args[2];
 		const codeSignIdentity = args[3];
 
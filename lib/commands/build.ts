@@ -1,8 +1,11 @@
-import { ANDROID_RELEASE_BUILD_ERROR_MESSAGE, AndroidAppBundleMessages } from "../constants";
+import * as path from "path";
+import { ANDROID_RELEASE_BUILD_ERROR_MESSAGE, ANDROID_UNIVERSAL_APK_SIGNING_ERROR_MESSAGE, AndroidAppBundleMessages, APK_EXTENSION_NAME, UNIVERSAL_APK_SUFFIX } from "../constants";
 import { ValidatePlatformCommandBase } from "./command-base";
-import { hasValidAndroidSigning } from "../common/helpers";
+import { createTable, hasValidAndroidSigning } from "../common/helpers";
 
 export abstract class BuildCommandBase extends ValidatePlatformCommandBase {
+	protected matrix: IBuildMatrix = null;
+
 	constructor($options: IOptions,
 		protected $errors: IErrors,
 		$projectData: IProjectData,
@@ -11,7 +14,8 @@ export abstract class BuildCommandBase extends ValidatePlatformCommandBase {
 		protected $buildController: IBuildController,
 		$platformValidationService: IPlatformValidationService,
 		private $buildDataService: IBuildDataService,
-		protected $logger: ILogger) {
+		protected $logger: ILogger,
+		private $buildMatrixController: IBuildMatrixController) {
 		super($options, $platformsDataService, $platformValidationService, $projectData);
 		this.$projectData.initializeProjectData();
 	}
@@ -29,6 +33,18 @@ export abstract class BuildCommandBase extends ValidatePlatformCommandBase {
 		return outputPath;
 	}
 
+	protected async executeMatrix(): Promise<void> {
+		const manifest = await this.$buildMatrixController.buildMatrix(this.$projectData, this.matrix, this.$options);
+
+		const table = createTable(["Build", "Artifact", "SHA-256"], _.map(manifest.artifacts, artifact => [
+			artifact.name,
+			path.relative(this.$projectData.projectDir, artifact.path),
+			artifact.sha256
+		]));
+		this.$logger.info(table.toString());
+		this.$logger.info(`The build matrix manifest is located at: ${manifest.manifestPath}`);
+	}
+
 	protected validatePlatform(platform: string): void {
 		if (!this.$platformValidationService.isPlatformSupportedForOS(platform, this.$projectData)) {
 			this.$errors.fail(`Applications for platform ${platform} can not be built on this OS`);
@@ -44,6 +60,13 @@ export abstract class BuildCommandBase extends ValidatePlatformCommandBase {
 
 		return result;
 	}
+
+	protected async validateMatrixArgs(args: string[], platform: string): Promise<boolean> {
+		const result = await this.validateArgs(args, platform);
+		this.matrix = this.$buildMatrixController.getBuildMatrix(this.$projectData, this.$options.matrix, platform);
+
+		return result;
+	}
 }
 
 export class BuildIosCommand extends BuildCommandBase implements ICommand {
@@ -58,11 +81,17 @@ export class BuildIosCommand extends BuildCommandBase implements ICommand {
 		$platformValidationService: IPlatformValidationService,
 		$logger: ILogger,
 		$buildDataService: IBuildDataService,
-		private $migrateController: IMigrateController) {
-		super($options, $errors, $projectData, $platformsDataService, $devicePlatformsConstants, $buildController, $platformValidationService, $buildDataService, $logger);
+		private $migrateController: IMigrateController,
+		$buildMatrixController: IBuildMatrixController) {
+		super($options, $errors, $projectData, $platformsDataService, $devicePlatformsConstants, $buildController, $platformValidationService, $buildDataService, $logger, $buildMatrixController);
 	}
 
 	public async execute(args: string[]): Promise<void> {
+		if (this.matrix) {
+			await this.executeMatrix();
+			return;
+		}
+
 		await this.executeCore([this.$devicePlatformsConstants.iOS.toLowerCase()]);
 	}
 
@@ -76,7 +105,7 @@ export class BuildIosCommand extends BuildCommandBase implements ICommand {
 
 		let canExecute = await super.canExecuteCommandBase(platform, { notConfiguredEnvOptions: { hideSyncToPreviewAppOption: true } });
 		if (canExecute) {
-			canExecute = await super.validateArgs(args, platform);
+			canExecute = this.$options.matrix ? await super.validateMatrixArgs(args, platform) : await super.validateArgs(args, platform);
 		}
 
 		return canExecute;
@@ -99,13 +128,29 @@ export class BuildAndroidCommand extends BuildCommandBase implements ICommand {
 		$buildDataService: IBuildDataService,
 		protected $logger: ILogger,
 		private $migrateController: IMigrateController,
-		private $markingModeService: IMarkingModeService) {
-		super($options, $errors, $projectData, platformsDataService, $devicePlatformsConstants, $buildController, $platformValidationService, $buildDataService, $logger);
+		private $markingModeService: IMarkingModeService,
+		private $androidBundleToolService: IAndroidBundleToolService,
+		private $buildArtefactsService: IBuildArtefactsService,
+		$buildMatrixController: IBuildMatrixController) {
+		super($options, $errors, $projectData, platformsDataService, $devicePlatformsConstants, $buildController, $platformValidationService, $buildDataService, $logger, $buildMatrixController);
 	}
 
 	public async execute(args: string[]): Promise<void> {
 		await this.$markingModeService.handleMarkingModeFullDeprecation({ projectDir: this.$projectData.projectDir, skipWarnings: true });
-		await this.executeCore([this.$devicePlatformsConstants.Android.toLowerCase()]);
+		if (this.matrix) {
+			await this.executeMatrix();
+			return;
+		}
+
+		const outputPath = await this.executeCore([this.$devicePlatformsConstants.Android.toLowerCase()]);
+
+		if (this.$options.universalApk) {
+			// With --copy-to the universal APK is saved next to the copied .aab, like the output of tns bundle convert.
+			const { dir, name } = path.parse(this.$options.copyTo ? this.$buildArtefactsService.getCopyToPath(this.$options.copyTo, path.basename(outputPath)) : outputPath);
+			const apkOutputPath = path.join(dir, `${name}${UNIVERSAL_APK_SUFFIX}${APK_EXTENSION_NAME}`);
+			await this.$androidBundleToolService.buildUniversalApk({ aabFilePath: outputPath, apkOutputPath, signingData: <IAndroidSigningData>this.$options });
+			this.$logger.info(`The universal APK is located at: ${apkOutputPath}`);
+		}
 
 		if (this.$options.aab) {
 			this.$logger.info(AndroidAppBundleMessages.ANDROID_APP_BUNDLE_DOCS_MESSAGE);
@@ -123,11 +168,24 @@ export class BuildAndroidCommand extends BuildCommandBase implements ICommand {
 		}
 		this.$androidBundleValidatorHelper.validateRuntimeVersion(this.$projectData);
 		let canExecute = await super.canExecuteCommandBase(platform, { notConfiguredEnvOptions: { hideSyncToPreviewAppOption: true } });
+		if (canExecute && this.$options.matrix) {
+			// The signing options of each build of the matrix are validated when the matrix is built.
+			return super.validateMatrixArgs(args, platform);
+		}
+
 		if (canExecute) {
 			if (this.$options.release && !hasValidAndroidSigning(this.$options)) {
 				this.$errors.failWithHelp(ANDROID_RELEASE_BUILD_ERROR_MESSAGE);
 			}
 
+			if (this.$options.universalApk && !this.$options.aab) {
+				this.$errors.failWithHelp("The --universal-apk option can be used only together with the --aab option.");
+			}
+
+			if (this.$options.universalApk && !hasValidAndroidSigning(this.$options)) {
+				this.$errors.failWithHelp(ANDROID_UNIVERSAL_APK_SIGNING_ERROR_MESSAGE);
+			}
+
 			canExecute = await super.validateArgs(args, platform);
 		}
 
@@ -0,0 +1,56 @@
+import * as path from "path";
+import { hasValidAndroidSigning } from "../common/helpers";
+import { AAB_EXTENSION_NAME, APK_EXTENSION_NAME, UNIVERSAL_APK_SUFFIX, ANDROID_UNIVERSAL_APK_SIGNING_ERROR_MESSAGE } from "../constants";
+
+export class BundleConvertCommand implements ICommand {
+	public allowedParameters: ICommandParameter[] = [];
+
+	private aabFilePath: string;
+
+	constructor(private $androidBundleToolService: IAndroidBundleToolService,
+		private $buildArtefactsService: IBuildArtefactsService,
+		private $errors: IErrors,
+		private $fs: IFileSystem,
+		private $logger: ILogger,
+		private $options: IOptions) { }
+
+	public async execute(args: string[]): Promise<void> {
+		const apkOutputPath = this.getApkOutputPath();
+		await this.$androidBundleToolService.buildUniversalApk({
+			aabFilePath: this.aabFilePath,
+			apkOutputPath,
+			signingData: <IAndroidSigningData>this.$options
+		});
+
+		this.$logger.info(`The universal APK is located at: ${apkOutputPath}`);
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		if (args.length !== 1) {
+			this.$errors.failWithHelp("You must specify the path to the .aab file which will be converted.");
+		}
+
+		this.aabFilePath = path.resolve(args[0]);
+		if (!this.$fs.exists(this.aabFilePath)) {
+			this.$errors.fail(`The file ${this.aabFilePath} does not exist.`);
+		}
+
+		if (path.extname(this.aabFilePath).toLowerCase() !== AAB_EXTENSION_NAME) {
+			this.$errors.failWithHelp(`The file ${this.aabFilePath} is not a ${AAB_EXTENSION_NAME} file.`);
+		}
+
+		if (!hasValidAndroidSigning(this.$options)) {
+			this.$errors.failWithHelp(ANDROID_UNIVERSAL_APK_SIGNING_ERROR_MESSAGE);
+		}
+
+		return true;
+	}
+
+	private getApkOutputPath(): string {
+		const { dir, name } = path.parse(this.aabFilePath);
+		const defaultFileName = `${name}${UNIVERSAL_APK_SUFFIX}${APK_EXTENSION_NAME}`;
+		return this.$options.copyTo ? this.$buildArtefactsService.getCopyToPath(this.$options.copyTo, defaultFileName) : path.join(dir, defaultFileName);
+	}
+}
+
+$injector.registerCommand("bundle|convert", BundleConvertCommand);
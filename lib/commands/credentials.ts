@@ -0,0 +1,82 @@
+import { isInteractive } from "../common/helpers";
+import { CREDENTIAL_REFERENCE_PREFIX } from "../constants";
+
+export class CredentialsSetCommand implements ICommand {
+	public allowedParameters: ICommandParameter[] = [this.$stringParameter];
+
+	constructor(private $credentialStoreService: ICredentialStoreService,
+		private $errors: IErrors,
+		private $logger: ILogger,
+		private $prompter: IPrompter,
+		private $stringParameter: ICommandParameter) { }
+
+	public async execute(args: string[]): Promise<void> {
+		const name = args[0];
+		const value = await this.$prompter.getPassword(`Value of ${name}`);
+		this.$credentialStoreService.setCredential(name, value);
+		this.$logger.info(`The credential ${name} is saved. Pass it to the commands as ${CREDENTIAL_REFERENCE_PREFIX}${name}.`);
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		if (args.length !== 1) {
+			this.$errors.failWithHelp("You must specify the name of the credential.");
+		}
+
+		if (!isInteractive()) {
+			this.$errors.fail("The value of the credential can be entered only in an interactive terminal, so it is not saved in the shell history.");
+		}
+
+		return true;
+	}
+}
+
+$injector.registerCommand("credentials|set", CredentialsSetCommand);
+
+export class CredentialsListCommand implements ICommand {
+	public allowedParameters: ICommandParameter[] = [];
+
+	constructor(private $credentialStoreService: ICredentialStoreService,
+		private $logger: ILogger,
+		private $options: IOptions) { }
+
+	public async execute(args: string[]): Promise<void> {
+		const names = this.$credentialStoreService.getCredentialNames();
+		if (this.$options.json) {
+			this.$logger.info(JSON.stringify(names, null, 2));
+		} else if (names.length) {
+			_.each(names, name => this.$logger.info(name));
+		} else {
+			this.$logger.info("There are no credentials in the credential store.");
+		}
+	}
+}
+
+$injector.registerCommand("credentials|list", CredentialsListCommand);
+
+export class CredentialsRemoveCommand implements ICommand {
+	public allowedParameters: ICommandParameter[] = [this.$stringParameter];
+
+	constructor(private $credentialStoreService: ICredentialStoreService,
+		private $errors: IErrors,
+		private $logger: ILogger,
+		private $stringParameter: ICommandParameter) { }
+
+	public async execute(args: string[]): Promise<void> {
+		const name = args[0];
+		if (!this.$credentialStoreService.removeCredential(name)) {
+			this.$errors.fail(`The credential ${name} is not in the credential store.`);
+		}
+
+		this.$logger.info(`The credential ${name} is removed.`);
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		if (args.length !== 1) {
+			this.$errors.failWithHelp("You must specify the name of the credential.");
+		}
+
+		return true;
+	}
+}
+
+$injector.registerCommand("credentials|remove", CredentialsRemoveCommand);
@@ -0,0 +1,16 @@
+export class DaemonCommand implements ICommand {
+	public allowedParameters: ICommandParameter[] = [];
+
+	public dashedOptions = {
+		socket: { type: OptionType.String, hasSensitiveValue: true },
+	};
+
+	constructor(private $daemonService: IDaemonService,
+		private $options: IOptions) { }
+
+	public execute(args: string[]): Promise<void> {
+		return this.$daemonService.start({ socketPath: this.$options.socket });
+	}
+}
+
+$injector.registerCommand("daemon", DaemonCommand);
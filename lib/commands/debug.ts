@@ -18,12 +18,14 @@ export class DebugPlatformCommand extends ValidatePlatformCommandBase implements
 		private $debugDataService: IDebugDataService,
 		private $debugController: IDebugController,
 		private $liveSyncCommandHelper: ILiveSyncCommandHelper,
-		private $migrateController: IMigrateController) {
+		private $migrateController: IMigrateController,
+		private $eventStreamService: IEventStreamService) {
 		super($options, $platformsDataService, $platformValidationService, $projectData);
 		$cleanupService.setShouldDispose(false);
 	}
 
 	public async execute(args: string[]): Promise<void> {
+		await this.$eventStreamService.start();
 		await this.$devicesService.initialize({
 			platform: this.platform,
 			deviceId: this.$options.device,
@@ -0,0 +1,133 @@
+import { createTable } from "../common/helpers";
+
+export abstract class EmulatorCommandBase implements ICommand {
+	public allowedParameters: ICommandParameter[] = [];
+
+	constructor(protected $androidEmulatorManagerService: IAndroidEmulatorManagerService,
+		protected $errors: IErrors,
+		protected $logger: ILogger,
+		protected $options: IOptions) { }
+
+	public abstract execute(args: string[]): Promise<void>;
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		if (args.length !== 1) {
+			this.$errors.failWithHelp("You must specify the name of the emulator.");
+		}
+
+		return true;
+	}
+
+	protected printEmulator(emulator: Mobile.IDeviceInfo, message: string): void {
+		if (this.$options.json) {
+			this.$logger.info(JSON.stringify(emulator, null, 2));
+			return;
+		}
+
+		this.$logger.info(message);
+		this.$logger.info(createTable(["Name", "Identifier", "Version", "Status"], [
+			[emulator.imageIdentifier, emulator.identifier || "", emulator.version || "", emulator.status]
+		]).toString());
+	}
+
+	protected getStartOptions(): IAndroidEmulatorStartOptions {
+		return {
+			headless: this.$options.headless,
+			coldBoot: this.$options.coldBoot
+		};
+	}
+}
+
+export class EmulatorCreateCommand extends EmulatorCommandBase {
+	public dashedOptions = {
+		systemImage: { type: OptionType.String, hasSensitiveValue: false },
+		deviceProfile: { type: OptionType.String, hasSensitiveValue: false },
+	};
+
+	constructor($androidEmulatorManagerService: IAndroidEmulatorManagerService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions) {
+		super($androidEmulatorManagerService, $errors, $logger, $options);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const emulator = await this.$androidEmulatorManagerService.createEmulator({
+			name: args[0],
+			systemImage: this.$options.systemImage,
+			deviceProfile: this.$options.deviceProfile,
+			force: this.$options.force
+		});
+
+		this.printEmulator(emulator, `The emulator ${args[0]} is successfully created.`);
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		await super.canExecute(args);
+
+		if (!this.$options.systemImage) {
+			this.$errors.failWithHelp("You must specify the system image of the emulator with --system-image, for example --system-image \"system-images;android-29;google_apis;x86\".");
+		}
+
+		return true;
+	}
+}
+
+$injector.registerCommand("emulator|create", EmulatorCreateCommand);
+
+export class EmulatorStartCommand extends EmulatorCommandBase {
+	public dashedOptions = {
+		headless: { type: OptionType.Boolean, hasSensitiveValue: false },
+		coldBoot: { type: OptionType.Boolean, hasSensitiveValue: false },
+	};
+
+	constructor($androidEmulatorManagerService: IAndroidEmulatorManagerService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions) {
+		super($androidEmulatorManagerService, $errors, $logger, $options);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const emulator = await this.$androidEmulatorManagerService.startEmulator(args[0], this.getStartOptions());
+		this.printEmulator(emulator, `The emulator ${args[0]} is running.`);
+	}
+}
+
+$injector.registerCommand("emulator|start", EmulatorStartCommand);
+
+export class EmulatorStopCommand extends EmulatorCommandBase {
+	constructor($androidEmulatorManagerService: IAndroidEmulatorManagerService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions) {
+		super($androidEmulatorManagerService, $errors, $logger, $options);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const emulator = await this.$androidEmulatorManagerService.stopEmulator(args[0]);
+		this.printEmulator(emulator, `The emulator ${args[0]} is stopped.`);
+	}
+}
+
+$injector.registerCommand("emulator|stop", EmulatorStopCommand);
+
+export class EmulatorWipeCommand extends EmulatorCommandBase {
+	public dashedOptions = {
+		headless: { type: OptionType.Boolean, hasSensitiveValue: false },
+	};
+
+	constructor($androidEmulatorManagerService: IAndroidEmulatorManagerService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions) {
+		super($androidEmulatorManagerService, $errors, $logger, $options);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const emulator = await this.$androidEmulatorManagerService.wipeEmulator(args[0], this.getStartOptions());
+		this.printEmulator(emulator, `The data of the emulator ${args[0]} is erased and the emulator is running.`);
+	}
+}
+
+$injector.registerCommand("emulator|wipe", EmulatorWipeCommand);
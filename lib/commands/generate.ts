@@ -1,14 +1,25 @@
 import { run, ExecutionOptions } from '@nativescript/schematics-executor';
+import { isInteractive } from "../common/helpers";
 
 export class GenerateCommand implements ICommand {
 	public allowedParameters: ICommandParameter[] = [];
 	private executionOptions: ExecutionOptions;
+	private projectGenerator: IProjectGenerator;
+	private projectGeneratorArgs: IDictionary<string>;
 
 	constructor(private $logger: ILogger,
 		private $options: IOptions,
-		private $errors: IErrors) { }
+		private $errors: IErrors,
+		private $projectHelper: IProjectHelper,
+		private $projectGeneratorsService: IProjectGeneratorsService,
+		private $prompter: IPrompter) { }
 
 	public async execute(_rawArgs: string[]): Promise<void> {
+		if (this.projectGenerator) {
+			await this.executeProjectGenerator();
+			return;
+		}
+
 		try {
 			await run(this.executionOptions);
 		} catch (error) {
@@ -17,15 +28,57 @@ export class GenerateCommand implements ICommand {
 	}
 
 	public async canExecute(rawArgs: string[]): Promise<boolean> {
+		const projectDir = this.$projectHelper.projectDir;
+		if (projectDir && !this.$options.collection && rawArgs[0]) {
+			this.projectGenerator = this.$projectGeneratorsService.getGenerator(projectDir, rawArgs[0]);
+		}
+
+		if (this.projectGenerator) {
+			const { options, args } = parseSchematicSettings(rawArgs.slice(1));
+			if (args.length) {
+				this.$errors.failWithHelp(`The arguments '${args.join(" ")}' are not valid for the generator ${this.projectGenerator.name}. Pass the arguments of the generator in the format 'name=value'.`);
+			}
+
+			this.projectGeneratorArgs = options;
+			return true;
+		}
+
 		this.setExecutionOptions(rawArgs);
 		this.validateExecutionOptions();
 
 		return true;
 	}
 
+	private async executeProjectGenerator(): Promise<void> {
+		const missingArguments = isInteractive() ? this.$projectGeneratorsService.getMissingArguments(this.projectGenerator, this.projectGeneratorArgs) : [];
+		for (const arg of missingArguments) {
+			this.projectGeneratorArgs[arg.name] = await this.$prompter.getString(arg.message || `${arg.name}:`, { allowEmpty: false });
+		}
+
+		const files = await this.$projectGeneratorsService.generate(this.projectGenerator, {
+			projectDir: this.$projectHelper.projectDir,
+			args: this.projectGeneratorArgs,
+			dryRun: this.$options.dryRun,
+			force: this.$options.force
+		});
+
+		for (const file of files) {
+			this.$logger.info(`${file.action.toUpperCase()} ${file.relativePath}`);
+			if (this.$options.dryRun && file.action !== GeneratedFileAction.Unchanged) {
+				this.$logger.info(this.$projectGeneratorsService.getDiff(file));
+			}
+		}
+
+		if (this.$options.dryRun) {
+			this.$logger.warn("No files were written because the --dry-run option is passed.");
+		}
+	}
+
 	private validateExecutionOptions() {
 		if (!this.executionOptions.schematic) {
-			this.$errors.failWithHelp(`The generate command requires a schematic name to be specified.`);
+			const projectGenerators = this.$projectHelper.projectDir ? this.$projectGeneratorsService.getGenerators(this.$projectHelper.projectDir) : [];
+			const availableGenerators = projectGenerators.length ? ` The project has the following generators: ${_.map(projectGenerators, generator => generator.name).join(", ")}.` : "";
+			this.$errors.failWithHelp(`The generate command requires a schematic name to be specified.${availableGenerators}`);
 		}
 	}
 
@@ -57,7 +110,7 @@ export class GenerateCommand implements ICommand {
  * Converts an array of command line arguments to options for the executed schematic.
  * @param rawArgs The command line arguments. They should be in the format 'key=value' for strings or 'key' for booleans.
  */
-function parseSchematicSettings(rawArgs: string[]) {
+function parseSchematicSettings(rawArgs: string[]): { options: IDictionary<string>, args: string[] } {
 	const [optionStrings, args] = partition<string>(rawArgs, item => item.includes('='));
 	const options = optionStrings
 		.map(o => o.split("=")) // split to key and value pairs
@@ -0,0 +1,161 @@
+import * as path from "path";
+import { createTable } from "../common/helpers";
+import { APK_EXTENSION_NAME, AAB_EXTENSION_NAME } from "../constants";
+
+export abstract class InspectAndroidPackageCommandBase implements ICommand {
+	private static CHANGED_FILES_COUNT = 10;
+
+	public allowedParameters: ICommandParameter[] = [];
+	public dashedOptions = {
+		compare: { type: OptionType.String, hasSensitiveValue: true },
+	};
+
+	private packagePath: string;
+
+	protected abstract packageExtension: string;
+
+	constructor(private $androidPackageInspectorService: IAndroidPackageInspectorService,
+		private $buildArtefactsService: IBuildArtefactsService,
+		private $buildDataService: IBuildDataService,
+		private $devicePlatformsConstants: Mobile.IDevicePlatformsConstants,
+		private $errors: IErrors,
+		private $fs: IFileSystem,
+		private $logger: ILogger,
+		private $options: IOptions,
+		private $platformsDataService: IPlatformsDataService,
+		private $projectData: IProjectData) { }
+
+	public async execute(args: string[]): Promise<void> {
+		const inspection = await this.$androidPackageInspectorService.inspect(this.packagePath);
+		const comparison = this.$options.compare ? await this.$androidPackageInspectorService.compare(this.packagePath, path.resolve(this.$options.compare)) : null;
+
+		if (this.$options.json) {
+			this.$logger.info(JSON.stringify({ ...inspection, comparison }, null, 2));
+			return;
+		}
+
+		this.$logger.info(`Package: ${inspection.packagePath} (${this.formatSize(inspection.size)}${comparison ? `, ${this.formatSizeDiff(comparison.sizeDiff)}` : ""})`);
+		this.printSizes("Module", inspection.modules, comparison && comparison.modules);
+		this.printSizes("ABI", inspection.abis, comparison && comparison.abis);
+		this.printFiles("Largest files in assets/app", inspection.largestAppFiles);
+		this.printFiles("Native libraries", inspection.nativeLibraries);
+
+		if (inspection.sourceMaps.length) {
+			this.$logger.warn(`The package contains source maps: ${_.map(inspection.sourceMaps, file => file.path).join(", ")}.`);
+		}
+
+		if (comparison) {
+			const changedFiles = _.take(comparison.changedFiles, InspectAndroidPackageCommandBase.CHANGED_FILES_COUNT);
+			this.$logger.info(`Largest changes compared to ${comparison.previousPackagePath}:`);
+			this.$logger.info(changedFiles.length ?
+				createTable(["File", "Change"], _.map(changedFiles, file => [file.path, this.formatSizeDiff(file.compressedSizeDiff)])).toString() :
+				"There are no changed files.");
+		}
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		if (args.length > 1) {
+			this.$errors.failWithHelp(`The arguments '${args.join(" ")}' are not valid for the current command.`);
+		}
+
+		this.packagePath = args[0] ? path.resolve(args[0]) : await this.getLatestPackagePath();
+		if (!this.$fs.exists(this.packagePath)) {
+			this.$errors.fail(`The file ${this.packagePath} does not exist.`);
+		}
+
+		if (path.extname(this.packagePath).toLowerCase() !== this.packageExtension) {
+			this.$errors.failWithHelp(`The file ${this.packagePath} is not a ${this.packageExtension} file.`);
+		}
+
+		if (this.$options.compare && !this.$fs.exists(this.$options.compare)) {
+			this.$errors.fail(`The file ${path.resolve(this.$options.compare)} does not exist.`);
+		}
+
+		return true;
+	}
+
+	private async getLatestPackagePath(): Promise<string> {
+		this.$projectData.initializeProjectData();
+		const platform = this.$devicePlatformsConstants.Android.toLowerCase();
+		const platformData = this.$platformsDataService.getPlatformData(platform, this.$projectData);
+		const buildData = this.$buildDataService.getBuildData(this.$projectData.projectDir, platform, {
+			..._.pick(this.$options, ["release", "flavor", "buildType"]),
+			androidBundle: this.packageExtension === AAB_EXTENSION_NAME
+		});
+
+		return this.$buildArtefactsService.getLatestAppPackagePath(platformData, buildData);
+	}
+
+	private printSizes(title: string, sizes: IDictionary<number>, sizesDiff: IDictionary<number>): void {
+		if (_.isEmpty(sizes) && _.isEmpty(sizesDiff)) {
+			return;
+		}
+
+		const headers = sizesDiff ? [title, "Compressed size", "Change"] : [title, "Compressed size"];
+		const data = _.map(_.union(_.keys(sizes), _.keys(sizesDiff)), key => {
+			const row = [key, this.formatSize(sizes[key] || 0)];
+			return sizesDiff ? row.concat(this.formatSizeDiff(sizesDiff[key])) : row;
+		});
+
+		this.$logger.info(createTable(headers, data).toString());
+	}
+
+	private printFiles(title: string, files: IAndroidPackageFile[]): void {
+		if (!files.length) {
+			return;
+		}
+
+		this.$logger.info(`${title}:`);
+		this.$logger.info(createTable(["File", "Size", "Compressed size"], _.map(files, file => [file.path, this.formatSize(file.size), this.formatSize(file.compressedSize)])).toString());
+	}
+
+	private formatSizeDiff(sizeDiff: number): string {
+		return `${sizeDiff > 0 ? "+" : sizeDiff < 0 ? "-" : ""}${this.formatSize(Math.abs(sizeDiff))}`;
+	}
+
+	private formatSize(size: number): string {
+		if (size < 1024) {
+			return `${size} B`;
+		}
+
+		return size < 1024 * 1024 ? `${(size / 1024).toFixed(1)} KB` : `${(size / (1024 * 1024)).toFixed(2)} MB`;
+	}
+}
+
+export class InspectApkCommand extends InspectAndroidPackageCommandBase {
+	protected packageExtension = APK_EXTENSION_NAME;
+
+	constructor($androidPackageInspectorService: IAndroidPackageInspectorService,
+		$buildArtefactsService: IBuildArtefactsService,
+		$buildDataService: IBuildDataService,
+		$devicePlatformsConstants: Mobile.IDevicePlatformsConstants,
+		$errors: IErrors,
+		$fs: IFileSystem,
+		$logger: ILogger,
+		$options: IOptions,
+		$platformsDataService: IPlatformsDataService,
+		$projectData: IProjectData) {
+		super($androidPackageInspectorService, $buildArtefactsService, $buildDataService, $devicePlatformsConstants, $errors, $fs, $logger, $options, $platformsDataService, $projectData);
+	}
+}
+
+$injector.registerCommand("inspect|apk", InspectApkCommand);
+
+export class InspectAabCommand extends InspectAndroidPackageCommandBase {
+	protected packageExtension = AAB_EXTENSION_NAME;
+
+	constructor($androidPackageInspectorService: IAndroidPackageInspectorService,
+		$buildArtefactsService: IBuildArtefactsService,
+		$buildDataService: IBuildDataService,
+		$devicePlatformsConstants: Mobile.IDevicePlatformsConstants,
+		$errors: IErrors,
+		$fs: IFileSystem,
+		$logger: ILogger,
+		$options: IOptions,
+		$platformsDataService: IPlatformsDataService,
+		$projectData: IProjectData) {
+		super($androidPackageInspectorService, $buildArtefactsService, $buildDataService, $devicePlatformsConstants, $errors, $fs, $logger, $options, $platformsDataService, $projectData);
+	}
+}
+
+$injector.registerCommand("inspect|aab", InspectAabCommand);
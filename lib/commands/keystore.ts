@@ -0,0 +1,175 @@
+import * as path from "path";
+import { createTable, isInteractive } from "../common/helpers";
+import { APK_EXTENSION_NAME, AAB_EXTENSION_NAME } from "../constants";
+
+export abstract class KeystoreCommandBase implements ICommand {
+	public allowedParameters: ICommandParameter[] = [];
+
+	constructor(protected $androidKeystoreService: IAndroidKeystoreService,
+		protected $errors: IErrors,
+		protected $logger: ILogger,
+		protected $options: IOptions,
+		private $prompter: IPrompter) { }
+
+	public abstract execute(args: string[]): Promise<void>;
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		if (!this.$options.keyStorePath || !this.$options.keyStoreAlias) {
+			this.$errors.failWithHelp("You must specify the keystore with --key-store-path and the alias with --key-store-alias.");
+		}
+
+		if (!this.$options.keyStorePassword) {
+			if (!isInteractive()) {
+				this.$errors.failWithHelp("You must specify the password of the keystore with --key-store-password.");
+			}
+
+			this.$options.keyStorePassword = await this.$prompter.getPassword("Keystore password");
+		}
+
+		return true;
+	}
+
+	protected getKeystoreOptions(): IAndroidKeystoreOptions {
+		return {
+			keyStorePath: path.resolve(this.$options.keyStorePath),
+			keyStorePassword: this.$options.keyStorePassword,
+			keyStoreAlias: this.$options.keyStoreAlias
+		};
+	}
+
+	protected printCertificate(certificate: IAndroidCertificateInfo): void {
+		this.$logger.info(createTable(["Property", "Value"], [
+			["Owner", certificate.owner],
+			["Issuer", certificate.issuer],
+			["Serial number", certificate.serialNumber],
+			["Valid from", certificate.validFrom],
+			["Valid until", certificate.validUntil],
+			["SHA-1", certificate.sha1],
+			["SHA-256", certificate.sha256]
+		]).toString());
+	}
+}
+
+export class KeystoreCreateCommand extends KeystoreCommandBase {
+	public dashedOptions = {
+		dname: { type: OptionType.String, hasSensitiveValue: true },
+		validity: { type: OptionType.Number, hasSensitiveValue: false },
+	};
+
+	constructor($androidKeystoreService: IAndroidKeystoreService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions,
+		$prompter: IPrompter) {
+		super($androidKeystoreService, $errors, $logger, $options, $prompter);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const options = this.getKeystoreOptions();
+		const certificate = await this.$androidKeystoreService.createKeystore({
+			...options,
+			dname: this.$options.dname,
+			validity: this.$options.validity
+		});
+
+		if (this.$options.json) {
+			this.$logger.info(JSON.stringify(certificate, null, 2));
+			return;
+		}
+
+		this.$logger.info(`Keystore ${options.keyStorePath} with alias ${options.keyStoreAlias} is successfully created.`);
+		this.printCertificate(certificate);
+		this.$logger.warn("Keep the keystore and its password safe. You will not be able to update the application with a different keystore.");
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		await super.canExecute(args);
+
+		// PKCS12 keystores use the keystore password for the alias as well.
+		if (this.$options.keyStoreAliasPassword && this.$options.keyStoreAliasPassword !== this.$options.keyStorePassword) {
+			this.$errors.failWithHelp("The keystore is created in PKCS12 format, which uses the same password for the keystore and the alias. Do not set --key-store-alias-password or set it to the value of --key-store-password.");
+		}
+
+		return true;
+	}
+}
+
+$injector.registerCommand("keystore|create", KeystoreCreateCommand);
+
+export class KeystoreInfoCommand extends KeystoreCommandBase {
+	constructor($androidKeystoreService: IAndroidKeystoreService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions,
+		$prompter: IPrompter) {
+		super($androidKeystoreService, $errors, $logger, $options, $prompter);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const certificate = await this.$androidKeystoreService.getCertificateInfo(this.getKeystoreOptions());
+
+		if (this.$options.json) {
+			this.$logger.info(JSON.stringify(certificate, null, 2));
+			return;
+		}
+
+		this.printCertificate(certificate);
+	}
+}
+
+$injector.registerCommand("keystore|info", KeystoreInfoCommand);
+
+export class KeystoreVerifyCommand extends KeystoreCommandBase {
+	private packagePath: string;
+
+	constructor($androidKeystoreService: IAndroidKeystoreService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions,
+		$prompter: IPrompter,
+		private $fs: IFileSystem) {
+		super($androidKeystoreService, $errors, $logger, $options, $prompter);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const verification = await this.$androidKeystoreService.verifyPackageSignature(this.packagePath, this.getKeystoreOptions());
+
+		if (this.$options.json) {
+			this.$logger.info(JSON.stringify(verification, null, 2));
+		} else {
+			this.$logger.info(`Keystore certificate SHA-256: ${verification.keystoreCertificate.sha256}`);
+			_.each(verification.packageCertificates, certificate => this.$logger.info(`Package certificate SHA-256: ${certificate.sha256} (${certificate.owner})`));
+		}
+
+		if (!verification.isSigned) {
+			this.$errors.fail(`The package ${this.packagePath} is not signed.`);
+		}
+
+		if (!verification.isSignedWithKeystore) {
+			this.$errors.fail(`The package ${this.packagePath} is not signed with the certificate of the alias ${this.$options.keyStoreAlias} from the keystore ${path.resolve(this.$options.keyStorePath)}.`);
+		}
+
+		if (!this.$options.json) {
+			this.$logger.info(`The package ${this.packagePath} is signed with the keystore.`);
+		}
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		if (args.length !== 1) {
+			this.$errors.failWithHelp("You must specify the path to the .apk or .aab file which will be verified.");
+		}
+
+		this.packagePath = path.resolve(args[0]);
+		if (!this.$fs.exists(this.packagePath)) {
+			this.$errors.fail(`The file ${this.packagePath} does not exist.`);
+		}
+
+		if (!_.includes([APK_EXTENSION_NAME, AAB_EXTENSION_NAME], path.extname(this.packagePath).toLowerCase())) {
+			this.$errors.failWithHelp(`The file ${this.packagePath} is not an ${APK_EXTENSION_NAME} or ${AAB_EXTENSION_NAME} file.`);
+		}
+
+		return super.canExecute(args);
+	}
+}
+
+$injector.registerCommand("keystore|verify", KeystoreVerifyCommand);
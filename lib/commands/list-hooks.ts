@@ -0,0 +1,40 @@
+import * as path from "path";
+import * as helpers from "../common/helpers";
+
+export class ListHooksCommand implements ICommand {
+	public allowedParameters: ICommandParameter[] = [];
+
+	constructor(private $hooksService: IHooksService,
+		private $projectData: IProjectData,
+		private $logger: ILogger) {
+			this.$projectData.initializeProjectData();
+		}
+
+	public async execute(args: string[]): Promise<void> {
+		const hooks = this.$hooksService.getHooks(this.$projectData.projectDir);
+		if (!hooks.length) {
+			this.$logger.info("No hooks found in the project.");
+			return;
+		}
+
+		const data = _(hooks)
+			.groupBy(hook => hook.name.toLowerCase())
+			.map(hooksWithSameName => _.map(hooksWithSameName, (hook, index) => [
+				hook.name,
+				(index + 1).toString(),
+				this.getRelativePath(hook.fullPath),
+				this.getRelativePath(hook.source)
+			]))
+			.flatten()
+			.value();
+
+		const table = helpers.createTable(["Hook", "Order", "Script", "Source"], data);
+		this.$logger.info(table.toString());
+	}
+
+	private getRelativePath(fullPath: string): string {
+		return fullPath ? path.relative(this.$projectData.projectDir, fullPath) : "";
+	}
+}
+
+$injector.registerCommand("hooks|*list", ListHooksCommand);
@@ -0,0 +1,49 @@
+import { createTable } from "../../common/helpers";
+
+export class ListPluginGradleDependenciesCommand implements ICommand {
+	public allowedParameters: ICommandParameter[] = [];
+
+	constructor(private $gradleDependenciesReportService: IGradleDependenciesReportService,
+		private $logger: ILogger,
+		private $options: IOptions,
+		private $projectData: IProjectData) {
+			this.$projectData.initializeProjectData();
+		}
+
+	public async execute(args: string[]): Promise<void> {
+		const report = this.$gradleDependenciesReportService.getDependenciesReport(this.$projectData);
+
+		if (this.$options.json) {
+			this.$logger.info(JSON.stringify(report, null, 2));
+			return;
+		}
+
+		if (!report.dependencies.length) {
+			this.$logger.info("The plugins and App_Resources do not declare any Gradle dependencies.");
+			return;
+		}
+
+		const rows = _.flatMap(report.dependencies, dependency => _.map(dependency.requests, request => [
+			dependency.module,
+			request.version || "",
+			request.configuration,
+			request.moduleName
+		]));
+
+		this.$logger.info(createTable(["Dependency", "Version", "Configuration", "Requested by"], rows).toString());
+
+		if (!report.conflicts.length) {
+			this.$logger.info("No conflicts are found in the Gradle files.");
+			return;
+		}
+
+		_.each(report.conflicts, conflict => this.$logger.warn(conflict.message));
+
+		if (report.resolutionBlock) {
+			this.$logger.info("To use a single version of each dependency, add the following to App_Resources/Android/before-plugins.gradle:");
+			this.$logger.info(report.resolutionBlock);
+		}
+	}
+}
+
+$injector.registerCommand("plugin|gradle-deps", ListPluginGradleDependenciesCommand);
@@ -0,0 +1,42 @@
+import { createTable } from "../../common/helpers";
+
+export class ListPluginPodsCommand implements ICommand {
+	public allowedParameters: ICommandParameter[] = [];
+
+	constructor(private $cocoaPodsReportService: ICocoaPodsReportService,
+		private $logger: ILogger,
+		private $options: IOptions,
+		private $projectData: IProjectData) {
+			this.$projectData.initializeProjectData();
+		}
+
+	public async execute(args: string[]): Promise<void> {
+		const report = this.$cocoaPodsReportService.getPodsReport(this.$projectData);
+
+		if (this.$options.json) {
+			this.$logger.info(JSON.stringify(report, null, 2));
+			return;
+		}
+
+		if (!report.pods.length) {
+			this.$logger.info("The plugins and App_Resources do not declare any pods.");
+			return;
+		}
+
+		const rows = _.flatMap(report.pods, pod => _.map(pod.requests, request => [
+			request.name,
+			_.map(request.options, (value, key) => `:${key} => ${value}`).concat(request.requirements).join(", ") || "any version",
+			request.isOverridden ? `${request.moduleName} (overridden by App_Resources)` : request.moduleName
+		]));
+
+		this.$logger.info(createTable(["Pod", "Requirement", "Requested by"], rows).toString());
+
+		if (report.conflicts.length) {
+			_.each(report.conflicts, conflict => this.$logger.warn(conflict.message));
+		} else {
+			this.$logger.info("No conflicts are found in the Podfiles.");
+		}
+	}
+}
+
+$injector.registerCommand("plugin|pods", ListPluginPodsCommand);
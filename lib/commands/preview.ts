@@ -14,13 +14,15 @@ export class PreviewCommand implements ICommand {
 		private $previewAppLogProvider: IPreviewAppLogProvider,
 		private $previewQrCodeService: IPreviewQrCodeService,
 		$cleanupService: ICleanupService,
-		private $markingModeService: IMarkingModeService) {
+		private $markingModeService: IMarkingModeService,
+		private $eventStreamService: IEventStreamService) {
 		this.$analyticsService.setShouldDispose(false);
 		$cleanupService.setShouldDispose(false);
 	}
 
 	public async execute(): Promise<void> {
 		await this.$markingModeService.handleMarkingModeFullDeprecation({ projectDir: this.$projectData.projectDir, skipWarnings: true });
+		await this.$eventStreamService.start();
 		this.$previewAppLogProvider.on(DEVICE_LOG_EVENT_NAME, (deviceId: string, message: string) => {
 			this.$logger.info(message);
 		});
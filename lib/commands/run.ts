@@ -9,8 +9,11 @@ export class RunCommandBase implements ICommand {
 	public platform: string;
 	constructor(
 		private $analyticsService: IAnalyticsService,
+		private $deviceLogFileService: IDeviceLogFileService,
+		private $deviceLogProvider: Mobile.IDeviceLogProvider,
 		private $devicePlatformsConstants: Mobile.IDevicePlatformsConstants,
 		private $errors: IErrors,
+		private $eventStreamService: IEventStreamService,
 		private $hostInfo: IHostInfo,
 		private $liveSyncCommandHelper: ILiveSyncCommandHelper,
 		private $migrateController: IMigrateController,
@@ -21,6 +24,18 @@ export class RunCommandBase implements ICommand {
 	public allowedParameters: ICommandParameter[] = [];
 	public async execute(args: string[]): Promise<void> {
 		await this.$analyticsService.trackPreviewAppData(this.platform, this.$projectData.projectDir);
+		await this.$eventStreamService.start();
+		this.$deviceLogProvider.setLogFilterOptions({
+			include: this.$options.logInclude,
+			exclude: this.$options.logExclude,
+			tag: this.$options.logTag,
+			severity: this.$options.logSeverity
+		});
+
+		if (this.$options.deviceLogDir) {
+			this.$deviceLogFileService.start({ logDir: this.$options.deviceLogDir });
+		}
+
 		return this.$liveSyncCommandHelper.executeCommandLiveSync(this.platform, this.liveSyncCommandHelperAdditionalOptions);
 	}
 
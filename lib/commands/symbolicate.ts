@@ -0,0 +1,60 @@
+import { LoggerConfigData } from "../constants";
+
+export class SymbolicateCommand implements ICommand {
+	private static STDIN_PATH = "-";
+
+	public allowedParameters: ICommandParameter[] = [];
+
+	public dashedOptions = {
+		buildPath: { type: OptionType.String, hasSensitiveValue: true },
+	};
+
+	constructor(private $errors: IErrors,
+		private $fs: IFileSystem,
+		private $logger: ILogger,
+		private $options: IOptions,
+		private $platformValidationService: IPlatformValidationService,
+		private $projectData: IProjectData,
+		private $symbolicationService: ISymbolicationService) {
+		this.$projectData.initializeProjectData();
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const [platform, inputPath] = args;
+		const data = inputPath === SymbolicateCommand.STDIN_PATH ? await this.readStdin() : this.$fs.readText(inputPath);
+		const output = await this.$symbolicationService.symbolicate(data, {
+			platform: platform.toLowerCase(),
+			projectDir: this.$projectData.projectDir,
+			buildPath: this.$options.buildPath
+		});
+
+		this.$logger.info(output, { [LoggerConfigData.skipNewLine]: true });
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		if (args.length !== 2) {
+			this.$errors.failWithHelp("Specify the platform and the path to the crash log or - to read it from the standard input.");
+		}
+
+		const [platform, inputPath] = args;
+		this.$platformValidationService.validatePlatform(platform, this.$projectData);
+
+		if (inputPath !== SymbolicateCommand.STDIN_PATH && !this.$fs.exists(inputPath)) {
+			this.$errors.fail(`The file ${inputPath} does not exist.`);
+		}
+
+		return true;
+	}
+
+	private readStdin(): Promise<string> {
+		return new Promise<string>((resolve, reject) => {
+			let data = "";
+			process.stdin.setEncoding("utf8");
+			process.stdin.on("data", (chunk: string) => data += chunk);
+			process.stdin.once("end", () => resolve(data));
+			process.stdin.once("error", reject);
+		});
+	}
+}
+
+$injector.registerCommand("symbolicate", SymbolicateCommand);
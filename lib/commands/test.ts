@@ -18,8 +18,11 @@ abstract class TestCommandBase {
 	protected abstract $liveSyncCommandHelper: ILiveSyncCommandHelper;
 	protected abstract $devicesService: Mobile.IDevicesService;
 	protected abstract $migrateController: IMigrateController;
+	protected abstract $eventStreamService: IEventStreamService;
 
 	public async execute(args: string[]): Promise<void> {
+		await this.$eventStreamService.start();
+
 		let devices = [];
 		if (this.$options.debugBrk) {
 			await this.$devicesService.initialize({
@@ -105,7 +108,8 @@ class TestAndroidCommand extends TestCommandBase implements ICommand {
 		protected $liveSyncCommandHelper: ILiveSyncCommandHelper,
 		protected $devicesService: Mobile.IDevicesService,
 		protected $migrateController: IMigrateController,
-		protected $markingModeService: IMarkingModeService) {
+		protected $markingModeService: IMarkingModeService,
+		protected $eventStreamService: IEventStreamService) {
 		super();
 	}
 
@@ -142,7 +146,8 @@ class TestIosCommand extends TestCommandBase implements ICommand {
 		protected $cleanupService: ICleanupService,
 		protected $liveSyncCommandHelper: ILiveSyncCommandHelper,
 		protected $devicesService: Mobile.IDevicesService,
-		protected $migrateController: IMigrateController) {
+		protected $migrateController: IMigrateController,
+		protected $eventStreamService: IEventStreamService) {
 		super();
 	}
 
@@ -50,6 +50,14 @@ $injector.requireCommand("device|uninstall", "./commands/device/uninstall-applic
 $injector.requireCommand("device|list-files", "./commands/device/list-files");
 $injector.requireCommand("device|get-file", "./commands/device/get-file");
 $injector.requireCommand("device|put-file", "./commands/device/put-file");
+$injector.requireCommand("device|backup", "./commands/device/application-data");
+$injector.requireCommand("device|restore", "./commands/device/application-data");
+$injector.requireCommand("device|group|add", "./commands/device/device-groups");
+$injector.requireCommand("device|group|remove", "./commands/device/device-groups");
+$injector.requireCommand("device|group|list", "./commands/device/device-groups");
+$injector.requireCommand("device|tag|add", "./commands/device/device-groups");
+$injector.requireCommand("device|tag|remove", "./commands/device/device-groups");
+$injector.requireCommand("device|tag|list", "./commands/device/device-groups");
 
 $injector.require("iosDeviceOperations", "./mobile/ios/device/ios-device-operations");
 
@@ -75,6 +83,7 @@ $injector.require("iOSSimulatorLogProvider", "./mobile/ios/simulator/ios-simulat
 $injector.require("localToDevicePathDataFactory", "./mobile/local-to-device-path-data-factory");
 
 $injector.requirePublic("devicesService", "./mobile/mobile-core/devices-service");
+$injector.require("deviceGroupsService", "./mobile/mobile-core/device-groups-service");
 $injector.requirePublic("androidProcessService", "./mobile/mobile-core/android-process-service");
 $injector.require("projectNameValidator", "./validators/project-name-validator");
 
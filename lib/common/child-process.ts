@@ -1,5 +1,6 @@
 import * as child_process from "child_process";
 import { EventEmitter } from "events";
+import { CHILD_PROCESS_STARTED_EVENT_NAME } from "./constants";
 
 export class ChildProcess extends EventEmitter implements IChildProcess {
 	constructor(private $logger: ILogger,
@@ -20,11 +21,8 @@ export class ChildProcess extends EventEmitter implements IChildProcess {
 				}
 			};
 
-			if (options) {
-				child_process.exec(command, options, callback);
-			} else {
-				child_process.exec(command, callback);
-			}
+			const childProcess = options ? child_process.exec(command, options, callback) : child_process.exec(command, callback);
+			this.emit(CHILD_PROCESS_STARTED_EVENT_NAME, childProcess);
 
 		});
 	}
@@ -33,25 +31,30 @@ export class ChildProcess extends EventEmitter implements IChildProcess {
 		this.$logger.debug("execFile: %s %s", command, this.getArgumentsAsQuotedString(args));
 
 		return new Promise<any>((resolve, reject) => {
-			child_process.execFile(command, args, (error: any, stdout: string | Buffer) => {
+			const childProcess = child_process.execFile(command, args, (error: any, stdout: string | Buffer) => {
 				if (error) {
 					reject(error);
 				} else {
 					resolve(stdout);
 				}
 			});
+			this.emit(CHILD_PROCESS_STARTED_EVENT_NAME, childProcess);
 
 		});
 	}
 
 	public spawn(command: string, args?: string[], options?: any): child_process.ChildProcess {
 		this.$logger.debug("spawn: %s %s", command, this.getArgumentsAsQuotedString(args));
-		return child_process.spawn(command, args, options);
+		const childProcess = child_process.spawn(command, args, options);
+		this.emit(CHILD_PROCESS_STARTED_EVENT_NAME, childProcess);
+		return childProcess;
 	}
 
 	public fork(modulePath: string, args?: string[], options?: any): child_process.ChildProcess {
 		this.$logger.debug("fork: %s %s", modulePath, this.getArgumentsAsQuotedString(args));
-		return child_process.fork(modulePath, args, options);
+		const childProcess = child_process.fork(modulePath, args, options);
+		this.emit(CHILD_PROCESS_STARTED_EVENT_NAME, childProcess);
+		return childProcess;
 	}
 
 	public spawnFromEvent(command: string, args: string[], event: string,
@@ -135,6 +138,12 @@ export class ChildProcess extends EventEmitter implements IChildProcess {
 				}
 			});
 
+			if (spawnFromEventOptions && _.isString(spawnFromEventOptions.input) && childProcess.stdin) {
+				// The process may exit before reading its input, so the write errors are only traced.
+				childProcess.stdin.on("error", (err: Error) => this.$logger.trace(`Unable to write to the stdin of ${command}. Error: ${err}`));
+				childProcess.stdin.end(spawnFromEventOptions.input);
+			}
+
 			childProcess.once("error", (err: Error) => {
 				if (!isResolved) {
 					if (spawnFromEventOptions && spawnFromEventOptions.throwError === false) {
@@ -0,0 +1,109 @@
+import * as path from "path";
+
+abstract class ApplicationDataCommandBase implements ICommand {
+	public abstract allowedParameters: ICommandParameter[];
+
+	constructor(protected $devicesService: Mobile.IDevicesService,
+		protected $errors: IErrors,
+		protected $fs: IFileSystem,
+		protected $logger: ILogger,
+		protected $options: IOptions,
+		protected $projectData: IProjectData,
+		protected $stringParameter: ICommandParameter) { }
+
+	public abstract execute(args: string[]): Promise<void>;
+
+	protected getApplicationIdentifier(appIdentifier: string): string {
+		if (!appIdentifier) {
+			try {
+				this.$projectData.initializeProjectData();
+			} catch (err) {
+				// ignore the error
+			}
+			if (!this.$projectData.projectIdentifiers) {
+				this.$errors.fail("Please enter application identifier or execute this command in project.");
+			}
+		}
+
+		return appIdentifier || this.$projectData.projectIdentifiers.android;
+	}
+
+	protected async getAndroidDevice(operation: string): Promise<Mobile.IAndroidDevice> {
+		await this.$devicesService.initialize({ deviceId: this.$options.device, skipInferPlatform: true, skipEmulatorStart: true });
+		const results = await this.$devicesService.execute(async device => <Mobile.IAndroidDevice>device, device => this.$devicesService.isAndroidDevice(device));
+		const devices = _.map(_.compact(results), result => result.result);
+		if (!devices.length) {
+			this.$errors.fail("Unable to find connected Android devices. The application data can be backed up and restored only on Android devices.");
+		}
+
+		if (devices.length > 1) {
+			this.$errors.fail(`The application data can be ${operation} a single device only. Specify the device with --device.`);
+		}
+
+		return devices[0];
+	}
+}
+
+export class BackupApplicationDataCommand extends ApplicationDataCommandBase {
+	public allowedParameters: ICommandParameter[] = [this.$stringParameter];
+	public dashedOptions = {
+		output: { type: OptionType.String, hasSensitiveValue: true },
+	};
+
+	constructor($devicesService: Mobile.IDevicesService,
+		$errors: IErrors,
+		$fs: IFileSystem,
+		$logger: ILogger,
+		$options: IOptions,
+		$projectData: IProjectData,
+		$stringParameter: ICommandParameter) {
+		super($devicesService, $errors, $fs, $logger, $options, $projectData, $stringParameter);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const appIdentifier = this.getApplicationIdentifier(args[0]);
+		const outputPath = path.resolve(this.$options.output || `${appIdentifier}-data.tar`);
+		const device = await this.getAndroidDevice("backed up from");
+		const dataDirectories = await device.fileSystem.backupApplicationData(appIdentifier, outputPath);
+		this.$logger.info(`The ${dataDirectories.join(", ")} directories of ${appIdentifier} from device ${device.deviceInfo.identifier} are saved to ${outputPath}.`);
+	}
+}
+
+$injector.registerCommand(["device|backup", "devices|backup"], BackupApplicationDataCommand);
+
+export class RestoreApplicationDataCommand extends ApplicationDataCommandBase {
+	public allowedParameters: ICommandParameter[] = [this.$stringParameter, this.$stringParameter];
+
+	constructor($devicesService: Mobile.IDevicesService,
+		$errors: IErrors,
+		$fs: IFileSystem,
+		$logger: ILogger,
+		$options: IOptions,
+		$projectData: IProjectData,
+		$stringParameter: ICommandParameter) {
+		super($devicesService, $errors, $fs, $logger, $options, $projectData, $stringParameter);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const archivePath = path.resolve(args[0]);
+		const appIdentifier = this.getApplicationIdentifier(args[1]);
+
+		const device = await this.getAndroidDevice("restored on");
+		await device.fileSystem.restoreApplicationData(appIdentifier, archivePath);
+		this.$logger.info(`The data of ${appIdentifier} on device ${device.deviceInfo.identifier} is restored from ${archivePath}.`);
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		if (!args[0]) {
+			this.$errors.failWithHelp("You must specify the path to the archive created by 'tns device backup'.");
+		}
+
+		if (!this.$fs.exists(args[0])) {
+			this.$errors.fail(`The archive ${args[0]} does not exist.`);
+		}
+
+		return true;
+	}
+}
+
+$injector.registerCommand(["device|restore", "devices|restore"], RestoreApplicationDataCommand);
@@ -0,0 +1,153 @@
+import { createTable } from "../../helpers";
+
+abstract class DeviceIdsCommandBase implements ICommand {
+	public allowedParameters: ICommandParameter[] = [];
+
+	constructor(protected $deviceGroupsService: Mobile.IDeviceGroupsService,
+		protected $errors: IErrors,
+		protected $logger: ILogger,
+		protected $options: IOptions) { }
+
+	public abstract execute(args: string[]): Promise<void>;
+
+	protected validateArgs(args: string[], minArgsCount: number, errorMessage: string): void {
+		if (args.length < minArgsCount) {
+			this.$errors.failWithHelp(errorMessage);
+		}
+	}
+
+	protected printDeviceIds(title: string, deviceIds: IDictionary<string[]>, emptyMessage: string): void {
+		if (this.$options.json) {
+			this.$logger.info(JSON.stringify(deviceIds, null, 2));
+			return;
+		}
+
+		if (_.isEmpty(deviceIds)) {
+			this.$logger.info(emptyMessage);
+			return;
+		}
+
+		const table = createTable([title, "Devices"], _.map(deviceIds, (ids, name) => [name, ids.join(", ")]));
+		this.$logger.info(table.toString());
+	}
+}
+
+export class DeviceGroupAddCommand extends DeviceIdsCommandBase {
+	constructor($deviceGroupsService: Mobile.IDeviceGroupsService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions) {
+		super($deviceGroupsService, $errors, $logger, $options);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const [groupName, ...deviceIds] = args;
+		await this.$deviceGroupsService.addDevicesToGroup(groupName, deviceIds);
+		this.$logger.info(`Device group ${groupName} now contains ${(await this.$deviceGroupsService.getGroups())[groupName].join(", ")}.`);
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		this.validateArgs(args, 2, "You must specify the name of the group and at least one device identifier.");
+		return true;
+	}
+}
+
+$injector.registerCommand(["device|group|add", "devices|group|add"], DeviceGroupAddCommand);
+
+export class DeviceGroupRemoveCommand extends DeviceIdsCommandBase {
+	constructor($deviceGroupsService: Mobile.IDeviceGroupsService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions) {
+		super($deviceGroupsService, $errors, $logger, $options);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const [groupName, ...deviceIds] = args;
+		await this.$deviceGroupsService.removeDevicesFromGroup(groupName, deviceIds);
+		const remainingDeviceIds = (await this.$deviceGroupsService.getGroups())[groupName];
+		this.$logger.info(remainingDeviceIds ? `Device group ${groupName} now contains ${remainingDeviceIds.join(", ")}.` : `Device group ${groupName} is removed.`);
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		this.validateArgs(args, 1, "You must specify the name of the group.");
+		return true;
+	}
+}
+
+$injector.registerCommand(["device|group|remove", "devices|group|remove"], DeviceGroupRemoveCommand);
+
+export class DeviceGroupListCommand extends DeviceIdsCommandBase {
+	constructor($deviceGroupsService: Mobile.IDeviceGroupsService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions) {
+		super($deviceGroupsService, $errors, $logger, $options);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		this.printDeviceIds("Group", await this.$deviceGroupsService.getGroups(), "There are no device groups.");
+	}
+}
+
+$injector.registerCommand(["device|group|list", "devices|group|list"], DeviceGroupListCommand);
+
+export class DeviceTagAddCommand extends DeviceIdsCommandBase {
+	constructor($deviceGroupsService: Mobile.IDeviceGroupsService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions) {
+		super($deviceGroupsService, $errors, $logger, $options);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const [tag, ...deviceIds] = args;
+		await this.$deviceGroupsService.addTagToDevices(tag, deviceIds);
+		this.$logger.info(`Tag ${tag} is now assigned to ${(await this.$deviceGroupsService.getTags())[tag].join(", ")}.`);
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		this.validateArgs(args, 2, "You must specify the tag and at least one device identifier.");
+		return true;
+	}
+}
+
+$injector.registerCommand(["device|tag|add", "devices|tag|add"], DeviceTagAddCommand);
+
+export class DeviceTagRemoveCommand extends DeviceIdsCommandBase {
+	constructor($deviceGroupsService: Mobile.IDeviceGroupsService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions) {
+		super($deviceGroupsService, $errors, $logger, $options);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		const [tag, ...deviceIds] = args;
+		await this.$deviceGroupsService.removeTagFromDevices(tag, deviceIds);
+		const remainingDeviceIds = (await this.$deviceGroupsService.getTags())[tag];
+		this.$logger.info(remainingDeviceIds ? `Tag ${tag} is now assigned to ${remainingDeviceIds.join(", ")}.` : `Tag ${tag} is removed.`);
+	}
+
+	public async canExecute(args: string[]): Promise<boolean> {
+		this.validateArgs(args, 1, "You must specify the tag.");
+		return true;
+	}
+}
+
+$injector.registerCommand(["device|tag|remove", "devices|tag|remove"], DeviceTagRemoveCommand);
+
+export class DeviceTagListCommand extends DeviceIdsCommandBase {
+	constructor($deviceGroupsService: Mobile.IDeviceGroupsService,
+		$errors: IErrors,
+		$logger: ILogger,
+		$options: IOptions) {
+		super($deviceGroupsService, $errors, $logger, $options);
+	}
+
+	public async execute(args: string[]): Promise<void> {
+		this.printDeviceIds("Tag", await this.$deviceGroupsService.getTags(), "There are no device tags.");
+	}
+}
+
+$injector.registerCommand(["device|tag|list", "devices|tag|list"], DeviceTagListCommand);
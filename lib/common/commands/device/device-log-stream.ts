@@ -6,6 +6,7 @@ export class OpenDeviceLogStreamCommand implements ICommand {
 		private $commandsService: ICommandsService,
 		private $options: IOptions,
 		private $deviceLogProvider: Mobile.IDeviceLogProvider,
+		private $deviceLogFileService: IDeviceLogFileService,
 		private $loggingLevels: Mobile.ILoggingLevels,
 		$iOSSimulatorLogProvider: Mobile.IiOSSimulatorLogProvider,
 		$cleanupService: ICleanupService) {
@@ -17,6 +18,12 @@ export class OpenDeviceLogStreamCommand implements ICommand {
 
 	public async execute(args: string[]): Promise<void> {
 		this.$deviceLogProvider.setLogLevel(this.$loggingLevels.full);
+		this.$deviceLogProvider.setLogFilterOptions({
+			include: this.$options.logInclude,
+			exclude: this.$options.logExclude,
+			tag: this.$options.logTag,
+			severity: this.$options.logSeverity
+		});
 
 		await this.$devicesService.initialize({ deviceId: this.$options.device, skipInferPlatform: true });
 
@@ -25,6 +32,10 @@ export class OpenDeviceLogStreamCommand implements ICommand {
 			this.$errors.failWithHelp(OpenDeviceLogStreamCommand.NOT_SPECIFIED_DEVICE_ERROR_MESSAGE);
 		}
 
+		if (this.$options.save) {
+			this.$deviceLogFileService.start({ logDir: this.$options.save });
+		}
+
 		const action = (device: Mobile.IiOSDevice) => device.openDeviceLogStream();
 		await this.$devicesService.execute(action);
 	}
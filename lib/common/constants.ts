@@ -54,6 +54,8 @@ export class EmulatorDiscoveryNames {
 }
 
 export const DEVICE_LOG_EVENT_NAME = "deviceLogData";
+export const CHILD_PROCESS_STARTED_EVENT_NAME = "childProcessStarted";
+export const DEVICE_LOG_PROCESSED_EVENT_NAME = "deviceLogProcessed";
 export const IOS_LOG_PREDICATE = 'senderImagePath contains "NativeScript" || eventMessage contains[c] "NativeScript"';
 export const IOS_APP_CRASH_LOG_REG_EXP = /Fatal JavaScript exception \- application has been terminated/;
 export const FAIL_LIVESYNC_LOG_REGEX = /Failed to refresh the application with RefreshRequest./;
@@ -63,6 +65,15 @@ export const TARGET_FRAMEWORK_IDENTIFIERS = {
 	NativeScript: "NativeScript"
 };
 
+export class DeviceLogSeverities {
+	static VERBOSE = "verbose";
+	static DEBUG = "debug";
+	static INFO = "info";
+	static WARNING = "warning";
+	static ERROR = "error";
+	static FATAL = "fatal";
+}
+
 export class Configurations {
 	static Debug = "Debug";
 	static Release = "Release";
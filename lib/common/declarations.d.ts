@@ -348,6 +348,15 @@ interface IFileSystem {
 	 */
 	readFile(filename: string, options?: IReadFileOptions): string | NodeBuffer;
 
+	/**
+	 * Reads part of a file without loading the whole file in memory.
+	 * @param {string} filename Path to the file that has to be read.
+	 * @param {number} position Offset in the file from which to start reading.
+	 * @param {number} length Number of bytes to read.
+	 * @returns {NodeBuffer} The read bytes. The buffer is shorter than length when the end of the file is reached.
+	 */
+	readFileRange(filename: string, position: number, length: number): NodeBuffer;
+
 	/**
 	 * Reads the entire contents of a file and returns the result as string.
 	 * @param {string} filename Path to the file that has to be read.
@@ -371,9 +380,10 @@ interface IFileSystem {
 	 * @param {string} filename Path to file to be created.
 	 * @param {string | NodeBuffer} data Data to be written to file.
 	 * @param {string} encoding @optional File encoding, defaults to utf8.
+	 * @param {number} mode @optional Permissions of the file when it is created, defaults to 0o666 (before the umask is applied).
 	 * @returns {void}
 	 */
-	writeFile(filename: string, data: string | NodeBuffer, encoding?: string): void;
+	writeFile(filename: string, data: string | NodeBuffer, encoding?: string, mode?: number): void;
 
 	/**
 	 * Appends data to a file, creating the file if it does not yet exist. Data can be a string or a buffer.
@@ -631,6 +641,36 @@ interface ICommandDispatcher {
 interface ICancellationService extends IDisposable {
 	begin(name: string): Promise<void>;
 	end(name: string): void;
+
+	/**
+	 * Adds a handler which is executed when the operation with the specified name is cancelled.
+	 * @param {string} name The name of the operation.
+	 * @param {() => void} handler The handler to execute.
+	 * @returns {void}
+	 */
+	onCancel(name: string, handler: () => void): void;
+
+	/**
+	 * Cancels the operation with the specified name - executes the handlers added with onCancel and ends the operation.
+	 * @param {string} name The name of the operation.
+	 * @returns {void}
+	 */
+	cancel(name: string): void;
+
+	/**
+	 * Executes the action as part of the operation with the specified name.
+	 * The asynchronous work started by the action can get the name of the operation with getCurrentOperation.
+	 * @param {string} name The name of the operation.
+	 * @param {() => Promise<T>} action The action to execute.
+	 * @returns {Promise<T>} The result of the action.
+	 */
+	executeInOperation<T>(name: string, action: () => Promise<T>): Promise<T>;
+
+	/**
+	 * Gets the name of the operation whose work is currently executed.
+	 * @returns {string} The name passed to executeInOperation or undefined when the current code is not part of an operation.
+	 */
+	getCurrentOperation(): string;
 }
 
 interface IQueue<T> {
@@ -638,6 +678,9 @@ interface IQueue<T> {
 	dequeue(): Promise<T>;
 }
 
+/**
+ * Emits CHILD_PROCESS_STARTED_EVENT_NAME with the started child_process.ChildProcess.
+ */
 interface IChildProcess extends NodeJS.EventEmitter {
 	exec(command: string, options?: any, execOptions?: IExecOptions): Promise<any>;
 	execFile<T>(command: string, args: string[]): Promise<T>;
@@ -673,6 +716,10 @@ interface ISpawnFromEventOptions {
 		eventName: string;
 	},
 	timeout?: number;
+	/**
+	 * Data which is written to the stdin of the child process. The stdin is closed after that.
+	 */
+	input?: string;
 }
 
 interface IProjectDir {
@@ -834,11 +881,37 @@ interface IHooksService {
 	hookArgsName: string;
 	executeBeforeHooks(commandName: string, hookArguments?: IDictionary<any>): Promise<void>;
 	executeAfterHooks(commandName: string, hookArguments?: IDictionary<any>): Promise<void>;
+
+	/**
+	 * Gets all hooks of the project, from the hooks directories and from nsconfig.json, in the order they are executed.
+	 * @param {string} projectDir The project directory. If not passed, the current project is used.
+	 * @returns {IHook[]} The hooks sorted by name and execution order.
+	 */
+	getHooks(projectDir?: string): IHook[];
 }
 
-interface IHook {
+/**
+ * Describes how a hook is executed. The options can be exported by the hook module or set in nsconfig.json.
+ */
+interface IHookOptions {
+	/**
+	 * Defines if the hook can be executed at the same time as the adjacent hooks which are also parallel.
+	 */
+	parallel?: boolean;
+	/**
+	 * Maximum time in milliseconds for the execution of the hook. When it passes, the hook fails.
+	 * Hooks in a child process are killed, in-process hooks cannot be stopped.
+	 */
+	timeout?: number;
+}
+
+interface IHook extends IHookOptions {
 	name: string;
 	fullPath: string;
+	/**
+	 * Where the hook is declared - the directory that contains it or the path to nsconfig.json.
+	 */
+	source?: string;
 }
 
 /**
@@ -939,8 +1012,20 @@ interface IQrCodeImageData {
 	imageData: string;
 }
 
+interface IMicroTemplateOptions {
+	isHtml: boolean;
+	/**
+	 * Additional variables which can be used in the template.
+	 */
+	localVariables?: IDictionary<any>;
+	/**
+	 * When set, ES template literals (`${...}`) in the content are left as they are and only `<%= ... %>` is interpolated.
+	 */
+	ignoreEsInterpolation?: boolean;
+}
+
 interface IMicroTemplateService {
-	parseContent(data: string, options: { isHtml: boolean }): Promise<string>;
+	parseContent(data: string, options: IMicroTemplateOptions): Promise<string>;
 }
 
 interface IHelpService {
@@ -11,6 +11,14 @@ declare global {
 	interface ILoggerOptions {
 		level?: LoggerLevel;
 		appenderOptions?: IAppenderOptions;
+		/**
+		 * The format of the messages printed by the CLI logger - `text` (default) or `json`.
+		 */
+		logFormat?: string;
+		/**
+		 * The name of the executed command, which is added to each message in `json` format.
+		 */
+		command?: string;
 	}
 
 	interface ILogger {
@@ -35,4 +43,8 @@ declare global {
 	interface Log4JSEmitAppenderConfiguration extends Log4JSAppenderConfiguration {
 		emitter: EventEmitter;
 	}
+
+	interface Log4JSJsonAppenderConfiguration extends Configuration {
+		command?: string;
+	}
 }
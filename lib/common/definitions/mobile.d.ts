@@ -130,6 +130,22 @@ declare global {
 
 		interface IAndroidDeviceFileSystem extends IDeviceFileSystem {
 			getDeviceHashService(appIdentifier: string): Mobile.IAndroidDeviceHashService;
+
+			/**
+			 * Archives the `files`, `databases` and `shared_prefs` directories of an application with `run-as`.
+			 * @param {string} appIdentifier The identifier of the application. The application must be debuggable.
+			 * @param {string} outputPath The local path of the tar archive.
+			 * @returns {Promise<string[]>} The archived directories.
+			 */
+			backupApplicationData(appIdentifier: string, outputPath: string): Promise<string[]>;
+
+			/**
+			 * Stops an application and replaces its `files`, `databases` and `shared_prefs` directories with the ones from an archive created by `backupApplicationData`.
+			 * @param {string} appIdentifier The identifier of the application. The application must be debuggable.
+			 * @param {string} archivePath The local path of the tar archive.
+			 * @returns {Promise<void>}
+			 */
+			restoreApplicationData(appIdentifier: string, archivePath: string): Promise<void>;
 		}
 
 		/**
@@ -218,12 +234,54 @@ declare global {
 			 * @param {string} projectDir The project dir of the currently running application for which we need the logs.
 			 */
 			setProjectDirForDevice(deviceIdentifier: string, projectDir: string): void;
+
+			/**
+			 * Sets the tag, regular expression and severity filters for the device logs.
+			 * Fails when some of the filters is not valid.
+			 * @param {Mobile.IDeviceLogFilterOptions} options The filters which are applied.
+			 * @param {string} deviceIdentifier @optional The unique identifier of the device. When it is passed, the filters are applied only for its logs.
+			 * @returns {void}
+			 */
+			setLogFilterOptions(options: IDeviceLogFilterOptions, deviceIdentifier?: string): void;
+		}
+
+		/**
+		 * Describes the filters which select the lines from the device logs.
+		 */
+		interface IDeviceLogFilterOptions {
+			/**
+			 * Regular expression which the lines must match.
+			 */
+			include?: string;
+
+			/**
+			 * Regular expression which the lines must not match.
+			 */
+			exclude?: string;
+
+			/**
+			 * Comma separated list of tags - the logcat tags on Android and the process names on iOS.
+			 */
+			tag?: string;
+
+			/**
+			 * The minimum severity of the lines - verbose, debug, info, warning, error or fatal.
+			 */
+			severity?: string;
+		}
+
+		/**
+		 * Describes the information parsed from a line of the device logs.
+		 */
+		interface IDeviceLogLineInfo {
+			tag?: string;
+			severity?: string;
 		}
 
 		/**
 		 * Describes different options for filtering device logs.
 		 */
-		interface IDeviceLogOptions extends IDictionary<string | boolean>, Partial<IProjectDir> {
+		interface IDeviceLogOptions extends IDictionary<string | boolean>, Partial<IProjectDir>, IDeviceLogFilterOptions {
 			/**
 			 * Process id of the application on the device.
 			 */
@@ -238,6 +296,11 @@ declare global {
 			 * The project name.
 			 */
 			projectName?: string;
+
+			/**
+			 * The directory with the application files whose source maps are used. Defaults to the one in the platforms directory of the project.
+			 */
+			appFilesDirectory?: string;
 		}
 
 		/**
@@ -262,6 +325,18 @@ declare global {
 			 */
 			loggingLevel: string;
 
+			/**
+			 * The filters which are used when they are not set in the logging options of the device.
+			 */
+			filterOptions: IDeviceLogFilterOptions;
+
+			/**
+			 * Fails when some of the regular expressions or the severity is not valid.
+			 * @param {Mobile.IDeviceLogFilterOptions} options The filters which are checked.
+			 * @returns {void}
+			 */
+			validateFilterOptions(options: IDeviceLogFilterOptions): void;
+
 			/**
 			 * Filters data for specified platform.
 			 * @param {string} platform The platform for which is the device log.
@@ -279,9 +354,11 @@ declare global {
 			/**
 			 * Sets the sourceMapConsumer instance for specified file.
 			 * @param {string} filePath Full path to a local file containing both content and inline source map.
+			 * When the file does not have an inline source map, the map file referenced in the source or the .map file next to it is used.
+			 * @param {string} sourceMapFilePath Full path to a source map which is used when the file does not have an inline or adjacent one.
 			 * @return {Promise<void>}
 			 */
-			setSourceMapConsumerForFile(filePath: string): Promise<void>;
+			setSourceMapConsumerForFile(filePath: string, sourceMapFilePath?: string): Promise<void>;
 			replaceWithOriginalFileLocations(platform: string, messageData: string, loggingOptions: Mobile.IDeviceLogOptions): string
 		}
 
@@ -297,6 +374,13 @@ declare global {
 			 * @return {string} The filtered result based on the input or null when the input data shouldn't be shown.
 			 */
 			filterData(data: string, deviceLogOptions: Mobile.IDeviceLogOptions): string;
+
+			/**
+			 * Parses the tag and the severity of a line from the device logs.
+			 * @param {string} line The line from the device logs.
+			 * @return {Mobile.IDeviceLogLineInfo} The parsed information or null when the line does not have the format of the platform.
+			 */
+			getLineInfo?(line: string): IDeviceLogLineInfo;
 		}
 
 		interface ILoggingLevels {
@@ -428,6 +512,14 @@ declare global {
 			ensureAdbServerStarted(): Promise<any>;
 		}
 
+		interface IAndroidEmulatorDiscovery extends IDeviceDiscovery {
+			/**
+			 * Gets the Android emulator images found during the last lookup, including the running ones.
+			 * @returns {Mobile.IDeviceInfo[]}
+			 */
+			getDevices(): Mobile.IDeviceInfo[];
+		}
+
 		/**
 		 * Describes options that can be passed to devices service's initialization method.
 		 */
@@ -547,6 +639,79 @@ declare global {
 			pickSingleDevice(options: IPickSingleDeviceOptions): Promise<Mobile.IDevice>;
 
 			getPlatformsFromDeviceDescriptors(deviceDescriptors: ILiveSyncDeviceDescriptor[]): string[];
+
+			/**
+			 * Returns the devices matched by the `group:<Group>` or `tag:<Tag>` value of --device passed to `initialize`.
+			 * When --device is not a device selector, returns all devices.
+			 * @returns {Mobile.IDevice[]} The selected device instances.
+			 */
+			getSelectedDeviceInstances(): Mobile.IDevice[];
+		}
+
+		/**
+		 * Describes a service which stores named groups of devices and device tags in the user settings.
+		 * The devices are referenced by their identifier, name or emulator image identifier, so they do not need to be connected.
+		 */
+		interface IDeviceGroupsService {
+			/**
+			 * Returns the device identifiers of all groups.
+			 * @returns {Promise<IDictionary<string[]>>} Dictionary with the group names as keys.
+			 */
+			getGroups(): Promise<IDictionary<string[]>>;
+
+			/**
+			 * Adds devices to a group. The group is created if it does not exist.
+			 * @param {string} groupName The name of the group.
+			 * @param {string[]} deviceIds The identifiers of the devices.
+			 * @returns {Promise<void>}
+			 */
+			addDevicesToGroup(groupName: string, deviceIds: string[]): Promise<void>;
+
+			/**
+			 * Removes devices from a group. When no devices are specified or the group becomes empty, the group is removed.
+			 * @param {string} groupName The name of the group.
+			 * @param {string[]} deviceIds The identifiers of the devices.
+			 * @returns {Promise<void>}
+			 */
+			removeDevicesFromGroup(groupName: string, deviceIds: string[]): Promise<void>;
+
+			/**
+			 * Returns the device identifiers of all tags.
+			 * @returns {Promise<IDictionary<string[]>>} Dictionary with the tags as keys.
+			 */
+			getTags(): Promise<IDictionary<string[]>>;
+
+			/**
+			 * Assigns a tag to devices.
+			 * @param {string} tag The tag.
+			 * @param {string[]} deviceIds The identifiers of the devices.
+			 * @returns {Promise<void>}
+			 */
+			addTagToDevices(tag: string, deviceIds: string[]): Promise<void>;
+
+			/**
+			 * Removes a tag from devices. When no devices are specified, the tag is removed from all devices.
+			 * @param {string} tag The tag.
+			 * @param {string[]} deviceIds The identifiers of the devices.
+			 * @returns {Promise<void>}
+			 */
+			removeTagFromDevices(tag: string, deviceIds: string[]): Promise<void>;
+
+			/**
+			 * Checks whether the value of --device is `group:<Group>` or `tag:<Tag>`.
+			 * @param {string} deviceOption The value of --device.
+			 * @returns {boolean}
+			 */
+			isDeviceSelector(deviceOption: string): boolean;
+
+			/**
+			 * Returns the devices which are in the group or have the tag from the selector.
+			 * Besides the assigned tags, each device has its platform and `emulator` or `device` as tags.
+			 * @param {string} deviceSelector `group:<Group>` or `tag:<Tag>`.
+			 * @param {Mobile.IDevice[]} devices The devices to filter.
+			 * @returns {Promise<Mobile.IDevice[]>} The matching devices.
+			 */
+			getDevicesBySelector(deviceSelector: string, devices: Mobile.IDevice[]): Promise<Mobile.IDevice[]>;
 		}
 
 		interface IPickSingleDeviceOptions {
@@ -1022,6 +1187,10 @@ declare global {
 			 * The timeout in miliseconds what will be passed to android emulator. If 0 - will await infinity to start the emulator.
 			 */
 			timeout?: number;
+			/**
+			 * Additional arguments for the emulator executable, for example `-no-window`. Used only for Android Virtual Devices.
+			 */
+			emulatorArgs?: string[];
 		}
 
 		interface IMobileHelper {
@@ -181,6 +181,17 @@ export class FileSystem implements IFileSystem {
 		return fs.readFileSync(filename, options);
 	}
 
+	public readFileRange(filename: string, position: number, length: number): Buffer {
+		const buffer = Buffer.alloc(length);
+		const fd = fs.openSync(filename, "r");
+		try {
+			const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+			return buffer.slice(0, bytesRead);
+		} finally {
+			fs.closeSync(fd);
+		}
+	}
+
 	public readText(filename: string, options?: IReadFileOptions | string): string {
 		options = options || { encoding: "utf8" };
 
@@ -203,14 +214,14 @@ export class FileSystem implements IFileSystem {
 		return null;
 	}
 
-	public writeFile(filename: string, data: string | Buffer, encoding?: string): void {
+	public writeFile(filename: string, data: string | Buffer, encoding?: string, mode?: number): void {
 		this.createDirectory(dirname(filename));
 		if (!data) {
 			// node 14 will no longer coerce unsupported input to strings anymore.
 			// clean any null or undefined data
 			data = '';
 		}
-		fs.writeFileSync(filename, data, { encoding: encoding });
+		fs.writeFileSync(filename, data, { encoding: encoding, mode: mode });
 	}
 
 	public appendFile(filename: string, data: any, encoding?: string): void {
@@ -400,6 +400,16 @@ export function trimSymbol(str: string, symbol: string) {
 	return str;
 }
 
+const PASSWORD_REGEX = /(password=).*?(['&,]|$)|(password["']?\s*:\s*["']).*?(["'])/i;
+const PASSWORD_REPLACEMENT = "$1$3*******$2$4";
+
+/**
+ * Replaces the values of the passwords in the text, for example `password=secret` or `"password": "secret"`.
+ */
+export function getPasswordEncodedString(text: string): string {
+	return !!text.match(/password/i) ? text.replace(PASSWORD_REGEX, PASSWORD_REPLACEMENT) : text;
+}
+
 export function parseJson(data: string): any {
 	// Replace BOM from the header of the file if it exists
 	return JSON.parse(data.replace(/^\uFEFF/, ""));
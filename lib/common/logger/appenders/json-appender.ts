@@ -0,0 +1,31 @@
+import { LoggingEvent } from "log4js";
+import { format } from "util";
+import { LoggerConfigData } from "../../../constants";
+import { getPasswordEncodedString } from "../../helpers";
+const colors = require("colors/safe");
+
+function jsonAppender(command: string) {
+	const appender = (loggingEvent: LoggingEvent) => {
+		if (loggingEvent && loggingEvent.data) {
+			const stream = loggingEvent.context[LoggerConfigData.useStderr] ? process.stderr : process.stdout;
+			const message = colors.strip(format.apply(null, loggingEvent.data)).replace(/^(\r?\n)+|(\r?\n)+$/g, "");
+			const logEntry = {
+				level: loggingEvent.level.toString(),
+				timestamp: loggingEvent.startTime.toISOString(),
+				command: command || null,
+				deviceIdentifier: loggingEvent.context[LoggerConfigData.deviceIdentifier] || null,
+				message: getPasswordEncodedString(message)
+			};
+
+			stream.write(`${JSON.stringify(logEntry)}\n`);
+		}
+	};
+
+	return appender;
+}
+
+function configure(config: Log4JSJsonAppenderConfiguration) {
+	return jsonAppender(config.command);
+}
+
+exports.configure = configure;
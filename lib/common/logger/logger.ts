@@ -3,15 +3,14 @@ import * as util from "util";
 import * as stream from "stream";
 import * as marked from "marked";
 import { cache } from "../decorators";
+import { getPasswordEncodedString } from "../helpers";
 import { layout } from "./layouts/cli-layout";
-import { LoggerConfigData, LoggerLevel, LoggerAppenders } from "../../constants";
+import { LoggerConfigData, LoggerLevel, LoggerAppenders, LogFormat } from "../../constants";
 const TerminalRenderer = require("marked-terminal");
 const chalk = require("chalk");
 
 export class Logger implements ILogger {
 	private log4jsLogger: log4js.Logger = null;
-	private passwordRegex = /(password=).*?(['&,]|$)|(password["']?\s*:\s*["']).*?(["'])/i;
-	private passwordReplacement = "$1$3*******$2$4";
 	private defaultLogLevel: LoggerLevel;
 
 	constructor(private $config: Config.IConfig) {
@@ -54,6 +53,15 @@ export class Logger implements ILogger {
 	}
 
 	public initializeCliLogger(opts?: ILoggerOptions): void {
+		if (opts.logFormat === LogFormat.json) {
+			this.initialize({
+				appenderOptions: { type: LoggerAppenders.jsonAppender, command: opts.command },
+				level: opts.level || this.defaultLogLevel
+			});
+
+			return;
+		}
+
 		log4js.addLayout("cli", layout);
 
 		this.initialize({
@@ -201,11 +209,7 @@ export class Logger implements ILogger {
 
 	private getPasswordEncodedArguments(args: string[]): string[] {
 		return _.map(args, argument => {
-			if (typeof argument === 'string' && !!argument.match(/password/i)) {
-				argument = argument.replace(this.passwordRegex, this.passwordReplacement);
-			}
-
-			return argument;
+			return typeof argument === 'string' ? getPasswordEncodedString(argument) : argument;
 		});
 	}
 }
@@ -2,12 +2,15 @@ import * as path from "path";
 import * as semver from "semver";
 import { AndroidDeviceHashService } from "./android-device-hash-service";
 import { executeActionByChunks } from "../../helpers";
-import { DEFAULT_CHUNK_SIZE } from '../../constants';
+import { DEFAULT_CHUNK_SIZE, LiveSyncPaths } from '../../constants';
 
-export class AndroidDeviceFileSystem implements Mobile.IDeviceFileSystem {
+export class AndroidDeviceFileSystem implements Mobile.IAndroidDeviceFileSystem {
+	private static APPLICATION_DATA_DIRECTORIES = ["files", "databases", "shared_prefs"];
+	private static RUN_AS_ERROR_REGEX = /^(run-as|tar):/m;
 	private _deviceHashServices = Object.create(null);
 
 	constructor(private adb: Mobile.IDeviceAndroidDebugBridge,
+		private $errors: IErrors,
 		private $fs: IFileSystem,
 		private $logger: ILogger,
 		private $mobileHelper: Mobile.IMobileHelper,
@@ -151,6 +154,48 @@ export class AndroidDeviceFileSystem implements Mobile.IDeviceFileSystem {
 		await deviceHashService.uploadHashFileToDevice(hashes);
 	}
 
+	public async backupApplicationData(appIdentifier: string, outputPath: string): Promise<string[]> {
+		const listOutput = await this.listFiles(".", appIdentifier);
+		this.validateRunAsOutput(listOutput, appIdentifier);
+
+		const dataDirectories = _.intersection(AndroidDeviceFileSystem.APPLICATION_DATA_DIRECTORIES, (listOutput || "").split(/\s+/));
+		if (!dataDirectories.length) {
+			this.$errors.fail(`The application ${appIdentifier} does not have any data to back up.`);
+		}
+
+		const deviceArchivePath = this.getDeviceArchivePath(appIdentifier);
+		try {
+			// run-as starts in the data directory of the application, but only the shell user can write to the temp directory, so the archive is redirected there.
+			const tarOutput = await this.adb.executeShellCommand(["run-as", appIdentifier, "tar", "-cf", "-"].concat(dataDirectories, [">", deviceArchivePath]));
+			this.validateRunAsOutput(tarOutput, appIdentifier);
+			await this.adb.executeCommand(["pull", deviceArchivePath, outputPath]);
+		} finally {
+			await this.adb.removeFile(deviceArchivePath);
+		}
+
+		return dataDirectories;
+	}
+
+	public async restoreApplicationData(appIdentifier: string, archivePath: string): Promise<void> {
+		const deviceArchivePath = this.getDeviceArchivePath(appIdentifier);
+		await this.adb.executeCommand(["push", archivePath, deviceArchivePath]);
+		try {
+			// The current data is deleted only after the archive is known to contain application data, so a corrupt or foreign archive does not wipe it.
+			const archiveEntries = await this.adb.executeShellCommand(["tar", "-tf", deviceArchivePath]);
+			this.validateApplicationDataArchive(archiveEntries, archivePath);
+
+			// The running application would overwrite the restored data on exit.
+			await this.adb.executeShellCommand(["am", "force-stop", appIdentifier]);
+			const removeOutput = await this.adb.executeShellCommand(["run-as", appIdentifier, "rm", "-rf"].concat(AndroidDeviceFileSystem.APPLICATION_DATA_DIRECTORIES));
+			this.validateRunAsOutput(removeOutput, appIdentifier);
+
+			const tarOutput = await this.adb.executeShellCommand(["cat", deviceArchivePath, "|", "run-as", appIdentifier, "tar", "-xf", "-"]);
+			this.validateRunAsOutput(tarOutput, appIdentifier);
+		} finally {
+			await this.adb.removeFile(deviceArchivePath);
+		}
+	}
+
 	public getDeviceHashService(appIdentifier: string): Mobile.IAndroidDeviceHashService {
 		if (!this._deviceHashServices[appIdentifier]) {
 			this._deviceHashServices[appIdentifier] = this.$injector.resolve(AndroidDeviceHashService, { adb: this.adb, appIdentifier });
@@ -158,4 +203,22 @@ export class AndroidDeviceFileSystem implements Mobile.IDeviceFileSystem {
 
 		return this._deviceHashServices[appIdentifier];
 	}
+
+	private getDeviceArchivePath(appIdentifier: string): string {
+		return `${LiveSyncPaths.ANDROID_TMP_DIR_NAME}/${appIdentifier}-data.tar`;
+	}
+
+	private validateApplicationDataArchive(archiveEntries: string, archivePath: string): void {
+		const entries = _.compact((archiveEntries || "").split(/\r?\n/).map(entry => entry.trim()));
+		const isApplicationDataEntry = (entry: string) => _.includes(AndroidDeviceFileSystem.APPLICATION_DATA_DIRECTORIES, entry.replace(/^\.\//, "").split("/")[0]);
+		if (!entries.length || !_.every(entries, isApplicationDataEntry)) {
+			this.$errors.fail(`The archive ${archivePath} is not a backup of application data created by 'tns device backup'. The data on the device is not changed.`);
+		}
+	}
+
+	private validateRunAsOutput(output: string, appIdentifier: string): void {
+		if (AndroidDeviceFileSystem.RUN_AS_ERROR_REGEX.test(output || "")) {
+			this.$errors.fail(`Unable to access the data of the application ${appIdentifier}. Make sure that the application is installed and built in debug configuration. Error: ${output.trim()}`);
+		}
+	}
 }
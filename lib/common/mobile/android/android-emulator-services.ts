@@ -94,7 +94,7 @@ export class AndroidEmulatorServices implements Mobile.IEmulatorPlatformService
 			};
 		}
 
-		this.spawnEmulator(emulator);
+		this.spawnEmulator(emulator, options.emulatorArgs);
 
 		const isInfiniteWait = this.$utils.getMilliSecondsTimeout(timeout) === 0;
 		let hasTimeLeft = getCurrentEpochTime() < endTimeEpoch;
@@ -123,12 +123,12 @@ export class AndroidEmulatorServices implements Mobile.IEmulatorPlatformService
 		}
 	}
 
-	private spawnEmulator(emulator: Mobile.IDeviceInfo): void {
+	private spawnEmulator(emulator: Mobile.IDeviceInfo, emulatorArgs?: string[]): void {
 		let pathToEmulatorExecutable = null;
 		let startEmulatorArgs = null;
 		if (emulator.vendor === AndroidVirtualDevice.AVD_VENDOR_NAME) {
 			pathToEmulatorExecutable = this.$androidVirtualDeviceService.pathToEmulatorExecutable;
-			startEmulatorArgs = this.$androidVirtualDeviceService.startEmulatorArgs(emulator.imageIdentifier);
+			startEmulatorArgs = this.$androidVirtualDeviceService.startEmulatorArgs(emulator.imageIdentifier).concat(emulatorArgs || []);
 		} else if (emulator.vendor === AndroidVirtualDevice.GENYMOTION_VENDOR_NAME) {
 			pathToEmulatorExecutable = this.$androidGenymotionService.pathToEmulatorExecutable;
 			startEmulatorArgs = this.$androidGenymotionService.startEmulatorArgs(emulator.imageIdentifier);
@@ -1,3 +1,4 @@
+import { DeviceLogSeverities } from "../../constants";
 const os = require("os");
 
 export class AndroidLogFilter implements Mobile.IPlatformLogFilter {
@@ -9,6 +10,20 @@ export class AndroidLogFilter implements Mobile.IPlatformLogFilter {
 	// or '12-28 10:45:08.020  3329  3329 W chromium: [WARNING:data_reduction_proxy_settings.cc(328)] SPDY proxy OFF at startup'
 	private static API_LEVEL_23_LINE_REGEX = /.+?\s+?(?:[A-Z]\s+?)([A-Za-z \.]+?)\s*?\: (.*)/;
 
+	// The priority and the tag of the lines with "brief" format, like the first sample line, and with "threadtime" format, like the second one.
+	private static BRIEF_PRIORITY_REGEX = /^([VDIWEFA])\/(.*?)\s*\(\s*\d+\):/;
+	private static THREADTIME_PRIORITY_REGEX = /^\d{2}-\d{2}\s+[\d:.]+\s+\d+\s+\d+\s+([VDIWEFA])\s+(.*?)\s*: /;
+
+	private static PRIORITY_SEVERITIES: IStringDictionary = {
+		V: DeviceLogSeverities.VERBOSE,
+		D: DeviceLogSeverities.DEBUG,
+		I: DeviceLogSeverities.INFO,
+		W: DeviceLogSeverities.WARNING,
+		E: DeviceLogSeverities.ERROR,
+		F: DeviceLogSeverities.FATAL,
+		A: DeviceLogSeverities.FATAL
+	};
+
 	constructor(private $loggingLevels: Mobile.ILoggingLevels) { }
 
 	public filterData(data: string, loggingOptions: Mobile.IDeviceLogOptions = <any>{}): string {
@@ -29,6 +44,11 @@ export class AndroidLogFilter implements Mobile.IPlatformLogFilter {
 		return data + os.EOL;
 	}
 
+	public getLineInfo(line: string): Mobile.IDeviceLogLineInfo {
+		const match = line.match(AndroidLogFilter.BRIEF_PRIORITY_REGEX) || line.match(AndroidLogFilter.THREADTIME_PRIORITY_REGEX);
+		return match ? { severity: AndroidLogFilter.PRIORITY_SEVERITIES[match[1]], tag: match[2] } : null;
+	}
+
 	private getConsoleLogFromLine(lineText: string, pid: string): any {
 		// filter log line if it does not belong to the current application process id
 		if (pid && lineText.indexOf(pid) < 0) {
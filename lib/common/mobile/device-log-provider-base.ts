@@ -34,6 +34,16 @@ export abstract class DeviceLogProviderBase extends EventEmitter implements Mobi
 		this.setDeviceLogOptionsProperty(deviceIdentifier, (deviceLogOptions: Mobile.IDeviceLogOptions) => deviceLogOptions.projectDir, projectDir);
 	}
 
+	public setLogFilterOptions(options: Mobile.IDeviceLogFilterOptions, deviceIdentifier?: string): void {
+		this.$logFilter.validateFilterOptions(options);
+
+		if (deviceIdentifier) {
+			this.devicesLogOptions[deviceIdentifier] = _.assign(this.devicesLogOptions[deviceIdentifier] || <Mobile.IDeviceLogOptions>{}, options);
+		} else {
+			this.$logFilter.filterOptions = options;
+		}
+	}
+
 	protected setDefaultLogLevelForDevice(deviceIdentifier: string): void {
 		const logLevel = (this.devicesLogOptions[deviceIdentifier] && this.devicesLogOptions[deviceIdentifier].logLevel) || this.$logFilter.loggingLevel;
 		this.setLogLevel(logLevel, deviceIdentifier);
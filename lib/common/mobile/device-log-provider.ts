@@ -1,5 +1,5 @@
 import { DeviceLogProviderBase } from "./device-log-provider-base";
-import { DEVICE_LOG_EVENT_NAME } from "../constants";
+import { DEVICE_LOG_EVENT_NAME, DEVICE_LOG_PROCESSED_EVENT_NAME } from "../constants";
 import { LoggerConfigData } from "../../constants";
 
 export class DeviceLogProvider extends DeviceLogProviderBase {
@@ -14,7 +14,8 @@ export class DeviceLogProvider extends DeviceLogProviderBase {
 		let data = this.$logFilter.filterData(platform, lineText, loggingOptions);
 		data = this.$logSourceMapService.replaceWithOriginalFileLocations(platform, data, loggingOptions);
 		if (data) {
-			this.logDataCore(data);
+			this.logDataCore(data, deviceIdentifier);
+			this.emit(DEVICE_LOG_PROCESSED_EVENT_NAME, data, deviceIdentifier, platform);
 			this.emit(DEVICE_LOG_EVENT_NAME, lineText, deviceIdentifier, platform);
 		}
 	}
@@ -23,8 +24,8 @@ export class DeviceLogProvider extends DeviceLogProviderBase {
 		this.$logFilter.loggingLevel = logLevel.toUpperCase();
 	}
 
-	private logDataCore(data: string): void {
-		this.$logger.info(data, { [LoggerConfigData.skipNewLine]: true });
+	private logDataCore(data: string, deviceIdentifier: string): void {
+		this.$logger.info(data, { [LoggerConfigData.skipNewLine]: true, [LoggerConfigData.deviceIdentifier]: deviceIdentifier });
 	}
 }
 $injector.register("deviceLogProvider", DeviceLogProvider);
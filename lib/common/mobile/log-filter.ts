@@ -1,7 +1,23 @@
+import { DeviceLogSeverities } from "../constants";
+
 export class LogFilter implements Mobile.ILogFilter {
+	// The severities ordered from the lowest to the highest one.
+	private static SEVERITIES = [
+		DeviceLogSeverities.VERBOSE,
+		DeviceLogSeverities.DEBUG,
+		DeviceLogSeverities.INFO,
+		DeviceLogSeverities.WARNING,
+		DeviceLogSeverities.ERROR,
+		DeviceLogSeverities.FATAL
+	];
+
 	private _loggingLevel: string = this.$loggingLevels.info;
+	private regExps: IDictionary<RegExp> = {};
+
+	public filterOptions: Mobile.IDeviceLogFilterOptions = {};
 
 	constructor(private $devicePlatformsConstants: Mobile.IDevicePlatformsConstants,
+		private $errors: IErrors,
 		private $injector: IInjector,
 		private $loggingLevels: Mobile.ILoggingLevels) { }
 
@@ -20,13 +36,86 @@ export class LogFilter implements Mobile.ILogFilter {
 		const deviceLogFilter = this.getDeviceLogFilterInstance(platform);
 		loggingOptions.logLevel = loggingOptions.logLevel || this.loggingLevel;
 		if (deviceLogFilter) {
-			return deviceLogFilter.filterData(data, loggingOptions);
+			const matchingData = this.filterByOptions(deviceLogFilter, data, loggingOptions);
+			return matchingData && deviceLogFilter.filterData(matchingData, loggingOptions);
 		}
 
 		// In case the platform is not valid, just return the data without filtering.
 		return data;
 	}
 
+	public validateFilterOptions(options: Mobile.IDeviceLogFilterOptions): void {
+		_.each([{ value: options.include, optionName: "--log-include" }, { value: options.exclude, optionName: "--log-exclude" }], ({ value, optionName }) => {
+			if (value) {
+				try {
+					this.getRegExp(value);
+				} catch (err) {
+					this.$errors.failWithHelp(`The value '${value}' of the ${optionName} option is not a valid regular expression. Error is: ${err.message}`);
+				}
+			}
+		});
+
+		if (options.severity && !_.includes(LogFilter.SEVERITIES, options.severity.toLowerCase())) {
+			this.$errors.failWithHelp(`The severity '${options.severity}' is not valid. Valid values are: ${LogFilter.SEVERITIES.join(", ")}.`);
+		}
+	}
+
+	private filterByOptions(deviceLogFilter: Mobile.IPlatformLogFilter, data: string, loggingOptions: Mobile.IDeviceLogOptions): string {
+		const options: Mobile.IDeviceLogFilterOptions = _.defaults(_.pick(loggingOptions, ["include", "exclude", "tag", "severity"]), this.filterOptions);
+		if (!data || (!options.include && !options.exclude && !options.tag && !options.severity)) {
+			return data;
+		}
+
+		// Lines without tag and severity continue a multiline message, so they are shown when the line which starts the message is shown.
+		let messageMatches = !options.tag && !options.severity;
+		const matchingLines = data.split("\n").filter(line => {
+			if (!line.trim()) {
+				return false;
+			}
+
+			const lineInfo = deviceLogFilter.getLineInfo ? deviceLogFilter.getLineInfo(line) : null;
+			if (lineInfo) {
+				messageMatches = this.matchesTagAndSeverity(lineInfo, options);
+			}
+
+			return messageMatches && this.matchesRegExps(line, options);
+		});
+
+		if (!matchingLines.length) {
+			return null;
+		}
+
+		return matchingLines.join("\n") + (_.endsWith(data, "\n") ? "\n" : "");
+	}
+
+	private matchesRegExps(line: string, options: Mobile.IDeviceLogFilterOptions): boolean {
+		return (!options.include || this.getRegExp(options.include).test(line)) && (!options.exclude || !this.getRegExp(options.exclude).test(line));
+	}
+
+	private matchesTagAndSeverity(lineInfo: Mobile.IDeviceLogLineInfo, options: Mobile.IDeviceLogFilterOptions): boolean {
+		if (options.tag) {
+			const tags = options.tag.split(",").map(tag => tag.trim().toLowerCase());
+			if (!lineInfo.tag || !_.includes(tags, lineInfo.tag.toLowerCase())) {
+				return false;
+			}
+		}
+
+		if (options.severity) {
+			// The severity of some lines is not known, so they are shown only when all severities are requested.
+			const severityIndex = lineInfo.severity ? LogFilter.SEVERITIES.indexOf(lineInfo.severity) : 0;
+			if (severityIndex < LogFilter.SEVERITIES.indexOf(options.severity.toLowerCase())) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	private getRegExp(pattern: string): RegExp {
+		this.regExps[pattern] = this.regExps[pattern] || new RegExp(pattern);
+		return this.regExps[pattern];
+	}
+
 	private getDeviceLogFilterInstance(platform: string): Mobile.IPlatformLogFilter {
 		if (platform) {
 			if (platform.toLowerCase() === this.$devicePlatformsConstants.iOS.toLowerCase()) {
@@ -1,7 +1,7 @@
 import { EventEmitter } from "events";
 import { EmulatorDiscoveryNames } from "../../constants";
 
-export class AndroidEmulatorDiscovery extends EventEmitter implements Mobile.IDeviceDiscovery {
+export class AndroidEmulatorDiscovery extends EventEmitter implements Mobile.IAndroidEmulatorDiscovery {
 	private _emulators: IDictionary<Mobile.IDeviceInfo> = {};
 
 	constructor(private $androidEmulatorServices: Mobile.IEmulatorPlatformService,
@@ -0,0 +1,102 @@
+export class DeviceGroupsService implements Mobile.IDeviceGroupsService {
+	private static GROUPS_SETTING_NAME = "deviceGroups";
+	private static TAGS_SETTING_NAME = "deviceTags";
+	private static GROUP_SELECTOR_PREFIX = "group:";
+	private static TAG_SELECTOR_PREFIX = "tag:";
+	private static NAME_REGEX = /^[A-Za-z0-9._-]+$/;
+	private static EMULATOR_TAG = "emulator";
+	private static DEVICE_TAG = "device";
+
+	constructor(private $errors: IErrors,
+		private $staticConfig: Config.IStaticConfig,
+		private $userSettingsService: IUserSettingsService) { }
+
+	public getGroups(): Promise<IDictionary<string[]>> {
+		return this.getSetting(DeviceGroupsService.GROUPS_SETTING_NAME);
+	}
+
+	public addDevicesToGroup(groupName: string, deviceIds: string[]): Promise<void> {
+		return this.addDeviceIds(DeviceGroupsService.GROUPS_SETTING_NAME, groupName, deviceIds);
+	}
+
+	public removeDevicesFromGroup(groupName: string, deviceIds: string[]): Promise<void> {
+		return this.removeDeviceIds(DeviceGroupsService.GROUPS_SETTING_NAME, groupName, deviceIds, `Unable to find device group ${groupName}.`);
+	}
+
+	public getTags(): Promise<IDictionary<string[]>> {
+		return this.getSetting(DeviceGroupsService.TAGS_SETTING_NAME);
+	}
+
+	public addTagToDevices(tag: string, deviceIds: string[]): Promise<void> {
+		return this.addDeviceIds(DeviceGroupsService.TAGS_SETTING_NAME, tag, deviceIds);
+	}
+
+	public removeTagFromDevices(tag: string, deviceIds: string[]): Promise<void> {
+		return this.removeDeviceIds(DeviceGroupsService.TAGS_SETTING_NAME, tag, deviceIds, `No devices are tagged with ${tag}.`);
+	}
+
+	public isDeviceSelector(deviceOption: string): boolean {
+		return _.startsWith(deviceOption, DeviceGroupsService.GROUP_SELECTOR_PREFIX) || _.startsWith(deviceOption, DeviceGroupsService.TAG_SELECTOR_PREFIX);
+	}
+
+	public async getDevicesBySelector(deviceSelector: string, devices: Mobile.IDevice[]): Promise<Mobile.IDevice[]> {
+		if (_.startsWith(deviceSelector, DeviceGroupsService.GROUP_SELECTOR_PREFIX)) {
+			const groupName = deviceSelector.substr(DeviceGroupsService.GROUP_SELECTOR_PREFIX.length);
+			const groups = await this.getGroups();
+			if (!_.has(groups, groupName)) {
+				this.$errors.fail(`Unable to find device group ${groupName}. Create it with '${this.$staticConfig.CLIENT_NAME.toLowerCase()} device group add ${groupName} <Device ID>'.`);
+			}
+
+			return _.filter(devices, device => this.matchesAnyDeviceId(device, groups[groupName]));
+		}
+
+		if (_.startsWith(deviceSelector, DeviceGroupsService.TAG_SELECTOR_PREFIX)) {
+			const tag = deviceSelector.substr(DeviceGroupsService.TAG_SELECTOR_PREFIX.length);
+			const taggedDeviceIds = (await this.getTags())[tag] || [];
+			return _.filter(devices, device => this.matchesAnyDeviceId(device, taggedDeviceIds) || _.includes(this.getBuiltInTags(device), tag));
+		}
+
+		this.$errors.fail(`${deviceSelector} is not a device selector. Use ${DeviceGroupsService.GROUP_SELECTOR_PREFIX}<Group> or ${DeviceGroupsService.TAG_SELECTOR_PREFIX}<Tag>.`);
+	}
+
+	private async getSetting(settingName: string): Promise<IDictionary<string[]>> {
+		return (await this.$userSettingsService.getSettingValue<IDictionary<string[]>>(settingName)) || {};
+	}
+
+	private async addDeviceIds(settingName: string, name: string, deviceIds: string[]): Promise<void> {
+		if (!DeviceGroupsService.NAME_REGEX.test(name)) {
+			this.$errors.fail(`${name} is not a valid name. It can contain only letters, digits, '.', '_' and '-'.`);
+		}
+
+		const setting = await this.getSetting(settingName);
+		setting[name] = _.union(setting[name], deviceIds);
+		await this.$userSettingsService.saveSetting(settingName, setting);
+	}
+
+	private async removeDeviceIds(settingName: string, name: string, deviceIds: string[], notFoundMessage: string): Promise<void> {
+		const setting = await this.getSetting(settingName);
+		if (!_.has(setting, name)) {
+			this.$errors.fail(notFoundMessage);
+		}
+
+		// Without device identifiers, the whole group or tag is removed.
+		setting[name] = _.isEmpty(deviceIds) ? [] : _.difference(setting[name], deviceIds);
+		if (!setting[name].length) {
+			delete setting[name];
+		}
+
+		await this.$userSettingsService.saveSetting(settingName, setting);
+	}
+
+	private matchesAnyDeviceId(device: Mobile.IDevice, deviceIds: string[]): boolean {
+		const { identifier, displayName, imageIdentifier } = device.deviceInfo;
+		// The identifiers of the emulators change between runs, so they can be added by their image identifier as well.
+		return _.some(deviceIds, deviceId => deviceId === identifier || deviceId === displayName || deviceId === imageIdentifier);
+	}
+
+	private getBuiltInTags(device: Mobile.IDevice): string[] {
+		return [device.deviceInfo.platform.toLowerCase(), device.isEmulator ? DeviceGroupsService.EMULATOR_TAG : DeviceGroupsService.DEVICE_TAG];
+	}
+}
+
+$injector.register("deviceGroupsService", DeviceGroupsService);
@@ -18,6 +18,7 @@ export class DevicesService extends EventEmitter implements Mobile.IDevicesServi
 	private _availableEmulators: IDictionary<Mobile.IDeviceInfo> = {};
 	private _platform: string;
 	private _device: Mobile.IDevice;
+	private _selectedDeviceIdentifiers: string[];
 	private _isInitialized = false;
 	private _data: Mobile.IDevicesServicesInitializationOptions;
 	private _otherDeviceDiscoveries: Mobile.IDeviceDiscovery[] = [];
@@ -42,7 +43,8 @@ export class DevicesService extends EventEmitter implements Mobile.IDevicesServi
 		private $androidEmulatorServices: Mobile.IEmulatorPlatformService,
 		private $androidEmulatorDiscovery: Mobile.IDeviceDiscovery,
 		private $emulatorHelper: Mobile.IEmulatorHelper,
-		private $prompter: IPrompter) {
+		private $prompter: IPrompter,
+		private $deviceGroupsService: Mobile.IDeviceGroupsService) {
 		super();
 		this.attachToKnownDeviceDiscoveryEvents();
 		this.attachToKnownEmulatorDiscoveryEvents();
@@ -157,7 +159,7 @@ export class DevicesService extends EventEmitter implements Mobile.IDevicesServi
 	}
 
 	public get deviceCount(): number {
-		return this._device ? 1 : this.getDeviceInstances().length;
+		return this._device ? 1 : this.getSelectedDeviceInstances().length;
 	}
 
 	@exported("devicesService")
@@ -198,6 +200,15 @@ export class DevicesService extends EventEmitter implements Mobile.IDevicesServi
 		return _.values(this._devices);
 	}
 
+	public getSelectedDeviceInstances(): Mobile.IDevice[] {
+		const devices = this.getDeviceInstances();
+		if (!this._selectedDeviceIdentifiers) {
+			return devices;
+		}
+
+		return _.filter(devices, device => _.includes(this._selectedDeviceIdentifiers, device.deviceInfo.identifier));
+	}
+
 	@exported("devicesService")
 	public async getInstalledApplications(deviceIdentifier: string): Promise<string[]> {
 		const device = await this.getDevice(deviceIdentifier);
@@ -566,7 +577,7 @@ export class DevicesService extends EventEmitter implements Mobile.IDevicesServi
 
 		//check if --device(value) is running, if it's not or it's not the same as is specified, start with name from --device(value)
 		if (data.deviceId) {
-			if (!helpers.isNumberWithoutExponent(data.deviceId)) {
+			if (!helpers.isNumberWithoutExponent(data.deviceId) && !this.$deviceGroupsService.isDeviceSelector(data.deviceId)) {
 				const activeDeviceInstance = _.find(deviceInstances, (device: Mobile.IDevice) => device.deviceInfo.identifier === data.deviceId);
 				if (!activeDeviceInstance) {
 					return this.startEmulatorCore(data);
@@ -641,7 +652,9 @@ export class DevicesService extends EventEmitter implements Mobile.IDevicesServi
 			fullDiscovery: deviceInitOpts.fullDiscovery
 		};
 
-		if (platform && deviceOption) {
+		if (deviceOption && this.$deviceGroupsService.isDeviceSelector(deviceOption)) {
+			await this.selectDevices(deviceOption, deviceLookingOptions);
+		} else if (platform && deviceOption) {
 			this._platform = this.$mobileHelper.validatePlatformName(deviceInitOpts.platform);
 			await this.startLookingForDevices(deviceLookingOptions);
 			this._device = await this.getDevice(deviceOption);
@@ -699,9 +712,34 @@ export class DevicesService extends EventEmitter implements Mobile.IDevicesServi
 		this._isInitialized = true;
 	}
 
+	/**
+	 * Selects the devices matched by --device group:<Group> or --device tag:<Tag>.
+	 * The platform is inferred only when all matched devices are for the same platform.
+	 * @param deviceSelector the value of --device
+	 */
+	private async selectDevices(deviceSelector: string, deviceLookingOptions: Mobile.IDeviceLookingOptions): Promise<void> {
+		if (deviceLookingOptions.platform) {
+			this._platform = this.$mobileHelper.validatePlatformName(deviceLookingOptions.platform);
+		}
+
+		await this.startLookingForDevices(deviceLookingOptions);
+		const devices = await this.$deviceGroupsService.getDevicesBySelector(deviceSelector, this.filterDevicesByPlatform());
+		if (!devices.length) {
+			this.$errors.fail(`Unable to find connected devices matching ${deviceSelector}. To list currently connected devices, run '${this.$staticConfig.CLIENT_NAME.toLowerCase()} device'.`);
+		}
+
+		this._selectedDeviceIdentifiers = _.map(devices, device => device.deviceInfo.identifier);
+		const platforms = _.uniq(_.map(devices, device => device.deviceInfo.platform));
+		if (!this._platform && platforms.length === 1) {
+			this._platform = platforms[0];
+		}
+
+		this.$logger.info(`Selected the devices matching ${deviceSelector}: ${this._selectedDeviceIdentifiers.join(", ")}.`);
+	}
+
 	public get hasDevices(): boolean {
 		if (!this._platform) {
-			return this.getDeviceInstances().length !== 0;
+			return this.getSelectedDeviceInstances().length !== 0;
 		} else {
 			return this.filterDevicesByPlatform().length !== 0;
 		}
@@ -746,7 +784,7 @@ export class DevicesService extends EventEmitter implements Mobile.IDevicesServi
 	}
 
 	private filterDevicesByPlatform(): Mobile.IDevice[] {
-		return _.filter(this.getDeviceInstances(), (device: Mobile.IDevice) => {
+		return _.filter(this.getSelectedDeviceInstances(), (device: Mobile.IDevice) => {
 			if (this.$options.emulator && !device.isEmulator) {
 				return false;
 			}
@@ -1,9 +1,14 @@
 import * as choki from "chokidar";
 import * as path from "path";
 import * as os from "os";
+import { AsyncHook, AsyncResource, createHook, executionAsyncId } from "async_hooks";
 
-class CancellationService implements ICancellationService {
+export class CancellationService implements ICancellationService {
 	private watches: IDictionary<choki.FSWatcher> = {};
+	private cancelHandlers: IDictionary<(() => void)[]> = {};
+	// The names of the operations by the ids of their asynchronous resources.
+	private operationNames: IDictionary<string> = {};
+	private asyncHook: AsyncHook = null;
 
 	constructor(private $fs: IFileSystem,
 		private $logger: ILogger,
@@ -39,7 +44,47 @@ class CancellationService implements ICancellationService {
 		}
 	}
 
+	public onCancel(name: string, handler: () => void): void {
+		this.cancelHandlers[name] = (this.cancelHandlers[name] || []).concat(handler);
+	}
+
+	public cancel(name: string): void {
+		const handlers = this.cancelHandlers[name] || [];
+		this.end(name);
+
+		this.$logger.trace(`Cancelling operation ${name}.`);
+		_.each(handlers, handler => handler());
+	}
+
+	public executeInOperation<T>(name: string, action: () => Promise<T>): Promise<T> {
+		if (!this.asyncHook) {
+			// Every asynchronous resource belongs to the operation of the code which has created it.
+			this.asyncHook = createHook({
+				init: (asyncId: number) => {
+					const operationName = this.operationNames[executionAsyncId()];
+					if (operationName) {
+						this.operationNames[asyncId] = operationName;
+					}
+				},
+				destroy: (asyncId: number) => {
+					delete this.operationNames[asyncId];
+				}
+			}).enable();
+		}
+
+		const operationResource = new AsyncResource("CLIOperation");
+		this.operationNames[operationResource.asyncId()] = name;
+		// runInAsyncScope is missing in the typings of the supported Node.js version.
+		return (<any>operationResource).runInAsyncScope(action);
+	}
+
+	public getCurrentOperation(): string {
+		return this.operationNames[executionAsyncId()];
+	}
+
 	public end(name: string): void {
+		delete this.cancelHandlers[name];
+
 		const watcher = this.watches[name];
 		if (watcher) {
 			delete this.watches[name];
@@ -49,6 +94,12 @@ class CancellationService implements ICancellationService {
 
 	public dispose(): void {
 		_(this.watches).keys().each(name => this.end(name));
+		this.cancelHandlers = {};
+		if (this.asyncHook) {
+			this.asyncHook.disable();
+			this.asyncHook = null;
+			this.operationNames = {};
+		}
 	}
 
 	private static get killSwitchDir(): string {
@@ -1,11 +1,27 @@
 import * as path from "path";
 import * as util from "util";
 import { annotate, getValueFromNestedObject } from "../helpers";
-import { AnalyticsEventLabelDelimiter } from "../../constants";
+import { AnalyticsEventLabelDelimiter, CONFIG_NS_FILE_NAME } from "../../constants";
 
 class Hook implements IHook {
+	public parallel?: boolean;
+	public timeout?: number;
+
 	constructor(public name: string,
-		public fullPath: string) { }
+		public fullPath: string,
+		public source?: string,
+		options?: IHookOptions) {
+		_.extend(this, _.pick(options, ["parallel", "timeout"]));
+	}
+}
+
+interface IPreparedHook {
+	hook: IHook;
+	command: string;
+	inProc: boolean;
+	hookEntryPoint?: any;
+	parallel: boolean;
+	timeout: number;
 }
 
 export class HooksService implements IHooksService {
@@ -15,6 +31,8 @@ export class HooksService implements IHooksService {
 
 	private hooksDirectories: string[];
 
+	private projectDir: string;
+
 	constructor(private $childProcess: IChildProcess,
 		private $fs: IFileSystem,
 		private $logger: ILogger,
@@ -24,7 +42,8 @@ export class HooksService implements IHooksService {
 		private $injector: IInjector,
 		private $projectHelper: IProjectHelper,
 		private $options: IOptions,
-		private $performanceService: IPerformanceService) { }
+		private $performanceService: IPerformanceService,
+		private $projectDataService: IProjectDataService) { }
 
 	public get hookArgsName(): string {
 		return "hookArgs";
@@ -36,6 +55,7 @@ export class HooksService implements IHooksService {
 		this.hooksDirectories = [];
 
 		projectDir = projectDir || this.$projectHelper.projectDir;
+		this.projectDir = projectDir;
 
 		if (projectDir) {
 			this.hooksDirectories.push(path.join(projectDir, HooksService.HOOKS_DIRECTORY_NAME));
@@ -83,6 +103,8 @@ export class HooksService implements IHooksService {
 			for (const hooksDirectory of this.hooksDirectories) {
 				results.push(await this.executeHooksInDirectory(hooksDirectory, hookName, hookArguments));
 			}
+
+			results.push(await this.executeHooksList(this.getNsConfigHooks(hookName), this.projectDir, hookName, hookArguments));
 		} catch (err) {
 			this.$logger.trace(`Failed during hook execution ${hookName}.`);
 			this.$errors.fail(err.message || err);
@@ -91,85 +113,207 @@ export class HooksService implements IHooksService {
 		return _.flatten(results);
 	}
 
-	private async executeHooksInDirectory(directoryPath: string, hookName: string, hookArguments?: IDictionary<any>): Promise<any[]> {
+	public getHooks(projectDir?: string): IHook[] {
+		this.initialize(projectDir);
+
+		const hooks: IHook[] = [];
+		for (const hooksDirectory of this.hooksDirectories) {
+			hooks.push(...this.getHooksInDirectory(hooksDirectory));
+
+			const subDirectories = this.$fs.exists(hooksDirectory) ? this.$fs.readDirectory(hooksDirectory) : [];
+			for (const subDirectory of subDirectories) {
+				const hooksInSubDirectory = this.getHooksInDirectory(path.join(hooksDirectory, subDirectory));
+				hooks.push(..._.map(hooksInSubDirectory, hook => new Hook(subDirectory, hook.fullPath, hook.source)));
+			}
+		}
+
+		hooks.push(...this.getNsConfigHooks());
+
+		// The sort is stable, so the hooks with the same name remain in the order of their execution.
+		return _.sortBy(hooks, hook => hook.name.toLowerCase());
+	}
+
+	private executeHooksInDirectory(directoryPath: string, hookName: string, hookArguments?: IDictionary<any>): Promise<any[]> {
+		const hooks = this.getHooksByName(directoryPath, hookName);
+		return this.executeHooksList(hooks, directoryPath, hookName, hookArguments);
+	}
+
+	private async executeHooksList(hooks: IHook[], baseDirectory: string, hookName: string, hookArguments?: IDictionary<any>): Promise<any[]> {
 		hookArguments = hookArguments || {};
+
+		// HACK for backwards compatibility:
+		// In case $projectData wasn't resolved by the time we got here (most likely we got here without running a command but through a service directly)
+		// then it is probably passed as a hookArg
+		// if that is the case then pass it directly to the hook instead of trying to resolve $projectData via injector
+		// This helps make hooks stateless
+		const projectDataHookArg = hookArguments["hookArgs"] && hookArguments["hookArgs"]["projectData"];
+		if (projectDataHookArg) {
+			hookArguments["projectData"] = hookArguments["$projectData"] = projectDataHookArg;
+		}
+
 		const results: any[] = [];
-		const hooks = this.getHooksByName(directoryPath, hookName);
+		let batch: Promise<any[]>[] = [];
+		let isParallelBatch = false;
+		const executeBatch = async (): Promise<void> => {
+			const batchResults = await Promise.all(batch);
+			results.push(..._.flatten(batchResults));
+			batch = [];
+		};
 
-		for (let i = 0; i < hooks.length; ++i) {
-			const hook = hooks[i];
-			const relativePath = path.relative(directoryPath, hook.fullPath);
-			const trackId = relativePath.replace(new RegExp('\\' + path.sep, 'g'), AnalyticsEventLabelDelimiter);
-			let command = this.getSheBangInterpreter(hook);
-			let inProc = false;
-			if (!command) {
-				command = hook.fullPath;
-				if (path.extname(hook.fullPath).toLowerCase() === ".js") {
-					command = process.argv[0];
-					inProc = this.shouldExecuteInProcess(this.$fs.readText(hook.fullPath));
-				}
+		for (const hook of hooks) {
+			// The hook module is required right before its execution, so its side effects happen at the same time as before.
+			// Only a hook which can join the running parallel hooks is required while they are still executing.
+			if (!isParallelBatch || hook.parallel === false) {
+				await executeBatch();
 			}
 
-			const startTime = this.$performanceService.now();
-			if (inProc) {
-				this.$logger.trace("Executing %s hook at location %s in-process", hookName, hook.fullPath);
-				const hookEntryPoint = require(hook.fullPath);
+			const preparedHook = this.prepareHook(hook, hookName);
+			if (!preparedHook) {
+				continue;
+			}
 
-				this.$logger.trace(`Validating ${hookName} arguments.`);
+			if (!isParallelBatch || !preparedHook.parallel) {
+				await executeBatch();
+			}
 
-				const invalidArguments = this.validateHookArguments(hookEntryPoint, hook.fullPath);
+			batch.push(this.executeHook(preparedHook, baseDirectory, hookName, hookArguments));
+			isParallelBatch = preparedHook.parallel;
+		}
 
-				if (invalidArguments.length) {
-					this.$logger.warn(`${hook.fullPath} will NOT be executed because it has invalid arguments - ${invalidArguments.join(", ").grey}.`);
-					continue;
-				}
+		await executeBatch();
 
-				// HACK for backwards compatibility:
-				// In case $projectData wasn't resolved by the time we got here (most likely we got here without running a command but through a service directly)
-				// then it is probably passed as a hookArg
-				// if that is the case then pass it directly to the hook instead of trying to resolve $projectData via injector
-				// This helps make hooks stateless
-				const projectDataHookArg = hookArguments["hookArgs"] && hookArguments["hookArgs"]["projectData"];
-				if (projectDataHookArg) {
-					hookArguments["projectData"] = hookArguments["$projectData"] = projectDataHookArg;
-				}
+		return results;
+	}
 
-				const maybePromise = this.$injector.resolve(hookEntryPoint, hookArguments);
-				if (maybePromise) {
-					this.$logger.trace('Hook promises to signal completion');
-					try {
-						const result = await maybePromise;
-						results.push(result);
-					} catch (err) {
-						if (err && _.isBoolean(err.stopExecution) && err.errorAsWarning === true) {
-							this.$logger.warn(err.message || err);
-						} else {
-							// Print the actual error with its callstack, so it is easy to find out which hooks is causing troubles.
-							this.$logger.error(err);
-							throw err || new Error(`Failed to execute hook: ${hook.fullPath}.`);
-						}
-					}
-
-					this.$logger.trace('Hook completed');
-				}
-			} else {
-				const environment = this.prepareEnvironment(hook.fullPath);
-				this.$logger.trace("Executing %s hook at location %s with environment ", hookName, hook.fullPath, environment);
+	private prepareHook(hook: IHook, hookName: string): IPreparedHook {
+		let command = this.getSheBangInterpreter(hook);
+		let inProc = false;
+		if (!command) {
+			command = hook.fullPath;
+			if (path.extname(hook.fullPath).toLowerCase() === ".js") {
+				command = process.argv[0];
+				inProc = this.shouldExecuteInProcess(this.$fs.readText(hook.fullPath));
+			}
+		}
 
-				const output = await this.$childProcess.spawnFromEvent(command, [hook.fullPath], "close", environment, { throwError: false });
-				results.push(output);
+		const preparedHook: IPreparedHook = { hook, command, inProc, parallel: !!hook.parallel, timeout: hook.timeout };
+		if (inProc) {
+			const hookEntryPoint = require(hook.fullPath);
 
-				if (output.exitCode !== 0) {
-					throw new Error(output.stdout + output.stderr);
-				}
+			this.$logger.trace(`Validating ${hookName} arguments.`);
 
-				this.$logger.trace("Finished executing %s hook at location %s with environment ", hookName, hook.fullPath, environment);
+			const invalidArguments = this.validateHookArguments(hookEntryPoint, hook.fullPath);
+
+			if (invalidArguments.length) {
+				this.$logger.warn(`${hook.fullPath} will NOT be executed because it has invalid arguments - ${invalidArguments.join(", ").grey}.`);
+				return null;
 			}
+
+			// The options from nsconfig.json take precedence over the ones exported by the hook.
+			preparedHook.hookEntryPoint = hookEntryPoint;
+			preparedHook.parallel = _.isBoolean(hook.parallel) ? hook.parallel : hookEntryPoint.parallel === true;
+			preparedHook.timeout = hook.timeout || (this.isValidTimeout(hookEntryPoint.timeout) ? hookEntryPoint.timeout : undefined);
+		}
+
+		return preparedHook;
+	}
+
+	private async executeHook(preparedHook: IPreparedHook, baseDirectory: string, hookName: string, hookArguments: IDictionary<any>): Promise<any[]> {
+		const hook = preparedHook.hook;
+		const startTime = this.$performanceService.now();
+		try {
+			return await this.executeWithTimeout(preparedHook, hookName, () => preparedHook.inProc ?
+				this.executeHookInProcess(preparedHook, hookName, hookArguments) :
+				this.executeHookInChildProcess(preparedHook, hookName));
+		} finally {
 			const endTime = this.$performanceService.now();
-			this.$performanceService.processExecutionData(trackId, startTime, endTime, [hookArguments]);
+			this.$performanceService.processExecutionData(this.getHookTrackId(hook, baseDirectory, hookName), startTime, endTime, [hookArguments]);
 		}
+	}
 
-		return results;
+	private async executeHookInProcess(preparedHook: IPreparedHook, hookName: string, hookArguments: IDictionary<any>): Promise<any[]> {
+		const hook = preparedHook.hook;
+		this.$logger.trace("Executing %s hook at location %s in-process", hookName, hook.fullPath);
+
+		const maybePromise = this.$injector.resolve(preparedHook.hookEntryPoint, hookArguments);
+		if (!maybePromise) {
+			return [];
+		}
+
+		this.$logger.trace('Hook promises to signal completion');
+		try {
+			const result = await maybePromise;
+			this.$logger.trace('Hook completed');
+			return [result];
+		} catch (err) {
+			if (err && _.isBoolean(err.stopExecution) && err.errorAsWarning === true) {
+				this.$logger.warn(err.message || err);
+				this.$logger.trace('Hook completed');
+				return [];
+			}
+
+			// Print the actual error with its callstack, so it is easy to find out which hooks is causing troubles.
+			this.$logger.error(err);
+			throw err || new Error(`Failed to execute hook: ${hook.fullPath}.`);
+		}
+	}
+
+	private async executeHookInChildProcess(preparedHook: IPreparedHook, hookName: string): Promise<any[]> {
+		const hook = preparedHook.hook;
+		const environment = this.prepareEnvironment(hook.fullPath);
+		this.$logger.trace("Executing %s hook at location %s with environment ", hookName, hook.fullPath, environment);
+
+		const output = await this.$childProcess.spawnFromEvent(preparedHook.command, [hook.fullPath], "close", environment, { throwError: false, timeout: preparedHook.timeout });
+
+		if (output.exitCode !== 0) {
+			throw new Error(output.stdout + output.stderr);
+		}
+
+		this.$logger.trace("Finished executing %s hook at location %s with environment ", hookName, hook.fullPath, environment);
+		return [output];
+	}
+
+	/**
+	 * Fails the hook when its timeout passes. The child processes are killed by $childProcess,
+	 * but the code of an in-process hook cannot be stopped and its result is ignored.
+	 */
+	private executeWithTimeout<T>(preparedHook: IPreparedHook, hookName: string, action: () => Promise<T>): Promise<T> {
+		const timeout = preparedHook.timeout;
+		if (!timeout) {
+			return action();
+		}
+
+		return new Promise<T>((resolve, reject) => {
+			const timer = setTimeout(() => {
+				if (preparedHook.inProc) {
+					this.$logger.trace(`The in-process hook ${preparedHook.hook.fullPath} cannot be stopped and continues in the background.`);
+				}
+
+				reject(new Error(`The ${hookName} hook ${preparedHook.hook.fullPath} did not finish in ${timeout} ms.`));
+			}, timeout);
+
+			action().then(result => {
+				clearTimeout(timer);
+				resolve(result);
+			}, err => {
+				clearTimeout(timer);
+				reject(err);
+			});
+		});
+	}
+
+	private getHookTrackId(hook: IHook, baseDirectory: string, hookName: string): string {
+		let relativePath = path.relative(baseDirectory, hook.fullPath);
+		if (!_.startsWith(relativePath.toLowerCase(), hookName.toLowerCase())) {
+			// Hooks from nsconfig.json can be anywhere in the project, so add the name of the hook to make it clear which one is slow.
+			relativePath = path.join(hookName, relativePath);
+		}
+
+		return relativePath.replace(new RegExp('\\' + path.sep, 'g'), AnalyticsEventLabelDelimiter);
+	}
+
+	private isValidTimeout(timeout: any): boolean {
+		return _.isNumber(timeout) && timeout > 0;
 	}
 
 	private getHooksByName(directoryPath: string, hookName: string): IHook[] {
@@ -179,6 +323,21 @@ export class HooksService implements IHooksService {
 		return baseHooks.concat(moreHooks);
 	}
 
+	private getNsConfigHooks(hookName?: string): IHook[] {
+		const nsConfigPath = this.projectDir && path.join(this.projectDir, CONFIG_NS_FILE_NAME);
+		if (!nsConfigPath || !this.$fs.exists(nsConfigPath)) {
+			return [];
+		}
+
+		const projectData = this.$projectDataService.getProjectData(this.projectDir);
+		const nsConfigHooks = (projectData.nsConfig && projectData.nsConfig.hooks) || [];
+
+		return _(nsConfigHooks)
+			.filter(hook => !hookName || hook.type.toLowerCase() === hookName.toLowerCase())
+			.map(hook => new Hook(hook.type, path.resolve(this.projectDir, hook.script), nsConfigPath, hook))
+			.value();
+	}
+
 	private getHooksInDirectory(directoryPath: string): IHook[] {
 		if (!this.cachedHooks[directoryPath]) {
 			let hooks: IHook[] = [];
@@ -192,7 +351,7 @@ export class HooksService implements IHooksService {
 
 				hooks = _.map(files, file => {
 					const fullPath = path.join(directoryPath, file);
-					return new Hook(this.getBaseFilename(file), fullPath);
+					return new Hook(this.getBaseFilename(file), fullPath, directoryPath);
 				});
 			}
 
@@ -11,9 +11,11 @@ export class MicroTemplateService implements IMicroTemplateService {
 		this.dynamicCallRegex = new RegExp(util.format("(%s)", this.$injector.dynamicCallRegex.source), "g");
 	}
 
-	public async parseContent(data: string, options: { isHtml: boolean }): Promise<string> {
-		const localVariables = this.getLocalVariables(options);
-		const compiledTemplate = _.template(data.replace(this.dynamicCallRegex, "this.$injector.getDynamicCallData(\"$1\")"));
+	public async parseContent(data: string, options: IMicroTemplateOptions): Promise<string> {
+		const localVariables = _.assign(this.getLocalVariables(options), options.localVariables);
+		// Lodash also interpolates ES template literals when its default "interpolate" setting is used, so a copy of the setting disables them.
+		const templateSettings = options.ignoreEsInterpolation ? { interpolate: /<%=([\s\S]+?)%>/g } : {};
+		const compiledTemplate = _.template(data.replace(this.dynamicCallRegex, "this.$injector.getDynamicCallData(\"$1\")"), templateSettings);
 		// When debugging parsing, uncomment the line below:
 		// console.log(compiledTemplate.source);
 		return await compiledTemplate.apply(this, [localVariables]);
@@ -24,7 +26,7 @@ export class MicroTemplateService implements IMicroTemplateService {
 		return _.some(args, arg => arg.toLowerCase() === platform);
 	}
 
-	private getLocalVariables(options: { isHtml: boolean }): IDictionary<any> {
+	private getLocalVariables(options: IMicroTemplateOptions): IDictionary<any> {
 		const isHtml = options.isHtml;
 		// in html help we want to show all help. Only CONSOLE specific help(wrapped in if(isConsole) ) must be omitted
 		const localVariables: IDictionary<any> = {
@@ -391,4 +391,17 @@ describe("androidLogFilter", () => {
 			});
 		});
 	});
+
+	describe("getLineInfo", () => {
+		it("returns the tag and the severity of the lines", () => {
+			const testInjector = new Yok();
+			testInjector.register("loggingLevels", LoggingLevels);
+			const androidLogFilter = <Mobile.IPlatformLogFilter>testInjector.resolve(AndroidLogFilter);
+
+			assert.deepEqual(androidLogFilter.getLineInfo("12-28 10:16:49.710  3714  3714 V JS      : TAPPED: 42"), { severity: "verbose", tag: "JS" });
+			assert.deepEqual(androidLogFilter.getLineInfo("12-28 10:14:31.486  3593  3613 W AudioManagerAndroid: Requires BLUETOOTH permission"), { severity: "warning", tag: "AudioManagerAndroid" });
+			assert.deepEqual(androidLogFilter.getLineInfo("E/System.err( 4438): at com.tns.Runtime.callJSMethodNative(Native Method)"), { severity: "error", tag: "System.err" });
+			assert.deepEqual(androidLogFilter.getLineInfo("--------- beginning of main"), null);
+		});
+	});
 });
@@ -197,6 +197,18 @@ describe("FileSystem", () => {
 		});
 	});
 
+	describe("readFileRange", () => {
+		it("reads only the specified part of the file", () => {
+			const testInjector = createTestInjector();
+			const fs: IFileSystem = testInjector.resolve("fs");
+			const testFileName = path.join(temp.mkdirSync("readFileRange"), "testFile");
+			fs.writeFile(testFileName, "0123456789");
+
+			assert.equal(fs.readFileRange(testFileName, 2, 3).toString(), "234");
+			assert.equal(fs.readFileRange(testFileName, 8, 5).toString(), "89");
+		});
+	});
+
 	describe("copyFile", () => {
 		let testInjector: IInjector;
 		let tempDir: string;
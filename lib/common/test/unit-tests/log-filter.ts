@@ -2,6 +2,7 @@ import { LogFilter } from "../../mobile/log-filter";
 import { Yok } from "../../yok";
 import { DevicePlatformsConstants } from "../../mobile/device-platforms-constants";
 import { LoggingLevels } from "../../mobile/logging-levels";
+import { ErrorsStub } from "./stubs";
 import * as assert from "assert";
 
 function createTestInjector(): IInjector {
@@ -9,6 +10,7 @@ function createTestInjector(): IInjector {
 	testInjector.register("injector", testInjector);
 	testInjector.register("devicePlatformsConstants", DevicePlatformsConstants);
 	testInjector.register("loggingLevels", LoggingLevels);
+	testInjector.register("errors", ErrorsStub);
 	testInjector.register("logFilter", LogFilter);
 	testInjector.register("iOSLogFilter", {
 		filterData: (data: string, deviceLogOptions: Mobile.IDeviceLogOptions) => {
@@ -19,6 +21,14 @@ function createTestInjector(): IInjector {
 	testInjector.register("androidLogFilter", {
 		filterData: (data: string, deviceLogOptions: Mobile.IDeviceLogOptions) => {
 			return `android: ${data} ${deviceLogOptions.logLevel}`;
+		},
+		getLineInfo: (line: string): Mobile.IDeviceLogLineInfo => {
+			if (_.startsWith(line, "\t")) {
+				return null;
+			}
+
+			const [severity, tag] = line.split(" ");
+			return { severity, tag };
 		}
 	});
 
@@ -143,5 +153,59 @@ describe("logFilter", () => {
 				assert.deepEqual(actualData, iosFullTestData);
 			});
 		});
+
+		describe("when filter options are set", () => {
+			const lines = ["debug JS first message", "error JS second message", "error System.err third message", "\tcontinuation of the message"];
+			const filterLines = (loggingOptions: Mobile.IDeviceLogOptions): string => logFilter.filterData("android", lines.join("\n"), loggingOptions);
+
+			it("returns only the lines which match the include and do not match the exclude regular expressions", () => {
+				assert.deepEqual(filterLines({ logLevel: fullLogLevel, include: "^(debug|error) ", exclude: "^debug" }), `android: ${lines[1]}\n${lines[2]} ${fullLogLevel}`);
+			});
+
+			it("returns only the lines with the specified tags", () => {
+				assert.deepEqual(filterLines({ logLevel: fullLogLevel, tag: "js" }), `android: ${lines[0]}\n${lines[1]} ${fullLogLevel}`);
+			});
+
+			it("returns only the lines with the specified or higher severity", () => {
+				assert.deepEqual(filterLines({ logLevel: fullLogLevel, severity: "WARNING" }), `android: ${lines[1]}\n${lines[2]}\n${lines[3]} ${fullLogLevel}`);
+			});
+
+			it("returns the lines which continue a message together with the line which starts it", () => {
+				assert.deepEqual(filterLines({ logLevel: fullLogLevel, tag: "System.err" }), `android: ${lines[2]}\n${lines[3]} ${fullLogLevel}`);
+				assert.deepEqual(filterLines({ logLevel: fullLogLevel, tag: "JS" }), `android: ${lines[0]}\n${lines[1]} ${fullLogLevel}`);
+			});
+
+			it("returns the lines without severity only when all severities are requested", () => {
+				const linesWithoutSeverity = [" JS first message", "error JS second message"].join("\n");
+
+				assert.deepEqual(logFilter.filterData("android", linesWithoutSeverity, { logLevel: fullLogLevel, severity: "verbose" }), `android: ${linesWithoutSeverity} ${fullLogLevel}`);
+				assert.deepEqual(logFilter.filterData("android", linesWithoutSeverity, { logLevel: fullLogLevel, severity: "debug" }), `android: error JS second message ${fullLogLevel}`);
+			});
+
+			it("uses the default filter options when they are not set for the device", () => {
+				logFilter.filterOptions = { tag: "System.err" };
+
+				assert.deepEqual(filterLines({ logLevel: fullLogLevel }), `android: ${lines[2]}\n${lines[3]} ${fullLogLevel}`);
+				assert.deepEqual(filterLines({ logLevel: fullLogLevel, tag: "JS", severity: "error" }), `android: ${lines[1]} ${fullLogLevel}`);
+			});
+
+			it("returns null when no line matches", () => {
+				assert.deepEqual(filterLines({ logLevel: fullLogLevel, include: "missing" }), null);
+			});
+		});
+	});
+
+	describe("validateFilterOptions", () => {
+		it("fails when the regular expression is not valid", () => {
+			assert.throws(() => logFilter.validateFilterOptions({ include: "(" }), /The value '\(' of the --log-include option is not a valid regular expression/);
+		});
+
+		it("fails when the severity is not valid", () => {
+			assert.throws(() => logFilter.validateFilterOptions({ severity: "critical" }), /The severity 'critical' is not valid/);
+		});
+
+		it("does not fail when the filter options are valid", () => {
+			logFilter.validateFilterOptions({ include: "^JS", exclude: "HMR", tag: "JS", severity: "Info" });
+		});
 	});
 });
@@ -0,0 +1,70 @@
+import { assert } from "chai";
+import { levels } from "log4js";
+import { LoggerConfigData } from "../../../../constants";
+const jsonAppender = require("../../../logger/appenders/json-appender");
+
+function createLoggingEvent(data: any[], context?: IDictionary<any>): any {
+	return {
+		data,
+		context: context || {},
+		level: levels.INFO,
+		startTime: new Date("2019-05-01T10:00:00.000Z")
+	};
+}
+
+function captureOutput(streamName: "stdout" | "stderr", action: () => void): string {
+	const stream = process[streamName];
+	const originalWrite = stream.write;
+	let output = "";
+	stream.write = <any>((data: string) => {
+		output += data;
+		return true;
+	});
+
+	try {
+		action();
+	} finally {
+		stream.write = originalWrite;
+	}
+
+	return output;
+}
+
+describe("jsonAppender", () => {
+	it("writes each message as one line of JSON", () => {
+		const appender = jsonAppender.configure({ command: "run" });
+
+		const output = captureOutput("stdout", () => {
+			appender(createLoggingEvent(["Installing %s on %s\n", "app", "device"]));
+			appender(createLoggingEvent(["JS: log from the app\n"], { [LoggerConfigData.deviceIdentifier]: "device1", [LoggerConfigData.skipNewLine]: true }));
+		});
+
+		assert.deepEqual(output.split("\n"), [
+			JSON.stringify({ level: "INFO", timestamp: "2019-05-01T10:00:00.000Z", command: "run", deviceIdentifier: null, message: "Installing app on device" }),
+			JSON.stringify({ level: "INFO", timestamp: "2019-05-01T10:00:00.000Z", command: "run", deviceIdentifier: "device1", message: "JS: log from the app" }),
+			""
+		]);
+	});
+
+	it("strips the colors and obfuscates the passwords", () => {
+		const appender = jsonAppender.configure({ command: "publish" });
+
+		const output = captureOutput("stdout", () => {
+			appender(createLoggingEvent(["\u001b[31mfailed\u001b[39m { certificatePassword: 'pass' }"]));
+		});
+
+		assert.equal(JSON.parse(output).message, "failed { certificatePassword: '*******' }");
+	});
+
+	it("writes to the standard error when useStderr is set", () => {
+		const appender = jsonAppender.configure({});
+		let stdout: string;
+
+		const stderr = captureOutput("stderr", () => {
+			stdout = captureOutput("stdout", () => appender(createLoggingEvent(["error"], { [LoggerConfigData.useStderr]: true })));
+		});
+
+		assert.equal(stdout, "");
+		assert.deepEqual(JSON.parse(stderr), { level: "INFO", timestamp: "2019-05-01T10:00:00.000Z", command: null, deviceIdentifier: null, message: "error" });
+	});
+});
@@ -215,4 +215,87 @@ describe("AndroidDeviceFileSystem", () => {
 			assert.equal(resolveParams[1].args.appIdentifier, newAppIdentifier);
 		});
 	});
+
+	describe("application data", () => {
+		const deviceArchivePath = `/data/local/tmp/${myTestAppIdentifier}-data.tar`;
+		let executedCommands: string[][];
+		let shellOutputs: IDictionary<string>;
+
+		beforeEach(() => {
+			executedCommands = [];
+			shellOutputs = { ls: ".\n..\ncache\nfiles\nshared_prefs\n" };
+			const adb = {
+				executeCommand: async (args: string[]): Promise<void> => { executedCommands.push(args); },
+				executeShellCommand: async (args: string[]): Promise<string> => {
+					executedCommands.push(["shell"].concat(args));
+					return shellOutputs[_.find(args, arg => _.has(shellOutputs, arg))];
+				},
+				removeFile: async (deviceFilePath: string): Promise<void> => { executedCommands.push(["rm", deviceFilePath]); }
+			};
+			androidDeviceFileSystem = createTestInjector().resolve(AndroidDeviceFileSystem, { adb });
+		});
+
+		it("archives the existing data directories of the application and pulls the archive", async () => {
+			const dataDirectories = await androidDeviceFileSystem.backupApplicationData(myTestAppIdentifier, "app-data.tar");
+
+			assert.deepEqual(dataDirectories, ["files", "shared_prefs"]);
+			assert.deepEqual(executedCommands, [
+				["shell", "run-as", myTestAppIdentifier, "ls", "-a", "."],
+				["shell", "run-as", myTestAppIdentifier, "tar", "-cf", "-", "files", "shared_prefs", ">", deviceArchivePath],
+				["pull", deviceArchivePath, "app-data.tar"],
+				["rm", deviceArchivePath]
+			]);
+		});
+
+		it("fails when the application is not debuggable", async () => {
+			shellOutputs = { ls: `run-as: package not debuggable: ${myTestAppIdentifier}` };
+
+			await assert.isRejected(androidDeviceFileSystem.backupApplicationData(myTestAppIdentifier, "app-data.tar"), `Unable to access the data of the application ${myTestAppIdentifier}.`);
+			assert.lengthOf(executedCommands, 1);
+		});
+
+		it("fails when the application does not have data", async () => {
+			shellOutputs = { ls: ".\n..\ncache\n" };
+
+			await assert.isRejected(androidDeviceFileSystem.backupApplicationData(myTestAppIdentifier, "app-data.tar"), `The application ${myTestAppIdentifier} does not have any data to back up.`);
+		});
+
+		it("removes the archive from the device when tar fails", async () => {
+			shellOutputs = _.extend(shellOutputs, { tar: "tar: No space left on device" });
+
+			await assert.isRejected(androidDeviceFileSystem.backupApplicationData(myTestAppIdentifier, "app-data.tar"), "No space left on device");
+			assert.deepEqual(_.last(executedCommands), ["rm", deviceArchivePath]);
+		});
+
+		it("stops the application and replaces its data with the archive", async () => {
+			shellOutputs = { "-tf": "files/\nfiles/settings.json\nshared_prefs/\nshared_prefs/prefs.xml\n" };
+			await androidDeviceFileSystem.restoreApplicationData(myTestAppIdentifier, "app-data.tar");
+
+			assert.deepEqual(executedCommands, [
+				["push", "app-data.tar", deviceArchivePath],
+				["shell", "tar", "-tf", deviceArchivePath],
+				["shell", "am", "force-stop", myTestAppIdentifier],
+				["shell", "run-as", myTestAppIdentifier, "rm", "-rf", "files", "databases", "shared_prefs"],
+				["shell", "cat", deviceArchivePath, "|", "run-as", myTestAppIdentifier, "tar", "-xf", "-"],
+				["rm", deviceArchivePath]
+			]);
+		});
+
+		_.each([
+			{ name: "is corrupt", output: "tar: Not tar" },
+			{ name: "contains files which are not application data", output: "files/\nsystem/build.prop\n" },
+			{ name: "is empty", output: "" }
+		], testCase => {
+			it(`keeps the data of the application when the archive ${testCase.name}`, async () => {
+				shellOutputs = { "-tf": testCase.output };
+
+				await assert.isRejected(androidDeviceFileSystem.restoreApplicationData(myTestAppIdentifier, "app-data.tar"), "The archive app-data.tar is not a backup of application data created by 'tns device backup'.");
+				assert.deepEqual(executedCommands, [
+					["push", "app-data.tar", deviceArchivePath],
+					["shell", "tar", "-tf", deviceArchivePath],
+					["rm", deviceArchivePath]
+				]);
+			});
+		});
+	});
 });
@@ -0,0 +1,125 @@
+import { DeviceGroupsService } from "../../../mobile/mobile-core/device-groups-service";
+import { Yok } from "../../../yok";
+import { assert } from "chai";
+import { ErrorsStub } from "../stubs";
+
+describe("deviceGroupsService", () => {
+	let settings: IDictionary<any>;
+	let deviceGroupsService: Mobile.IDeviceGroupsService;
+
+	const createDevice = (identifier: string, platform: string, isEmulator: boolean, imageIdentifier?: string): Mobile.IDevice => (<any>{
+		deviceInfo: { identifier, displayName: identifier, imageIdentifier, platform },
+		isEmulator
+	});
+
+	const androidDevice = createDevice("android-device", "Android", false);
+	const androidEmulator = createDevice("emulator-5554", "Android", true, "Pixel_API_28");
+	const iOSDevice = createDevice("ios-device", "iOS", false);
+	const devices = [androidDevice, androidEmulator, iOSDevice];
+
+	beforeEach(() => {
+		settings = {};
+		const testInjector = new Yok();
+		testInjector.register("errors", ErrorsStub);
+		testInjector.register("staticConfig", { CLIENT_NAME: "unit-tests" });
+		testInjector.register("userSettingsService", {
+			getSettingValue: async (settingName: string): Promise<any> => settings[settingName],
+			saveSetting: async (key: string, value: any): Promise<void> => { settings[key] = value; }
+		});
+		deviceGroupsService = testInjector.resolve(DeviceGroupsService);
+	});
+
+	describe("addDevicesToGroup", () => {
+		it("creates the group and does not duplicate the devices in it", async () => {
+			await deviceGroupsService.addDevicesToGroup("smoke", ["android-device", "ios-device"]);
+			await deviceGroupsService.addDevicesToGroup("smoke", ["ios-device", "Pixel_API_28"]);
+			assert.deepEqual(settings, { deviceGroups: { smoke: ["android-device", "ios-device", "Pixel_API_28"] } });
+		});
+
+		it("fails when the name of the group is not valid", async () => {
+			await assert.isRejected(deviceGroupsService.addDevicesToGroup("smoke:tests", ["android-device"]), "smoke:tests is not a valid name.");
+		});
+	});
+
+	describe("removeDevicesFromGroup", () => {
+		beforeEach(() => {
+			settings = { deviceGroups: { smoke: ["android-device", "ios-device"], regression: ["ios-device"] } };
+		});
+
+		it("removes the specified devices from the group", async () => {
+			await deviceGroupsService.removeDevicesFromGroup("smoke", ["ios-device"]);
+			assert.deepEqual(await deviceGroupsService.getGroups(), { smoke: ["android-device"], regression: ["ios-device"] });
+		});
+
+		it("removes the whole group when no devices are specified", async () => {
+			await deviceGroupsService.removeDevicesFromGroup("smoke", []);
+			assert.deepEqual(await deviceGroupsService.getGroups(), { regression: ["ios-device"] });
+		});
+
+		it("removes the group when it becomes empty", async () => {
+			await deviceGroupsService.removeDevicesFromGroup("regression", ["ios-device"]);
+			assert.deepEqual(await deviceGroupsService.getGroups(), { smoke: ["android-device", "ios-device"] });
+		});
+
+		it("fails when the group does not exist", async () => {
+			await assert.isRejected(deviceGroupsService.removeDevicesFromGroup("nightly", []), "Unable to find device group nightly.");
+		});
+	});
+
+	describe("tags", () => {
+		it("assigns and removes tags", async () => {
+			await deviceGroupsService.addTagToDevices("tablet", ["android-device", "ios-device"]);
+			await deviceGroupsService.removeTagFromDevices("tablet", ["android-device"]);
+			assert.deepEqual(await deviceGroupsService.getTags(), { tablet: ["ios-device"] });
+		});
+
+		it("fails when removing a tag which is not assigned", async () => {
+			await assert.isRejected(deviceGroupsService.removeTagFromDevices("tablet", []), "No devices are tagged with tablet.");
+		});
+	});
+
+	describe("isDeviceSelector", () => {
+		_.each([
+			{ deviceOption: "group:smoke", expectedResult: true },
+			{ deviceOption: "tag:tablet", expectedResult: true },
+			{ deviceOption: "emulator-5554", expectedResult: false },
+			{ deviceOption: "1", expectedResult: false },
+			{ deviceOption: undefined, expectedResult: false }
+		], testCase => {
+			it(`returns ${testCase.expectedResult} for ${testCase.deviceOption}`, () => {
+				assert.equal(deviceGroupsService.isDeviceSelector(testCase.deviceOption), testCase.expectedResult);
+			});
+		});
+	});
+
+	describe("getDevicesBySelector", () => {
+		beforeEach(() => {
+			settings = {
+				deviceGroups: { smoke: ["ios-device", "Pixel_API_28", "disconnected-device"] },
+				deviceTags: { tablet: ["android-device"] }
+			};
+		});
+
+		it("returns the connected devices from the group and matches emulators by image identifier", async () => {
+			assert.deepEqual(await deviceGroupsService.getDevicesBySelector("group:smoke", devices), [androidEmulator, iOSDevice]);
+		});
+
+		it("returns the devices with the assigned tag", async () => {
+			assert.deepEqual(await deviceGroupsService.getDevicesBySelector("tag:tablet", devices), [androidDevice]);
+		});
+
+		it("matches the platform and the device type as tags", async () => {
+			assert.deepEqual(await deviceGroupsService.getDevicesBySelector("tag:android", devices), [androidDevice, androidEmulator]);
+			assert.deepEqual(await deviceGroupsService.getDevicesBySelector("tag:emulator", devices), [androidEmulator]);
+			assert.deepEqual(await deviceGroupsService.getDevicesBySelector("tag:device", devices), [androidDevice, iOSDevice]);
+		});
+
+		it("returns no devices for an unknown tag", async () => {
+			assert.deepEqual(await deviceGroupsService.getDevicesBySelector("tag:watch", devices), []);
+		});
+
+		it("fails when the group does not exist", async () => {
+			await assert.isRejected(deviceGroupsService.getDevicesBySelector("group:nightly", devices), "Unable to find device group nightly. Create it with 'unit-tests device group add nightly <Device ID>'.");
+		});
+	});
+});
@@ -6,7 +6,7 @@ import { Yok } from "../../../yok";
 import { LogFilter } from "../../../mobile/log-filter";
 import { AndroidLogFilter } from "../../../mobile/android/android-log-filter";
 import { IOSLogFilter } from "../../../../services/ios-log-filter";
-import { CommonLoggerStub } from "../stubs";
+import { CommonLoggerStub, ErrorsStub } from "../stubs";
 import { LogSourceMapService } from "../../../../services/log-source-map-service";
 import { LoggingLevels } from "../../../mobile/logging-levels";
 import { DevicePlatformsConstants } from "../../../mobile/device-platforms-constants";
@@ -26,6 +26,7 @@ const createTestInjector = (): IInjector => {
 	testInjector.register("androidLogFilter", AndroidLogFilter);
 	testInjector.register("iOSLogFilter", IOSLogFilter);
 	testInjector.register("logger", CommonLoggerStub);
+	testInjector.register("errors", ErrorsStub);
 	testInjector.register("logSourceMapService", LogSourceMapService);
 	testInjector.register("loggingLevels", LoggingLevels);
 	testInjector.register("devicePlatformsConstants", DevicePlatformsConstants);
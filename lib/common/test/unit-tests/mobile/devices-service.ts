@@ -1,4 +1,5 @@
 import { DevicesService } from "../../../mobile/mobile-core/devices-service";
+import { DeviceGroupsService } from "../../../mobile/mobile-core/device-groups-service";
 import { Yok } from "../../../yok";
 import { EmulatorDiscoveryNames, DeviceDiscoveryEventNames, CONNECTED_STATUS, UNREACHABLE_STATUS } from "../../../constants";
 import { DebugCommandErrors, DeviceConnectionType } from "../../../../constants";
@@ -89,6 +90,18 @@ class IOSSimulatorDiscoveryStub extends EventEmitter {
 	}
 }
 
+class UserSettingsServiceStub {
+	public settings: IDictionary<any> = {};
+
+	public async getSettingValue<T>(settingName: string): Promise<T> {
+		return this.settings[settingName];
+	}
+
+	public async saveSetting<T>(key: string, value: T): Promise<void> {
+		this.settings[key] = value;
+	}
+}
+
 function getErrorMessage(injector: IInjector, message: string, ...args: string[]): string {
 	return util.format(injector.resolve("messages").Devices[message],
 		..._.concat(args, injector.resolve("staticConfig").CLIENT_NAME.toLowerCase()));
@@ -182,6 +195,8 @@ function createTestInjector(): IInjector {
 	testInjector.register("androidProcessService", { /* no implementation required */ });
 	testInjector.register("androidEmulatorDiscovery", AndroidEmulatorDiscoveryStub);
 	testInjector.register("emulatorHelper", {});
+	testInjector.register("deviceGroupsService", DeviceGroupsService);
+	testInjector.register("userSettingsService", UserSettingsServiceStub);
 
 	return testInjector;
 }
@@ -750,6 +765,66 @@ describe("devicesService", () => {
 			});
 		});
 
+		describe("when deviceId is a device group or tag", () => {
+			const emitDevices = () => {
+				androidDeviceDiscovery.emit(DeviceDiscoveryEventNames.DEVICE_FOUND, androidDevice);
+				androidDeviceDiscovery.emit(DeviceDiscoveryEventNames.DEVICE_FOUND, tempDevice);
+				iOSDeviceDiscovery.emit(DeviceDiscoveryEventNames.DEVICE_FOUND, iOSDevice);
+			};
+
+			const getExecutedDeviceIdentifiers = async (): Promise<string[]> => {
+				const executedDeviceIdentifiers: string[] = [];
+				await devicesService.execute(async device => { executedDeviceIdentifiers.push(device.deviceInfo.identifier); });
+				return executedDeviceIdentifiers;
+			};
+
+			beforeEach(() => {
+				testInjector.resolve("userSettingsService").settings = {
+					deviceGroups: { smoke: [androidDevice.deviceInfo.identifier, iOSDevice.deviceInfo.identifier, "disconnected-device"] },
+					deviceTags: { tablet: [tempDevice.deviceInfo.identifier] }
+				};
+			});
+
+			it("executes the action only on the devices from the group", async () => {
+				emitDevices();
+				await devicesService.initialize({ deviceId: "group:smoke", skipInferPlatform: true });
+				assert.deepEqual(devicesService.getSelectedDeviceInstances(), [androidDevice, iOSDevice]);
+				assert.deepEqual(devicesService.deviceCount, 2);
+				assert.isUndefined(devicesService.platform);
+				assert.deepEqual(await getExecutedDeviceIdentifiers(), [androidDevice.deviceInfo.identifier, iOSDevice.deviceInfo.identifier]);
+			});
+
+			it("infers the platform from the devices with the tag", async () => {
+				emitDevices();
+				await devicesService.initialize({ deviceId: "tag:tablet" });
+				assert.deepEqual(devicesService.platform, "android");
+				assert.deepEqual(await getExecutedDeviceIdentifiers(), [tempDevice.deviceInfo.identifier]);
+			});
+
+			it("matches the platform of the devices as a tag and does not start an emulator", async () => {
+				emitDevices();
+				await devicesService.initialize({ platform: "android", deviceId: "tag:android" });
+				assert.deepEqual(await getExecutedDeviceIdentifiers(), [androidDevice.deviceInfo.identifier, tempDevice.deviceInfo.identifier]);
+				assert.isFalse(androidEmulatorServices.isStartEmulatorCalled);
+			});
+
+			it("filters the devices from the group by the passed platform", async () => {
+				emitDevices();
+				await devicesService.initialize({ platform: "ios", deviceId: "group:smoke" });
+				assert.deepEqual(await getExecutedDeviceIdentifiers(), [iOSDevice.deviceInfo.identifier]);
+			});
+
+			it("fails when no connected devices match the selector", async () => {
+				emitDevices();
+				await assert.isRejected(devicesService.initialize({ deviceId: "tag:phone" }), "Unable to find connected devices matching tag:phone.");
+			});
+
+			it("fails when the group does not exist", async () => {
+				emitDevices();
+				await assert.isRejected(devicesService.initialize({ deviceId: "group:regression" }), "Unable to find device group regression.");
+			});
+		});
+
 		describe("when only platform is passed", () => {
 			it("initialize fails when platform is iOS on non-Darwin platform and there are no devices attached when --emulator is passed", async () => {
 				testInjector.resolve("hostInfo").isDarwin = false;
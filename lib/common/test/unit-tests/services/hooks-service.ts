@@ -0,0 +1,187 @@
+import * as path from "path";
+import { Yok } from "../../../yok";
+import { HooksService } from "../../../services/hooks-service";
+import { FileSystem } from "../../../file-system";
+import { CommonLoggerStub, ErrorsStub } from "../stubs";
+import { assert } from "chai";
+import temp = require("temp");
+
+temp.track();
+
+function createTestInjector(projectDir: string, nsConfig: INsConfig, trackedHooks: string[]): IInjector {
+	const testInjector = new Yok();
+	testInjector.register("childProcess", {});
+	testInjector.register("fs", FileSystem);
+	testInjector.register("logger", CommonLoggerStub);
+	testInjector.register("errors", ErrorsStub);
+	testInjector.register("config", {});
+	testInjector.register("staticConfig", { CLIENT_NAME: "tns", version: "1.0.0" });
+	testInjector.register("projectHelper", { projectDir });
+	testInjector.register("options", { hooks: true });
+	testInjector.register("performanceService", {
+		now: (): number => 0,
+		processExecutionData: (methodInfo: string): void => {
+			trackedHooks.push(methodInfo);
+		}
+	});
+	testInjector.register("projectDataService", {
+		getProjectData: () => ({ projectDir, nsConfig })
+	});
+	testInjector.register("hooksService", HooksService);
+
+	return testInjector;
+}
+
+describe("hooksService", () => {
+	let projectDir: string;
+	let fs: IFileSystem;
+	let trackedHooks: string[];
+
+	const writeHook = (relativePath: string, content?: string): string => {
+		const fullPath = path.join(projectDir, relativePath);
+		fs.writeFile(fullPath, content || `module.exports = function(hookArgs) { require("fs").appendFileSync(hookArgs.outputPath, "${path.basename(relativePath)};"); };`);
+		return fullPath;
+	};
+
+	const writeDelayedHook = (relativePath: string, options?: string): string => {
+		const name = path.basename(relativePath);
+		return writeHook(relativePath, `module.exports = function(hookArgs) {
+	const fs = require("fs");
+	fs.appendFileSync(hookArgs.outputPath, "start:${name};");
+	return new Promise(resolve => setTimeout(resolve, 20)).then(() => fs.appendFileSync(hookArgs.outputPath, "end:${name};"));
+};
+${options || ""}`);
+	};
+
+	const createHooksService = (nsConfigHooks: INsConfigHook[]): IHooksService => {
+		fs.writeJson(path.join(projectDir, "nsconfig.json"), { hooks: nsConfigHooks });
+		return createTestInjector(projectDir, { hooks: nsConfigHooks }, trackedHooks).resolve("hooksService");
+	};
+
+	beforeEach(() => {
+		projectDir = temp.mkdirSync("hooksServiceProject");
+		fs = new FileSystem(null);
+		trackedHooks = [];
+	});
+
+	describe("getHooks", () => {
+		it("returns the hooks from the hooks directory before the hooks from nsconfig.json", () => {
+			const directoryHookPath = writeHook(path.join("hooks", "before-prepare", "directory-hook.js"));
+			const nsConfigHookPath = writeHook(path.join("tools", "nsconfig-hook.js"));
+			const hooksService = createHooksService([{ type: "before-prepare", script: "./tools/nsconfig-hook.js" }]);
+
+			const hooks = hooksService.getHooks(projectDir);
+
+			assert.deepEqual(hooks.map(hook => _.pick(hook, ["name", "fullPath", "source"])), [
+				{ name: "before-prepare", fullPath: directoryHookPath, source: path.join(projectDir, "hooks", "before-prepare") },
+				{ name: "before-prepare", fullPath: nsConfigHookPath, source: path.join(projectDir, "nsconfig.json") }
+			]);
+		});
+
+		it("sorts the hooks by name and keeps the order from nsconfig.json for hooks with the same name", () => {
+			writeHook(path.join("tools", "first.js"));
+			writeHook(path.join("tools", "second.js"));
+			writeHook(path.join("tools", "third.js"));
+			const hooksService = createHooksService([
+				{ type: "before-prepare", script: "./tools/second.js" },
+				{ type: "after-prepare", script: "./tools/third.js" },
+				{ type: "before-prepare", script: "./tools/first.js" }
+			]);
+
+			const hooks = hooksService.getHooks(projectDir);
+
+			assert.deepEqual(hooks.map(hook => `${hook.name}:${path.basename(hook.fullPath)}`), [
+				"after-prepare:third.js",
+				"before-prepare:second.js",
+				"before-prepare:first.js"
+			]);
+		});
+	});
+
+	describe("executeBeforeHooks", () => {
+		it("executes the hooks from the hooks directory and from nsconfig.json in order", async () => {
+			writeHook(path.join("hooks", "before-prepare", "directory-hook.js"));
+			writeHook(path.join("tools", "nsconfig-hook.js"));
+			writeHook(path.join("tools", "after-hook.js"));
+			const hooksService = createHooksService([
+				{ type: "before-prepare", script: "./tools/nsconfig-hook.js" },
+				{ type: "after-prepare", script: "./tools/after-hook.js" }
+			]);
+			const outputPath = path.join(projectDir, "output.txt");
+
+			await hooksService.executeBeforeHooks("prepare", { hookArgs: { projectDir, outputPath } });
+
+			assert.equal(fs.readText(outputPath), "directory-hook.js;nsconfig-hook.js;");
+		});
+
+		it("records the duration of each executed hook", async () => {
+			writeHook(path.join("hooks", "before-prepare", "directory-hook.js"));
+			writeHook(path.join("tools", "nsconfig-hook.js"));
+			const hooksService = createHooksService([{ type: "before-prepare", script: "./tools/nsconfig-hook.js" }]);
+
+			await hooksService.executeBeforeHooks("prepare", { hookArgs: { projectDir, outputPath: path.join(projectDir, "output.txt") } });
+
+			assert.deepEqual(trackedHooks, ["before-prepare__directory-hook.js", "before-prepare__tools__nsconfig-hook.js"]);
+		});
+
+		it("executes the hooks one after another by default", async () => {
+			writeDelayedHook(path.join("tools", "first.js"));
+			writeDelayedHook(path.join("tools", "second.js"));
+			const hooksService = createHooksService([
+				{ type: "before-prepare", script: "./tools/first.js" },
+				{ type: "before-prepare", script: "./tools/second.js" }
+			]);
+			const outputPath = path.join(projectDir, "output.txt");
+
+			await hooksService.executeBeforeHooks("prepare", { hookArgs: { projectDir, outputPath } });
+
+			assert.equal(fs.readText(outputPath), "start:first.js;end:first.js;start:second.js;end:second.js;");
+		});
+
+		it("requires each hook right before its execution", async () => {
+			const outputPath = path.join(projectDir, "output.txt");
+			writeHook(path.join("tools", "first.js"));
+			writeHook(path.join("tools", "second.js"), `require("fs").appendFileSync(${JSON.stringify(outputPath)}, "require:second.js;");
+module.exports = function(hookArgs) { require("fs").appendFileSync(hookArgs.outputPath, "second.js;"); };`);
+			const hooksService = createHooksService([
+				{ type: "before-prepare", script: "./tools/first.js" },
+				{ type: "before-prepare", script: "./tools/second.js" }
+			]);
+
+			await hooksService.executeBeforeHooks("prepare", { hookArgs: { projectDir, outputPath } });
+
+			assert.equal(fs.readText(outputPath), "first.js;require:second.js;second.js;");
+		});
+
+		it("executes adjacent parallel hooks at the same time", async () => {
+			writeDelayedHook(path.join("tools", "first.js"), "module.exports.parallel = true;");
+			writeDelayedHook(path.join("tools", "second.js"));
+			writeDelayedHook(path.join("tools", "third.js"));
+			const hooksService = createHooksService([
+				{ type: "before-prepare", script: "./tools/first.js" },
+				{ type: "before-prepare", script: "./tools/second.js", parallel: true },
+				{ type: "before-prepare", script: "./tools/third.js" }
+			]);
+			const outputPath = path.join(projectDir, "output.txt");
+
+			await hooksService.executeBeforeHooks("prepare", { hookArgs: { projectDir, outputPath } });
+
+			assert.equal(fs.readText(outputPath), "start:first.js;start:second.js;end:first.js;end:second.js;start:third.js;end:third.js;");
+		});
+
+		it("fails with the name of the hook when the timeout from nsconfig.json passes", async () => {
+			const hookPath = writeHook(path.join("tools", "hung.js"), "module.exports = function() { return new Promise(() => undefined); };");
+			const hooksService = createHooksService([{ type: "before-prepare", script: "./tools/hung.js", timeout: 50 }]);
+
+			await assert.isRejected(hooksService.executeBeforeHooks("prepare", { hookArgs: { projectDir } }), `The before-prepare hook ${hookPath} did not finish in 50 ms.`);
+			assert.deepEqual(trackedHooks, ["before-prepare__tools__hung.js"]);
+		});
+
+		it("uses the timeout exported by the hook", async () => {
+			const hookPath = writeHook(path.join("hooks", "before-prepare", "hung.js"), "module.exports = function() { return new Promise(() => undefined); };\nmodule.exports.timeout = 50;");
+			const hooksService = createHooksService([]);
+
+			await assert.isRejected(hooksService.executeBeforeHooks("prepare", { hookArgs: { projectDir } }), `The before-prepare hook ${hookPath} did not finish in 50 ms.`);
+		});
+	});
+});
@@ -97,6 +97,9 @@ export class HooksServiceStub implements IHooksService {
 	async executeAfterHooks(commandName: string): Promise<void> {
 		return;
 	}
+	getHooks(projectDir?: string): IHook[] {
+		return [];
+	}
 
 	hookArgsName = "hookArgs";
 }
@@ -192,6 +195,9 @@ export class DeviceLogProviderStub extends EventEmitter implements Mobile.IDevic
 	setProjectDirForDevice(deviceIdentifier: string, projectDir: string): void {
 		this.currentDeviceProjectDirs[deviceIdentifier] = projectDir;
 	}
+
+	setLogFilterOptions(options: Mobile.IDeviceLogFilterOptions, deviceIdentifier?: string): void {
+	}
 }
 
 export class AndroidBundleToolServiceStub implements IAndroidBundleToolService {
@@ -202,6 +208,9 @@ export class AndroidBundleToolServiceStub implements IAndroidBundleToolService {
 		this.isBuildApksCalled = true;
 		return;
 	}
+	buildUniversalApk(options: IBuildUniversalApkOptions): Promise<void> {
+		return;
+	}
 	installApks(options: IInstallApksOptions): Promise<void> {
 		this.isInstallApksCalled = true;
 		return;
@@ -29,6 +29,10 @@ export const LIVESYNC_EXCLUDED_FILE_PATTERNS = ["**/*.js.map", "**/*.ts"];
 export const XML_FILE_EXTENSION = ".xml";
 export const PLATFORMS_DIR_NAME = "platforms";
 export const HOOKS_DIR_NAME = "hooks";
+export const GENERATORS_DIR_NAME = "generators";
+export const GENERATOR_CONFIG_FILE_NAME = "generator.json";
+export const GENERATOR_FILES_DIR_NAME = "files";
+export const GENERATOR_TEMPLATE_EXTENSION_NAME = ".template";
 export const WEBPACK_CONFIG_NAME = "webpack.config.js";
 export const TSCCONFIG_TNS_JSON_NAME = "tsconfig.tns.json";
 export const KARMA_CONFIG_NAME = "karma.conf.js";
@@ -57,6 +61,7 @@ export const DEPENDENCIES_JSON_NAME = "dependencies.json";
 export const APK_EXTENSION_NAME = ".apk";
 export const AAB_EXTENSION_NAME = ".aab";
 export const APKS_EXTENSION_NAME = ".apks";
+export const UNIVERSAL_APK_SUFFIX = "-universal";
 export const HASHES_FILE_NAME = ".nshashes";
 export const TNS_NATIVE_SOURCE_GROUP_NAME = "TNSNativeSource";
 export const NATIVE_SOURCE_FOLDER = "src";
@@ -155,6 +160,11 @@ export class ProjectTypes {
 	public static SvelteFlavorName = "Svelte";
 }
 export const BUILD_OUTPUT_EVENT_NAME = "buildOutput";
+/**
+ * The properties of the build data which select the native build variant. A change in any of them requires a new build.
+ */
+export const BUILD_VARIANT_PROPERTIES = ["androidFlavor", "androidBuildType", "iosConfiguration", "iosScheme"];
+export const ARTIFACTS_MANIFEST_FILE_NAME = "artifacts.json";
 export const CONNECTION_ERROR_EVENT_NAME = "connectionError";
 export const USER_INTERACTION_NEEDED_EVENT_NAME = "userInteractionNeeded";
 export const DEBUGGER_ATTACHED_EVENT_NAME = "debuggerAttached";
@@ -165,6 +175,8 @@ export const POST_INSTALL_COMMAND_NAME = "post-install-cli";
 const ANDROID_SIGNING_REQUIRED_MESSAGE = "you need to specify all --key-store-* options.";
 export const ANDROID_RELEASE_BUILD_ERROR_MESSAGE = `When producing a release build, ${ANDROID_SIGNING_REQUIRED_MESSAGE}`;
 export const ANDROID_APP_BUNDLE_SIGNING_ERROR_MESSAGE = `When producing Android App Bundle, ${ANDROID_SIGNING_REQUIRED_MESSAGE}`;
+export const ANDROID_UNIVERSAL_APK_SIGNING_ERROR_MESSAGE = `When producing a universal APK, ${ANDROID_SIGNING_REQUIRED_MESSAGE}`;
+export const CREDENTIAL_REFERENCE_PREFIX = "@store:";
 export const CACACHE_DIRECTORY_NAME = "_cacache";
 
 export const FILES_CHANGE_EVENT_NAME = "filesChangeEvent";
@@ -184,6 +196,14 @@ export const enum NativePlatformStatus {
 	alreadyPrepared = "3"
 }
 
+export class ProjectChangeFlags {
+	public static appResourcesChanged = "appResourcesChanged";
+	public static configChanged = "configChanged";
+	public static nsConfigChanged = "nsConfigChanged";
+	public static nativeChanged = "nativeChanged";
+	public static signingChanged = "signingChanged";
+}
+
 export const enum DebugTools {
 	Chrome = "Chrome",
 	Inspector = "Inspector"
@@ -342,7 +362,8 @@ export enum IOSNativeTargetTypes {
 const pathToLoggerAppendersDir = join(__dirname, "common", "logger", "appenders");
 export const LoggerAppenders = {
 	emitAppender: join(pathToLoggerAppendersDir, "emit-appender"),
-	cliAppender: join(pathToLoggerAppendersDir, "cli-appender")
+	cliAppender: join(pathToLoggerAppendersDir, "cli-appender"),
+	jsonAppender: join(pathToLoggerAppendersDir, "json-appender")
 };
 
 export enum DeviceConnectionType {
@@ -413,7 +434,13 @@ export enum LoggerLevel {
 export enum LoggerConfigData {
 	useStderr = "useStderr",
 	wrapMessageWithBorders = "wrapMessageWithBorders",
-	skipNewLine = "skipNewLine"
+	skipNewLine = "skipNewLine",
+	deviceIdentifier = "deviceIdentifier"
+}
+
+export enum LogFormat {
+	text = "text",
+	json = "json"
 }
 
 export const EMIT_APPENDER_EVENT_NAME = "logData";
@@ -423,3 +450,20 @@ export enum PackageManagers {
 	pnpm = "pnpm",
 	yarn = "yarn"
 }
+
+export class BuildCacheDefaults {
+	public static Backend = "local";
+	public static BackendSuffix = "BuildCacheBackend";
+}
+
+export class EventStreamFormats {
+	public static NDJSON = "ndjson";
+}
+
+export class JsonRpcErrorCodes {
+	public static ParseError = -32700;
+	public static InvalidRequest = -32600;
+	public static MethodNotFound = -32601;
+	public static InternalError = -32603;
+	public static RequestCancelled = -32800;
+}
@@ -6,8 +6,11 @@ import { attachAwaitDetach } from "../common/helpers";
 export class BuildController extends EventEmitter implements IBuildController {
 	constructor(
 		private $analyticsService: IAnalyticsService,
+		private $artifactsManifestService: IArtifactsManifestService,
 		private $buildArtefactsService: IBuildArtefactsService,
+		private $buildCacheService: IBuildCacheService,
 		private $buildInfoFileService: IBuildInfoFileService,
+		private $changesExplanationService: IChangesExplanationService,
 		private $fs: IFileSystem,
 		private $logger: ILogger,
 		private $injector: IInjector,
@@ -55,15 +58,25 @@ export class BuildController extends EventEmitter implements IBuildController {
 			this.$logger.info(data.data.toString(), { [constants.LoggerConfigData.skipNewLine]: true });
 		};
 
-		await attachAwaitDetach(constants.BUILD_OUTPUT_EVENT_NAME, platformData.platformProjectService, handler, platformData.platformProjectService.buildProject(platformData.projectRoot, projectData, buildData));
+		const buildCacheKey = await this.$buildCacheService.getBuildCacheKey(platformData, projectData, buildData);
+		const isRestoredFromCache = !!buildCacheKey && !buildData.clean && await this.$buildCacheService.restoreBuildResult(buildCacheKey, platformData, projectData, buildData);
+		if (!isRestoredFromCache) {
+			await attachAwaitDetach(constants.BUILD_OUTPUT_EVENT_NAME, platformData.platformProjectService, handler, platformData.platformProjectService.buildProject(platformData.projectRoot, projectData, buildData));
+		}
 
 		const buildInfoFileDir = platformData.getBuildOutputPath(buildData);
-		this.$buildInfoFileService.saveLocalBuildInfo(platformData, buildInfoFileDir);
+		this.$buildInfoFileService.saveLocalBuildInfo(platformData, buildInfoFileDir, buildData);
 
 		this.$logger.info("Project successfully built.");
 
 		const result = await this.$buildArtefactsService.getLatestAppPackagePath(platformData, buildData);
 
+		if (buildCacheKey && !isRestoredFromCache) {
+			await this.$buildCacheService.saveBuildResult(buildCacheKey, result, projectData, buildData);
+		}
+
+		await this.$artifactsManifestService.saveManifest(platformData, projectData, buildData, result);
+
 		if (buildData.copyTo) {
 			this.$buildArtefactsService.copyLatestAppPackage(buildData.copyTo, platformData, buildData);
 		} else {
@@ -87,38 +100,59 @@ export class BuildController extends EventEmitter implements IBuildController {
 	public async shouldBuild(buildData: IBuildData): Promise<boolean> {
 		const projectData = this.$projectDataService.getProjectData(buildData.projectDir);
 		const platformData = this.$platformsDataService.getPlatformData(buildData.platform, projectData);
+		const buildDecision = await this.getBuildDecision(buildData, platformData, projectData);
+		this.$changesExplanationService.explainBuild(platformData, buildDecision);
+
+		return buildDecision.shouldBuild;
+	}
+
+	private async getBuildDecision(buildData: IBuildData, platformData: IPlatformData, projectData: IProjectData): Promise<IBuildDecision> {
 		const outputPath = buildData.outputPath || platformData.getBuildOutputPath(buildData);
 		const changesInfo = this.$projectChangesService.currentChanges || await this.$projectChangesService.checkForChanges(platformData, projectData, buildData);
 
 		if (changesInfo.changesRequireBuild) {
-			return true;
+			const reasons = _(changesInfo.reasons)
+				.filter(reason => reason.flag === constants.ProjectChangeFlags.nativeChanged || reason.flag === constants.ProjectChangeFlags.appResourcesChanged)
+				.map(reason => reason.filePath ? `${reason.message} (${reason.filePath})` : reason.message)
+				.uniq()
+				.value();
+			return { shouldBuild: true, reason: `There are changes which require build. ${reasons.join(" ")}`.trim() };
 		}
 
 		if (!this.$fs.exists(outputPath)) {
-			return true;
+			return { shouldBuild: true, reason: `The build output directory ${outputPath} does not exist.` };
 		}
 
 		const validBuildOutputData = platformData.getValidBuildOutputData(buildData);
 		const packages = this.$buildArtefactsService.getAllAppPackages(outputPath, validBuildOutputData);
 		if (packages.length === 0) {
-			return true;
+			return { shouldBuild: true, reason: `There is no application package in ${outputPath}.` };
 		}
 
 		const prepareInfo = this.$projectChangesService.getPrepareInfo(platformData);
 		const buildInfo = this.$buildInfoFileService.getLocalBuildInfo(platformData, buildData);
 		if (!prepareInfo || !buildInfo) {
-			return true;
+			return { shouldBuild: true, reason: `There is no ${prepareInfo ? "build" : "prepare"} info from a previous run.` };
 		}
 
 		if (buildData.clean) {
-			return true;
+			return { shouldBuild: true, reason: "The --clean option is passed." };
+		}
+
+		const changedBuildVariantProperty = _.find(constants.BUILD_VARIANT_PROPERTIES, property => ((<any>buildInfo)[property] || null) !== ((<any>buildData)[property] || null));
+		if (changedBuildVariantProperty) {
+			return { shouldBuild: true, reason: `The ${changedBuildVariantProperty} is changed since the last build.` };
 		}
 
 		if (prepareInfo.time === buildInfo.prepareTime) {
-			return false;
+			return { shouldBuild: false, reason: "The application package is built after the last prepare." };
 		}
 
-		return prepareInfo.changesRequireBuildTime !== buildInfo.prepareTime;
+		const shouldBuild = prepareInfo.changesRequireBuildTime !== buildInfo.prepareTime;
+		return {
+			shouldBuild,
+			reason: shouldBuild ? "The last build is older than the last prepare which required build." : "The changes since the last build do not require native build."
+		};
 	}
 }
 $injector.register("buildController", BuildController);
@@ -0,0 +1,126 @@
+import * as path from "path";
+import { CONFIG_NS_FILE_NAME, ANDROID_RELEASE_BUILD_ERROR_MESSAGE } from "../constants";
+import { getHash, hasValidAndroidSigning } from "../common/helpers";
+
+export class BuildMatrixController implements IBuildMatrixController {
+	private static DEFAULT_MANIFEST_NAME = "build-matrix-manifest.json";
+	// Options which are shared by all builds of the matrix unless an entry sets its own value.
+	private static SHARED_BUILD_OPTIONS = ["release", "forDevice", "clean", "buildCache", "aab", "flavor", "buildType", "iosConfiguration", "iosScheme",
+		"keyStorePath", "keyStorePassword", "keyStoreAlias", "keyStoreAliasPassword", "provision", "teamId", "environment", "env"];
+	// Options which change the result of the prepare. Builds which have the same values of these options are built after a single prepare.
+	private static PREPARE_OPTIONS = ["release", "environment", "env", "provision", "teamId"];
+
+	constructor(private $artifactsManifestService: IArtifactsManifestService,
+		private $buildController: IBuildController,
+		private $buildDataService: IBuildDataService,
+		private $errors: IErrors,
+		private $fs: IFileSystem,
+		private $logger: ILogger,
+		private $mobileHelper: Mobile.IMobileHelper,
+		private $options: IOptions,
+		private $prepareController: IPrepareController) { }
+
+	public getBuildMatrix(projectData: IProjectData, matrixFilePath: string, platform: string): IBuildMatrix {
+		const fullPath = path.resolve(matrixFilePath);
+		if (!this.$fs.exists(fullPath)) {
+			this.$errors.fail(`The build matrix file ${fullPath} does not exist.`);
+		}
+
+		const matrix: IBuildMatrix = this.$fs.readJson(fullPath);
+		if (!matrix || !_.isArray(matrix.builds) || !matrix.builds.length) {
+			this.$errors.fail(`The build matrix in ${fullPath} must have a non-empty "builds" array.`);
+		}
+
+		_.each(matrix.builds, (entry, index) => {
+			if (!_.isPlainObject(entry) || !_.isString(entry.platform) || !_.includes(this.$mobileHelper.platformNames, this.$mobileHelper.normalizePlatformName(entry.platform))) {
+				this.$errors.fail(`The build at index ${index} of the build matrix in ${fullPath} has invalid platform.`);
+			}
+
+			const environments = (projectData.nsConfig && projectData.nsConfig.environments) || {};
+			if (entry.environment && !_.has(environments, entry.environment)) {
+				this.$errors.fail(`The build at index ${index} of the build matrix in ${fullPath} uses the environment "${entry.environment}" which is not defined in the "environments" property of ${CONFIG_NS_FILE_NAME}.`);
+			}
+		});
+
+		const builds = _.filter(matrix.builds, entry => this.$mobileHelper.normalizePlatformName(entry.platform) === this.$mobileHelper.normalizePlatformName(platform));
+		if (!builds.length) {
+			this.$errors.fail(`The build matrix in ${fullPath} has no builds for platform ${platform}.`);
+		}
+
+		return { ...matrix, builds };
+	}
+
+	public async buildMatrix(projectData: IProjectData, matrix: IBuildMatrix, data: any): Promise<IBuildMatrixManifest> {
+		const sharedOptions = _.pick(data, BuildMatrixController.SHARED_BUILD_OPTIONS);
+		const builds = _.map(matrix.builds, (entry, index) => {
+			const buildOptions = { ...sharedOptions, ...entry, env: { ...sharedOptions.env, ...entry.env } };
+			if (this.$mobileHelper.isAndroidPlatform(entry.platform) && buildOptions.release && !hasValidAndroidSigning(buildOptions)) {
+				this.$errors.fail(`The build at index ${index} of the build matrix is a release build without signing options. ${ANDROID_RELEASE_BUILD_ERROR_MESSAGE}`);
+			}
+
+			return {
+				name: entry.name || this.getDefaultName(buildOptions),
+				environment: buildOptions.environment,
+				buildData: this.$buildDataService.getBuildData(projectData.projectDir, entry.platform.toLowerCase(), buildOptions),
+				prepareKey: getHash(JSON.stringify({ platform: entry.platform.toLowerCase(), ..._.pick(buildOptions, BuildMatrixController.PREPARE_OPTIONS) }))
+			};
+		});
+
+		const artifacts: IBuildMatrixArtifact[] = [];
+		const buildGroups = _.groupBy(builds, build => build.prepareKey);
+		for (const prepareKey in buildGroups) {
+			const group = buildGroups[prepareKey];
+			await this.executeInEnvironment(_.first(group).environment, async () => {
+				await this.$prepareController.prepare(_.first(group).buildData);
+
+				for (const build of group) {
+					this.$logger.info(`Building ${build.name}...`);
+					const artifactPath = await this.$buildController.build(build.buildData);
+					const artifact: IBuildMatrixArtifact = {
+						name: build.name,
+						platform: build.buildData.platform,
+						release: !!build.buildData.release,
+						path: artifactPath,
+						sha256: await this.$artifactsManifestService.getPackageHash(artifactPath)
+					};
+					if (build.environment) {
+						artifact.environment = build.environment;
+					}
+
+					artifacts.push(artifact);
+				}
+			});
+		}
+
+		const manifestPath = path.resolve(projectData.projectDir, matrix.manifest || BuildMatrixController.DEFAULT_MANIFEST_NAME);
+		this.$fs.writeJson(manifestPath, { builds: artifacts });
+
+		return { manifestPath, artifacts };
+	}
+
+	/**
+	 * The project data reads the environment from the options, so the environment of the build is set in them while it is prepared and built.
+	 */
+	private async executeInEnvironment(environment: string, action: () => Promise<void>): Promise<void> {
+		const originalEnvironment = this.$options.environment;
+		this.$options.environment = environment;
+		try {
+			await action();
+		} finally {
+			this.$options.environment = originalEnvironment;
+		}
+	}
+
+	private getDefaultName(buildOptions: IBuildMatrixEntry): string {
+		const parts = [
+			buildOptions.platform.toLowerCase(),
+			buildOptions.environment,
+			buildOptions.flavor || buildOptions.androidFlavor,
+			buildOptions.buildType || buildOptions.androidBuildType || buildOptions.iosConfiguration || (buildOptions.release ? "release" : "debug")
+		];
+
+		return _.compact(parts).join("-");
+	}
+}
+
+$injector.register("buildMatrixController", BuildMatrixController);
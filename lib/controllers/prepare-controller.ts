@@ -69,6 +69,11 @@ export class PrepareController extends EventEmitter {
 
 		const platformData = this.$platformsDataService.getPlatformData(prepareData.platform, projectData);
 
+		if (projectData.environment) {
+			this.$logger.info(`Using environment ${projectData.environmentName}.`);
+			prepareData.env = { ...projectData.environment.env, ...prepareData.env };
+		}
+
 		if (prepareData.watch) {
 			result = await this.startWatchersWithPrepare(platformData, projectData, prepareData);
 		} else {
@@ -193,6 +198,7 @@ export class PrepareController extends EventEmitter {
 			path.join(projectData.getAppDirectoryPath(), PACKAGE_JSON_FILE_NAME),
 			path.join(projectData.getAppResourcesRelativeDirectoryPath(), platformData.normalizedPlatformName),
 		]
+			.concat(projectData.environmentAppResourcesDirectoryPath ? [path.join(projectData.environmentAppResourcesDirectoryPath, platformData.normalizedPlatformName)] : [])
 			.concat(pluginsNativeDirectories)
 			.concat(pluginsPackageJsonFiles);
 
@@ -8,6 +8,7 @@ export class BuildData extends PrepareData implements IBuildData {
 	public buildOutputStdio?: string;
 	public outputPath?: string;
 	public copyTo?: string;
+	public buildCache?: string;
 
 	constructor(projectDir: string, platform: string, data: any) {
 		super(projectDir, platform, data);
@@ -19,6 +20,7 @@ export class BuildData extends PrepareData implements IBuildData {
 		this.buildOutputStdio = data.buildOutputStdio;
 		this.outputPath = data.outputPath;
 		this.copyTo = data.copyTo;
+		this.buildCache = data.buildCache;
 	}
 }
 
@@ -28,6 +30,8 @@ export class IOSBuildData extends BuildData implements IiOSBuildData {
 	public mobileProvisionData: any;
 	public buildForAppStore: boolean;
 	public iCloudContainerEnvironment: string;
+	public iosConfiguration: string;
+	public iosScheme: string;
 
 	constructor(projectDir: string, platform: string, data: any) {
 		super(projectDir, platform, data);
@@ -37,15 +41,19 @@ export class IOSBuildData extends BuildData implements IiOSBuildData {
 		this.mobileProvisionData = data.mobileProvisionData;
 		this.buildForAppStore = data.buildForAppStore;
 		this.iCloudContainerEnvironment = data.iCloudContainerEnvironment;
+		this.iosConfiguration = data.iosConfiguration;
+		this.iosScheme = data.iosScheme;
 	}
 }
 
-export class AndroidBuildData extends BuildData {
+export class AndroidBuildData extends BuildData implements IAndroidBuildData {
 	public keyStoreAlias: string;
 	public keyStorePath: string;
 	public keyStoreAliasPassword: string;
 	public keyStorePassword: string;
 	public androidBundle: boolean;
+	public androidFlavor: string;
+	public androidBuildType: string;
 
 	constructor(projectDir: string, platform: string, data: any) {
 		super(projectDir, platform, data);
@@ -55,5 +63,7 @@ export class AndroidBuildData extends BuildData {
 		this.keyStoreAliasPassword = data.keyStoreAliasPassword;
 		this.keyStorePassword = data.keyStorePassword;
 		this.androidBundle = data.androidBundle || data.aab;
+		this.androidFlavor = data.androidFlavor || data.flavor;
+		this.androidBuildType = data.androidBuildType || data.buildType;
 	}
 }
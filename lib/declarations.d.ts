@@ -490,6 +490,7 @@ interface INpmInstallConfigurationOptions extends INpmInstallConfigurationOption
 
 interface IGenerateOptions {
 	collection?: string;
+	dryRun?: boolean;
 }
 
 interface IDebugInformation extends IPort, Mobile.IDeviceIdentifier {
@@ -509,9 +510,20 @@ interface IPluginSeedOptions {
 
 interface IAndroidBundleOptions {
 	aab: boolean;
+	universalApk: boolean;
 }
 
-interface IOptions extends IRelease, IDeviceIdentifier, IJustLaunch, IAvd, IAvailableDevices, IProfileDir, IHasEmulatorOption, IBundleString, IHasEmulatorOption, IClean, IProvision, ITeamIdentifier, IAndroidReleaseOptions, IAndroidBundleOptions, INpmInstallConfigurationOptions, IPort, IEnvOptions, IPluginSeedOptions, IGenerateOptions {
+interface IAndroidBuildVariantOptions {
+	flavor: string;
+	buildType: string;
+}
+
+interface IiOSBuildVariantOptions {
+	iosConfiguration: string;
+	iosScheme: string;
+}
+
+interface IOptions extends IRelease, IDeviceIdentifier, IJustLaunch, IAvd, IAvailableDevices, IProfileDir, IHasEmulatorOption, IBundleString, IHasEmulatorOption, IClean, IProvision, ITeamIdentifier, IAndroidReleaseOptions, IAndroidBundleOptions, IAndroidBuildVariantOptions, IiOSBuildVariantOptions, INpmInstallConfigurationOptions, IPort, IEnvOptions, IPluginSeedOptions, IGenerateOptions {
 	argv: IYargArgv;
 	validateOptions(commandSpecificDashedOptions?: IDictionary<IDashedOption>, projectData?: IProjectData): void;
 	options: IDictionary<IDashedOption>;
@@ -553,6 +565,7 @@ interface IOptions extends IRelease, IDeviceIdentifier, IJustLaunch, IAvd, IAvai
 	client: boolean;
 	compileSdk: number;
 	copyTo: string;
+	buildCache: string;
 	debugTransport: boolean;
 	forDevice: boolean;
 	iCloudContainerEnvironment: string;
@@ -585,6 +598,28 @@ interface IOptions extends IRelease, IDeviceIdentifier, IJustLaunch, IAvd, IAvai
 	appleApplicationSpecificPassword: string;
 	appleSessionBase64: string;
 	markingMode: boolean;
+	explain: boolean;
+	events: string;
+	eventsSocket: string;
+	save: string;
+	deviceLogDir: string;
+	logInclude: string;
+	logExclude: string;
+	logTag: string;
+	logSeverity: string;
+	logFormat: string;
+	socket: string;
+	buildPath: string;
+	environment: string;
+	compare: string;
+	dname: string;
+	validity: number;
+	systemImage: string;
+	deviceProfile: string;
+	headless: boolean;
+	coldBoot: boolean;
+	output: string;
+	matrix: string;
 }
 
 interface IEnvOptions {
@@ -597,6 +632,34 @@ interface IHasAndroidBundle {
 	androidBundle: boolean;
 }
 
+/**
+ * Describes the Gradle build variant of an Android build.
+ */
+interface IHasAndroidBuildVariant {
+	/**
+	 * The name of the product flavor which should be built.
+	 */
+	androidFlavor?: string;
+	/**
+	 * The name of the build type which should be built. When it is not set, debug or release is built depending on the `release` flag.
+	 */
+	androidBuildType?: string;
+}
+
+/**
+ * Describes the Xcode build configuration and scheme of an iOS build.
+ */
+interface IiOSBuildVariant {
+	/**
+	 * The name of the Xcode build configuration. When it is not set, Debug or Release is built depending on the `release` flag.
+	 */
+	iosConfiguration?: string;
+	/**
+	 * The name of the Xcode scheme. When it is not set, the scheme named after the project is built.
+	 */
+	iosScheme?: string;
+}
+
 interface IPlatformBuildData extends IRelease, IHasUseHotModuleReloadOption, IBuildConfig, IEnvOptions { }
 
 interface IDeviceEmulator extends IHasEmulatorOption, IDeviceIdentifier { }
@@ -707,6 +770,30 @@ interface IAndroidToolsInfo {
 	 * @return {string} Path to the `adb` executable. In case it does not exists, null is returned.
 	 */
 	getPathToAdbFromAndroidHome(): Promise<string>;
+
+	/**
+	 * Gets the path to the `keytool` executable of the JDK which is used for the Android builds.
+	 * @return {Promise<string>} Path to the `keytool` executable. In case Java is not found, null is returned.
+	 */
+	getPathToKeytool(): Promise<string>;
+
+	/**
+	 * Gets the path to the `avdmanager` executable from ANDROID_HOME.
+	 * @return {string} Path to the `avdmanager` executable. In case ANDROID_HOME is not set or avdmanager is not installed, null is returned.
+	 */
+	getPathToAvdManager(): string;
+
+	/**
+	 * Gets the path to the `emulator` executable from ANDROID_HOME.
+	 * @return {string} Path to the `emulator` executable. In case ANDROID_HOME is not set or the emulator is not installed, null is returned.
+	 */
+	getPathToEmulator(): string;
+
+	/**
+	 * Gets the path to the `apksigner` executable from the latest Android SDK Build Tools in ANDROID_HOME.
+	 * @return {string} Path to the `apksigner` executable. In case ANDROID_HOME is not set or the Build Tools are not installed, null is returned.
+	 */
+	getPathToApkSigner(): string;
 }
 
 /**
@@ -1,6 +1,12 @@
 interface IAndroidBundleToolService {
     buildApks(options: IBuildApksOptions): Promise<void>;
     installApks(options: IInstallApksOptions): Promise<void>;
+    /**
+     * Builds a single signed APK which contains the code and the resources for all devices from the specified Android App Bundle.
+     * @param {IBuildUniversalApkOptions} options The bundle, the output path and the signing information.
+     * @returns {Promise<void>}
+     */
+    buildUniversalApk(options: IBuildUniversalApkOptions): Promise<void>;
 }
 
 interface IBuildApksOptions {
@@ -9,6 +15,12 @@ interface IBuildApksOptions {
     signingData: IAndroidSigningData;
 }
 
+interface IBuildUniversalApkOptions {
+    aabFilePath: string;
+    apkOutputPath: string;
+    signingData: IAndroidSigningData;
+}
+
 interface IInstallApksOptions {
     apksFilePath: string;
     deviceId: string;
@@ -0,0 +1,68 @@
+interface IAndroidEmulatorCreateOptions {
+	/**
+	 * The name of the Android Virtual Device.
+	 */
+	name: string;
+	/**
+	 * The SDK package of the system image, for example `system-images;android-29;google_apis;x86`.
+	 */
+	systemImage: string;
+	/**
+	 * The identifier of the hardware profile, for example `pixel`. The profiles are listed by `avdmanager list device`.
+	 */
+	deviceProfile?: string;
+	/**
+	 * Replaces an existing Android Virtual Device with the same name.
+	 */
+	force?: boolean;
+}
+
+interface IAndroidEmulatorStartOptions {
+	/**
+	 * Starts the emulator without a window and audio, which is required on CI machines.
+	 */
+	headless?: boolean;
+	/**
+	 * Starts the emulator without loading the quick boot snapshot.
+	 */
+	coldBoot?: boolean;
+	/**
+	 * Erases the user data of the emulator before starting it.
+	 */
+	wipeData?: boolean;
+}
+
+/**
+ * Describes a service which creates, starts, stops and wipes Android Virtual Devices with the `avdmanager` and `emulator` executables from the Android SDK.
+ */
+interface IAndroidEmulatorManagerService {
+	/**
+	 * Creates an Android Virtual Device.
+	 * @param {IAndroidEmulatorCreateOptions} options The name, the system image and the hardware profile of the device.
+	 * @returns {Promise<Mobile.IDeviceInfo>} Information about the created emulator.
+	 */
+	createEmulator(options: IAndroidEmulatorCreateOptions): Promise<Mobile.IDeviceInfo>;
+
+	/**
+	 * Starts an Android Virtual Device and waits for it to boot. In case the emulator is already running, it is not started again.
+	 * @param {string} name The name, the image identifier or the identifier of the running emulator, for example `emulator-5554`.
+	 * @param {IAndroidEmulatorStartOptions} options Options for starting the emulator.
+	 * @returns {Promise<Mobile.IDeviceInfo>} Information about the running emulator.
+	 */
+	startEmulator(name: string, options: IAndroidEmulatorStartOptions): Promise<Mobile.IDeviceInfo>;
+
+	/**
+	 * Stops a running Android Virtual Device and waits for it to exit.
+	 * @param {string} name The name, the image identifier or the identifier of the running emulator.
+	 * @returns {Promise<Mobile.IDeviceInfo>} Information about the stopped emulator.
+	 */
+	stopEmulator(name: string): Promise<Mobile.IDeviceInfo>;
+
+	/**
+	 * Erases the user data of an Android Virtual Device by starting it with wiped data. In case the emulator is running, it is stopped first.
+	 * @param {string} name The name, the image identifier or the identifier of the running emulator.
+	 * @param {IAndroidEmulatorStartOptions} options Options for starting the emulator.
+	 * @returns {Promise<Mobile.IDeviceInfo>} Information about the running emulator.
+	 */
+	wipeEmulator(name: string, options: IAndroidEmulatorStartOptions): Promise<Mobile.IDeviceInfo>;
+}
@@ -0,0 +1,77 @@
+/**
+ * Describes the keystore and the alias whose certificate is used.
+ */
+interface IAndroidKeystoreOptions {
+	keyStorePath: string;
+	keyStorePassword: string;
+	keyStoreAlias: string;
+}
+
+interface IAndroidKeystoreCreateOptions extends IAndroidKeystoreOptions {
+	/**
+	 * The distinguished name of the certificate, for example `CN=John Smith, O=Company, C=US`. Defaults to `CN=<alias>`.
+	 */
+	dname?: string;
+	/**
+	 * Number of days for which the certificate is valid.
+	 */
+	validity?: number;
+}
+
+interface IAndroidCertificateInfo {
+	owner: string;
+	issuer: string;
+	serialNumber: string;
+	validFrom: string;
+	validUntil: string;
+	/**
+	 * The SHA-1 fingerprint of the certificate in the format printed by keytool, for example `AB:CD:...`.
+	 */
+	sha1: string;
+	/**
+	 * The SHA-256 fingerprint of the certificate in the format printed by keytool, for example `AB:CD:...`.
+	 */
+	sha256: string;
+}
+
+interface IAndroidPackageSignatureVerification {
+	packagePath: string;
+	keystoreCertificate: IAndroidCertificateInfo;
+	/**
+	 * The certificates with which the package is signed.
+	 */
+	packageCertificates: IAndroidCertificateInfo[];
+	isSigned: boolean;
+	/**
+	 * True when the package is signed with the certificate of the keystore alias.
+	 */
+	isSignedWithKeystore: boolean;
+}
+
+/**
+ * Manages the keystores used for signing the Android release builds with the `keytool` from the JDK.
+ */
+interface IAndroidKeystoreService {
+	/**
+	 * Creates a PKCS12 keystore with a new RSA key and a self-signed certificate for the specified alias.
+	 * PKCS12 keystores use the keystore password for the alias as well.
+	 * @param {IAndroidKeystoreCreateOptions} options The keystore, the alias and the certificate data.
+	 * @returns {Promise<IAndroidCertificateInfo>} The certificate of the created alias.
+	 */
+	createKeystore(options: IAndroidKeystoreCreateOptions): Promise<IAndroidCertificateInfo>;
+
+	/**
+	 * Gets the certificate of the alias from the keystore.
+	 * @param {IAndroidKeystoreOptions} options The keystore and the alias.
+	 * @returns {Promise<IAndroidCertificateInfo>} The certificate of the alias.
+	 */
+	getCertificateInfo(options: IAndroidKeystoreOptions): Promise<IAndroidCertificateInfo>;
+
+	/**
+	 * Checks whether an `.apk` or `.aab` file is signed with the certificate of the alias from the keystore.
+	 * @param {string} packagePath Path to the `.apk` or `.aab` file.
+	 * @param {IAndroidKeystoreOptions} options The keystore and the alias.
+	 * @returns {Promise<IAndroidPackageSignatureVerification>} The certificates of the package and of the keystore and whether they match.
+	 */
+	verifyPackageSignature(packagePath: string, options: IAndroidKeystoreOptions): Promise<IAndroidPackageSignatureVerification>;
+}
@@ -0,0 +1,76 @@
+/**
+ * Describes a file in an Android application package.
+ */
+interface IAndroidPackageFile {
+	/**
+	 * Path of the file in the package.
+	 */
+	path: string;
+	/**
+	 * Size of the file in bytes.
+	 */
+	size: number;
+	/**
+	 * Size of the compressed file in the package in bytes.
+	 */
+	compressedSize: number;
+}
+
+/**
+ * Describes the contents and the sizes of an `.apk` or `.aab` file. The sizes of the modules and the ABIs are the sums of the compressed sizes of their files in the package.
+ */
+interface IAndroidPackageInspection {
+	packagePath: string;
+	/**
+	 * Size of the package file in bytes.
+	 */
+	size: number;
+	/**
+	 * The compressed size of each module. An `.apk` has a single `base` module.
+	 */
+	modules: IDictionary<number>;
+	/**
+	 * The compressed size for each ABI, which includes all files except the native libraries of the other ABIs.
+	 */
+	abis: IDictionary<number>;
+	/**
+	 * The largest files from the `assets/app` directory.
+	 */
+	largestAppFiles: IAndroidPackageFile[];
+	/**
+	 * The source maps in the `assets` directory, which usually should not be part of a release package.
+	 */
+	sourceMaps: IAndroidPackageFile[];
+	nativeLibraries: IAndroidPackageFile[];
+}
+
+/**
+ * Describes the difference in the sizes of two packages. Positive values mean that the package is larger than the previous one.
+ */
+interface IAndroidPackageComparison {
+	previousPackagePath: string;
+	sizeDiff: number;
+	modules: IDictionary<number>;
+	abis: IDictionary<number>;
+	/**
+	 * The files which are added, removed or changed in size, ordered by the absolute difference of their compressed sizes.
+	 */
+	changedFiles: { path: string, compressedSizeDiff: number }[];
+}
+
+interface IAndroidPackageInspectorService {
+	/**
+	 * Reads the contents of an `.apk` or `.aab` file and calculates the compressed sizes per module and per ABI.
+	 * @param {string} packagePath Path to the package.
+	 * @returns {Promise<IAndroidPackageInspection>}
+	 */
+	inspect(packagePath: string): Promise<IAndroidPackageInspection>;
+
+	/**
+	 * Compares the sizes of two packages of the same type.
+	 * @param {string} packagePath Path to the package.
+	 * @param {string} previousPackagePath Path to the package with which the first one is compared, for example the one of the previous release.
+	 * @returns {Promise<IAndroidPackageComparison>}
+	 */
+	compare(packagePath: string, previousPackagePath: string): Promise<IAndroidPackageComparison>;
+}
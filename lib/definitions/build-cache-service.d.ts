@@ -0,0 +1,71 @@
+/**
+ * Describes the `buildCache` section of nsconfig.json.
+ */
+interface IBuildCacheConfig {
+	/**
+	 * Location of the cache. For the default `local` backend this is a directory, which can be on a network mount.
+	 * Relative paths are resolved from the project directory.
+	 */
+	location?: string;
+	/**
+	 * Name of the backend used to store and restore the build results. Defaults to `local`.
+	 * The backend is resolved from the injector as `<backend>BuildCacheBackend`, so extensions can register their own.
+	 */
+	backend?: string;
+}
+
+/**
+ * Describes a storage for build results, addressed by build cache keys.
+ */
+interface IBuildCacheBackend {
+	/**
+	 * Checks if there are build results stored for the specified key.
+	 * @param {string} location The location of the cache.
+	 * @param {string} key The build cache key.
+	 * @returns {Promise<boolean>} true in case the key is present in the cache.
+	 */
+	has(location: string, key: string): Promise<boolean>;
+
+	/**
+	 * Copies the build results stored for the specified key to the destination directory.
+	 * @param {string} location The location of the cache.
+	 * @param {string} key The build cache key.
+	 * @param {string} destinationDir The directory where the build results will be copied.
+	 * @returns {Promise<string[]>} Full paths of the restored files.
+	 */
+	restore(location: string, key: string, destinationDir: string): Promise<string[]>;
+
+	/**
+	 * Stores the specified files under the specified key.
+	 * @param {string} location The location of the cache.
+	 * @param {string} key The build cache key.
+	 * @param {string[]} files Full paths of the build results which should be stored.
+	 * @returns {Promise<void>}
+	 */
+	store(location: string, key: string, files: string[]): Promise<void>;
+}
+
+interface IBuildCacheService {
+	/**
+	 * Calculates the build cache key based on the prepared platform project, the native code of the plugins,
+	 * the build flags and the runtime version.
+	 * @param {IPlatformData} platformData The data of the platform which will be built.
+	 * @param {IProjectData} projectData The data of the project which will be built.
+	 * @param {IBuildData} buildData The build flags.
+	 * @returns {Promise<string>} The build cache key or null in case the build cache is not configured.
+	 */
+	getBuildCacheKey(platformData: IPlatformData, projectData: IProjectData, buildData: IBuildData): Promise<string>;
+
+	/**
+	 * Restores the application package for the specified key in the build output directory.
+	 * @returns {Promise<boolean>} true in case the application package is restored from the cache.
+	 */
+	restoreBuildResult(key: string, platformData: IPlatformData, projectData: IProjectData, buildData: IBuildData): Promise<boolean>;
+
+	/**
+	 * Stores the application package in the cache under the specified key.
+	 * Errors are not fatal as the build itself has already succeeded.
+	 * @returns {Promise<void>}
+	 */
+	saveBuildResult(key: string, applicationPackagePath: string, projectData: IProjectData, buildData: IBuildData): Promise<void>;
+}
@@ -7,9 +7,10 @@ interface IBuildData extends IPrepareData {
 	buildOutputStdio?: string;
 	outputPath?: string;
 	copyTo?: string;
+	buildCache?: string;
 }
 
-interface IiOSBuildData extends IBuildData {
+interface IiOSBuildData extends IBuildData, IiOSBuildVariant {
 	teamId: string;
 	provision: string;
 	mobileProvisionData: any;
@@ -17,7 +18,7 @@ interface IiOSBuildData extends IBuildData {
 	iCloudContainerEnvironment: string;
 }
 
-interface IAndroidBuildData extends IBuildData, IAndroidSigningData, IHasAndroidBundle {
+interface IAndroidBuildData extends IBuildData, IAndroidSigningData, IHasAndroidBundle, IHasAndroidBuildVariant {
 }
 
 interface IAndroidSigningData {
@@ -42,11 +43,160 @@ interface IBuildArtefactsService {
 	getAllAppPackages(buildOutputPath: string, validBuildOutputData: IValidBuildOutputData): IApplicationPackage[];
 	getLatestAppPackagePath(platformData: IPlatformData, buildOutputOptions: IBuildOutputOptions): Promise<string>;
 	copyLatestAppPackage(targetPath: string, platformData: IPlatformData, buildOutputOptions: IBuildOutputOptions): void;
+	/**
+	 * Resolves the path of a file copied with `--copy-to`.
+	 * @param {string} targetPath The value of `--copy-to`.
+	 * @param {string} fileName The name of the file which is used when the target path is an existing directory.
+	 * @returns {string} The path to the file in the target directory or the target path itself.
+	 */
+	getCopyToPath(targetPath: string, fileName: string): string;
 }
 
 interface IBuildInfoFileService {
 	getLocalBuildInfo(platformData: IPlatformData, buildData: IBuildData): IBuildInfo;
 	getDeviceBuildInfo(device: Mobile.IDevice, projectData: IProjectData): Promise<IBuildInfo>;
-	saveLocalBuildInfo(platformData: IPlatformData, buildInfoFileDirname: string): void;
+	saveLocalBuildInfo(platformData: IPlatformData, buildInfoFileDirname: string, buildData: IBuildData): void;
 	saveDeviceBuildInfo(device: Mobile.IDevice, projectData: IProjectData, outputFilePath: string): Promise<void>;
-}
\ No newline at end of file
+}
+/**
+ * Describes the builds which are executed by `tns build --matrix`.
+ */
+interface IBuildMatrix {
+	/**
+	 * The combinations of platform and build options which will be built.
+	 */
+	builds: IBuildMatrixEntry[];
+	/**
+	 * Path, relative to the project directory, of the manifest which lists the produced artifacts. Defaults to `build-matrix-manifest.json`.
+	 */
+	manifest?: string;
+}
+
+/**
+ * Describes a single build of the build matrix. Its properties have the same meaning as the options of `tns build` with the same names.
+ */
+interface IBuildMatrixEntry extends Partial<IAndroidSigningData>, IHasAndroidBuildVariant, IiOSBuildVariant {
+	/**
+	 * Name of the build which is shown in the output and in the manifest. Defaults to the platform and the configuration.
+	 */
+	name?: string;
+	platform: string;
+	release?: boolean;
+	forDevice?: boolean;
+	aab?: boolean;
+	flavor?: string;
+	buildType?: string;
+	/**
+	 * Name of the environment from the `environments` property of nsconfig.json which is applied to the build.
+	 */
+	environment?: string;
+	env?: IDictionary<any>;
+	provision?: string;
+	teamId?: string;
+	copyTo?: string;
+}
+
+interface IBuildMatrixArtifact {
+	name: string;
+	platform: string;
+	release: boolean;
+	environment?: string;
+	path: string;
+	sha256: string;
+}
+
+interface IBuildMatrixManifest {
+	manifestPath: string;
+	artifacts: IBuildMatrixArtifact[];
+}
+
+interface IBuildMatrixController {
+	/**
+	 * Reads the build matrix from the specified file, validates it and keeps only the builds of the specified platform.
+	 * @param {IProjectData} projectData The project for which the matrix is read.
+	 * @param {string} matrixFilePath Path to a JSON file with the build matrix.
+	 * @param {string} platform The platform which is built.
+	 * @returns {IBuildMatrix} The validated build matrix with the builds of the platform.
+	 */
+	getBuildMatrix(projectData: IProjectData, matrixFilePath: string, platform: string): IBuildMatrix;
+
+	/**
+	 * Builds all entries of the matrix. Entries which require the same prepare are built after a single prepare.
+	 * @param {IProjectData} projectData The project which is built.
+	 * @param {IBuildMatrix} matrix The build matrix.
+	 * @param {any} data Options which are used for all builds, for example `IOptions`. The values from the matrix entries take precedence.
+	 * @returns {Promise<IBuildMatrixManifest>} The produced artifacts and the path of the written manifest.
+	 */
+	buildMatrix(projectData: IProjectData, matrix: IBuildMatrix, data: any): Promise<IBuildMatrixManifest>;
+}
+
+/**
+ * Describes the `artifacts.json` file which is written next to the output of each build. It describes the latest build whose package is in its directory.
+ */
+interface IArtifactsManifest extends IHasAndroidBuildVariant, IiOSBuildVariant {
+	appIdentifier: string;
+	/**
+	 * The versionName of the Android application or the CFBundleShortVersionString of the iOS application.
+	 */
+	version: string;
+	/**
+	 * The versionCode of the Android application or the CFBundleVersion of the iOS application.
+	 */
+	versionCode: string;
+	platform: string;
+	/**
+	 * The native build configuration, for example `Debug`, `Release` or the value of `--ios-configuration` and `--build-type`.
+	 */
+	configuration: string;
+	runtimeVersion: string;
+	cliVersion: string;
+	plugins: IBasePluginData[];
+	/**
+	 * The commit which is checked out in the project directory or null when the project is not in a git repository.
+	 */
+	gitCommit: string;
+	buildTime: string;
+	artifacts: IArtifactsManifestEntry[];
+}
+
+interface IArtifactsManifestEntry {
+	/**
+	 * Path of the artifact relative to the directory of the manifest.
+	 */
+	path: string;
+	sha256: string;
+}
+
+interface IArtifactsManifestService {
+	/**
+	 * Writes `artifacts.json` next to the application package produced by the build. The manifest of a previous build in the same directory is replaced.
+	 * @param {IPlatformData} platformData The platform data of the built platform.
+	 * @param {IProjectData} projectData The built project.
+	 * @param {IBuildData} buildData The options of the build.
+	 * @param {string} packagePath Path to the application package produced by the build.
+	 * @returns {Promise<string>} The path of the written manifest.
+	 */
+	saveManifest(platformData: IPlatformData, projectData: IProjectData, buildData: IBuildData, packagePath: string): Promise<string>;
+
+	/**
+	 * Gets the path of the manifest of an application package.
+	 * @param {string} packagePath Path to the application package.
+	 * @returns {string} The path of the manifest.
+	 */
+	getManifestPath(packagePath: string): string;
+
+	/**
+	 * Copies the manifest of an application package next to a copy of the package and points its artifact to the copy.
+	 * @param {string} packagePath Path to the application package which has a manifest.
+	 * @param {string} targetPackagePath Path to the copy of the application package.
+	 * @returns {string} The path of the copied manifest or null when the package has no manifest, for example when the manifest in its directory describes another package.
+	 */
+	copyManifest(packagePath: string, targetPackagePath: string): string;
+
+	/**
+	 * Calculates the SHA-256 hash of an application package. The hash of a directory, for example an `.app` package for iOS Simulator, is calculated from the relative paths and the hashes of its files.
+	 * @param {string} packagePath Path to the application package.
+	 * @returns {Promise<string>} The hash in hex encoding.
+	 */
+	getPackageHash(packagePath: string): Promise<string>;
+}
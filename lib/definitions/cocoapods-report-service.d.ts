@@ -0,0 +1,97 @@
+/**
+ * Describes a `pod` declaration from a Podfile.
+ */
+interface IPodDeclaration {
+	/**
+	 * The name of the pod, including the subspec, for example `Firebase/Core`.
+	 */
+	name: string;
+	/**
+	 * The name of the pod without the subspec, for example `Firebase`.
+	 */
+	rootName: string;
+	/**
+	 * The version requirements of the declaration, for example `["~> 5.0", "< 5.4"]`.
+	 */
+	requirements: string[];
+	/**
+	 * The options of the declaration without the leading `:`, for example `{ git: "https://...", branch: "master" }`.
+	 */
+	options: IStringDictionary;
+	/**
+	 * The 1-based line of the declaration in the Podfile.
+	 */
+	line: number;
+}
+
+interface IPodfileModel {
+	pods: IPodDeclaration[];
+	/**
+	 * The content of each `post_install` block without the `post_install do` and `end` lines.
+	 */
+	postInstallBlocks: string[];
+}
+
+interface IPodRequest extends IPodDeclaration {
+	/**
+	 * The name of the plugin which requests the pod or `App_Resources` for the Podfile of the application.
+	 */
+	moduleName: string;
+	podfilePath: string;
+	/**
+	 * True when the pod is commented out from the plugin's Podfile, because it is declared in App_Resources and `overridePods` is set in nsconfig.json.
+	 */
+	isOverridden: boolean;
+}
+
+interface IMergedPod {
+	name: string;
+	requests: IPodRequest[];
+}
+
+declare const enum PodfileConflictType {
+	VersionRequirements = "version-requirements",
+	Sources = "sources",
+	PostInstall = "post-install"
+}
+
+interface IPodfileConflict {
+	type: PodfileConflictType;
+	message: string;
+	/**
+	 * The names of the plugins whose Podfiles conflict.
+	 */
+	moduleNames: string[];
+	/**
+	 * The pod with conflicting declarations. Not set for `post_install` conflicts.
+	 */
+	podName?: string;
+}
+
+interface IPodsReport {
+	/**
+	 * The pods from all Podfiles sorted by name.
+	 */
+	pods: IMergedPod[];
+	conflicts: IPodfileConflict[];
+}
+
+/**
+ * Describes a service which analyzes the Podfiles of the plugins and the application without running CocoaPods.
+ */
+interface ICocoaPodsReportService {
+	/**
+	 * Parses the `pod` declarations and the `post_install` blocks of a Podfile.
+	 * @param {string} podfileContent The content of the Podfile.
+	 * @returns {IPodfileModel}
+	 */
+	parsePodfile(podfileContent: string): IPodfileModel;
+
+	/**
+	 * Collects the pods from the Podfiles of the plugins and App_Resources in the order in which they are merged in the project's Podfile
+	 * and detects conflicting version requirements, sources and duplicate `post_install` blocks.
+	 * @param {IProjectData} projectData Information about the project.
+	 * @returns {IPodsReport}
+	 */
+	getPodsReport(projectData: IProjectData): IPodsReport;
+}
@@ -0,0 +1,42 @@
+/**
+ * Stores credentials, for example signing passwords, encrypted in the profile directory of the CLI,
+ * so they can be passed to the commands as `@store:<name>` instead of on the command line.
+ */
+interface ICredentialStoreService {
+	/**
+	 * Gets the value of a credential from the store. When the store does not contain it, the value of the `NS_CREDENTIAL_<NAME>` environment variable is used,
+	 * where `<NAME>` is the name of the credential in upper case with `_` instead of the other symbols.
+	 * Fails when the credential is neither in the store, nor in the environment.
+	 * @param {string} name The name of the credential.
+	 * @returns {string} The value of the credential.
+	 */
+	getCredential(name: string): string;
+
+	/**
+	 * Saves a credential in the store. An existing credential with the same name is replaced.
+	 * @param {string} name The name of the credential.
+	 * @param {string} value The value of the credential.
+	 * @returns {void}
+	 */
+	setCredential(name: string, value: string): void;
+
+	/**
+	 * Removes a credential from the store.
+	 * @param {string} name The name of the credential.
+	 * @returns {boolean} True when the credential was in the store.
+	 */
+	removeCredential(name: string): boolean;
+
+	/**
+	 * Gets the names of the credentials in the store.
+	 * @returns {string[]} The sorted names.
+	 */
+	getCredentialNames(): string[];
+
+	/**
+	 * Replaces a `@store:<name>` reference with the value of the credential.
+	 * @param {string} value An option value.
+	 * @returns {string} The value of the referenced credential or the passed value when it is not a reference.
+	 */
+	resolveCredentialReference(value: string): string;
+}
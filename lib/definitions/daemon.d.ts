@@ -0,0 +1,53 @@
+/**
+ * Describes a JSON-RPC 2.0 request. Requests without id are notifications and do not receive a response.
+ */
+interface IJsonRpcRequest {
+	jsonrpc: string;
+	id?: string | number;
+	/**
+	 * The name of the public module and its method, for example `projectDataService.getProjectData`.
+	 */
+	method: string;
+	/**
+	 * The arguments of the method. An array is passed as positional arguments, any other value as a single argument.
+	 */
+	params?: any;
+}
+
+interface IJsonRpcError {
+	code: number;
+	message: string;
+}
+
+interface IJsonRpcResponse {
+	jsonrpc: string;
+	id: string | number;
+	result?: any;
+	error?: IJsonRpcError;
+}
+
+interface IDaemonOptions {
+	/**
+	 * Path to a Unix socket or a Windows named pipe on which the daemon listens. When not set, the daemon uses stdin and stdout.
+	 */
+	socketPath?: string;
+}
+
+/**
+ * Serves the public API of the CLI over JSON-RPC, so clients do not have to start a new CLI process for each operation.
+ */
+interface IDaemonService {
+	/**
+	 * Starts the daemon. The returned promise is resolved when the daemon is stopped - its input is closed or `daemon.exit` is called.
+	 * @param {IDaemonOptions} options Describes the transport of the daemon.
+	 * @returns {Promise<void>}
+	 */
+	start(options: IDaemonOptions): Promise<void>;
+
+	/**
+	 * Handles a single JSON-RPC message.
+	 * @param {string} message The JSON-RPC request.
+	 * @returns {Promise<IJsonRpcResponse>} The response or null when the message is a notification.
+	 */
+	handleMessage(message: string): Promise<IJsonRpcResponse>;
+}
@@ -0,0 +1,31 @@
+/**
+ * Describes where and how the device logs are saved.
+ */
+interface IDeviceLogFileOptions {
+	/**
+	 * The directory in which a separate log file is created for each device.
+	 */
+	logDir: string;
+	/**
+	 * The size in bytes after which the log file of a device is rotated. Defaults to 10 MB.
+	 */
+	maxFileSize?: number;
+	/**
+	 * The number of log files, including the current one, which are kept for each device. Defaults to 5.
+	 */
+	maxFiles?: number;
+}
+
+/**
+ * Saves the device logs printed by the CLI to rotating files, one per device.
+ */
+interface IDeviceLogFileService {
+	/**
+	 * Starts writing each line of the device logs with a timestamp to the log file of the device.
+	 * The lines contain the original locations from the source maps and a marker is written before each application crash.
+	 * Does nothing when the saving is already started.
+	 * @param {IDeviceLogFileOptions} options Where and how the logs are saved.
+	 * @returns {void}
+	 */
+	start(options: IDeviceLogFileOptions): void;
+}
@@ -0,0 +1,27 @@
+/**
+ * Describes a single line of the machine-readable event stream.
+ */
+interface IEventStreamMessage {
+	/**
+	 * The name of the event, for example `runOnDeviceStarted` or `deviceFound`.
+	 */
+	event: string;
+	/**
+	 * The name of the service which raised the event, for example `runController`.
+	 */
+	source: string;
+	timestamp: string;
+	data: any;
+}
+
+/**
+ * Writes the events of the CLI as newline-delimited JSON when the `--events` or `--events-socket` option is passed.
+ */
+interface IEventStreamService {
+	/**
+	 * Starts writing the events of the run, debug, device discovery, preview and webpack services.
+	 * Does nothing when the event stream is not requested or is already started.
+	 * @returns {Promise<void>}
+	 */
+	start(): Promise<void>;
+}
@@ -0,0 +1,87 @@
+/**
+ * Describes a dependency declaration from a `dependencies` block of a Gradle file.
+ */
+interface IGradleDependencyDeclaration {
+	/**
+	 * The configuration of the dependency, for example `implementation`.
+	 */
+	configuration: string;
+	group: string;
+	name: string;
+	/**
+	 * The requested version as written in the Gradle file, for example `1.1.0`, `28.+` or `$supportVersion`.
+	 */
+	version: string;
+	/**
+	 * The 1-based line of the declaration in the Gradle file.
+	 */
+	line: number;
+}
+
+interface IGradleDependencyRequest extends IGradleDependencyDeclaration {
+	/**
+	 * The name of the plugin which requests the dependency or `App_Resources` for the app.gradle of the application.
+	 */
+	moduleName: string;
+	gradleFilePath: string;
+}
+
+interface IMergedGradleDependency {
+	/**
+	 * The module coordinates of the dependency in the `<group>:<name>` format.
+	 */
+	module: string;
+	requests: IGradleDependencyRequest[];
+}
+
+declare const enum GradleDependencyConflictType {
+	Versions = "versions",
+	DuplicateDeclarations = "duplicate-declarations"
+}
+
+interface IGradleDependencyConflict {
+	type: GradleDependencyConflictType;
+	module: string;
+	message: string;
+	/**
+	 * The names of the plugins whose Gradle files conflict.
+	 */
+	moduleNames: string[];
+	/**
+	 * The version which is forced in the resolution block. Set only for version conflicts.
+	 */
+	resolvedVersion?: string;
+}
+
+interface IGradleDependenciesReport {
+	/**
+	 * The dependencies from all Gradle files sorted by module.
+	 */
+	dependencies: IMergedGradleDependency[];
+	conflicts: IGradleDependencyConflict[];
+	/**
+	 * Gradle code which forces a single version for each dependency with conflicting versions and can be added to App_Resources/Android/before-plugins.gradle.
+	 * Null when there are no version conflicts.
+	 */
+	resolutionBlock: string;
+}
+
+/**
+ * Describes a service which analyzes the Gradle dependencies of the plugins and the application without running Gradle.
+ */
+interface IGradleDependenciesReportService {
+	/**
+	 * Parses the declarations from the `dependencies` blocks of a Gradle file. The dependencies of the `buildscript` block are ignored.
+	 * @param {string} gradleFileContent The content of the Gradle file.
+	 * @returns {IGradleDependencyDeclaration[]}
+	 */
+	parseGradleFile(gradleFileContent: string): IGradleDependencyDeclaration[];
+
+	/**
+	 * Collects the dependencies from the include.gradle and build.gradle files of the plugins and from App_Resources/Android/app.gradle
+	 * and detects different versions of the same dependency and duplicate declarations.
+	 * @param {IProjectData} projectData Information about the project.
+	 * @returns {IGradleDependenciesReport}
+	 */
+	getDependenciesReport(projectData: IProjectData): IGradleDependenciesReport;
+}
@@ -37,7 +37,7 @@ interface IValidBuildOutputData {
 	regexes?: RegExp[];
 }
 
-interface IBuildOutputOptions extends Partial<IBuildForDevice>, IRelease, Partial<IHasAndroidBundle> {
+interface IBuildOutputOptions extends Partial<IBuildForDevice>, IRelease, Partial<IHasAndroidBundle>, IHasAndroidBuildVariant, IiOSBuildVariant {
 	outputPath?: string;
 }
 
@@ -58,7 +58,7 @@ interface INodeModulesDependenciesBuilder {
 	getProductionDependencies(projectPath: string): IDependencyData[];
 }
 
-interface IBuildInfo {
+interface IBuildInfo extends IHasAndroidBuildVariant, IiOSBuildVariant {
 	prepareTime: string;
 	buildTime: string;
 	/**
@@ -15,6 +15,13 @@ interface IPluginsService {
 	getDependenciesFromPackageJson(projectDir: string): IPackageJsonDepedenciesResult;
 	preparePluginNativeCode(preparePluginNativeCodeData: IPreparePluginNativeCodeData): Promise<void>;
 	isNativeScriptPlugin(pluginPackageJsonPath: string): boolean;
+
+	/**
+	 * Returns the hashes of the native files of all plugins, as saved during the last prepare of the platform.
+	 * @param {IPlatformData} platformData The data of the platform for which the plugins are prepared.
+	 * @returns {IDictionary<IStringDictionary>} Dictionary with plugin names as keys and file path - hash maps as values.
+	 */
+	getAllPluginsNativeHashes(platformData: IPlatformData): IDictionary<IStringDictionary>;
 }
 
 interface IPreparePluginNativeCodeData {
@@ -6,18 +6,45 @@ interface IPrepareInfo extends IAddedNativePlatform, IAppFilesHashes {
 	time?: string;
 	bundle?: boolean;
 	release?: boolean;
+	/**
+	 * The name of the environment from nsconfig.json used for the prepare.
+	 */
+	environment?: string;
 	projectFileHash?: string;
 	changesRequireBuild?: boolean;
 	changesRequireBuildTime?: string;
 	iOSProvisioningProfileUUID?: string;
 }
 
+/**
+ * Describes why one of the flags of IProjectChangesInfo is set.
+ */
+interface IProjectChangeReason {
+	/**
+	 * The name of the flag, for example `nativeChanged`.
+	 */
+	flag: string;
+	message: string;
+	/**
+	 * The file which caused the change, if any.
+	 */
+	filePath?: string;
+	mtime?: string;
+	ctime?: string;
+	previousHash?: string;
+	currentHash?: string;
+}
+
 interface IProjectChangesInfo extends IAddedNativePlatform {
 	appResourcesChanged: boolean;
 	configChanged: boolean;
 	nativeChanged: boolean;
 	signingChanged: boolean;
 	nsConfigChanged: boolean;
+	/**
+	 * The reasons for all flags which are set, in the order they are detected.
+	 */
+	reasons: IProjectChangeReason[];
 
 	readonly hasChanges: boolean;
 	readonly changesRequireBuild: boolean;
@@ -30,3 +57,29 @@ interface IProjectChangesInfo extends IAddedNativePlatform {
 interface IAddedNativePlatform {
 	nativePlatformStatus: "1" | "2" | "3";
 }
+
+interface IBuildDecision {
+	shouldBuild: boolean;
+	reason: string;
+}
+
+/**
+ * Prints why native prepare and native build are executed, when the `--explain` option is passed.
+ */
+interface IChangesExplanationService {
+	/**
+	 * Prints the flags of the detected changes and the files which caused them.
+	 * @param {IPlatformData} platformData The data of the prepared platform.
+	 * @param {IProjectChangesInfo} changesInfo The result of the check for changes.
+	 * @returns {void}
+	 */
+	explainPrepare(platformData: IPlatformData, changesInfo: IProjectChangesInfo): void;
+
+	/**
+	 * Prints if the native project will be built and why.
+	 * @param {IPlatformData} platformData The data of the platform which is built.
+	 * @param {IBuildDecision} buildDecision The decision and its reason.
+	 * @returns {void}
+	 */
+	explainBuild(platformData: IPlatformData, buildDecision: IBuildDecision): void;
+}
@@ -0,0 +1,118 @@
+/**
+ * Describes an argument of a project-local generator.
+ */
+interface IProjectGeneratorArgument {
+	/**
+	 * Name of the argument. It is passed as `<name>=<value>` to `tns generate` and used as a variable in the templates.
+	 */
+	name: string;
+	/**
+	 * Message shown when the CLI prompts for the value of the argument.
+	 */
+	message?: string;
+	/**
+	 * Value used when the argument is not passed. Arguments without a default value are required.
+	 */
+	default?: string;
+}
+
+/**
+ * Describes the content of the `generator.json` file of a project-local generator.
+ */
+interface IProjectGeneratorConfig {
+	description?: string;
+	arguments?: IProjectGeneratorArgument[];
+}
+
+/**
+ * Describes a project-local generator from the `generators` directory of the project.
+ */
+interface IProjectGenerator {
+	name: string;
+	description: string;
+	/**
+	 * Path to the directory of the generator.
+	 */
+	generatorDir: string;
+	/**
+	 * Path to the directory with the templates. Their paths relative to it are the paths of the generated files relative to the project directory.
+	 */
+	filesDir: string;
+	arguments: IProjectGeneratorArgument[];
+}
+
+interface IProjectGeneratorOptions extends IProjectDir {
+	/**
+	 * The values of the arguments of the generator.
+	 */
+	args: IDictionary<string>;
+	/**
+	 * When set, the files are rendered, but not written.
+	 */
+	dryRun?: boolean;
+	/**
+	 * When set, existing files with different content are overwritten.
+	 */
+	force?: boolean;
+}
+
+declare const enum GeneratedFileAction {
+	Create = "create",
+	Update = "update",
+	Unchanged = "unchanged"
+}
+
+interface IGeneratedFile {
+	path: string;
+	relativePath: string;
+	content: string;
+	/**
+	 * The content of the file before the generation or null when the file does not exist.
+	 */
+	previousContent: string;
+	action: GeneratedFileAction;
+}
+
+/**
+ * Renders the templates of project-local generators.
+ */
+interface IProjectGeneratorsService {
+	/**
+	 * Gets all generators from the `generators` directory of the project.
+	 * @param {string} projectDir The directory of the project.
+	 * @returns {IProjectGenerator[]} The generators of the project.
+	 */
+	getGenerators(projectDir: string): IProjectGenerator[];
+
+	/**
+	 * Gets the generator with the specified name.
+	 * @param {string} projectDir The directory of the project.
+	 * @param {string} name The name of the generator directory.
+	 * @returns {IProjectGenerator} The generator or null when the project does not have such generator.
+	 */
+	getGenerator(projectDir: string, name: string): IProjectGenerator;
+
+	/**
+	 * Gets the required arguments of the generator which are not passed.
+	 * @param {IProjectGenerator} generator The generator.
+	 * @param {IDictionary<string>} args The passed arguments.
+	 * @returns {IProjectGeneratorArgument[]} The missing arguments.
+	 */
+	getMissingArguments(generator: IProjectGenerator, args: IDictionary<string>): IProjectGeneratorArgument[];
+
+	/**
+	 * Renders the templates of the generator with the microtemplating service and writes the files to the project.
+	 * Fails without writing anything when an existing file would be overwritten and `force` is not set.
+	 * @param {IProjectGenerator} generator The generator.
+	 * @param {IProjectGeneratorOptions} options The project, the arguments and whether the files are written.
+	 * @returns {Promise<IGeneratedFile[]>} The generated files.
+	 */
+	generate(generator: IProjectGenerator, options: IProjectGeneratorOptions): Promise<IGeneratedFile[]>;
+
+	/**
+	 * Gets a line diff between the previous and the generated content of a file.
+	 * @param {IGeneratedFile} file The generated file.
+	 * @returns {string} The lines of the file prefixed with `+` when added, with `-` when removed and with a space when unchanged.
+	 */
+	getDiff(file: IGeneratedFile): string;
+}
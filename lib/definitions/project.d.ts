@@ -77,6 +77,45 @@ interface INsConfig {
 	previewAppSchema?: string;
 	overridePods?: string;
 	webpackConfigPath?: string;
+	buildCache?: IBuildCacheConfig;
+	hooks?: INsConfigHook[];
+	environments?: IDictionary<INsConfigEnvironment>;
+}
+
+/**
+ * Describes an environment declared in the `environments` property of nsconfig.json and selected with the `--environment` option.
+ */
+interface INsConfigEnvironment {
+	/**
+	 * The application identifier which replaces the `nativescript.id` from package.json. Can be a string or an object with `android` and `ios` properties.
+	 */
+	id?: string | Mobile.IProjectIdentifier;
+	/**
+	 * The name of the application which is shown on the device.
+	 */
+	displayName?: string;
+	/**
+	 * Path, relative to the project directory, to a directory with the structure of App_Resources. Its files replace the files from App_Resources.
+	 */
+	appResourcesPath?: string;
+	/**
+	 * Values which are passed to webpack as `env` properties. The `--env.*` options take precedence over them.
+	 */
+	env?: IDictionary<any>;
+}
+
+/**
+ * Describes a hook declared in the `hooks` array of nsconfig.json.
+ */
+interface INsConfigHook extends IHookOptions {
+	/**
+	 * The name of the hook, for example `before-prepare`.
+	 */
+	type: string;
+	/**
+	 * Path to the script of the hook, relative to the project directory.
+	 */
+	script: string;
 }
 
 interface IProjectData extends ICreateProjectData {
@@ -114,6 +153,21 @@ interface IProjectData extends ICreateProjectData {
 	 */
 	webpackConfigPath: string;
 
+	/**
+	 * The name of the environment from nsconfig.json selected with the `--environment` option. It is null when no environment is selected.
+	 */
+	environmentName: string;
+
+	/**
+	 * The environment from nsconfig.json selected with the `--environment` option. Its `id` is already applied to `projectIdentifiers`.
+	 */
+	environment: INsConfigEnvironment;
+
+	/**
+	 * The full path to the App_Resources overlay directory of the selected environment. It is null when the environment does not have one.
+	 */
+	environmentAppResourcesDirectoryPath: string;
+
 	/**
 	 * Initializes project data with the given project directory. If none supplied defaults to --path option or cwd.
 	 * @param {string} projectDir Project root directory.
@@ -341,7 +395,7 @@ interface IBuildConfig extends IAndroidBuildOptionsSettings, IiOSBuildConfig, IP
 /**
  * Describes iOS-specific build configuration properties
  */
-interface IiOSBuildConfig extends IBuildForDevice, IiCloudContainerEnvironment, IDeviceIdentifier, IProvision, ITeamIdentifier, IRelease {
+interface IiOSBuildConfig extends IBuildForDevice, IiCloudContainerEnvironment, IDeviceIdentifier, IProvision, ITeamIdentifier, IRelease, IiOSBuildVariant {
 	/**
 	 * Identifier of the mobile provision which will be used for the build. If not set a provision will be selected automatically if possible.
 	 */
@@ -0,0 +1,27 @@
+/**
+ * Describes the options for replacing the locations in a crash log with the original ones.
+ */
+interface ISymbolicateOptions extends IProjectDir {
+	/**
+	 * The platform for which the crash log is produced.
+	 */
+	platform: string;
+	/**
+	 * Path to an archived build (.apk, .aab, .ipa or .zip file) or to a directory with the application files, whose source maps are used.
+	 * Defaults to the last build of the project for the platform.
+	 */
+	buildPath?: string;
+}
+
+/**
+ * Replaces the locations in the bundled JavaScript files from crash logs and stack traces with the original ones.
+ */
+interface ISymbolicationService {
+	/**
+	 * Replaces the locations in the passed data with the original ones from the source maps of the application.
+	 * @param {string} data The content of a crash log or a JavaScript stack trace.
+	 * @param {ISymbolicateOptions} options The platform, the project and the build whose source maps are used.
+	 * @returns {Promise<string>} The data with the original locations.
+	 */
+	symbolicate(data: string, options: ISymbolicateOptions): Promise<string>;
+}
@@ -22,7 +22,7 @@ export class DeployCommandHelper {
 			sdk: this.$options.sdk
 		});
 
-		const devices = this.$devicesService.getDeviceInstances()
+		const devices = this.$devicesService.getSelectedDeviceInstances()
 			.filter(d => !platform || d.deviceInfo.platform.toLowerCase() === platform.toLowerCase());
 
 		const deviceDescriptors: ILiveSyncDeviceDescriptor[] = devices
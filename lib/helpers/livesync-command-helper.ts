@@ -50,7 +50,7 @@ export class LiveSyncCommandHelper implements ILiveSyncCommandHelper {
 			sdk: this.$options.sdk
 		});
 
-		const devices = this.$devicesService.getDeviceInstances()
+		const devices = this.$devicesService.getSelectedDeviceInstances()
 			.filter(d => !platform || d.deviceInfo.platform.toLowerCase() === platform.toLowerCase());
 
 		return devices;
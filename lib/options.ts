@@ -1,5 +1,6 @@
 import * as helpers from "./common/helpers";
 import * as yargs from "yargs";
+import { CREDENTIAL_REFERENCE_PREFIX } from "./constants";
 
 export class Options {
 	private static DASHED_OPTION_REGEX = /(.+?)([A-Z])(.*)/;
@@ -8,6 +9,7 @@ export class Options {
 	private optionsWhiteList = ["ui", "recursive", "reporter", "require", "timeout", "_", "$0"]; // These options shouldn't be validated
 	private globalOptions: IDictionary<IDashedOption> = {
 		log: { type: OptionType.String, hasSensitiveValue: false },
+		logFormat: { type: OptionType.String, hasSensitiveValue: false },
 		verbose: { type: OptionType.Boolean, alias: "v", hasSensitiveValue: false },
 		version: { type: OptionType.Boolean, hasSensitiveValue: false },
 		help: { type: OptionType.Boolean, alias: "h", hasSensitiveValue: false },
@@ -50,7 +52,12 @@ export class Options {
 		}
 	}
 
+	private get $credentialStoreService(): ICredentialStoreService {
+		return this.$injector.resolve("credentialStoreService");
+	}
+
 	constructor(private $errors: IErrors,
+		private $injector: IInjector,
 		private $settingsService: ISettingsService) {
 
 		this.options = _.extend({}, this.commonOptions, this.globalOptions);
@@ -90,6 +97,7 @@ export class Options {
 			compileSdk: { type: OptionType.Number, hasSensitiveValue: false },
 			port: { type: OptionType.Number, hasSensitiveValue: false },
 			copyTo: { type: OptionType.String, hasSensitiveValue: true },
+			buildCache: { type: OptionType.String, hasSensitiveValue: true },
 			js: { type: OptionType.Boolean, hasSensitiveValue: false },
 			javascript: { type: OptionType.Boolean, hasSensitiveValue: false },
 			ng: { type: OptionType.Boolean, hasSensitiveValue: false },
@@ -110,6 +118,15 @@ export class Options {
 			chrome: { type: OptionType.Boolean, hasSensitiveValue: false },
 			inspector: { type: OptionType.Boolean, hasSensitiveValue: false },
 			clean: { type: OptionType.Boolean, hasSensitiveValue: false },
+			explain: { type: OptionType.Boolean, hasSensitiveValue: false },
+			events: { type: OptionType.String, hasSensitiveValue: false },
+			eventsSocket: { type: OptionType.String, hasSensitiveValue: true },
+			save: { type: OptionType.String, hasSensitiveValue: true },
+			deviceLogDir: { type: OptionType.String, hasSensitiveValue: true },
+			logInclude: { type: OptionType.String, hasSensitiveValue: true },
+			logExclude: { type: OptionType.String, hasSensitiveValue: true },
+			logTag: { type: OptionType.String, hasSensitiveValue: false },
+			logSeverity: { type: OptionType.String, hasSensitiveValue: false },
 			watch: { type: OptionType.Boolean, default: true, hasSensitiveValue: false },
 			background: { type: OptionType.String, hasSensitiveValue: false },
 			username: { type: OptionType.String, hasSensitiveValue: true },
@@ -118,6 +135,7 @@ export class Options {
 			includeAngularDemo: { type: OptionType.String, hasSensitiveValue: false },
 			hmr: { type: OptionType.Boolean, hasSensitiveValue: false, default: true },
 			collection: { type: OptionType.String, alias: "c", hasSensitiveValue: false },
+			dryRun: { type: OptionType.Boolean, hasSensitiveValue: false },
 			json: { type: OptionType.Boolean, hasSensitiveValue: false },
 			avd: { type: OptionType.String, hasSensitiveValue: true },
 			// check not used
@@ -152,6 +170,13 @@ export class Options {
 			hooks: { type: OptionType.Boolean, default: true, hasSensitiveValue: false },
 			link: { type: OptionType.Boolean, default: false, hasSensitiveValue: false },
 			aab: { type: OptionType.Boolean, hasSensitiveValue: false },
+			universalApk: { type: OptionType.Boolean, hasSensitiveValue: false },
+			flavor: { type: OptionType.String, hasSensitiveValue: false },
+			buildType: { type: OptionType.String, hasSensitiveValue: false },
+			iosConfiguration: { type: OptionType.String, hasSensitiveValue: false },
+			iosScheme: { type: OptionType.String, hasSensitiveValue: false },
+			environment: { type: OptionType.String, hasSensitiveValue: false },
+			matrix: { type: OptionType.String, hasSensitiveValue: true },
 			performance: { type: OptionType.Object, hasSensitiveValue: true },
 			appleApplicationSpecificPassword: { type: OptionType.String, hasSensitiveValue: true },
 			appleSessionBase64: { type: OptionType.String, hasSensitiveValue: true },
@@ -200,6 +225,18 @@ export class Options {
 				}
 			}
 		});
+
+		this.resolveCredentialReferences();
+	}
+
+	// Replaces the values of the sensitive options like --key-store-password @store:android-release with the credentials from the credential store.
+	private resolveCredentialReferences(): void {
+		_.each(this.options, (option: IDashedOption, optionName: string) => {
+			const value = this.argv[optionName];
+			if (option.hasSensitiveValue && option.type === OptionType.String && _.isString(value) && _.startsWith(value, CREDENTIAL_REFERENCE_PREFIX)) {
+				this.argv[optionName] = this.argv[this.getDashedOptionName(optionName)] = this.$credentialStoreService.resolveCredentialReference(value);
+			}
+		});
 	}
 
 	private getCorrectOptionName(optionName: string): string {
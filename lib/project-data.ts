@@ -41,6 +41,8 @@ export class ProjectData implements IProjectData {
 		}
 	];
 
+	private static HOOK_TYPE_REGEX = /^(before|after)-[\w-]+$/;
+
 	public projectDir: string;
 	public platformsDir: string;
 	public projectFilePath: string;
@@ -71,6 +73,9 @@ export class ProjectData implements IProjectData {
 	public isShared: boolean;
 	public previewAppSchema: string;
 	public webpackConfigPath: string;
+	public environmentName: string;
+	public environment: INsConfigEnvironment;
+	public environmentAppResourcesDirectoryPath: string;
 
 	constructor(private $fs: IFileSystem,
 		private $errors: IErrors,
@@ -126,12 +131,19 @@ export class ProjectData implements IProjectData {
 				`Additional technical info: ${err.toString()}`);
 		}
 
+		if (nsConfig && nsConfig.hooks) {
+			this.validateNsConfigHooks(nsConfig.hooks, projectDir);
+		}
+
 		if (nsData) {
+			const environmentName = this.$options.environment || null;
+			const environment = environmentName ? this.getEnvironment(nsConfig, environmentName) : null;
+
 			this.projectDir = projectDir;
 			this.projectName = this.$projectHelper.sanitizeName(path.basename(projectDir));
 			this.platformsDir = path.join(projectDir, constants.PLATFORMS_DIR_NAME);
 			this.projectFilePath = projectFilePath;
-			this.projectIdentifiers = this.initializeProjectIdentifiers(nsData.id);
+			this.projectIdentifiers = this.initializeProjectIdentifiers((environment && environment.id) || nsData.id);
 			this.dependencies = packageJsonData.dependencies;
 			this.devDependencies = packageJsonData.devDependencies;
 			this.projectType = this.getProjectType();
@@ -147,6 +159,9 @@ export class ProjectData implements IProjectData {
 			this.isShared = !!(this.nsConfig && this.nsConfig.shared);
 			this.previewAppSchema = this.nsConfig && this.nsConfig.previewAppSchema;
 			this.webpackConfigPath = (this.nsConfig && this.nsConfig.webpackConfigPath) ? path.resolve(this.projectDir, this.nsConfig.webpackConfigPath) : path.join(this.projectDir, "webpack.config.js");
+			this.environmentName = environmentName;
+			this.environment = environment;
+			this.environmentAppResourcesDirectoryPath = (environment && environment.appResourcesPath) ? path.resolve(this.projectDir, environment.appResourcesPath) : null;
 			return;
 		}
 
@@ -170,6 +185,47 @@ export class ProjectData implements IProjectData {
 		this.$errors.fail("No project found at or above '%s' and neither was a --path specified.", projectDir || this.$options.path || currentDir);
 	}
 
+	private getEnvironment(nsConfig: INsConfig, environmentName: string): INsConfigEnvironment {
+		const environments = (nsConfig && nsConfig.environments) || {};
+		if (!_.has(environments, environmentName) || !_.isPlainObject(environments[environmentName])) {
+			const availableEnvironments = _.keys(environments);
+			this.$errors.fail(`The environment "${environmentName}" is not defined in the "environments" property of ${constants.CONFIG_NS_FILE_NAME}. ` +
+				(availableEnvironments.length ? `The available environments are: ${availableEnvironments.join(", ")}.` : "There are no environments defined."));
+		}
+
+		return environments[environmentName];
+	}
+
+	private validateNsConfigHooks(hooks: INsConfigHook[], projectDir: string): void {
+		if (!_.isArray(hooks)) {
+			this.$errors.fail(`The "hooks" property in ${constants.CONFIG_NS_FILE_NAME} must be an array.`);
+		}
+
+		_.each(hooks, (hook, index) => {
+			if (!hook || !_.isString(hook.type) || !ProjectData.HOOK_TYPE_REGEX.test(hook.type)) {
+				this.$errors.fail(`The hook at index ${index} in ${constants.CONFIG_NS_FILE_NAME} has invalid type. ` +
+					`The type must be the name of a hook, for example "before-prepare".`);
+			}
+
+			if (!_.isString(hook.script) || !hook.script) {
+				this.$errors.fail(`The ${hook.type} hook at index ${index} in ${constants.CONFIG_NS_FILE_NAME} does not specify a script.`);
+			}
+
+			if (!_.isUndefined(hook.parallel) && !_.isBoolean(hook.parallel)) {
+				this.$errors.fail(`The "parallel" property of the ${hook.type} hook at index ${index} in ${constants.CONFIG_NS_FILE_NAME} must be a boolean.`);
+			}
+
+			if (!_.isUndefined(hook.timeout) && !(_.isNumber(hook.timeout) && hook.timeout > 0)) {
+				this.$errors.fail(`The "timeout" property of the ${hook.type} hook at index ${index} in ${constants.CONFIG_NS_FILE_NAME} must be a positive number of milliseconds.`);
+			}
+
+			const scriptPath = path.resolve(projectDir, hook.script);
+			if (!this.$fs.exists(scriptPath)) {
+				this.$errors.fail(`The script ${scriptPath} of the ${hook.type} hook in ${constants.CONFIG_NS_FILE_NAME} does not exist.`);
+			}
+		});
+	}
+
 	private getProjectFilePath(projectDir: string): string {
 		return path.join(projectDir, this.$staticConfig.PROJECT_FILE_NAME);
 	}
@@ -13,6 +13,7 @@ export class AndroidProjectService extends projectServiceBaseLib.PlatformProject
 	private static VALUES_VERSION_DIRNAME_PREFIX = AndroidProjectService.VALUES_DIRNAME + "-v";
 	private static ANDROID_PLATFORM_NAME = "android";
 	private static MIN_RUNTIME_VERSION_WITH_GRADLE = "1.5.0";
+	private static OUTPUT_METADATA_FILE_NAMES = ["output-metadata.json", "output.json"];
 
 	constructor(private $androidToolsInfo: IAndroidToolsInfo,
 		private $errors: IErrors,
@@ -53,14 +54,29 @@ export class AndroidProjectService extends projectServiceBaseLib.PlatformProject
 				platformProjectService: <any>this,
 				projectRoot: projectRoot,
 				getBuildOutputPath: (buildOptions: IBuildOutputOptions) => {
+					const hasBuildVariant = !!(buildOptions.androidFlavor || buildOptions.androidBuildType);
+					const buildMode = this.getBuildMode(buildOptions);
+
 					if (buildOptions.androidBundle) {
-						return path.join(projectRoot, constants.APP_FOLDER_NAME, constants.BUILD_DIR, constants.OUTPUTS_DIR, constants.BUNDLE_DIR);
+						const bundleOutputPath = path.join(projectRoot, constants.APP_FOLDER_NAME, constants.BUILD_DIR, constants.OUTPUTS_DIR, constants.BUNDLE_DIR);
+						// Gradle places the bundles in a directory named after the variant, e.g. bundle/freeStaging.
+						return hasBuildVariant ? path.join(bundleOutputPath, `${buildOptions.androidFlavor || ""}${buildOptions.androidFlavor ? _.upperFirst(buildMode) : buildMode}`) : bundleOutputPath;
 					}
 
-					return path.join(...deviceBuildOutputArr);
+					// Gradle places the apks in a directory for the flavor and a subdirectory for the build type, e.g. apk/free/staging.
+					return hasBuildVariant ? path.join(...deviceBuildOutputArr, ..._.compact([buildOptions.androidFlavor, buildMode])) : path.join(...deviceBuildOutputArr);
 				},
 				getValidBuildOutputData: (buildOptions: IBuildOutputOptions): IValidBuildOutputData => {
-					const buildMode = buildOptions.release ? Configurations.Release.toLowerCase() : Configurations.Debug.toLowerCase();
+					const buildMode = this.getBuildMode(buildOptions);
+
+					if (buildOptions.androidFlavor || buildOptions.androidBuildType) {
+						// The packages of the other variants must not be matched, so only the exact names are valid.
+						const extension = buildOptions.androidBundle ? constants.AAB_EXTENSION_NAME : constants.APK_EXTENSION_NAME;
+						const variantPackageNames = this.getVariantPackageNames(this._platformData.getBuildOutputPath(buildOptions), buildOptions.androidFlavor, buildMode, extension);
+						return {
+							packageNames: buildOptions.androidBundle ? [`${constants.APP_FOLDER_NAME}${constants.AAB_EXTENSION_NAME}`, ...variantPackageNames] : variantPackageNames
+						};
+					}
 
 					if (buildOptions.androidBundle) {
 						return {
@@ -227,6 +243,36 @@ export class AndroidProjectService extends projectServiceBaseLib.PlatformProject
 		return id;
 	}
 
+	private getBuildMode(buildOptions: IBuildOutputOptions): string {
+		return buildOptions.androidBuildType || (buildOptions.release ? Configurations.Release.toLowerCase() : Configurations.Debug.toLowerCase());
+	}
+
+	private getVariantPackageNames(variantOutputPath: string, flavor: string, buildMode: string, extension: string): string[] {
+		// Gradle joins the flavors of the flavor dimensions with "-" in the package names, e.g. the freeProd variant is built in app-free-prod-debug.apk.
+		// The names are read from the output metadata of the variant. There is no metadata for bundles, so the camel-cased flavor is also split into its dimensions.
+		const packageNames = _.filter(this.getOutputMetadataFileNames(variantOutputPath), fileName => path.extname(fileName) === extension);
+		const flavorNames = flavor ? [flavor, flavor.split(/(?=[A-Z])/).map(flavorName => _.lowerFirst(flavorName)).join("-")] : [null];
+		_.each(flavorNames, flavorName => {
+			packageNames.push(`${_.compact([constants.APP_FOLDER_NAME, flavorName, buildMode]).join("-")}${extension}`);
+		});
+
+		return _.uniq(packageNames);
+	}
+
+	private getOutputMetadataFileNames(variantOutputPath: string): string[] {
+		for (const metadataFileName of AndroidProjectService.OUTPUT_METADATA_FILE_NAMES) {
+			const metadataFilePath = path.join(variantOutputPath, metadataFileName);
+			if (this.$fs.exists(metadataFilePath)) {
+				// output-metadata.json is written by the Android Gradle plugin 4.1 and later, output.json by the older versions.
+				const metadata = this.$fs.readJson(metadataFilePath) || {};
+				const outputs: any[] = _.isArray(metadata) ? metadata : metadata.elements;
+				return _(outputs).map(output => output && (output.outputFile || output.path)).filter(_.isString).map(outputPath => path.basename(outputPath)).value();
+			}
+		}
+
+		return [];
+	}
+
 	public afterCreateProject(projectRoot: string): void {
 		return null;
 	}
@@ -302,18 +348,45 @@ export class AndroidProjectService extends projectServiceBaseLib.PlatformProject
 		this.$fs.ensureDirectoryExists(platformsAppResourcesPath);
 
 		const appResourcesDirStructureHasMigrated = this.$androidResourcesMigrationService.hasMigrated(projectAppResourcesPath);
+		this.copyAppResources(path.join(projectAppResourcesPath, platformData.normalizedPlatformName), platformsAppResourcesPath, appResourcesDirStructureHasMigrated);
+
+		// The files from the App_Resources overlay of the environment replace the ones from App_Resources, so the overlay must have the same structure.
+		const environmentPlatformResourcesPath = projectData.environmentAppResourcesDirectoryPath && path.join(projectData.environmentAppResourcesDirectoryPath, platformData.normalizedPlatformName);
+		if (environmentPlatformResourcesPath && this.$fs.exists(environmentPlatformResourcesPath)) {
+			this.copyAppResources(environmentPlatformResourcesPath, platformsAppResourcesPath, appResourcesDirStructureHasMigrated);
+		}
+
+		if (projectData.environment && projectData.environment.displayName) {
+			this.setAppName(projectData, projectData.environment.displayName);
+		}
+
+		const androidToolsInfo = this.$androidToolsInfo.getToolsInfo({ projectDir: projectData.projectDir });
+		const compileSdkVersion = androidToolsInfo && androidToolsInfo.compileSdkVersion;
+		this.cleanResValues(compileSdkVersion, projectData);
+	}
+
+	private copyAppResources(platformResourcesPath: string, platformsAppResourcesPath: string, appResourcesDirStructureHasMigrated: boolean): void {
 		if (appResourcesDirStructureHasMigrated) {
-			this.$fs.copyFile(path.join(projectAppResourcesPath, platformData.normalizedPlatformName, constants.SRC_DIR, "*"), platformsAppResourcesPath);
+			this.$fs.copyFile(path.join(platformResourcesPath, constants.SRC_DIR, "*"), platformsAppResourcesPath);
 		} else {
-			this.$fs.copyFile(path.join(projectAppResourcesPath, platformData.normalizedPlatformName, "*"), platformsAppResourcesPath);
+			this.$fs.copyFile(path.join(platformResourcesPath, "*"), platformsAppResourcesPath);
 			// https://github.com/NativeScript/android-runtime/issues/899
 			// App_Resources/Android/libs is reserved to user's aars and jars, but they should not be copied as resources
 			this.$fs.deleteDirectory(path.join(platformsAppResourcesPath, "libs"));
 		}
+	}
 
-		const androidToolsInfo = this.$androidToolsInfo.getToolsInfo({ projectDir: projectData.projectDir });
-		const compileSdkVersion = androidToolsInfo && androidToolsInfo.compileSdkVersion;
-		this.cleanResValues(compileSdkVersion, projectData);
+	private setAppName(projectData: IProjectData, appName: string): void {
+		const stringsFilePath = path.join(this.getResDestinationDir(projectData), "values", "strings.xml");
+		if (!this.$fs.exists(stringsFilePath)) {
+			this.$logger.trace(`Unable to set the application name as ${stringsFilePath} does not exist.`);
+			return;
+		}
+
+		const escapedAppName = _.escape(appName).replace(/'/g, "\\'");
+		const stringsFileContent = this.$fs.readText(stringsFilePath)
+			.replace(/(<string name="(app_name|title_activity_kimera)">)[^<]*(<\/string>)/g, (match, start, name, end) => `${start}${escapedAppName}${end}`);
+		this.$fs.writeFile(stringsFilePath, stringsFileContent);
 	}
 
 	public async preparePluginNativeCode(pluginData: IPluginData, projectData: IProjectData): Promise<void> {
@@ -1,13 +1,16 @@
-import { resolve, join } from "path";
+import { resolve, join, dirname } from "path";
 import { hasValidAndroidSigning } from "../../common/helpers";
 
 export class AndroidBundleToolService implements IAndroidBundleToolService {
+	private static UNIVERSAL_APK_FILE_NAME = "universal.apk";
 	private javaPath: string;
 	private aabToolPath: string;
 	constructor(
 		private $childProcess: IChildProcess,
 		private $sysInfo: ISysInfo,
-		private $errors: IErrors
+		private $errors: IErrors,
+		private $fs: IFileSystem,
+		private $tempService: ITempService
 	) {
 		this.aabToolPath = resolve(join(__dirname, "../../../vendor/aab-tool/bundletool.jar"));
 	}
@@ -22,16 +25,43 @@ export class AndroidBundleToolService implements IAndroidBundleToolService {
 			"--bundle",
 			options.aabFilePath,
 			"--output", options.apksOutputPath,
-			"--ks", options.signingData.keyStorePath,
-			"--ks-pass", `pass:${options.signingData.keyStorePassword}`,
-			"--ks-key-alias", options.signingData.keyStoreAlias,
-			"--key-pass", `pass:${options.signingData.keyStoreAliasPassword}`
+			...this.getSigningArgs(options.signingData)
 		]);
 		if (aabToolResult.exitCode !== 0 && aabToolResult.stderr) {
 			this.$errors.fail(`Unable to build "apks" from the provided "aab". Error: ${aabToolResult.stderr}`);
 		}
 	}
 
+	public async buildUniversalApk(options: IBuildUniversalApkOptions): Promise<void> {
+		if (!hasValidAndroidSigning(options.signingData)) {
+			this.$errors.fail(`Unable to build universal "apk" without a full signing information.`);
+		}
+
+		const tempDir = await this.$tempService.mkdirSync("universal-apk");
+		const apksOutputPath = join(tempDir, "universal.apks");
+		const aabToolResult = await this.execBundleTool([
+			"build-apks",
+			"--mode=universal",
+			"--bundle",
+			options.aabFilePath,
+			"--output", apksOutputPath,
+			...this.getSigningArgs(options.signingData)
+		]);
+		if (aabToolResult.exitCode !== 0 && aabToolResult.stderr) {
+			this.$errors.fail(`Unable to build universal "apk" from the provided "aab". Error: ${aabToolResult.stderr}`);
+		}
+
+		// The universal mode produces an "apks" archive which contains a single signed "universal.apk".
+		await this.$fs.unzip(apksOutputPath, tempDir, { overwriteExisitingFiles: true }, [AndroidBundleToolService.UNIVERSAL_APK_FILE_NAME]);
+		const universalApkPath = join(tempDir, AndroidBundleToolService.UNIVERSAL_APK_FILE_NAME);
+		if (!this.$fs.exists(universalApkPath)) {
+			this.$errors.fail(`Unable to find "${AndroidBundleToolService.UNIVERSAL_APK_FILE_NAME}" in the "apks" built from ${options.aabFilePath}.`);
+		}
+
+		this.$fs.ensureDirectoryExists(dirname(options.apkOutputPath));
+		this.$fs.copyFile(universalApkPath, options.apkOutputPath);
+	}
+
 	public async installApks(options: IInstallApksOptions): Promise<void> {
 		const aabToolResult = await this.execBundleTool(["install-apks", "--apks", options.apksFilePath, "--device-id", options.deviceId]);
 		if (aabToolResult.exitCode !== 0 && aabToolResult.stderr) {
@@ -39,6 +69,15 @@ export class AndroidBundleToolService implements IAndroidBundleToolService {
 		}
 	}
 
+	private getSigningArgs(signingData: IAndroidSigningData): string[] {
+		return [
+			"--ks", signingData.keyStorePath,
+			"--ks-pass", `pass:${signingData.keyStorePassword}`,
+			"--ks-key-alias", signingData.keyStoreAlias,
+			"--key-pass", `pass:${signingData.keyStoreAliasPassword}`
+		];
+	}
+
 	private async execBundleTool(args: string[]) {
 		const javaPath = await this.getJavaPath();
 		const defaultArgs = [
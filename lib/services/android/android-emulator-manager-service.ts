@@ -0,0 +1,151 @@
+import { EOL } from "os";
+import { AndroidVirtualDevice, NOT_RUNNING_EMULATOR_STATUS } from "../../common/constants";
+import { getCurrentEpochTime, sleep } from "../../common/helpers";
+
+export class AndroidEmulatorManagerService implements IAndroidEmulatorManagerService {
+	private static HEADLESS_ARGS = ["-no-window", "-no-audio", "-no-boot-anim"];
+	private static COLD_BOOT_ARGS = ["-no-snapshot-load"];
+	private static WIPE_DATA_ARGS = ["-wipe-data"];
+	// avdmanager asks whether to create a custom hardware profile, so the default answer is passed to it.
+	private static CUSTOM_HARDWARE_PROFILE_ANSWER = "no\n";
+	private static STOP_CHECK_INTERVAL = 1000;
+
+	constructor(private $adb: Mobile.IAndroidDebugBridge,
+		private $androidEmulatorDiscovery: Mobile.IAndroidEmulatorDiscovery,
+		private $androidEmulatorServices: Mobile.IEmulatorPlatformService,
+		private $androidToolsInfo: IAndroidToolsInfo,
+		private $childProcess: IChildProcess,
+		private $devicePlatformsConstants: Mobile.IDevicePlatformsConstants,
+		private $emulatorHelper: Mobile.IEmulatorHelper,
+		private $errors: IErrors,
+		private $logger: ILogger,
+		private $utils: IUtils) { }
+
+	public async createEmulator(options: IAndroidEmulatorCreateOptions): Promise<Mobile.IDeviceInfo> {
+		const avdManagerPath = this.$androidToolsInfo.getPathToAvdManager();
+		if (!avdManagerPath) {
+			this.$errors.fail("Unable to find avdmanager. Make sure the ANDROID_HOME environment variable is set and the Android SDK Command-line Tools are installed.");
+		}
+
+		const args = ["create", "avd", "--name", options.name, "--package", options.systemImage];
+		if (options.deviceProfile) {
+			args.push("--device", options.deviceProfile);
+		}
+
+		if (options.force) {
+			args.push("--force");
+		}
+
+		const result = await this.$childProcess.trySpawnFromCloseEvent(avdManagerPath, args, { stdio: "pipe" }, { throwError: false, input: AndroidEmulatorManagerService.CUSTOM_HARDWARE_PROFILE_ANSWER });
+		if (result.exitCode !== 0) {
+			this.$errors.fail(`Unable to create the emulator ${options.name}. Error: ${(result.stderr || result.stdout).trim()}`);
+		}
+
+		const emulator = this.findAvd(options.name, (await this.$androidEmulatorServices.getEmulatorImages()).devices);
+		if (!emulator) {
+			this.$errors.fail(`The emulator ${options.name} is created, but it is not listed by avdmanager.`);
+		}
+
+		return emulator;
+	}
+
+	public async startEmulator(name: string, options: IAndroidEmulatorStartOptions): Promise<Mobile.IDeviceInfo> {
+		this.validateEmulatorExecutable();
+		const emulator = await this.getEmulator(name);
+		if (this.$emulatorHelper.isEmulatorRunning(emulator)) {
+			return emulator;
+		}
+
+		return this.startEmulatorCore(emulator, options);
+	}
+
+	public async stopEmulator(name: string): Promise<Mobile.IDeviceInfo> {
+		const emulator = await this.getEmulator(name);
+		if (!this.$emulatorHelper.isEmulatorRunning(emulator)) {
+			this.$errors.fail(`The emulator ${name} is not running.`);
+		}
+
+		return this.stopEmulatorCore(emulator);
+	}
+
+	public async wipeEmulator(name: string, options: IAndroidEmulatorStartOptions): Promise<Mobile.IDeviceInfo> {
+		this.validateEmulatorExecutable();
+		let emulator = await this.getEmulator(name);
+		if (this.$emulatorHelper.isEmulatorRunning(emulator)) {
+			// The emulator locks its data while it is running.
+			emulator = await this.stopEmulatorCore(emulator);
+		}
+
+		return this.startEmulatorCore(emulator, { ...options, wipeData: true });
+	}
+
+	private async startEmulatorCore(emulator: Mobile.IDeviceInfo, options: IAndroidEmulatorStartOptions): Promise<Mobile.IDeviceInfo> {
+		const startEmulatorOptions: Mobile.IAndroidStartEmulatorOptions = {
+			imageIdentifier: emulator.imageIdentifier,
+			emulatorArgs: this.getEmulatorArgs(options)
+		};
+
+		const { errors } = await this.$androidEmulatorServices.startEmulator(startEmulatorOptions);
+		if (errors && errors.length) {
+			this.$errors.fail(`Unable to start the emulator ${emulator.imageIdentifier}. Error: ${errors.join(EOL)}`);
+		}
+
+		const emulators = (await this.$androidEmulatorServices.getEmulatorImages()).devices;
+		return this.$emulatorHelper.getEmulatorByImageIdentifier(emulator.imageIdentifier, emulators) || emulator;
+	}
+
+	private async stopEmulatorCore(emulator: Mobile.IDeviceInfo): Promise<Mobile.IDeviceInfo> {
+		this.$logger.info(`Stopping Android emulator ${emulator.identifier} with image ${emulator.imageIdentifier}`);
+		await this.$adb.executeCommand(["emu", "kill"], { deviceIdentifier: emulator.identifier });
+
+		const timeout = this.$utils.getMilliSecondsTimeout(AndroidVirtualDevice.TIMEOUT_SECONDS);
+		const endTime = getCurrentEpochTime() + timeout;
+		while (_.includes(await this.$androidEmulatorServices.getRunningEmulatorIds(), emulator.identifier)) {
+			if (timeout && getCurrentEpochTime() >= endTime) {
+				this.$errors.fail(`The emulator ${emulator.imageIdentifier} did not stop in ${timeout / 1000} seconds.`);
+			}
+
+			await sleep(AndroidEmulatorManagerService.STOP_CHECK_INTERVAL);
+		}
+
+		return { ...emulator, identifier: null, status: NOT_RUNNING_EMULATOR_STATUS };
+	}
+
+	private async getEmulator(name: string): Promise<Mobile.IDeviceInfo> {
+		await this.$androidEmulatorDiscovery.startLookingForDevices();
+		const emulator = this.findAvd(name, this.$androidEmulatorDiscovery.getDevices());
+		if (!emulator) {
+			this.$errors.fail(`Unable to find an Android Virtual Device with name or identifier ${name}. Create it with 'tns emulator create'.`);
+		}
+
+		return emulator;
+	}
+
+	private findAvd(name: string, emulators: Mobile.IDeviceInfo[]): Mobile.IDeviceInfo {
+		const avds = _.filter(emulators, emulator => emulator.vendor === AndroidVirtualDevice.AVD_VENDOR_NAME && emulator.platform === this.$devicePlatformsConstants.Android);
+		return this.$emulatorHelper.getEmulatorByImageIdentifier(name, avds) || this.$emulatorHelper.getEmulatorByIdOrName(name, avds);
+	}
+
+	private getEmulatorArgs(options: IAndroidEmulatorStartOptions): string[] {
+		let args: string[] = [];
+		if (options.headless) {
+			args = args.concat(AndroidEmulatorManagerService.HEADLESS_ARGS);
+		}
+
+		if (options.wipeData) {
+			args = args.concat(AndroidEmulatorManagerService.WIPE_DATA_ARGS);
+		} else if (options.coldBoot) {
+			args = args.concat(AndroidEmulatorManagerService.COLD_BOOT_ARGS);
+		}
+
+		return args;
+	}
+
+	private validateEmulatorExecutable(): void {
+		if (!this.$androidToolsInfo.getPathToEmulator()) {
+			this.$errors.fail("Unable to find the emulator executable. Make sure the ANDROID_HOME environment variable is set and the Android Emulator is installed.");
+		}
+	}
+}
+
+$injector.register("androidEmulatorManagerService", AndroidEmulatorManagerService);
@@ -0,0 +1,157 @@
+import * as path from "path";
+
+export class AndroidKeystoreService implements IAndroidKeystoreService {
+	private static STORE_PASSWORD_ENV_VAR_NAME = "NS_KEYSTORE_PASSWORD";
+	private static DEFAULT_VALIDITY_DAYS = 10000;
+	// keytool output is localized, so it is forced to English in order to parse it.
+	private static KEYTOOL_LOCALE_ARGS = ["-J-Duser.language=en", "-J-Duser.country=US"];
+	private static CERTIFICATE_SEPARATOR_REGEX = /^(?=Owner:)/m;
+	private static APK_SIGNER_CERTIFICATE_REGEX = /^Signer #(\d+) certificate (DN|SHA-256 digest|SHA-1 digest):\s*(.+)$/gm;
+	private static APK_SIGNER_NOT_VERIFIED_REGEX = /DOES NOT VERIFY/;
+
+	constructor(private $androidToolsInfo: IAndroidToolsInfo,
+		private $childProcess: IChildProcess,
+		private $errors: IErrors,
+		private $fs: IFileSystem) { }
+
+	public async createKeystore(options: IAndroidKeystoreCreateOptions): Promise<IAndroidCertificateInfo> {
+		if (this.$fs.exists(options.keyStorePath)) {
+			this.$errors.fail(`The keystore ${options.keyStorePath} already exists.`);
+		}
+
+		this.$fs.ensureDirectoryExists(path.dirname(options.keyStorePath));
+		await this.execKeytool([
+			"-genkeypair",
+			"-keystore", options.keyStorePath,
+			"-storetype", "PKCS12",
+			"-alias", options.keyStoreAlias,
+			"-keyalg", "RSA",
+			"-keysize", "2048",
+			"-validity", (options.validity || AndroidKeystoreService.DEFAULT_VALIDITY_DAYS).toString(),
+			"-dname", options.dname || `CN=${options.keyStoreAlias}`
+		], options.keyStorePassword, `Unable to create the keystore ${options.keyStorePath}.`);
+
+		return this.getCertificateInfo(options);
+	}
+
+	public async getCertificateInfo(options: IAndroidKeystoreOptions): Promise<IAndroidCertificateInfo> {
+		if (!this.$fs.exists(options.keyStorePath)) {
+			this.$errors.fail(`The keystore ${options.keyStorePath} does not exist.`);
+		}
+
+		const output = await this.execKeytool([
+			"-list",
+			"-v",
+			"-keystore", options.keyStorePath,
+			"-alias", options.keyStoreAlias
+		], options.keyStorePassword, `Unable to read the alias ${options.keyStoreAlias} from the keystore ${options.keyStorePath}.`);
+
+		const certificate = _.first(this.parseCertificates(output));
+		if (!certificate) {
+			this.$errors.fail(`Unable to find a certificate for the alias ${options.keyStoreAlias} in the keystore ${options.keyStorePath}.`);
+		}
+
+		return certificate;
+	}
+
+	public async verifyPackageSignature(packagePath: string, options: IAndroidKeystoreOptions): Promise<IAndroidPackageSignatureVerification> {
+		if (!this.$fs.exists(packagePath)) {
+			this.$errors.fail(`The file ${packagePath} does not exist.`);
+		}
+
+		const keystoreCertificate = await this.getCertificateInfo(options);
+		const packageCertificates = path.extname(packagePath).toLowerCase() === ".apk" ?
+			await this.getApkCertificates(packagePath) :
+			this.parseCertificates(await this.execKeytool(["-printcert", "-jarfile", packagePath], null, `Unable to read the signature of ${packagePath}.`));
+
+		return {
+			packagePath,
+			keystoreCertificate,
+			packageCertificates,
+			isSigned: packageCertificates.length > 0,
+			isSignedWithKeystore: _.some(packageCertificates, certificate => certificate.sha256 === keystoreCertificate.sha256)
+		};
+	}
+
+	private async getApkCertificates(packagePath: string): Promise<IAndroidCertificateInfo[]> {
+		// keytool reads only the JAR signature, which APKs signed only with the APK Signature Scheme v2 or v3 do not have.
+		const apkSignerPath = this.$androidToolsInfo.getPathToApkSigner();
+		if (!apkSignerPath) {
+			this.$errors.fail("Unable to find apksigner. Make sure the ANDROID_HOME environment variable is set and the Android SDK Build Tools are installed.");
+		}
+
+		const result = await this.$childProcess.trySpawnFromCloseEvent(apkSignerPath, ["verify", "--print-certs", packagePath], { stdio: "pipe" }, { throwError: false });
+		if (result.exitCode !== 0) {
+			const output = `${result.stdout || ""}${result.stderr || ""}`;
+			if (AndroidKeystoreService.APK_SIGNER_NOT_VERIFIED_REGEX.test(output)) {
+				return [];
+			}
+
+			this.$errors.fail(`Unable to read the signature of ${packagePath}. Error: ${output.trim()}`);
+		}
+
+		const signers: IDictionary<IDictionary<string>> = {};
+		let match: RegExpExecArray;
+		const certificateRegex = new RegExp(AndroidKeystoreService.APK_SIGNER_CERTIFICATE_REGEX);
+		while (match = certificateRegex.exec(result.stdout)) {
+			const [, signer, name, value] = match;
+			signers[signer] = _.assign(signers[signer], { [name]: value.trim() });
+		}
+
+		return _.map(signers, signer => ({
+			owner: signer["DN"] || null,
+			issuer: null,
+			serialNumber: null,
+			validFrom: null,
+			validUntil: null,
+			sha1: this.formatDigest(signer["SHA-1 digest"]),
+			sha256: this.formatDigest(signer["SHA-256 digest"])
+		}));
+	}
+
+	/**
+	 * apksigner prints the digests in lowercase hex, while keytool prints them in uppercase hex with colons between the bytes.
+	 */
+	private formatDigest(digest: string): string {
+		return digest ? digest.toUpperCase().match(/.{2}/g).join(":") : null;
+	}
+
+	private parseCertificates(output: string): IAndroidCertificateInfo[] {
+		return _(output.split(AndroidKeystoreService.CERTIFICATE_SEPARATOR_REGEX))
+			.map(certificateOutput => ({
+				owner: this.getValue(certificateOutput, /^Owner:\s*(.+)$/m),
+				issuer: this.getValue(certificateOutput, /^Issuer:\s*(.+)$/m),
+				serialNumber: this.getValue(certificateOutput, /^Serial number:\s*(.+)$/m),
+				validFrom: this.getValue(certificateOutput, /^Valid from:\s*(.+?)\s+until:/m),
+				validUntil: this.getValue(certificateOutput, /until:\s*(.+)$/m),
+				sha1: this.getValue(certificateOutput, /^\s*SHA1:\s*([0-9A-F:]+)/m),
+				sha256: this.getValue(certificateOutput, /^\s*SHA256:\s*([0-9A-F:]+)/m)
+			}))
+			.filter(certificate => !!certificate.sha256)
+			.value();
+	}
+
+	private getValue(output: string, regex: RegExp): string {
+		const match = output.match(regex);
+		return match ? match[1].trim() : null;
+	}
+
+	private async execKeytool(args: string[], storePassword: string, errorMessage: string): Promise<string> {
+		const keytoolPath = await this.$androidToolsInfo.getPathToKeytool();
+		if (!keytoolPath) {
+			this.$errors.fail("Unable to find keytool. Make sure you have installed The Java Development Kit (JDK) and set JAVA_HOME environment variable.");
+		}
+
+		// The password is passed through an environment variable, so it is not visible in the list of processes.
+		const passwordArgs = storePassword ? ["-storepass:env", AndroidKeystoreService.STORE_PASSWORD_ENV_VAR_NAME] : [];
+		const env = _.assign({}, process.env, { [AndroidKeystoreService.STORE_PASSWORD_ENV_VAR_NAME]: storePassword || "" });
+		const result = await this.$childProcess.trySpawnFromCloseEvent(keytoolPath, [...AndroidKeystoreService.KEYTOOL_LOCALE_ARGS, ...args, ...passwordArgs], { env });
+		if (result.exitCode !== 0) {
+			this.$errors.fail(`${errorMessage} Error: ${(result.stderr || result.stdout).trim()}`);
+		}
+
+		return result.stdout;
+	}
+}
+
+$injector.register("androidKeystoreService", AndroidKeystoreService);
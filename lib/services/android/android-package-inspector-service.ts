@@ -0,0 +1,224 @@
+import * as path from "path";
+import { AAB_EXTENSION_NAME } from "../../constants";
+
+interface IAndroidPackageEntry extends IAndroidPackageFile {
+	/**
+	 * The module of the file or null when the file is not downloaded to the devices, for example the metadata of the bundle.
+	 */
+	module: string;
+	/**
+	 * Path of the file in its module.
+	 */
+	modulePath: string;
+}
+
+export class AndroidPackageInspectorService implements IAndroidPackageInspectorService {
+	private static LARGEST_FILES_COUNT = 10;
+	private static BASE_MODULE_NAME = "base";
+	private static BUNDLE_METADATA_DIRECTORIES = ["BUNDLE-METADATA", "META-INF"];
+	private static ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+	private static ZIP_CENTRAL_DIRECTORY_ENTRY_SIGNATURE = 0x02014b50;
+	private static ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIGNATURE = 0x07064b50;
+	private static ZIP_END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+	private static ZIP_CENTRAL_DIRECTORY_ENTRY_SIZE = 46;
+	private static ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE = 20;
+	private static ZIP_MAX_COMMENT_SIZE = 0xFFFF;
+	private static ZIP64_MARKER_16 = 0xFFFF;
+	private static ZIP64_MARKER_32 = 0xFFFFFFFF;
+	private static NATIVE_LIBRARY_REGEX = /^lib\/([^\/]+)\//;
+
+	constructor(private $errors: IErrors,
+		private $fs: IFileSystem) { }
+
+	public async inspect(packagePath: string): Promise<IAndroidPackageInspection> {
+		return this.getInspection(packagePath, this.getEntries(packagePath));
+	}
+
+	public async compare(packagePath: string, previousPackagePath: string): Promise<IAndroidPackageComparison> {
+		if (path.extname(packagePath).toLowerCase() !== path.extname(previousPackagePath).toLowerCase()) {
+			this.$errors.fail(`Unable to compare ${packagePath} with ${previousPackagePath} as they are not packages of the same type.`);
+		}
+
+		const currentEntries = this.getEntries(packagePath);
+		const previousEntries = this.getEntries(previousPackagePath);
+		const current = this.getInspection(packagePath, currentEntries);
+		const previous = this.getInspection(previousPackagePath, previousEntries);
+		const currentFiles = _.keyBy(currentEntries, entry => entry.path);
+		const previousFiles = _.keyBy(previousEntries, entry => entry.path);
+
+		return {
+			previousPackagePath,
+			sizeDiff: current.size - previous.size,
+			modules: this.getSizesDiff(current.modules, previous.modules),
+			abis: this.getSizesDiff(current.abis, previous.abis),
+			changedFiles: _(_.keys(currentFiles))
+				.union(_.keys(previousFiles))
+				.map(filePath => ({
+					path: filePath,
+					compressedSizeDiff: this.getFileCompressedSize(currentFiles[filePath]) - this.getFileCompressedSize(previousFiles[filePath])
+				}))
+				.filter(file => file.compressedSizeDiff !== 0)
+				.sortBy(file => -Math.abs(file.compressedSizeDiff))
+				.value()
+		};
+	}
+
+	private getInspection(packagePath: string, entries: IAndroidPackageEntry[]): IAndroidPackageInspection {
+		const moduleEntries = _.filter(entries, entry => !!entry.module);
+		const nativeLibraries = _.filter(moduleEntries, entry => !!this.getAbi(entry));
+		const commonSize = this.getCompressedSize(_.difference(moduleEntries, nativeLibraries));
+
+		return {
+			packagePath,
+			size: this.$fs.getFsStats(packagePath).size,
+			modules: _(moduleEntries)
+				.groupBy(entry => entry.module)
+				.mapValues(entriesInModule => this.getCompressedSize(entriesInModule))
+				.value(),
+			abis: _(nativeLibraries)
+				.groupBy(entry => this.getAbi(entry))
+				.mapValues(abiEntries => commonSize + this.getCompressedSize(abiEntries))
+				.value(),
+			largestAppFiles: _(moduleEntries)
+				.filter(entry => _.startsWith(entry.modulePath, "assets/app/"))
+				.sortBy(entry => -entry.size)
+				.take(AndroidPackageInspectorService.LARGEST_FILES_COUNT)
+				.map(entry => this.toPackageFile(entry))
+				.value(),
+			sourceMaps: _(moduleEntries)
+				.filter(entry => _.startsWith(entry.modulePath, "assets/") && _.endsWith(entry.modulePath, ".map"))
+				.map(entry => this.toPackageFile(entry))
+				.value(),
+			nativeLibraries: _(nativeLibraries)
+				.sortBy(entry => entry.path)
+				.map(entry => this.toPackageFile(entry))
+				.value()
+		};
+	}
+
+	private getSizesDiff(sizes: IDictionary<number>, previousSizes: IDictionary<number>): IDictionary<number> {
+		return _(_.keys(sizes))
+			.union(_.keys(previousSizes))
+			.map(key => [key, (sizes[key] || 0) - (previousSizes[key] || 0)])
+			.fromPairs()
+			.value();
+	}
+
+	private getFileCompressedSize(entry: IAndroidPackageEntry): number {
+		return entry ? entry.compressedSize : 0;
+	}
+
+	private getCompressedSize(entries: IAndroidPackageEntry[]): number {
+		return _.sumBy(entries, entry => entry.compressedSize);
+	}
+
+	private getAbi(entry: IAndroidPackageEntry): string {
+		const match = entry.modulePath.match(AndroidPackageInspectorService.NATIVE_LIBRARY_REGEX);
+		return match && match[1];
+	}
+
+	private toPackageFile(entry: IAndroidPackageEntry): IAndroidPackageFile {
+		return _.pick(entry, ["path", "size", "compressedSize"]);
+	}
+
+	private getEntries(packagePath: string): IAndroidPackageEntry[] {
+		const isBundle = path.extname(packagePath).toLowerCase() === AAB_EXTENSION_NAME;
+
+		return _.map(this.readZipEntries(packagePath), file => {
+			if (!isBundle) {
+				return { ...file, module: AndroidPackageInspectorService.BASE_MODULE_NAME, modulePath: file.path };
+			}
+
+			// The files of each module of an .aab are in a directory named after the module.
+			const [moduleName, ...modulePathParts] = file.path.split("/");
+			const isModuleFile = modulePathParts.length && !_.includes(AndroidPackageInspectorService.BUNDLE_METADATA_DIRECTORIES, moduleName);
+
+			return { ...file, module: isModuleFile ? moduleName : null, modulePath: modulePathParts.join("/") };
+		});
+	}
+
+	/**
+	 * Reads only the end of central directory record and the central directory, so large packages are not loaded in memory.
+	 */
+	private readZipEntries(zipFilePath: string): IAndroidPackageFile[] {
+		const fileSize = this.$fs.getFsStats(zipFilePath).size;
+		const tailSize = Math.min(fileSize, AndroidPackageInspectorService.ZIP_END_OF_CENTRAL_DIRECTORY_SIZE + AndroidPackageInspectorService.ZIP_MAX_COMMENT_SIZE);
+		const tail = this.$fs.readFileRange(zipFilePath, fileSize - tailSize, tailSize);
+		const endOfCentralDirectoryOffset = this.getEndOfCentralDirectoryOffset(tail);
+		if (endOfCentralDirectoryOffset < 0) {
+			this.failInvalidPackage(zipFilePath);
+		}
+
+		const entriesCount = tail.readUInt16LE(endOfCentralDirectoryOffset + 10);
+		const centralDirectorySize = tail.readUInt32LE(endOfCentralDirectoryOffset + 12);
+		const centralDirectoryOffset = tail.readUInt32LE(endOfCentralDirectoryOffset + 16);
+		const locatorOffset = endOfCentralDirectoryOffset - AndroidPackageInspectorService.ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE;
+		if (entriesCount === AndroidPackageInspectorService.ZIP64_MARKER_16 ||
+			centralDirectorySize === AndroidPackageInspectorService.ZIP64_MARKER_32 ||
+			centralDirectoryOffset === AndroidPackageInspectorService.ZIP64_MARKER_32 ||
+			(locatorOffset >= 0 && tail.readUInt32LE(locatorOffset) === AndroidPackageInspectorService.ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIGNATURE)) {
+			this.failZip64Package(zipFilePath);
+		}
+
+		if (centralDirectoryOffset + centralDirectorySize > fileSize - tailSize + endOfCentralDirectoryOffset) {
+			this.failInvalidPackage(zipFilePath);
+		}
+
+		return this.readCentralDirectory(zipFilePath, this.$fs.readFileRange(zipFilePath, centralDirectoryOffset, centralDirectorySize), entriesCount);
+	}
+
+	private readCentralDirectory(zipFilePath: string, centralDirectory: Buffer, entriesCount: number): IAndroidPackageFile[] {
+		const files: IAndroidPackageFile[] = [];
+		let offset = 0;
+		for (let i = 0; i < entriesCount; i++) {
+			const headerEnd = offset + AndroidPackageInspectorService.ZIP_CENTRAL_DIRECTORY_ENTRY_SIZE;
+			if (headerEnd > centralDirectory.length || centralDirectory.readUInt32LE(offset) !== AndroidPackageInspectorService.ZIP_CENTRAL_DIRECTORY_ENTRY_SIGNATURE) {
+				this.failInvalidPackage(zipFilePath);
+			}
+
+			const compressedSize = centralDirectory.readUInt32LE(offset + 20);
+			const size = centralDirectory.readUInt32LE(offset + 24);
+			const fileNameLength = centralDirectory.readUInt16LE(offset + 28);
+			const extraFieldLength = centralDirectory.readUInt16LE(offset + 30);
+			const commentLength = centralDirectory.readUInt16LE(offset + 32);
+			const entryEnd = headerEnd + fileNameLength + extraFieldLength + commentLength;
+			if (entryEnd > centralDirectory.length) {
+				this.failInvalidPackage(zipFilePath);
+			}
+
+			if (compressedSize === AndroidPackageInspectorService.ZIP64_MARKER_32 || size === AndroidPackageInspectorService.ZIP64_MARKER_32) {
+				this.failZip64Package(zipFilePath);
+			}
+
+			const fileName = centralDirectory.toString("utf8", headerEnd, headerEnd + fileNameLength);
+			if (!_.endsWith(fileName, "/")) {
+				files.push({ path: fileName, size, compressedSize });
+			}
+
+			offset = entryEnd;
+		}
+
+		return files;
+	}
+
+	private getEndOfCentralDirectoryOffset(content: Buffer): number {
+		const lastPossibleOffset = content.length - AndroidPackageInspectorService.ZIP_END_OF_CENTRAL_DIRECTORY_SIZE;
+		for (let offset = lastPossibleOffset; offset >= 0; offset--) {
+			if (content.readUInt32LE(offset) === AndroidPackageInspectorService.ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+				return offset;
+			}
+		}
+
+		return -1;
+	}
+
+	private failInvalidPackage(zipFilePath: string): void {
+		this.$errors.fail(`${zipFilePath} is not a valid .apk or .aab file.`);
+	}
+
+	private failZip64Package(zipFilePath: string): void {
+		this.$errors.fail(`${zipFilePath} is a ZIP64 archive, which is not supported. Only packages smaller than 4 GB with less than 65535 files can be inspected.`);
+	}
+}
+
+$injector.register("androidPackageInspectorService", AndroidPackageInspectorService);
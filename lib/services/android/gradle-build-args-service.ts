@@ -1,17 +1,28 @@
 import * as path from "path";
 import { Configurations } from "../../common/constants";
 
+const ENVIRONMENT_GRADLE_INIT_SCRIPT_PATH = path.join("android", "environment.gradle");
+
 export class GradleBuildArgsService implements IGradleBuildArgsService {
 	constructor(private $androidToolsInfo: IAndroidToolsInfo,
 		private $hooksService: IHooksService,
 		private $analyticsService: IAnalyticsService,
+		private $projectDataService: IProjectDataService,
 		private $staticConfig: Config.IStaticConfig,
+		private $resources: IResourceLoader,
 		private $logger: ILogger) { }
 
 	public async getBuildTaskArgs(buildData: IAndroidBuildData): Promise<string[]> {
 		const args = this.getBaseTaskArgs(buildData);
 		args.unshift(this.getBuildTaskName(buildData));
 
+		const projectData = this.$projectDataService.getProjectData(buildData.projectDir);
+		if (projectData.environment) {
+			// The Android application identifier is set from package.json by the runtime, so the one of the environment is applied by an init script of the CLI.
+			args.push("--init-script", this.$resources.resolvePath(ENVIRONMENT_GRADLE_INIT_SCRIPT_PATH),
+				`-Penvironment=${projectData.environmentName}`, `-PappIdentifier=${projectData.projectIdentifiers.android}`);
+		}
+
 		if (await this.$analyticsService.isEnabled(this.$staticConfig.TRACK_FEATURE_USAGE_SETTING_NAME)) {
 			args.push("-PgatherAnalyticsData=true");
 		}
@@ -68,7 +79,8 @@ export class GradleBuildArgsService implements IGradleBuildArgsService {
 
 	private getBuildTaskName(buildData: IAndroidBuildData): string {
 		const baseTaskName = buildData.androidBundle ? "bundle" : "assemble";
-		const buildTaskName = buildData.release ? `${baseTaskName}${Configurations.Release}` : `${baseTaskName}${Configurations.Debug}`;
+		const buildType = buildData.androidBuildType || (buildData.release ? Configurations.Release : Configurations.Debug);
+		const buildTaskName = `${baseTaskName}${_.upperFirst(buildData.androidFlavor || "")}${_.upperFirst(buildType)}`;
 
 		return buildTaskName;
 	}
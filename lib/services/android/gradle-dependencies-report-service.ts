@@ -0,0 +1,164 @@
+import { EOL } from "os";
+import * as path from "path";
+import { APP_GRADLE_FILE_NAME, APP_RESOURCES_FOLDER_NAME, INCLUDE_GRADLE_NAME, PluginNativeDirNames } from "../../constants";
+
+export class GradleDependenciesReportService implements IGradleDependenciesReportService {
+	private static PLUGIN_GRADLE_FILE_NAMES = [INCLUDE_GRADLE_NAME, "build.gradle"];
+	private static DEPENDENCIES_SCOPE_NAME = "dependencies";
+	private static BUILDSCRIPT_SCOPE_NAME = "buildscript";
+	private static STRING_NOTATION_REGEX = /^(\w+)\s*\(?\s*["']([^"':\s]+):([^"':\s]+)(?::([^"'@\s]+))?(?:@\w+)?["']/;
+	private static MAP_NOTATION_REGEX = /^(\w+)\s*\(?\s*group\s*:\s*["']([^"']+)["']\s*,\s*name\s*:\s*["']([^"']+)["'](?:\s*,\s*version\s*:\s*["']([^"']+)["'])?/;
+	private static FIXED_VERSION_REGEX = /^[\w.-]+$/;
+
+	constructor(private $devicePlatformsConstants: Mobile.IDevicePlatformsConstants,
+		private $fs: IFileSystem,
+		private $pluginsService: IPluginsService) { }
+
+	public parseGradleFile(gradleFileContent: string): IGradleDependencyDeclaration[] {
+		const declarations: IGradleDependencyDeclaration[] = [];
+		const scopes: string[] = [];
+		const content = gradleFileContent.replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ""));
+
+		_.each(content.split(/\r?\n/), (line, index) => {
+			const trimmedLine = line.replace(/\/\/.*$/, "").trim();
+			const isInDependenciesScope = _.last(scopes) === GradleDependenciesReportService.DEPENDENCIES_SCOPE_NAME && !_.includes(scopes, GradleDependenciesReportService.BUILDSCRIPT_SCOPE_NAME);
+			const match = isInDependenciesScope && (trimmedLine.match(GradleDependenciesReportService.STRING_NOTATION_REGEX) || trimmedLine.match(GradleDependenciesReportService.MAP_NOTATION_REGEX));
+			if (match) {
+				declarations.push({ configuration: match[1], group: match[2], name: match[3], version: match[4] || null, line: index + 1 });
+			}
+
+			this.updateScopes(scopes, trimmedLine);
+		});
+
+		return declarations;
+	}
+
+	public getDependenciesReport(projectData: IProjectData): IGradleDependenciesReport {
+		const requests: IGradleDependencyRequest[] = _.flatMap(this.getGradleFiles(projectData), gradleFile =>
+			_.map(this.parseGradleFile(this.$fs.readText(gradleFile.gradleFilePath)), declaration => ({ ...declaration, ...gradleFile })));
+
+		const dependencies = _(requests)
+			.groupBy(request => `${request.group}:${request.name}`)
+			.map((dependencyRequests, module) => ({ module, requests: dependencyRequests }))
+			.sortBy(dependency => dependency.module)
+			.value();
+
+		const conflicts = _.flatMap(dependencies, dependency => this.getDuplicateDeclarationConflicts(dependency).concat(this.getVersionConflicts(dependency)));
+
+		return {
+			dependencies,
+			conflicts,
+			resolutionBlock: this.getResolutionBlock(conflicts)
+		};
+	}
+
+	private getGradleFiles(projectData: IProjectData): { moduleName: string, gradleFilePath: string }[] {
+		const plugins = this.$pluginsService.getAllProductionPlugins(projectData, this.$devicePlatformsConstants.Android.toLowerCase());
+		const gradleFiles = _.flatMap(plugins, plugin => _.map(GradleDependenciesReportService.PLUGIN_GRADLE_FILE_NAMES, fileName => ({
+			moduleName: plugin.name,
+			gradleFilePath: path.join(plugin.pluginPlatformsFolderPath(PluginNativeDirNames.Android), fileName)
+		})));
+		gradleFiles.push({ moduleName: APP_RESOURCES_FOLDER_NAME, gradleFilePath: path.join(projectData.appResourcesDirectoryPath, this.$devicePlatformsConstants.Android, APP_GRADLE_FILE_NAME) });
+
+		return _.filter(gradleFiles, gradleFile => this.$fs.exists(gradleFile.gradleFilePath));
+	}
+
+	private getDuplicateDeclarationConflicts(dependency: IMergedGradleDependency): IGradleDependencyConflict[] {
+		return _(dependency.requests)
+			.groupBy(request => request.gradleFilePath)
+			.filter(fileRequests => fileRequests.length > 1)
+			.map(fileRequests => ({
+				type: GradleDependencyConflictType.DuplicateDeclarations,
+				module: dependency.module,
+				moduleNames: [fileRequests[0].moduleName],
+				message: `The dependency ${dependency.module} is declared ${fileRequests.length} times in ${fileRequests[0].gradleFilePath} (lines ${_.map(fileRequests, request => request.line).join(", ")}).`
+			}))
+			.value();
+	}
+
+	private getVersionConflicts(dependency: IMergedGradleDependency): IGradleDependencyConflict[] {
+		// Versions from variables and dynamic versions like 28.+ cannot be compared without running Gradle.
+		const requestsWithFixedVersion = _.filter(dependency.requests, request => request.version && GradleDependenciesReportService.FIXED_VERSION_REGEX.test(request.version));
+		const versions = _.uniq(_.map(requestsWithFixedVersion, request => request.version));
+		if (versions.length < 2) {
+			return [];
+		}
+
+		// The version from app.gradle is preferred, because the application is the one that has to work with all plugins.
+		const appResourcesRequest = _.findLast(requestsWithFixedVersion, request => request.moduleName === APP_RESOURCES_FOLDER_NAME);
+		const resolvedVersion = appResourcesRequest ? appResourcesRequest.version : versions.sort((first, second) => this.compareVersions(second, first))[0];
+		const requestedVersions = _.map(requestsWithFixedVersion, request => `${request.moduleName} (${request.version})`).join(", ");
+
+		return [{
+			type: GradleDependencyConflictType.Versions,
+			module: dependency.module,
+			moduleNames: _.uniq(_.map(requestsWithFixedVersion, request => request.moduleName)),
+			resolvedVersion,
+			message: `The dependency ${dependency.module} is requested with different versions: ${requestedVersions}.`
+		}];
+	}
+
+	private getResolutionBlock(conflicts: IGradleDependencyConflict[]): string {
+		const versionConflicts = _.filter(conflicts, conflict => conflict.type === GradleDependencyConflictType.Versions);
+		if (!versionConflicts.length) {
+			return null;
+		}
+
+		return [
+			"configurations.all {",
+			"    resolutionStrategy {",
+			..._.map(versionConflicts, conflict => `        force "${conflict.module}:${conflict.resolvedVersion}"`),
+			"    }",
+			"}"
+		].join(EOL);
+	}
+
+	private compareVersions(first: string, second: string): number {
+		const firstSegments = first.split(/[.-]/);
+		const secondSegments = second.split(/[.-]/);
+		for (let index = 0; index < Math.max(firstSegments.length, secondSegments.length); index++) {
+			const firstSegment = firstSegments[index];
+			const secondSegment = secondSegments[index];
+			if (firstSegment === secondSegment) {
+				continue;
+			}
+
+			// A release version is greater than its qualified versions, for example 1.1.0 > 1.1.0-alpha01.
+			if (firstSegment === undefined || secondSegment === undefined) {
+				const nextSegment = firstSegment === undefined ? secondSegment : firstSegment;
+				const isQualifier = isNaN(+nextSegment);
+				return (firstSegment === undefined) === isQualifier ? 1 : -1;
+			}
+
+			const isFirstNumber = !isNaN(+firstSegment);
+			const isSecondNumber = !isNaN(+secondSegment);
+			if (isFirstNumber && isSecondNumber) {
+				return +firstSegment - +secondSegment;
+			}
+
+			if (isFirstNumber !== isSecondNumber) {
+				return isFirstNumber ? 1 : -1;
+			}
+
+			return firstSegment.localeCompare(secondSegment);
+		}
+
+		return 0;
+	}
+
+	private updateScopes(scopes: string[], line: string): void {
+		const scopeRegex = /(\w+)?\s*(?:\([^()]*\))?\s*\{|\}/g;
+		let match = scopeRegex.exec(line);
+		while (match) {
+			if (match[0] === "}") {
+				scopes.pop();
+			} else {
+				scopes.push(match[1] || "");
+			}
+
+			match = scopeRegex.exec(line);
+		}
+	}
+}
+
+$injector.register("gradleDependenciesReportService", GradleDependenciesReportService);
@@ -0,0 +1,124 @@
+import * as path from "path";
+import { ARTIFACTS_MANIFEST_FILE_NAME, BUILD_VARIANT_PROPERTIES } from "../constants";
+import { Configurations } from "../common/constants";
+import { getHash } from "../common/helpers";
+
+export class ArtifactsManifestService implements IArtifactsManifestService {
+	constructor(private $childProcess: IChildProcess,
+		private $fs: IFileSystem,
+		private $logger: ILogger,
+		private $mobileHelper: Mobile.IMobileHelper,
+		private $plistParser: IPlistParser,
+		private $pluginsService: IPluginsService,
+		private $projectDataService: IProjectDataService,
+		private $staticConfig: IStaticConfig) { }
+
+	public async saveManifest(platformData: IPlatformData, projectData: IProjectData, buildData: IBuildData, packagePath: string): Promise<string> {
+		const manifestPath = this.getManifestPath(packagePath);
+		const platform = platformData.platformNameLowerCase;
+		const runtimeVersionData = this.$projectDataService.getNSValue(projectData.projectDir, platformData.frameworkPackageName);
+		const versionData = this.$mobileHelper.isAndroidPlatform(platform) ? this.getAndroidVersionData(platformData, projectData) : await this.getiOSVersionData(platformData);
+		const plugins = await this.$pluginsService.getAllInstalledPlugins(projectData);
+
+		const manifest: IArtifactsManifest = {
+			appIdentifier: projectData.projectIdentifiers && projectData.projectIdentifiers[platform],
+			...versionData,
+			platform,
+			configuration: this.getConfigurationName(buildData),
+			..._.pick(<any>buildData, BUILD_VARIANT_PROPERTIES),
+			runtimeVersion: runtimeVersionData && runtimeVersionData.version,
+			cliVersion: this.$staticConfig.version,
+			plugins: _.map(plugins, plugin => ({ name: plugin.name, version: plugin.version })),
+			gitCommit: await this.getGitCommit(projectData.projectDir),
+			buildTime: new Date().toISOString(),
+			artifacts: [{
+				path: path.basename(packagePath),
+				sha256: await this.getPackageHash(packagePath)
+			}]
+		};
+
+		this.$fs.writeJson(manifestPath, manifest);
+		this.$logger.trace(`Saved artifacts manifest ${manifestPath}.`);
+
+		return manifestPath;
+	}
+
+	public getManifestPath(packagePath: string): string {
+		return path.join(path.dirname(packagePath), ARTIFACTS_MANIFEST_FILE_NAME);
+	}
+
+	public copyManifest(packagePath: string, targetPackagePath: string): string {
+		const manifestPath = this.getManifestPath(packagePath);
+		if (!this.$fs.exists(manifestPath)) {
+			return null;
+		}
+
+		// The manifest describes the latest build in the directory, which may have produced another package.
+		const manifest: IArtifactsManifest = this.$fs.readJson(manifestPath);
+		if (!_.some(manifest.artifacts, artifact => artifact.path === path.basename(packagePath))) {
+			this.$logger.trace(`The artifacts manifest ${manifestPath} does not describe ${packagePath}.`);
+			return null;
+		}
+
+		// The copied package may have a different name, so the manifest of the copy has to point to it.
+		manifest.artifacts = _.map(manifest.artifacts, artifact => artifact.path === path.basename(packagePath) ? { ...artifact, path: path.basename(targetPackagePath) } : artifact);
+
+		const targetManifestPath = this.getManifestPath(targetPackagePath);
+		this.$fs.writeJson(targetManifestPath, manifest);
+		this.$logger.trace(`Copied artifacts manifest ${manifestPath} to ${targetManifestPath}.`);
+
+		return targetManifestPath;
+	}
+
+	public async getPackageHash(packagePath: string): Promise<string> {
+		if (!this.$fs.getFsStats(packagePath).isDirectory()) {
+			return this.$fs.getFileShasum(packagePath, { algorithm: "sha256" });
+		}
+
+		const files = _.sortBy(this.$fs.enumerateFilesInDirectorySync(packagePath));
+		const fileHashes: string[] = [];
+		for (const file of files) {
+			fileHashes.push(`${path.relative(packagePath, file)}:${await this.$fs.getFileShasum(file, { algorithm: "sha256" })}`);
+		}
+
+		return getHash(fileHashes.join("\n"));
+	}
+
+	private getConfigurationName(buildData: IBuildData): string {
+		const variantData = <IHasAndroidBuildVariant & IiOSBuildVariant>buildData;
+		return variantData.iosConfiguration || variantData.androidBuildType || (buildData.release ? Configurations.Release : Configurations.Debug);
+	}
+
+	private getAndroidVersionData(platformData: IPlatformData, projectData: IProjectData): { version: string, versionCode: string } {
+		const manifestContent = this.$fs.exists(platformData.configurationFilePath) ? this.$fs.readText(platformData.configurationFilePath) : "";
+		const appGradlePath = path.join(projectData.appResourcesDirectoryPath, platformData.normalizedPlatformName, "app.gradle");
+		// The values from defaultConfig in app.gradle override the ones from AndroidManifest.xml.
+		const appGradleContent = this.$fs.exists(appGradlePath) ? this.$fs.readText(appGradlePath) : "";
+
+		return {
+			version: this.getMatch(appGradleContent, /versionName\s+["']([^"']+)["']/) || this.getMatch(manifestContent, /android:versionName\s*=\s*"([^"]+)"/),
+			versionCode: this.getMatch(appGradleContent, /versionCode\s+(\d+)/) || this.getMatch(manifestContent, /android:versionCode\s*=\s*"([^"]+)"/)
+		};
+	}
+
+	private async getiOSVersionData(platformData: IPlatformData): Promise<{ version: string, versionCode: string }> {
+		const infoPlist = this.$fs.exists(platformData.configurationFilePath) ? await this.$plistParser.parseFile(platformData.configurationFilePath) : {};
+
+		return {
+			version: infoPlist.CFBundleShortVersionString || null,
+			versionCode: infoPlist.CFBundleVersion || null
+		};
+	}
+
+	private getMatch(content: string, regExp: RegExp): string {
+		const match = content.match(regExp);
+		return match ? match[1] : null;
+	}
+
+	private async getGitCommit(projectDir: string): Promise<string> {
+		const result = await this.$childProcess.trySpawnFromCloseEvent("git", ["rev-parse", "HEAD"], { cwd: projectDir });
+		return result.exitCode === 0 && result.stdout ? result.stdout.trim() : null;
+	}
+}
+
+$injector.register("artifactsManifestService", ArtifactsManifestService);
@@ -2,6 +2,7 @@ import * as path from "path";
 
 export class BuildArtefactsService implements IBuildArtefactsService {
 	constructor(
+		private $artifactsManifestService: IArtifactsManifestService,
 		private $errors: IErrors,
 		private $fs: IFileSystem,
 		private $logger: ILogger
@@ -41,21 +42,29 @@ export class BuildArtefactsService implements IBuildArtefactsService {
 	}
 
 	public copyLatestAppPackage(targetPath: string, platformData: IPlatformData, buildOutputOptions: IBuildOutputOptions): void {
-		targetPath = path.resolve(targetPath);
-
 		const outputPath = buildOutputOptions.outputPath || platformData.getBuildOutputPath(buildOutputOptions);
 		const applicationPackage = this.getLatestApplicationPackage(outputPath, platformData.getValidBuildOutputData(buildOutputOptions));
 		const packageFile = applicationPackage.packageName;
 
+		targetPath = this.getCopyToPath(targetPath, path.basename(packageFile));
 		this.$fs.ensureDirectoryExists(path.dirname(targetPath));
+		this.$fs.copyFile(packageFile, targetPath);
+		this.$logger.info(`Copied file '${packageFile}' to '${targetPath}'.`);
 
+		const targetManifestFile = this.$artifactsManifestService.copyManifest(packageFile, targetPath);
+		if (targetManifestFile) {
+			this.$logger.info(`Copied the artifacts manifest of '${packageFile}' to '${targetManifestFile}'.`);
+		}
+	}
+
+	public getCopyToPath(targetPath: string, fileName: string): string {
+		targetPath = path.resolve(targetPath);
 		if (this.$fs.exists(targetPath) && this.$fs.getFsStats(targetPath).isDirectory()) {
-			const sourceFileName = path.basename(packageFile);
-			this.$logger.trace(`Specified target path: '${targetPath}' is directory. Same filename will be used: '${sourceFileName}'.`);
-			targetPath = path.join(targetPath, sourceFileName);
+			this.$logger.trace(`Specified target path: '${targetPath}' is directory. Same filename will be used: '${fileName}'.`);
+			return path.join(targetPath, fileName);
 		}
-		this.$fs.copyFile(packageFile, targetPath);
-		this.$logger.info(`Copied file '${packageFile}' to '${targetPath}'.`);
+
+		return targetPath;
 	}
 
 	private getLatestApplicationPackage(buildOutputPath: string, validBuildOutputData: IValidBuildOutputData): IApplicationPackage {
@@ -0,0 +1,147 @@
+import * as path from "path";
+import { APP_FOLDER_NAME, BuildCacheDefaults } from "../../constants";
+import { getHash } from "../../common/helpers";
+
+export class BuildCacheService implements IBuildCacheService {
+	private static IOS_BUILD_FLAGS = ["release", "buildForDevice", "buildForAppStore", "teamId", "provision", "iCloudContainerEnvironment", "iosConfiguration", "iosScheme"];
+	private static ANDROID_BUILD_FLAGS = ["release", "androidBundle", "androidFlavor", "androidBuildType", "keyStoreAlias"];
+
+	constructor(private $errors: IErrors,
+		private $fs: IFileSystem,
+		private $filesHashService: IFilesHashService,
+		private $injector: IInjector,
+		private $logger: ILogger,
+		private $mobileHelper: Mobile.IMobileHelper,
+		private $pluginsService: IPluginsService,
+		private $projectDataService: IProjectDataService,
+		private $staticConfig: IStaticConfig) { }
+
+	public async getBuildCacheKey(platformData: IPlatformData, projectData: IProjectData, buildData: IBuildData): Promise<string> {
+		if (!this.getCacheLocation(projectData, buildData)) {
+			return null;
+		}
+
+		const platform = platformData.platformNameLowerCase;
+		const runtimeVersionData = this.$projectDataService.getNSValue(projectData.projectDir, platformData.frameworkPackageName);
+		const platformResourcesDir = path.join(projectData.appResourcesDirectoryPath, platformData.normalizedPlatformName);
+		const environmentPlatformResourcesDir = projectData.environmentAppResourcesDirectoryPath && path.join(projectData.environmentAppResourcesDirectoryPath, platformData.normalizedPlatformName);
+
+		// All paths are relative, so the same key is produced for checkouts in different directories.
+		const keyData = {
+			platform,
+			appIdentifier: projectData.projectIdentifiers && projectData.projectIdentifiers[platform],
+			runtimeVersion: runtimeVersionData && runtimeVersionData.version,
+			cliVersion: this.$staticConfig.version,
+			buildFlags: await this.getBuildFlags(buildData),
+			appFiles: await this.getDirectoryHashes(path.join(platformData.appDestinationDirectoryPath, APP_FOLDER_NAME)),
+			appResources: await this.getDirectoryHashes(platformResourcesDir),
+			// The environment changes the prepared native project, for example the display name and the resources from its overlay.
+			environmentName: projectData.environmentName || null,
+			environment: projectData.environment || null,
+			environmentAppResources: environmentPlatformResourcesDir ? await this.getDirectoryHashes(environmentPlatformResourcesDir) : {},
+			pluginsNativeHashes: this.getPluginsNativeHashes(platformData, projectData)
+		};
+
+		const key = getHash(JSON.stringify(keyData));
+		this.$logger.trace(`Build cache key for ${platform} is ${key}. Key data: `, keyData);
+
+		return key;
+	}
+
+	public async restoreBuildResult(key: string, platformData: IPlatformData, projectData: IProjectData, buildData: IBuildData): Promise<boolean> {
+		const location = this.getCacheLocation(projectData, buildData);
+		const backend = this.getBackend(projectData);
+		if (!await backend.has(location, key)) {
+			this.$logger.trace(`Build cache miss for key ${key} in ${location}.`);
+			return false;
+		}
+
+		const outputPath = buildData.outputPath || platformData.getBuildOutputPath(buildData);
+		this.$fs.ensureDirectoryExists(outputPath);
+		const restoredFiles = await backend.restore(location, key, outputPath);
+		if (!restoredFiles.length) {
+			return false;
+		}
+
+		this.$logger.info(`Build result restored from cache ${location}.`);
+		return true;
+	}
+
+	public async saveBuildResult(key: string, applicationPackagePath: string, projectData: IProjectData, buildData: IBuildData): Promise<void> {
+		const location = this.getCacheLocation(projectData, buildData);
+		try {
+			await this.getBackend(projectData).store(location, key, [applicationPackagePath]);
+			this.$logger.trace(`Stored ${applicationPackagePath} in build cache ${location} with key ${key}.`);
+		} catch (err) {
+			this.$logger.warn(`Unable to store the build result in cache ${location}. Error is: ${err.message}`);
+		}
+	}
+
+	private getCacheLocation(projectData: IProjectData, buildData: IBuildData): string {
+		if (buildData.buildCache) {
+			return path.resolve(buildData.buildCache);
+		}
+
+		const buildCacheConfig = this.getBuildCacheConfig(projectData);
+		return buildCacheConfig.location ? path.resolve(projectData.projectDir, buildCacheConfig.location) : null;
+	}
+
+	private getBackend(projectData: IProjectData): IBuildCacheBackend {
+		const backendName = this.getBuildCacheConfig(projectData).backend || BuildCacheDefaults.Backend;
+		try {
+			return this.$injector.resolve(`${backendName}${BuildCacheDefaults.BackendSuffix}`);
+		} catch (err) {
+			this.$errors.fail(`Unknown build cache backend '${backendName}'. Check the buildCache section of your nsconfig.json.`);
+		}
+	}
+
+	private getBuildCacheConfig(projectData: IProjectData): IBuildCacheConfig {
+		return (projectData.nsConfig && projectData.nsConfig.buildCache) || {};
+	}
+
+	private async getBuildFlags(buildData: IBuildData): Promise<IDictionary<any>> {
+		const isAndroid = this.$mobileHelper.isAndroidPlatform(buildData.platform);
+		const flags: IDictionary<any> = _.pick(buildData, isAndroid ? BuildCacheService.ANDROID_BUILD_FLAGS : BuildCacheService.IOS_BUILD_FLAGS);
+
+		const keyStorePath = (<IAndroidBuildData>buildData).keyStorePath;
+		if (isAndroid && keyStorePath && this.$fs.exists(keyStorePath)) {
+			// The passwords are never part of the key, the content of the keystore identifies the signing.
+			flags.keyStoreHash = await this.$fs.getFileShasum(keyStorePath);
+		}
+
+		return flags;
+	}
+
+	private async getDirectoryHashes(directoryPath: string): Promise<IStringDictionary> {
+		if (!this.$fs.exists(directoryPath)) {
+			return {};
+		}
+
+		const hashes = await this.$filesHashService.generateHashes(this.$fs.enumerateFilesInDirectorySync(directoryPath));
+		return this.toSortedRelativeHashes(hashes, directoryPath);
+	}
+
+	private getPluginsNativeHashes(platformData: IPlatformData, projectData: IProjectData): IDictionary<IStringDictionary> {
+		const allPluginsNativeHashes = this.$pluginsService.getAllPluginsNativeHashes(platformData);
+		const result: IDictionary<IStringDictionary> = {};
+		_.keys(allPluginsNativeHashes).sort().forEach(pluginName => {
+			result[pluginName] = this.toSortedRelativeHashes(allPluginsNativeHashes[pluginName], projectData.projectDir);
+		});
+
+		return result;
+	}
+
+	private toSortedRelativeHashes(hashes: IStringDictionary, rootDir: string): IStringDictionary {
+		const result: IStringDictionary = {};
+		_(hashes)
+			.keys()
+			.map(filePath => ({ filePath, relativePath: path.relative(rootDir, filePath).replace(/\\/g, "/") }))
+			.sortBy(entry => entry.relativePath)
+			.each(entry => {
+				result[entry.relativePath] = hashes[entry.filePath];
+			});
+
+		return result;
+	}
+}
+$injector.register("buildCacheService", BuildCacheService);
@@ -0,0 +1,52 @@
+import * as path from "path";
+
+/**
+ * Stores the build results in a directory, which can be shared between machines over a network mount.
+ * Each key is a subdirectory with the application packages in it.
+ */
+export class LocalBuildCacheBackend implements IBuildCacheBackend {
+	constructor(private $fs: IFileSystem,
+		private $logger: ILogger) { }
+
+	public async has(location: string, key: string): Promise<boolean> {
+		const entryDir = this.getEntryDir(location, key);
+		return this.$fs.exists(entryDir) && this.$fs.readDirectory(entryDir).length > 0;
+	}
+
+	public async restore(location: string, key: string, destinationDir: string): Promise<string[]> {
+		const entryDir = this.getEntryDir(location, key);
+		return this.$fs.readDirectory(entryDir).map(fileName => {
+			const destinationPath = path.join(destinationDir, fileName);
+			this.$fs.copyFile(path.join(entryDir, fileName), destinationPath);
+			this.$logger.trace(`Restored ${destinationPath} from build cache.`);
+			return destinationPath;
+		});
+	}
+
+	public async store(location: string, key: string, files: string[]): Promise<void> {
+		const entryDir = this.getEntryDir(location, key);
+		if (await this.has(location, key)) {
+			return;
+		}
+
+		// Copy to a temporary directory first, so other machines using the same cache never see a partial entry.
+		const tempEntryDir = `${entryDir}.${process.pid}.tmp`;
+		this.$fs.deleteDirectory(tempEntryDir);
+		this.$fs.ensureDirectoryExists(tempEntryDir);
+		try {
+			for (const file of files) {
+				this.$fs.copyFile(file, path.join(tempEntryDir, path.basename(file)));
+			}
+
+			this.$fs.deleteDirectory(entryDir);
+			this.$fs.rename(tempEntryDir, entryDir);
+		} finally {
+			this.$fs.deleteDirectorySafe(tempEntryDir);
+		}
+	}
+
+	private getEntryDir(location: string, key: string): string {
+		return path.join(location, key);
+	}
+}
+$injector.register("localBuildCacheBackend", LocalBuildCacheBackend);
@@ -1,5 +1,6 @@
 import * as path from "path";
 import * as helpers from "../common/helpers";
+import { BUILD_VARIANT_PROPERTIES } from "../constants";
 
 const buildInfoFileName = ".nsbuildinfo";
 
@@ -36,13 +37,14 @@ export class BuildInfoFileService implements IBuildInfoFileService {
 		}
 	}
 
-	public saveLocalBuildInfo(platformData: IPlatformData, buildInfoFileDirname: string): void {
+	public saveLocalBuildInfo(platformData: IPlatformData, buildInfoFileDirname: string, buildData: IBuildData): void {
 		const buildInfoFile = path.join(buildInfoFileDirname, buildInfoFileName);
 
 		const prepareInfo = this.$projectChangesService.getPrepareInfo(platformData);
 		const buildInfo: IBuildInfo = {
 			prepareTime: prepareInfo.changesRequireBuildTime,
-			buildTime: new Date().toString()
+			buildTime: new Date().toString(),
+			..._.pick(buildData, BUILD_VARIANT_PROPERTIES)
 		};
 
 		this.$fs.writeJson(buildInfoFile, buildInfo);
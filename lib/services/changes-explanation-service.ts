@@ -0,0 +1,76 @@
+import { EOL } from "os";
+import { ProjectChangeFlags } from "../constants";
+
+export class ChangesExplanationService implements IChangesExplanationService {
+	private static FLAGS = [
+		ProjectChangeFlags.nativeChanged,
+		ProjectChangeFlags.appResourcesChanged,
+		ProjectChangeFlags.configChanged,
+		ProjectChangeFlags.nsConfigChanged,
+		ProjectChangeFlags.signingChanged
+	];
+
+	constructor(private $logger: ILogger,
+		private $options: IOptions) { }
+
+	public explainPrepare(platformData: IPlatformData, changesInfo: IProjectChangesInfo): void {
+		if (!this.$options.explain || !changesInfo) {
+			return;
+		}
+
+		const flags = ChangesExplanationService.FLAGS.map(flag => ({
+			flag,
+			value: !!(<any>changesInfo)[flag],
+			reasons: _.filter(changesInfo.reasons, reason => reason.flag === flag)
+		}));
+
+		if (this.$options.json) {
+			this.printJson({
+				step: "prepare",
+				platform: platformData.platformNameLowerCase,
+				hasChanges: changesInfo.hasChanges,
+				changesRequirePrepare: changesInfo.changesRequirePrepare,
+				changesRequireBuild: changesInfo.changesRequireBuild,
+				flags
+			});
+			return;
+		}
+
+		const lines = [`Native changes for ${platformData.normalizedPlatformName}:`];
+		_.each(flags, flagInfo => {
+			lines.push(`  ${flagInfo.flag}: ${flagInfo.value}`);
+			_.each(flagInfo.reasons, reason => {
+				lines.push(`    - ${reason.message}`);
+				if (reason.filePath) {
+					lines.push(`      file: ${reason.filePath}${reason.mtime ? ` (modified ${reason.mtime})` : ""}`);
+				}
+
+				if (reason.previousHash || reason.currentHash) {
+					lines.push(`      hash: ${reason.previousHash || "<none>"} -> ${reason.currentHash || "<none>"}`);
+				}
+			});
+		});
+
+		lines.push(`  => native prepare required: ${changesInfo.hasChanges}`);
+		lines.push(`  => native build required: ${changesInfo.changesRequireBuild}`);
+		this.$logger.info(lines.join(EOL));
+	}
+
+	public explainBuild(platformData: IPlatformData, buildDecision: IBuildDecision): void {
+		if (!this.$options.explain) {
+			return;
+		}
+
+		if (this.$options.json) {
+			this.printJson({ step: "build", platform: platformData.platformNameLowerCase, ...buildDecision });
+			return;
+		}
+
+		this.$logger.info(`Native build for ${platformData.normalizedPlatformName}: ${buildDecision.shouldBuild ? "required" : "skipped"} - ${buildDecision.reason}`);
+	}
+
+	private printJson(data: any): void {
+		this.$logger.info(JSON.stringify({ explain: data }));
+	}
+}
+$injector.register("changesExplanationService", ChangesExplanationService);
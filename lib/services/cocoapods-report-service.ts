@@ -0,0 +1,264 @@
+import * as path from "path";
+import * as semver from "semver";
+import { APP_RESOURCES_FOLDER_NAME, PODFILE_NAME } from "../constants";
+
+export class CocoaPodsReportService implements ICocoaPodsReportService {
+	private static POD_REGEX = /^pod\s*\(?\s*(["'])(.+?)\1(.*)$/;
+	private static POST_INSTALL_START_REGEX = /^post_install\s+do\b/;
+	private static BLOCK_START_REGEX = /^(if|unless|while|until|case|def|begin|class|module)\b|\bdo(\s*\|[^|]*\|)?$/;
+	private static BLOCK_END_REGEX = /^end\b/;
+	private static REQUIREMENT_REGEX = /^(=|!=|>=|<=|>|<|~>)?\s*(\d[\w.-]*)$/;
+	private static SOURCE_OPTION_NAMES = ["git", "branch", "tag", "commit", "path", "podspec", "http"];
+
+	constructor(private $cocoapodsService: ICocoaPodsService,
+		private $devicePlatformsConstants: Mobile.IDevicePlatformsConstants,
+		private $fs: IFileSystem,
+		private $pluginsService: IPluginsService) { }
+
+	public parsePodfile(podfileContent: string): IPodfileModel {
+		const pods: IPodDeclaration[] = [];
+		const postInstallBlocks: string[] = [];
+		let postInstallLines: string[] = null;
+		let depth = 0;
+
+		_.each(podfileContent.split(/\r?\n/), (line, index) => {
+			const trimmedLine = this.removeComment(line).trim();
+			if (!trimmedLine) {
+				return;
+			}
+
+			if (postInstallLines) {
+				depth += this.getDepthChange(trimmedLine);
+				if (depth === 0) {
+					postInstallBlocks.push(postInstallLines.join("\n"));
+					postInstallLines = null;
+				} else {
+					postInstallLines.push(trimmedLine.replace(/\s+/g, " "));
+				}
+
+				return;
+			}
+
+			if (CocoaPodsReportService.POST_INSTALL_START_REGEX.test(trimmedLine)) {
+				postInstallLines = [];
+				depth = 1;
+				return;
+			}
+
+			const podMatch = trimmedLine.match(CocoaPodsReportService.POD_REGEX);
+			if (podMatch) {
+				pods.push(this.parsePodArguments(podMatch[2], podMatch[3], index + 1));
+			}
+		});
+
+		return { pods, postInstallBlocks };
+	}
+
+	public getPodsReport(projectData: IProjectData): IPodsReport {
+		const podfiles = this.getPodfiles(projectData);
+		const appResourcesPodfile = _.find(podfiles, podfile => podfile.moduleName === APP_RESOURCES_FOLDER_NAME);
+		const appResourcesPodNames = appResourcesPodfile ? _.map(appResourcesPodfile.model.pods, pod => pod.name) : [];
+		const shouldOverridePods = !!(projectData.nsConfig && projectData.nsConfig.overridePods);
+
+		const requests: IPodRequest[] = _.flatMap(podfiles, podfile => _.map(podfile.model.pods, pod => ({
+			...pod,
+			moduleName: podfile.moduleName,
+			podfilePath: podfile.podfilePath,
+			isOverridden: shouldOverridePods && podfile !== appResourcesPodfile && _.includes(appResourcesPodNames, pod.name)
+		})));
+
+		const pods = _(requests)
+			.groupBy(request => request.rootName)
+			.map((podRequests, name) => ({ name, requests: podRequests }))
+			.sortBy(pod => pod.name)
+			.value();
+
+		const conflicts = _.flatMap(pods, pod => this.getPodConflicts(pod)).concat(this.getPostInstallConflicts(podfiles));
+
+		return { pods, conflicts };
+	}
+
+	private getPodfiles(projectData: IProjectData): { moduleName: string, podfilePath: string, model: IPodfileModel }[] {
+		// The order is the same as the one in which the Podfiles are merged in the project's Podfile.
+		const plugins = this.$pluginsService.getAllProductionPlugins(projectData, this.$devicePlatformsConstants.iOS.toLowerCase());
+		const podfiles = _.map(plugins, plugin => ({ moduleName: plugin.name, podfilePath: this.$cocoapodsService.getPluginPodfilePath(plugin) }));
+		podfiles.push({ moduleName: APP_RESOURCES_FOLDER_NAME, podfilePath: path.join(projectData.appResourcesDirectoryPath, this.$devicePlatformsConstants.iOS, PODFILE_NAME) });
+
+		return _(podfiles)
+			.filter(podfile => this.$fs.exists(podfile.podfilePath))
+			.map(podfile => ({ ...podfile, model: this.parsePodfile(this.$fs.readText(podfile.podfilePath)) }))
+			.value();
+	}
+
+	private getPodConflicts(pod: IMergedPod): IPodfileConflict[] {
+		const conflicts: IPodfileConflict[] = [];
+		const activeRequests = _.reject(pod.requests, request => request.isOverridden);
+		const [requestsWithSource, requestsWithVersion] = _.partition(activeRequests, request => !!this.getSource(request));
+
+		const sources = _.uniq(_.map(requestsWithSource, request => this.getSource(request)));
+		if (sources.length > 1) {
+			conflicts.push({
+				type: PodfileConflictType.Sources,
+				podName: pod.name,
+				moduleNames: this.getModuleNames(requestsWithSource),
+				message: `The pod ${pod.name} is requested from different sources: ${this.formatRequests(requestsWithSource)}.`
+			});
+		}
+
+		const conflictingRequests: IPodRequest[] = [];
+		_.each(requestsWithVersion, (request, index) => {
+			_.each(requestsWithVersion.slice(index + 1), otherRequest => {
+				const range = this.getSemverRange(request.requirements);
+				const otherRange = this.getSemverRange(otherRequest.requirements);
+				if (range && otherRange && !semver.intersects(range, otherRange)) {
+					conflictingRequests.push(request, otherRequest);
+				}
+			});
+		});
+
+		if (conflictingRequests.length) {
+			const requests = _.uniq(conflictingRequests);
+			conflicts.push({
+				type: PodfileConflictType.VersionRequirements,
+				podName: pod.name,
+				moduleNames: this.getModuleNames(requests),
+				message: `The pod ${pod.name} is requested with incompatible versions: ${this.formatRequests(requests)}.`
+			});
+		}
+
+		return conflicts;
+	}
+
+	private getPostInstallConflicts(podfiles: { moduleName: string, model: IPodfileModel }[]): IPodfileConflict[] {
+		const conflicts: IPodfileConflict[] = [];
+		_.each(podfiles, podfile => {
+			if (podfile.model.postInstallBlocks.length > 1) {
+				conflicts.push({
+					type: PodfileConflictType.PostInstall,
+					moduleNames: [podfile.moduleName],
+					message: `The Podfile of ${podfile.moduleName} has ${podfile.model.postInstallBlocks.length} post_install blocks.`
+				});
+			}
+		});
+
+		const blocks = _.flatMap(podfiles, podfile => _.map(_.uniq(podfile.model.postInstallBlocks), content => ({ content, moduleName: podfile.moduleName })));
+		_(blocks)
+			.filter(block => !!block.content)
+			.groupBy(block => block.content)
+			.each(duplicateBlocks => {
+				if (duplicateBlocks.length > 1) {
+					const moduleNames = _.map(duplicateBlocks, block => block.moduleName);
+					conflicts.push({
+						type: PodfileConflictType.PostInstall,
+						moduleNames,
+						message: `The Podfiles of ${moduleNames.join(", ")} have identical post_install blocks, which will be executed ${moduleNames.length} times.`
+					});
+				}
+			});
+
+		return conflicts;
+	}
+
+	private parsePodArguments(name: string, argumentsContent: string, line: number): IPodDeclaration {
+		const requirements: string[] = [];
+		const options: IStringDictionary = {};
+		_.each(this.splitArguments(argumentsContent.replace(/^\s*,/, "").replace(/\)\s*$/, "")), argument => {
+			const optionMatch = argument.match(/^:(\w+)\s*=>\s*([\s\S]+)$/) || argument.match(/^(\w+):\s+([\s\S]+)$/);
+			if (optionMatch) {
+				options[optionMatch[1]] = this.unquote(optionMatch[2]);
+			} else {
+				requirements.push(this.unquote(argument));
+			}
+		});
+
+		return { name, rootName: name.split("/")[0], requirements, options, line };
+	}
+
+	private splitArguments(argumentsContent: string): string[] {
+		const result: string[] = [];
+		let current = "";
+		let quote: string = null;
+		let nesting = 0;
+		for (const char of argumentsContent) {
+			if (quote) {
+				quote = char === quote ? null : quote;
+			} else if (char === "'" || char === "\"") {
+				quote = char;
+			} else if (char === "[" || char === "{") {
+				nesting++;
+			} else if (char === "]" || char === "}") {
+				nesting--;
+			} else if (char === "," && !nesting) {
+				result.push(current.trim());
+				current = "";
+				continue;
+			}
+
+			current += char;
+		}
+
+		result.push(current.trim());
+		return _.filter(result, argument => !!argument);
+	}
+
+	private getSemverRange(requirements: string[]): string {
+		const comparators: string[] = [];
+		for (const requirement of requirements) {
+			const match = requirement.match(CocoaPodsReportService.REQUIREMENT_REGEX);
+			const version = match && semver.coerce(match[2]);
+			if (!version) {
+				return null;
+			}
+
+			const operator = match[1] || "=";
+			if (operator === "~>") {
+				// ~> 1.2 means >= 1.2 and < 2.0, ~> 1.2.3 means >= 1.2.3 and < 1.3.0.
+				const segments = match[2].split(".");
+				const upperSegments = segments.length > 1 ? segments.slice(0, -1) : segments;
+				upperSegments[upperSegments.length - 1] = (parseInt(upperSegments[upperSegments.length - 1], 10) + 1).toString();
+				comparators.push(`>=${version.version}`, `<${semver.coerce(upperSegments.join(".")).version}`);
+			} else if (operator !== "!=") {
+				comparators.push(`${operator === "=" ? "" : operator}${version.version}`);
+			}
+		}
+
+		return comparators.join(" ") || "*";
+	}
+
+	private getSource(request: IPodRequest): string {
+		const sourceOptions = _.pick(request.options, CocoaPodsReportService.SOURCE_OPTION_NAMES);
+		return _.isEmpty(sourceOptions) ? null : _.map(sourceOptions, (value, key) => `:${key} => ${value}`).join(", ");
+	}
+
+	private formatRequests(requests: IPodRequest[]): string {
+		return _.map(requests, request => `${request.moduleName} (${this.getSource(request) || request.requirements.join(", ") || "any version"})`).join(", ");
+	}
+
+	private getModuleNames(requests: IPodRequest[]): string[] {
+		return _.uniq(_.map(requests, request => request.moduleName));
+	}
+
+	private getDepthChange(line: string): number {
+		let change = 0;
+		if (CocoaPodsReportService.BLOCK_START_REGEX.test(line)) {
+			change++;
+		}
+
+		if (CocoaPodsReportService.BLOCK_END_REGEX.test(line)) {
+			change--;
+		}
+
+		return change;
+	}
+
+	private removeComment(line: string): string {
+		// Comments are removed only when they are not in a string, which is enough for the declarations in the Podfiles.
+		return line.replace(/^\s*#.*$/, "").replace(/\s+#[^'"]*$/, "");
+	}
+
+	private unquote(value: string): string {
+		return value.trim().replace(/^(["'])([\s\S]*)\1$/, "$2");
+	}
+}
+
+$injector.register("cocoaPodsReportService", CocoaPodsReportService);
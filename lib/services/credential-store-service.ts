@@ -0,0 +1,138 @@
+import * as path from "path";
+import * as crypto from "crypto";
+import { CREDENTIAL_REFERENCE_PREFIX } from "../constants";
+
+interface IEncryptedCredentials {
+	salt: string;
+	iv: string;
+	authTag: string;
+	data: string;
+}
+
+export class CredentialStoreService implements ICredentialStoreService {
+	private static CREDENTIALS_FILE_NAME = "credentials.json";
+	private static KEY_ENV_VAR_NAME = "NS_CREDENTIAL_STORE_KEY";
+	private static CREDENTIAL_ENV_VAR_PREFIX = "NS_CREDENTIAL_";
+	private static CIPHER_ALGORITHM = "aes-256-gcm";
+	private static KEY_DERIVATION_ITERATIONS = 100000;
+	private static CREDENTIAL_NAME_REGEX = /^[a-zA-Z0-9._-]+$/;
+	private static PRIVATE_FILE_MODE = 0o600;
+
+	constructor(private $errors: IErrors,
+		private $fs: IFileSystem,
+		private $settingsService: ISettingsService) { }
+
+	public getCredential(name: string): string {
+		this.validateCredentialName(name);
+		const envVarName = this.getEnvironmentVariableName(name);
+		let credentials: IStringDictionary;
+		try {
+			credentials = this.readCredentials();
+		} catch (err) {
+			// The store may be encrypted with a different key, for example on a CI machine, which sets the credentials in the environment.
+			if (process.env[envVarName]) {
+				return process.env[envVarName];
+			}
+
+			throw err;
+		}
+
+		if (_.has(credentials, name)) {
+			return credentials[name];
+		}
+
+		if (process.env[envVarName]) {
+			return process.env[envVarName];
+		}
+
+		this.$errors.fail(`The credential ${name} is not in the credential store and the ${envVarName} environment variable is not set. Add it with 'tns credentials set ${name}'.`);
+	}
+
+	public setCredential(name: string, value: string): void {
+		this.validateCredentialName(name);
+		const credentials = this.readCredentials();
+		credentials[name] = value;
+		this.writeCredentials(credentials);
+	}
+
+	public removeCredential(name: string): boolean {
+		const credentials = this.readCredentials();
+		if (!_.has(credentials, name)) {
+			return false;
+		}
+
+		delete credentials[name];
+		this.writeCredentials(credentials);
+		return true;
+	}
+
+	public getCredentialNames(): string[] {
+		return _.keys(this.readCredentials()).sort();
+	}
+
+	public resolveCredentialReference(value: string): string {
+		if (!_.isString(value) || !_.startsWith(value, CREDENTIAL_REFERENCE_PREFIX)) {
+			return value;
+		}
+
+		return this.getCredential(value.substr(CREDENTIAL_REFERENCE_PREFIX.length));
+	}
+
+	private getEnvironmentVariableName(name: string): string {
+		return `${CredentialStoreService.CREDENTIAL_ENV_VAR_PREFIX}${name.replace(/[^a-zA-Z0-9]/g, "_").toUpperCase()}`;
+	}
+
+	private validateCredentialName(name: string): void {
+		if (!name || !CredentialStoreService.CREDENTIAL_NAME_REGEX.test(name)) {
+			this.$errors.fail(`The credential name '${name}' is not valid. Use only letters, digits, '.', '_' and '-'.`);
+		}
+	}
+
+	private get credentialsFilePath(): string {
+		return path.join(this.$settingsService.getProfileDir(), CredentialStoreService.CREDENTIALS_FILE_NAME);
+	}
+
+	private readCredentials(): IStringDictionary {
+		if (!this.$fs.exists(this.credentialsFilePath)) {
+			return {};
+		}
+
+		const encryptedCredentials: IEncryptedCredentials = this.$fs.readJson(this.credentialsFilePath);
+		const key = this.getKey(encryptedCredentials.salt);
+		try {
+			const decipher = crypto.createDecipheriv(CredentialStoreService.CIPHER_ALGORITHM, key, Buffer.from(encryptedCredentials.iv, "base64"));
+			decipher.setAuthTag(Buffer.from(encryptedCredentials.authTag, "base64"));
+			const data = Buffer.concat([decipher.update(Buffer.from(encryptedCredentials.data, "base64")), decipher.final()]);
+			return JSON.parse(data.toString());
+		} catch (err) {
+			this.$errors.fail(`Unable to decrypt the credential store ${this.credentialsFilePath}. Make sure the ${CredentialStoreService.KEY_ENV_VAR_NAME} environment variable is the same as when the credentials were saved. Error: ${err.message}`);
+		}
+	}
+
+	private writeCredentials(credentials: IStringDictionary): void {
+		const salt = crypto.randomBytes(16).toString("base64");
+		const iv = crypto.randomBytes(12);
+		const cipher = crypto.createCipheriv(CredentialStoreService.CIPHER_ALGORITHM, this.getKey(salt), iv);
+		const data = Buffer.concat([cipher.update(Buffer.from(JSON.stringify(credentials))), cipher.final()]);
+		const encryptedCredentials: IEncryptedCredentials = {
+			salt,
+			iv: iv.toString("base64"),
+			authTag: cipher.getAuthTag().toString("base64"),
+			data: data.toString("base64")
+		};
+
+		this.$fs.writeFile(this.credentialsFilePath, JSON.stringify(encryptedCredentials, null, "\t"), null, CredentialStoreService.PRIVATE_FILE_MODE);
+	}
+
+	private getKey(salt: string): Buffer {
+		// The key is never saved on disk, so a copy of the profile directory does not reveal the credentials.
+		const secret = process.env[CredentialStoreService.KEY_ENV_VAR_NAME];
+		if (!secret) {
+			this.$errors.fail(`The credential store is encrypted with the ${CredentialStoreService.KEY_ENV_VAR_NAME} environment variable. Set it to a secret of your choice and use the same value every time you use the credential store.`);
+		}
+
+		return crypto.pbkdf2Sync(secret, Buffer.from(salt, "base64"), CredentialStoreService.KEY_DERIVATION_ITERATIONS, 32, "sha256");
+	}
+}
+
+$injector.register("credentialStoreService", CredentialStoreService);
@@ -0,0 +1,244 @@
+import * as net from "net";
+import * as readline from "readline";
+import { ChildProcess } from "child_process";
+import { JsonRpcErrorCodes } from "../constants";
+import { CHILD_PROCESS_STARTED_EVENT_NAME } from "../common/constants";
+
+export class DaemonService implements IDaemonService {
+	private static JSON_RPC_VERSION = "2.0";
+	private static DAEMON_MODULE_NAME = "daemon";
+	private static CANCEL_REQUEST_METHOD = "$/cancelRequest";
+	private static PUBLIC_MODULES_PROPERTY = "__modules__";
+
+	private stopDaemon: () => void = null;
+	private lastOperationId = 0;
+	// The names of the operations of the requests in progress by the ids of the requests.
+	private operationNamesByRequestId: IDictionary<string> = {};
+	private cancelledOperationNames: IDictionary<boolean> = {};
+
+	constructor(private $cancellation: ICancellationService,
+		private $childProcess: IChildProcess,
+		private $fs: IFileSystem,
+		private $injector: IInjector,
+		private $logger: ILogger) {
+		this.$childProcess.on(CHILD_PROCESS_STARTED_EVENT_NAME, (childProcess: ChildProcess) => this.stopOnCancel(childProcess));
+	}
+
+	public start(options: IDaemonOptions): Promise<void> {
+		return new Promise<void>((resolve, reject) => {
+			this.stopDaemon = resolve;
+
+			if (options.socketPath) {
+				this.startSocketServer(options.socketPath, reject);
+			} else {
+				this.startStdio();
+			}
+		});
+	}
+
+	public async handleMessage(message: string): Promise<IJsonRpcResponse> {
+		let request: IJsonRpcRequest;
+		try {
+			request = JSON.parse(message);
+		} catch (err) {
+			return this.createErrorResponse(null, JsonRpcErrorCodes.ParseError, `Unable to parse the request. Error is: ${err.message}`);
+		}
+
+		const id = _.isUndefined(request && request.id) ? null : request.id;
+		if (!request || request.jsonrpc !== DaemonService.JSON_RPC_VERSION || !_.isString(request.method)) {
+			return this.createErrorResponse(id, JsonRpcErrorCodes.InvalidRequest, "The request is not a valid JSON-RPC 2.0 request.");
+		}
+
+		if (request.method === DaemonService.CANCEL_REQUEST_METHOD) {
+			this.cancelRequest(request.params && request.params.id);
+			return null;
+		}
+
+		const response = await this.executeRequest(request);
+		return _.isUndefined(request.id) ? null : response;
+	}
+
+	private async executeRequest(request: IJsonRpcRequest): Promise<IJsonRpcResponse> {
+		const method = this.getMethod(request.method);
+		if (!method) {
+			return this.createErrorResponse(request.id, JsonRpcErrorCodes.MethodNotFound, `The method ${request.method} is not found.`);
+		}
+
+		const requestKey = this.getRequestKey(request.id);
+		if (requestKey && _.has(this.operationNamesByRequestId, requestKey)) {
+			return this.createErrorResponse(request.id, JsonRpcErrorCodes.InvalidRequest, `The request ${request.id} is already in progress. Use a different id.`);
+		}
+
+		// Notifications do not have ids and the ids of the requests can be reused, so each request has its own operation.
+		const operationName = `daemon-request-${++this.lastOperationId}`;
+		if (requestKey) {
+			this.operationNamesByRequestId[requestKey] = operationName;
+		}
+
+		const args = _.isArray(request.params) ? request.params : (_.isUndefined(request.params) ? [] : [request.params]);
+		const cancelled = new Promise<IJsonRpcResponse>(resolve => {
+			this.$cancellation.onCancel(operationName, () => resolve(this.createErrorResponse(request.id, JsonRpcErrorCodes.RequestCancelled, `The request ${request.id} is cancelled.`)));
+		});
+		const executed = this.executeMethod(request, method, args, operationName);
+
+		return Promise.race([executed, cancelled]);
+	}
+
+	private async executeMethod(request: IJsonRpcRequest, method: (...args: any[]) => any, args: any[], operationName: string): Promise<IJsonRpcResponse> {
+		try {
+			const result = await this.$cancellation.executeInOperation(operationName, async () => method(...args));
+			return { jsonrpc: DaemonService.JSON_RPC_VERSION, id: request.id, result: _.isUndefined(result) ? null : result };
+		} catch (err) {
+			this.$logger.trace(`Request ${request.id} for method ${request.method} failed. Error is:`, err);
+			return this.createErrorResponse(request.id, JsonRpcErrorCodes.InternalError, err.message || err);
+		} finally {
+			// A cancelled request is answered immediately, but the operation ends only when its work has finished.
+			this.$cancellation.end(operationName);
+			delete this.cancelledOperationNames[operationName];
+			const requestKey = this.getRequestKey(request.id);
+			if (requestKey && this.operationNamesByRequestId[requestKey] === operationName) {
+				delete this.operationNamesByRequestId[requestKey];
+			}
+		}
+	}
+
+	private cancelRequest(requestId: string | number): void {
+		const operationName = this.operationNamesByRequestId[this.getRequestKey(requestId)];
+		if (!operationName) {
+			this.$logger.trace(`Unable to cancel request ${requestId} as it is not in progress.`);
+			return;
+		}
+
+		this.cancelledOperationNames[operationName] = true;
+		this.$cancellation.cancel(operationName);
+	}
+
+	/**
+	 * Kills the child processes started by a request when the request is cancelled, so its build or run stops.
+	 */
+	private stopOnCancel(childProcess: ChildProcess): void {
+		const operationName = this.$cancellation.getCurrentOperation();
+		if (!operationName) {
+			return;
+		}
+
+		let hasExited = false;
+		childProcess.once("exit", () => hasExited = true);
+		const kill = () => {
+			if (!hasExited) {
+				this.$logger.trace(`Killing process ${childProcess.pid} of the cancelled operation ${operationName}.`);
+				childProcess.kill("SIGTERM");
+			}
+		};
+
+		// The work of a cancelled request may still start processes until it finishes.
+		if (this.cancelledOperationNames[operationName]) {
+			kill();
+		} else {
+			this.$cancellation.onCancel(operationName, kill);
+		}
+	}
+
+	private getMethod(methodName: string): (...args: any[]) => any {
+		const [moduleName, functionName, ...rest] = methodName.split(".");
+		if (!moduleName || !functionName || rest.length || _.startsWith(functionName, "_")) {
+			return null;
+		}
+
+		if (moduleName === DaemonService.DAEMON_MODULE_NAME) {
+			return this.getDaemonMethod(functionName);
+		}
+
+		const publicApi = this.$injector.publicApi;
+		if (moduleName === DaemonService.PUBLIC_MODULES_PROPERTY || !_.has(publicApi, moduleName)) {
+			return null;
+		}
+
+		const publicModule = publicApi[moduleName];
+		const method = publicModule && publicModule[functionName];
+		return _.isFunction(method) ? method.bind(publicModule) : null;
+	}
+
+	private getDaemonMethod(functionName: string): (...args: any[]) => any {
+		const daemonMethods: IDictionary<(...args: any[]) => any> = {
+			getModules: () => _.without(Object.getOwnPropertyNames(this.$injector.publicApi), DaemonService.PUBLIC_MODULES_PROPERTY),
+			exit: () => {
+				// Stop after the response is sent.
+				setImmediate(() => this.stopDaemon && this.stopDaemon());
+			}
+		};
+
+		return daemonMethods[functionName] || null;
+	}
+
+	private startStdio(): void {
+		// The responses are written to the original stdout, everything else that the CLI prints goes to stderr.
+		const writeToStdout = process.stdout.write.bind(process.stdout);
+		process.stdout.write = process.stderr.write.bind(process.stderr);
+
+		const input = readline.createInterface({ input: process.stdin });
+		input.on("line", (line: string) => this.handleLine(line, (data: string) => writeToStdout(data)));
+		input.on("close", () => {
+			process.stdout.write = writeToStdout;
+			this.stopDaemon();
+		});
+	}
+
+	private startSocketServer(socketPath: string, reject: (err: Error) => void): void {
+		if (this.$fs.exists(socketPath)) {
+			reject(new Error(`The socket ${socketPath} already exists. Ensure there is no other daemon using it or delete it.`));
+			return;
+		}
+
+		const sockets: net.Socket[] = [];
+		const server = net.createServer(socket => {
+			sockets.push(socket);
+			socket.on("close", () => _.pull(sockets, socket));
+
+			const input = readline.createInterface({ input: socket });
+			input.on("line", (line: string) => this.handleLine(line, (data: string) => socket.write(data)));
+			socket.on("error", (err: Error) => this.$logger.trace(`Daemon client error: ${err}`));
+		});
+
+		server.on("error", reject);
+		server.listen(socketPath, () => this.$logger.info(`Daemon is listening on ${socketPath}.`));
+
+		const stop = this.stopDaemon;
+		this.stopDaemon = () => {
+			server.close(() => stop());
+			_.each(sockets, socket => socket.destroy());
+		};
+	}
+
+	private handleLine(line: string, write: (data: string) => void): void {
+		if (!line.trim()) {
+			return;
+		}
+
+		this.handleMessage(line)
+			.then(response => {
+				if (response) {
+					write(`${this.serializeResponse(response)}\n`);
+				}
+			})
+			.catch(err => this.$logger.trace(`Unable to handle daemon request. Error is: ${err}`));
+	}
+
+	private serializeResponse(response: IJsonRpcResponse): string {
+		try {
+			return JSON.stringify(response, (key, value) => value instanceof Error ? { message: value.message } : value);
+		} catch (err) {
+			return JSON.stringify(this.createErrorResponse(response.id, JsonRpcErrorCodes.InternalError, `Unable to serialize the result. Error is: ${err.message}`));
+		}
+	}
+
+	private createErrorResponse(id: string | number, code: number, message: string): IJsonRpcResponse {
+		return { jsonrpc: DaemonService.JSON_RPC_VERSION, id, error: { code, message } };
+	}
+
+	private getRequestKey(requestId: string | number): string {
+		// The ids 1 and "1" are different.
+		return _.isString(requestId) || _.isNumber(requestId) ? JSON.stringify(requestId) : null;
+	}
+}
+$injector.register("daemonService", DaemonService);
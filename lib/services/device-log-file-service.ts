@@ -0,0 +1,91 @@
+import * as path from "path";
+import { DEVICE_LOG_PROCESSED_EVENT_NAME, IOS_APP_CRASH_LOG_REG_EXP, FAIL_LIVESYNC_LOG_REGEX } from "../common/constants";
+
+export class DeviceLogFileService implements IDeviceLogFileService {
+	private static DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+	private static DEFAULT_MAX_FILES = 5;
+	private static LOG_FILE_EXTENSION = ".log";
+	private static APP_CRASH_MARKER = "===== The application has crashed =====";
+	/**
+	 * The same application crash messages which are handled by the HMR status service.
+	 */
+	private static APP_CRASH_REGEXES = [IOS_APP_CRASH_LOG_REG_EXP, FAIL_LIVESYNC_LOG_REGEX];
+
+	private options: IDeviceLogFileOptions = null;
+	private fileSizes: IDictionary<number> = {};
+
+	constructor(private $deviceLogProvider: Mobile.IDeviceLogProvider,
+		private $fs: IFileSystem,
+		private $logger: ILogger) { }
+
+	public start(options: IDeviceLogFileOptions): void {
+		if (this.options) {
+			return;
+		}
+
+		this.options = {
+			logDir: path.resolve(options.logDir),
+			maxFileSize: options.maxFileSize || DeviceLogFileService.DEFAULT_MAX_FILE_SIZE,
+			maxFiles: options.maxFiles || DeviceLogFileService.DEFAULT_MAX_FILES
+		};
+
+		this.$fs.ensureDirectoryExists(this.options.logDir);
+		this.$deviceLogProvider.on(DEVICE_LOG_PROCESSED_EVENT_NAME, (data: string, deviceIdentifier: string) => this.writeData(data, deviceIdentifier));
+	}
+
+	private writeData(data: string, deviceIdentifier: string): void {
+		const timestamp = new Date().toISOString();
+		const lines = _.reject(data.split(/\r?\n/), line => !line.trim());
+		const content = _.map(lines, line => {
+			const isAppCrash = _.some(DeviceLogFileService.APP_CRASH_REGEXES, regex => regex.test(line));
+			const logLine = `${timestamp} ${line}\n`;
+			return isAppCrash ? `${timestamp} ${DeviceLogFileService.APP_CRASH_MARKER}\n${logLine}` : logLine;
+		}).join("");
+
+		if (!content) {
+			return;
+		}
+
+		try {
+			this.appendToLogFile(deviceIdentifier, content);
+		} catch (err) {
+			this.$logger.trace(`Unable to save the log of device ${deviceIdentifier}. Error is: ${err}`);
+		}
+	}
+
+	private appendToLogFile(deviceIdentifier: string, content: string): void {
+		const logFilePath = this.getLogFilePath(deviceIdentifier);
+		if (_.isUndefined(this.fileSizes[deviceIdentifier])) {
+			this.fileSizes[deviceIdentifier] = this.$fs.exists(logFilePath) ? this.$fs.getFileSize(logFilePath) : 0;
+			this.$logger.info(`The log of device ${deviceIdentifier} is saved to ${logFilePath}.`);
+		}
+
+		const contentSize = Buffer.byteLength(content);
+		if (this.fileSizes[deviceIdentifier] > 0 && this.fileSizes[deviceIdentifier] + contentSize > this.options.maxFileSize) {
+			this.rotateLogFiles(deviceIdentifier);
+			this.fileSizes[deviceIdentifier] = 0;
+		}
+
+		this.$fs.appendFile(logFilePath, content);
+		this.fileSizes[deviceIdentifier] += contentSize;
+	}
+
+	private rotateLogFiles(deviceIdentifier: string): void {
+		const oldestLogFilePath = this.getLogFilePath(deviceIdentifier, this.options.maxFiles - 1);
+		if (this.$fs.exists(oldestLogFilePath)) {
+			this.$fs.deleteFile(oldestLogFilePath);
+		}
+
+		for (let index = this.options.maxFiles - 2; index >= 0; index--) {
+			this.$fs.renameIfExists(this.getLogFilePath(deviceIdentifier, index), this.getLogFilePath(deviceIdentifier, index + 1));
+		}
+	}
+
+	private getLogFilePath(deviceIdentifier: string, index?: number): string {
+		// Identifiers of devices connected over the network contain characters which are not valid in file names.
+		const fileName = deviceIdentifier.replace(/[^\w.-]/g, "_");
+		const suffix = index ? `.${index}` : "";
+		return path.join(this.options.logDir, `${fileName}${suffix}${DeviceLogFileService.LOG_FILE_EXTENSION}`);
+	}
+}
+$injector.register("deviceLogFileService", DeviceLogFileService);
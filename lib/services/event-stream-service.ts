@@ -0,0 +1,114 @@
+import * as net from "net";
+import { DeviceDiscoveryEventNames } from "../common/constants";
+import { PreviewAppLiveSyncEvents } from "./livesync/playground/preview-app-constants";
+import {
+	DEBUGGER_ATTACHED_EVENT_NAME,
+	DEBUGGER_DETACHED_EVENT_NAME,
+	EventStreamFormats,
+	RunOnDeviceEvents,
+	USER_INTERACTION_NEEDED_EVENT_NAME,
+	WEBPACK_COMPILATION_COMPLETE
+} from "../constants";
+
+export class EventStreamService implements IEventStreamService {
+	/**
+	 * The names of the services in the injector and the events of each service which are written to the stream.
+	 */
+	private static EVENT_SOURCES: IDictionary<string[]> = {
+		runController: [
+			RunOnDeviceEvents.runOnDeviceStarted,
+			RunOnDeviceEvents.runOnDeviceExecuted,
+			RunOnDeviceEvents.runOnDeviceError,
+			RunOnDeviceEvents.runOnDeviceStopped,
+			RunOnDeviceEvents.runOnDeviceNotification,
+			USER_INTERACTION_NEEDED_EVENT_NAME
+		],
+		debugController: [DEBUGGER_ATTACHED_EVENT_NAME, DEBUGGER_DETACHED_EVENT_NAME],
+		devicesService: [DeviceDiscoveryEventNames.DEVICE_FOUND, DeviceDiscoveryEventNames.DEVICE_UPDATED, DeviceDiscoveryEventNames.DEVICE_LOST],
+		previewDevicesService: [DeviceDiscoveryEventNames.DEVICE_FOUND, DeviceDiscoveryEventNames.DEVICE_LOST],
+		previewAppController: [PreviewAppLiveSyncEvents.PREVIEW_APP_LIVE_SYNC_ERROR],
+		webpackCompilerService: [WEBPACK_COMPILATION_COMPLETE]
+	};
+
+	private isStarted = false;
+	private writeLine: (line: string) => void = null;
+
+	constructor(private $errors: IErrors,
+		private $injector: IInjector,
+		private $logger: ILogger,
+		private $options: IOptions) { }
+
+	public async start(): Promise<void> {
+		if (this.isStarted || (!this.$options.events && !this.$options.eventsSocket)) {
+			return;
+		}
+
+		if (this.$options.events && this.$options.events !== EventStreamFormats.NDJSON) {
+			this.$errors.failWithHelp(`The value '${this.$options.events}' of the --events option is not supported. The only supported format is '${EventStreamFormats.NDJSON}'.`);
+		}
+
+		if (this.$options.eventsSocket) {
+			try {
+				const socket = await this.connect(this.$options.eventsSocket);
+				this.writeLine = (line: string) => socket.write(line);
+			} catch (err) {
+				this.$errors.fail(`Unable to connect to the events socket ${this.$options.eventsSocket}. Error is: ${err.message}`);
+			}
+		} else {
+			// The events are written to the original stdout, everything else that the CLI prints goes to stderr, so stdout contains only JSON lines.
+			const writeToStdout = process.stdout.write.bind(process.stdout);
+			process.stdout.write = process.stderr.write.bind(process.stderr);
+			this.writeLine = (line: string) => writeToStdout(line);
+		}
+
+		this.isStarted = true;
+
+		_.each(EventStreamService.EVENT_SOURCES, (eventNames, serviceName) => {
+			const eventEmitter: NodeJS.EventEmitter = this.$injector.resolve(serviceName);
+			_.each(eventNames, eventName => {
+				eventEmitter.on(eventName, (data: any) => this.write(eventName, serviceName, data));
+			});
+		});
+	}
+
+	private write(event: string, source: string, data: any): void {
+		const message: IEventStreamMessage = {
+			event,
+			source,
+			timestamp: new Date().toISOString(),
+			// Devices contain references to services, so only their information is written.
+			data: data && data.deviceInfo ? data.deviceInfo : data
+		};
+
+		let line: string;
+		try {
+			line = JSON.stringify(message, (key, value) => value instanceof Error ? { message: value.message } : value);
+		} catch (err) {
+			this.$logger.trace(`Unable to serialize the data of event ${event} from ${source}. Error is: ${err}`);
+			line = JSON.stringify(_.omit(message, "data"));
+		}
+
+		if (this.writeLine) {
+			this.writeLine(`${line}\n`);
+		}
+	}
+
+	private connect(socketPath: string): Promise<net.Socket> {
+		return new Promise<net.Socket>((resolve, reject) => {
+			const socket = net.connect(socketPath);
+			socket.once("error", reject);
+			socket.once("connect", () => {
+				socket.removeListener("error", reject);
+				socket.on("error", (err: Error) => {
+					this.$logger.trace(`The events socket ${socketPath} is closed. No more events will be written. Error is: ${err}`);
+					this.writeLine = null;
+				});
+
+				// The socket should not keep the CLI alive when the command has finished.
+				socket.unref();
+				resolve(socket);
+			});
+		});
+	}
+}
+$injector.register("eventStreamService", EventStreamService);
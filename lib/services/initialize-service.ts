@@ -1,5 +1,5 @@
 import { EOL } from "os";
-import { LoggerLevel } from "../constants";
+import { LoggerLevel, LogFormat } from "../constants";
 
 export class InitializeService implements IInitializeService {
 	// NOTE: Do not inject anything here, use $injector.resolve in the code
@@ -14,7 +14,11 @@ export class InitializeService implements IInitializeService {
 		} else {
 			const $options = this.$injector.resolve<IOptions>("options");
 			const loggerLevel = $options.log && LoggerLevel[$options.log.toUpperCase() as keyof typeof LoggerLevel];
-			$logger.initializeCliLogger({ level: loggerLevel });
+			$logger.initializeCliLogger({ level: loggerLevel, logFormat: $options.logFormat, command: _.first($options.argv._) });
+
+			if ($options.logFormat && !_.includes(_.values(LogFormat), $options.logFormat)) {
+				$logger.warn(`The log format '${$options.logFormat}' is not supported, so messages will be printed as text. Supported formats are: ${_.values(LogFormat).join(", ")}.`);
+			}
 		}
 
 		if (initOpts.settingsServiceOptions) {
@@ -1,7 +1,24 @@
+import { DeviceLogSeverities } from "../common/constants";
+
 export class IOSLogFilter implements Mobile.IPlatformLogFilter {
+	// The syslog levels of the lines, for example: NativeScript250(NativeScript)[356] <Notice>:
+	private static SYSLOG_LEVEL_SEVERITIES: IStringDictionary = {
+		debug: DeviceLogSeverities.DEBUG,
+		info: DeviceLogSeverities.INFO,
+		notice: DeviceLogSeverities.INFO,
+		default: DeviceLogSeverities.INFO,
+		warning: DeviceLogSeverities.WARNING,
+		error: DeviceLogSeverities.ERROR,
+		critical: DeviceLogSeverities.FATAL,
+		alert: DeviceLogSeverities.FATAL,
+		emergency: DeviceLogSeverities.FATAL,
+		fault: DeviceLogSeverities.FATAL
+	};
+
 	// Used to recognize output related to the current project
 	// This looks for artifacts like: AppName[22432] or AppName(SomeTextHere)[23123]
 	private appOutputRegex: RegExp = /([^\s\(\)]+)(?:\([^\s]+\))?\[[0-9]+\]/;
+	private syslogLevelRegex = new RegExp(`${this.appOutputRegex.source}\\s+<(\\w+)>:`);
 
 	// Used to trim the passed messages to a simpler output
 	// Example:
@@ -70,6 +87,12 @@ export class IOSLogFilter implements Mobile.IPlatformLogFilter {
 		return output.length === 0 ? null : output;
 	}
 
+	public getLineInfo(line: string): Mobile.IDeviceLogLineInfo {
+		const match = line.match(this.syslogLevelRegex) || line.match(this.appOutputRegex);
+		// The simulator logs do not contain the syslog level, so the output of the application is shown as info.
+		return match ? { tag: match[1], severity: (match[2] && IOSLogFilter.SYSLOG_LEVEL_SEVERITIES[match[2].toLowerCase()]) || DeviceLogSeverities.INFO } : null;
+	}
+
 	private preFilter(data: string, currentLine: string): boolean {
 		return currentLine.length < 1 ||
 			currentLine.indexOf("SecTaskCopyDebugDescription") !== -1 ||
@@ -76,8 +76,8 @@ export class IOSProjectService extends projectServiceBaseLib.PlatformProjectServ
 				appDestinationDirectoryPath: path.join(projectRoot, projectData.projectName),
 				platformProjectService: <any>this,
 				projectRoot: projectRoot,
-				getBuildOutputPath: (options: IBuildData): string => {
-					const config = getConfigurationName(!options || options.release);
+				getBuildOutputPath: (options: IiOSBuildData): string => {
+					const config = (options && options.iosConfiguration) || getConfigurationName(!options || options.release);
 					return path.join(projectRoot, constants.BUILD_DIR, `${config}-${getPlatformSdkName(!options || options.buildForDevice || options.buildForAppStore)}`);
 				},
 				getValidBuildOutputData: (buildOptions: IBuildData): IValidBuildOutputData => {
@@ -373,6 +373,12 @@ export class IOSProjectService extends projectServiceBaseLib.PlatformProjectServ
 
 		this.$fs.copyFile(path.join(projectAppResourcesPath, platformData.normalizedPlatformName, "*"), platformsAppResourcesPath);
 
+		// The files from the App_Resources overlay of the environment replace the ones from App_Resources.
+		const environmentPlatformResourcesPath = projectData.environmentAppResourcesDirectoryPath && path.join(projectData.environmentAppResourcesDirectoryPath, platformData.normalizedPlatformName);
+		if (environmentPlatformResourcesPath && this.$fs.exists(environmentPlatformResourcesPath)) {
+			this.$fs.copyFile(path.join(environmentPlatformResourcesPath, "*"), platformsAppResourcesPath);
+		}
+
 		this.$fs.deleteFile(path.join(platformsAppResourcesPath, platformData.configurationFileName));
 		this.$fs.deleteFile(path.join(platformsAppResourcesPath, constants.PODFILE_NAME));
 
@@ -425,6 +431,25 @@ export class IOSProjectService extends projectServiceBaseLib.PlatformProjectServ
 
 		makePatch(infoPlistPath);
 
+		if (projectData.environmentAppResourcesDirectoryPath) {
+			makePatch(path.join(projectData.environmentAppResourcesDirectoryPath, this.getPlatformData(projectData).normalizedPlatformName, this.getPlatformData(projectData).configurationFileName));
+		}
+
+		if (projectData.environment && projectData.environment.displayName) {
+			session.patch({
+				name: `CFBundleDisplayName from the ${projectData.environmentName} environment`,
+				read: () =>
+					`<?xml version="1.0" encoding="UTF-8"?>
+						<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+						<plist version="1.0">
+						<dict>
+							<key>CFBundleDisplayName</key>
+							<string>${_.escape(projectData.environment.displayName)}</string>
+						</dict>
+						</plist>`
+			});
+		}
+
 		if (projectData.projectIdentifiers && projectData.projectIdentifiers.ios) {
 			session.patch({
 				name: "CFBundleIdentifier from package.json nativescript.id",
@@ -1,8 +1,10 @@
 import * as path from "path";
 import * as mobileProvisionFinder from "ios-mobileprovision-finder";
+import { INFO_PLIST_FILE_NAME } from "../../constants";
 
 export class ExportOptionsPlistService implements IExportOptionsPlistService {
 	constructor(private $fs: IFileSystem,
+		private $plistParser: IPlistParser,
 		private $tempService: ITempService) { }
 
 	public async createDevelopmentExportOptionsPlist(archivePath: string, projectData: IProjectData, buildConfig: IBuildConfig): Promise<IExportOptionsPlistOutput> {
@@ -18,7 +20,7 @@ export class ExportOptionsPlistService implements IExportOptionsPlistService {
 		if (provision) {
 			plistTemplate += `    <key>provisioningProfiles</key>
 <dict>
-	<key>${projectData.projectIdentifiers.ios}</key>
+	<key>${this.getBundleIdentifier(archivePath, projectData, buildConfig)}</key>
 	<string>${provision}</string>
 </dict>`;
 		}
@@ -63,7 +65,7 @@ export class ExportOptionsPlistService implements IExportOptionsPlistService {
 		if (provision) {
 			plistTemplate += `    <key>provisioningProfiles</key>
     <dict>
-        <key>${projectData.projectIdentifiers.ios}</key>
+        <key>${this.getBundleIdentifier(archivePath, projectData, buildConfig)}</key>
         <string>${provision}</string>
     </dict>`;
 		}
@@ -88,6 +90,20 @@ export class ExportOptionsPlistService implements IExportOptionsPlistService {
 		return { exportFileDir, exportFilePath, exportOptionsPlistFilePath };
 	}
 
+	private getBundleIdentifier(archivePath: string, projectData: IProjectData, buildConfig: IBuildConfig): string {
+		// Custom build configurations and schemes may set a different bundle identifier, so the one of the archived application is used.
+		const archiveInfoPlistPath = path.join(archivePath, INFO_PLIST_FILE_NAME);
+		if ((buildConfig.iosConfiguration || buildConfig.iosScheme) && this.$fs.exists(archiveInfoPlistPath)) {
+			const archiveInfo = this.$plistParser.parseFileSync(archiveInfoPlistPath);
+			const bundleIdentifier = archiveInfo && archiveInfo.ApplicationProperties && archiveInfo.ApplicationProperties.CFBundleIdentifier;
+			if (bundleIdentifier) {
+				return bundleIdentifier;
+			}
+		}
+
+		return projectData.projectIdentifiers.ios;
+	}
+
 	private getExportOptionsMethod(projectData: IProjectData, archivePath: string): string {
 		const embeddedMobileProvisionPath = path.join(archivePath, 'Products', 'Applications', `${projectData.projectName}.app`, "embedded.mobileprovision");
 		const provision = mobileProvisionFinder.provision.readFromFile(embeddedMobileProvisionPath);
@@ -33,11 +33,11 @@ export class XcodebuildArgsService implements IXcodebuildArgsService {
 		args = args
 			.concat([
 				"build",
-				"-configuration", buildConfig.release ? Configurations.Release : Configurations.Debug
+				"-configuration", this.getConfigurationName(buildConfig)
 			])
 			.concat(this.getBuildCommonArgs(platformData, projectData, SimulatorPlatformSdkName))
 			.concat(this.getBuildLoggingArgs())
-			.concat(this.getXcodeProjectArgs(platformData.projectRoot, projectData, productType));
+			.concat(this.getXcodeProjectArgs(platformData.projectRoot, projectData, buildConfig, productType));
 
 		return args;
 	}
@@ -48,10 +48,10 @@ export class XcodebuildArgsService implements IXcodebuildArgsService {
 		const args = [
 			"archive",
 			"-archivePath", archivePath,
-			"-configuration", buildConfig.release ? Configurations.Release : Configurations.Debug,
+			"-configuration", this.getConfigurationName(buildConfig),
 			'-allowProvisioningUpdates'
 		]
-			.concat(this.getXcodeProjectArgs(platformData.projectRoot, projectData, ProductArgs.scheme))
+			.concat(this.getXcodeProjectArgs(platformData.projectRoot, projectData, buildConfig, ProductArgs.scheme))
 			.concat(architectures)
 			.concat(this.getBuildCommonArgs(platformData, projectData, DevicePlatformSdkName))
 			.concat(this.getBuildLoggingArgs());
@@ -70,13 +70,22 @@ export class XcodebuildArgsService implements IXcodebuildArgsService {
 		return args;
 	}
 
-	private getXcodeProjectArgs(projectRoot: string, projectData: IProjectData, product?: ProductArgs): string[] {
+	private getConfigurationName(buildConfig: IBuildConfig): string {
+		return buildConfig.iosConfiguration || (buildConfig.release ? Configurations.Release : Configurations.Debug);
+	}
+
+	private getXcodeProjectArgs(projectRoot: string, projectData: IProjectData, buildConfig: IBuildConfig, product?: ProductArgs): string[] {
+		const scheme = buildConfig.iosScheme || projectData.projectName;
 		const xcworkspacePath = path.join(projectRoot, `${projectData.projectName}.xcworkspace`);
 		if (this.$fs.exists(xcworkspacePath)) {
-			return [ "-workspace", xcworkspacePath, "-scheme", projectData.projectName ];
+			return [ "-workspace", xcworkspacePath, "-scheme", scheme ];
 		}
 
 		const xcodeprojPath = path.join(projectRoot, `${projectData.projectName}.xcodeproj`);
+		if (buildConfig.iosScheme) {
+			return [ "-project", xcodeprojPath, "-scheme", scheme ];
+		}
+
 		return [ "-project", xcodeprojPath, product ? "-" + product : "-target", projectData.projectName ];
 	}
 
@@ -42,11 +42,11 @@ export class LogSourceMapService implements Mobile.ILogSourceMapService {
 		this.getRuntimeVersion = _.memoize(this.getRuntimeVersionCore, (...args) => args.join(LogSourceMapService.MEMOIZE_FUNCTION_RANDOM_KEY_FOR_JOIN));
 	}
 
-	public async setSourceMapConsumerForFile(filePath: string): Promise<void> {
+	public async setSourceMapConsumerForFile(filePath: string, sourceMapFilePath?: string): Promise<void> {
 		try {
 			if (!this.$fs.getFsStats(filePath).isDirectory()) {
 				const source = this.$fs.readText(filePath);
-				const sourceMapRaw = sourceMapConverter.fromSource(source);
+				const sourceMapRaw = sourceMapConverter.fromSource(source) || this.getExternalSourceMap(filePath, source, sourceMapFilePath);
 				let smc: sourcemap.SourceMapConsumer = null;
 				if (sourceMapRaw && sourceMapRaw.sourcemap) {
 					const sourceMap = sourceMapRaw.sourcemap;
@@ -74,7 +74,7 @@ export class LogSourceMapService implements Mobile.ILogSourceMapService {
 
 		lines.forEach(rawLine => {
 			const parsedLine = parserFunction(rawLine);
-			const originalLocation = this.getOriginalFileLocation(platform, parsedLine, projectData);
+			const originalLocation = this.getOriginalFileLocation(platform, parsedLine, projectData, loggingOptions.appFilesDirectory);
 
 			if (originalLocation && originalLocation.sourceFile) {
 				const runtimeVersion = this.getRuntimeVersion(loggingOptions.projectDir, platform);
@@ -95,6 +95,24 @@ export class LogSourceMapService implements Mobile.ILogSourceMapService {
 		return outputData;
 	}
 
+	/**
+	 * Reads the source map from the file referenced in the source, from the .map file next to the source or from the passed file.
+	 * Builds with hidden source maps do not reference their .map files.
+	 */
+	private getExternalSourceMap(filePath: string, source: string, sourceMapFilePath: string): any {
+		try {
+			const referencedSourceMap = sourceMapConverter.fromMapFileSource(source, path.dirname(filePath));
+			if (referencedSourceMap) {
+				return referencedSourceMap;
+			}
+		} catch (err) {
+			this.$logger.trace(`Unable to read the source map referenced in file ${filePath}. Error is: ${err}`);
+		}
+
+		const mapFilePath = _.find(_.compact([`${filePath}.map`, sourceMapFilePath]), candidate => this.$fs.exists(candidate));
+		return mapFilePath ? sourceMapConverter.fromJSON(this.$fs.readText(mapFilePath)) : null;
+	}
+
 	private getRuntimeVersionCore(projectDir: string, platform: string): string {
 		let runtimeVersion: string = null;
 		try {
@@ -109,8 +127,8 @@ export class LogSourceMapService implements Mobile.ILogSourceMapService {
 		return runtimeVersion;
 	}
 
-	private getOriginalFileLocation(platform: string, parsedLine: IParsedMessage, projectData: IProjectData): IFileLocation {
-		const fileLocation = path.join(this.getFilesLocation(platform, projectData), APP_FOLDER_NAME);
+	private getOriginalFileLocation(platform: string, parsedLine: IParsedMessage, projectData: IProjectData, appFilesDirectory: string): IFileLocation {
+		const fileLocation = appFilesDirectory || path.join(this.getFilesLocation(platform, projectData), APP_FOLDER_NAME);
 
 		if (parsedLine && parsedLine.filePath) {
 			const sourceMapFile = path.join(fileLocation, parsedLine.filePath);
@@ -7,6 +7,7 @@ export class PrepareNativePlatformService implements IPrepareNativePlatformServi
 
 	constructor(
 		public $hooksService: IHooksService,
+		private $changesExplanationService: IChangesExplanationService,
 		private $nodeModulesBuilder: INodeModulesBuilder,
 		private $projectChangesService: IProjectChangesService,
 		private $metadataFilteringService: IMetadataFilteringService
@@ -17,6 +18,7 @@ export class PrepareNativePlatformService implements IPrepareNativePlatformServi
 	public async prepareNativePlatform(platformData: IPlatformData, projectData: IProjectData, prepareData: IPrepareData): Promise<boolean> {
 		const { nativePrepare, release } = prepareData;
 		const changesInfo = await this.$projectChangesService.checkForChanges(platformData, projectData, prepareData);
+		this.$changesExplanationService.explainPrepare(platformData, changesInfo);
 		if (nativePrepare && nativePrepare.skipNativePrepare) {
 			return changesInfo.hasChanges;
 		}
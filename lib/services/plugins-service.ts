@@ -123,9 +123,9 @@ export class PluginsService implements IPluginsService {
 
 		const pluginPlatformsFolderPath = pluginData.pluginPlatformsFolderPath(platform);
 		if (this.$fs.exists(pluginPlatformsFolderPath)) {
-			const pathToPluginsBuildFile = path.join(platformData.projectRoot, constants.PLUGINS_BUILD_DATA_FILENAME);
+			const pathToPluginsBuildFile = this.getPathToPluginsBuildFile(platformData);
 
-			const allPluginsNativeHashes = this.getAllPluginsNativeHashes(pathToPluginsBuildFile);
+			const allPluginsNativeHashes = this.getAllPluginsNativeHashesCore(pathToPluginsBuildFile);
 			const oldPluginNativeHashes = allPluginsNativeHashes[pluginData.name];
 			const currentPluginNativeHashes = await this.getPluginNativeHashes(pluginPlatformsFolderPath);
 
@@ -469,7 +469,15 @@ This framework comes from ${dependencyName} plugin, which is installed multiple
 		return data;
 	}
 
-	private getAllPluginsNativeHashes(pathToPluginsBuildFile: string): IDictionary<IStringDictionary> {
+	public getAllPluginsNativeHashes(platformData: IPlatformData): IDictionary<IStringDictionary> {
+		return this.getAllPluginsNativeHashesCore(this.getPathToPluginsBuildFile(platformData));
+	}
+
+	private getPathToPluginsBuildFile(platformData: IPlatformData): string {
+		return path.join(platformData.projectRoot, constants.PLUGINS_BUILD_DATA_FILENAME);
+	}
+
+	private getAllPluginsNativeHashesCore(pathToPluginsBuildFile: string): IDictionary<IStringDictionary> {
 		let data: IDictionary<IStringDictionary> = {};
 		if (this.$fs.exists(pathToPluginsBuildFile)) {
 			data = this.$fs.readJson(pathToPluginsBuildFile);
@@ -1,5 +1,5 @@
 import * as path from "path";
-import { NativePlatformStatus, PACKAGE_JSON_FILE_NAME, APP_GRADLE_FILE_NAME, BUILD_XCCONFIG_FILE_NAME, PLATFORMS_DIR_NAME, CONFIG_NS_FILE_NAME } from "../constants";
+import { NativePlatformStatus, PACKAGE_JSON_FILE_NAME, APP_GRADLE_FILE_NAME, BUILD_XCCONFIG_FILE_NAME, PLATFORMS_DIR_NAME, CONFIG_NS_FILE_NAME, ProjectChangeFlags } from "../constants";
 import { getHash, hook } from "../common/helpers";
 
 const prepareInfoFileName = ".nsprepareinfo";
@@ -12,6 +12,7 @@ class ProjectChangesInfo implements IProjectChangesInfo {
 	public nativeChanged: boolean;
 	public signingChanged: boolean;
 	public nativePlatformStatus: NativePlatformStatus;
+	public reasons: IProjectChangeReason[] = [];
 
 	public get hasChanges(): boolean {
 		return this.nativeChanged ||
@@ -32,6 +33,8 @@ class ProjectChangesInfo implements IProjectChangesInfo {
 }
 
 export class ProjectChangesService implements IProjectChangesService {
+	// The files which caused a change are listed up to this count for each flag, so a large change, e.g. of a whole plugin, does not flood the output.
+	private static MAX_CHANGED_FILES_PER_FLAG = 20;
 
 	private _changesInfo: IProjectChangesInfo;
 	private _prepareInfo: IPrepareInfo;
@@ -56,54 +59,108 @@ export class ProjectChangesService implements IProjectChangesService {
 		const isNewPrepareInfo = await this.ensurePrepareInfo(platformData, projectData, prepareData);
 		if (!isNewPrepareInfo) {
 			const platformResourcesDir = path.join(projectData.appResourcesDirectoryPath, platformData.normalizedPlatformName);
-			this._changesInfo.appResourcesChanged = this.containsNewerFiles(platformResourcesDir, projectData);
+			const environmentPlatformResourcesDir = projectData.environmentAppResourcesDirectoryPath && path.join(projectData.environmentAppResourcesDirectoryPath, platformData.normalizedPlatformName);
+			const newerAppResourcesFiles = this.getNewerFiles(platformResourcesDir, projectData);
+			if (environmentPlatformResourcesDir && this.$fs.exists(environmentPlatformResourcesDir)) {
+				newerAppResourcesFiles.push(...this.getNewerFiles(environmentPlatformResourcesDir, projectData));
+			}
+
+			this._changesInfo.appResourcesChanged = newerAppResourcesFiles.length > 0;
+			this.addFileChangeReasons(ProjectChangeFlags.appResourcesChanged, "App_Resources file is modified after the last prepare.", newerAppResourcesFiles);
 
 			this.$nodeModulesDependenciesBuilder.getProductionDependencies(projectData.projectDir)
 				.filter(dep => dep.nativescript && this.$fs.exists(path.join(dep.directory, PLATFORMS_DIR_NAME, platformData.platformNameLowerCase)))
 				.forEach(dep => {
-					this._changesInfo.nativeChanged = this._changesInfo.nativeChanged ||
-						this.containsNewerFiles(path.join(dep.directory, PLATFORMS_DIR_NAME, platformData.platformNameLowerCase), projectData) ||
-						this.isFileModified(path.join(dep.directory, PACKAGE_JSON_FILE_NAME));
+					if (this.getFileChangeReasonsCount(ProjectChangeFlags.nativeChanged) >= ProjectChangesService.MAX_CHANGED_FILES_PER_FLAG) {
+						return;
+					}
+
+					const pluginPackageJsonPath = path.join(dep.directory, PACKAGE_JSON_FILE_NAME);
+					const newerPluginFiles = this.getNewerFiles(path.join(dep.directory, PLATFORMS_DIR_NAME, platformData.platformNameLowerCase), projectData);
+					if (this.isFileModified(pluginPackageJsonPath)) {
+						newerPluginFiles.push(pluginPackageJsonPath);
+					}
+
+					this._changesInfo.nativeChanged = this._changesInfo.nativeChanged || newerPluginFiles.length > 0;
+					this.addFileChangeReasons(ProjectChangeFlags.nativeChanged, `Native file of plugin ${dep.name} is modified after the last prepare.`, newerPluginFiles);
 				});
 
 			if (!this._changesInfo.nativeChanged) {
+				const previousProjectFileHash = this._prepareInfo.projectFileHash;
 				this._prepareInfo.projectFileHash = this.getProjectFileStrippedHash(projectData.projectDir, platformData);
 				this._changesInfo.nativeChanged = this.isProjectFileChanged(projectData.projectDir, platformData);
+				if (this._changesInfo.nativeChanged) {
+					this.addChangeReason({
+						flag: ProjectChangeFlags.nativeChanged,
+						message: `The content of ${PACKAGE_JSON_FILE_NAME} is changed after the last prepare.`,
+						filePath: path.join(projectData.projectDir, PACKAGE_JSON_FILE_NAME),
+						previousHash: previousProjectFileHash,
+						currentHash: this._prepareInfo.projectFileHash
+					});
+				}
 			}
 
 			// If this causes too much rebuilds of the plugins or uncecessary builds for Android, move overrideCocoapods to prepareInfo.
-			this._changesInfo.nsConfigChanged = this.filesChanged([path.join(projectData.projectDir, CONFIG_NS_FILE_NAME)]);
-			this._changesInfo.nativeChanged = this._changesInfo.nativeChanged || this._changesInfo.nsConfigChanged;
+			const [changedNsConfigFile] = this.getChangedFiles([path.join(projectData.projectDir, CONFIG_NS_FILE_NAME)]);
+			this._changesInfo.nsConfigChanged = !!changedNsConfigFile;
+			this.addFileChangeReasons(ProjectChangeFlags.nsConfigChanged, `${CONFIG_NS_FILE_NAME} is modified after the last prepare.`, _.compact([changedNsConfigFile]));
+			if (this._changesInfo.nsConfigChanged && !this._changesInfo.nativeChanged) {
+				this._changesInfo.nativeChanged = true;
+				this.addChangeReason({ flag: ProjectChangeFlags.nativeChanged, message: `${CONFIG_NS_FILE_NAME} is modified after the last prepare.`, filePath: changedNsConfigFile });
+			}
 
 			this.$logger.trace(`Set nativeChanged to ${this._changesInfo.nativeChanged}.`);
 
+			let changedConfigFiles: string[];
 			if (platformData.platformNameLowerCase === this.$devicePlatformsConstants.iOS.toLowerCase()) {
-				this._changesInfo.configChanged = this.filesChanged([path.join(platformResourcesDir, platformData.configurationFileName),
+				changedConfigFiles = this.getChangedFiles([path.join(platformResourcesDir, platformData.configurationFileName),
 				path.join(platformResourcesDir, "LaunchScreen.storyboard"),
 				path.join(platformResourcesDir, BUILD_XCCONFIG_FILE_NAME)
 				]);
 			} else {
-				this._changesInfo.configChanged = this.filesChanged([
+				changedConfigFiles = this.getChangedFiles([
 					path.join(platformResourcesDir, platformData.configurationFileName),
 					path.join(platformResourcesDir, APP_GRADLE_FILE_NAME)
 				]);
 			}
 
+			this._changesInfo.configChanged = changedConfigFiles.length > 0;
+			this.addFileChangeReasons(ProjectChangeFlags.configChanged, "Configuration file is modified after the last prepare.", changedConfigFiles);
+
 			this.$logger.trace(`Set value of configChanged to ${this._changesInfo.configChanged}`);
 		}
 
 		if (!prepareData.nativePrepare || !prepareData.nativePrepare.skipNativePrepare) {
+			const signingChanged = this._changesInfo.signingChanged;
 			await platformData.platformProjectService.checkForChanges(this._changesInfo, prepareData, projectData);
+			if (this._changesInfo.signingChanged && !signingChanged) {
+				this.addChangeReason({ flag: ProjectChangeFlags.signingChanged, message: "The code signing options do not match the signing of the native project." });
+			}
 		}
 
 		if (!!prepareData.release !== !!this._prepareInfo.release) {
 			this.$logger.trace(`Setting all setting to true. Current options are: `, prepareData, " old prepare info is: ", this._prepareInfo);
+			const message = `The build configuration is changed to ${prepareData.release ? "release" : "debug"}.`;
 			this._changesInfo.appResourcesChanged = true;
 			this._changesInfo.configChanged = true;
+			this.addChangeReason({ flag: ProjectChangeFlags.appResourcesChanged, message });
+			this.addChangeReason({ flag: ProjectChangeFlags.configChanged, message });
 			this._prepareInfo.release = prepareData.release;
 		}
+		if ((projectData.environmentName || null) !== (this._prepareInfo.environment || null)) {
+			const message = projectData.environmentName ? `The environment is changed to ${projectData.environmentName}.` : "The environment is no longer used.";
+			this._changesInfo.appResourcesChanged = true;
+			this._changesInfo.configChanged = true;
+			this.addChangeReason({ flag: ProjectChangeFlags.appResourcesChanged, message });
+			this.addChangeReason({ flag: ProjectChangeFlags.configChanged, message });
+			this._prepareInfo.environment = projectData.environmentName;
+		}
 		if (this._changesInfo.appResourcesChanged) {
 			this.$logger.trace(`Set configChanged to true, appResourcesChanged is: ${this._changesInfo.appResourcesChanged}`);
+			if (!_.some(this._changesInfo.reasons, reason => reason.flag === ProjectChangeFlags.configChanged)) {
+				this.addChangeReason({ flag: ProjectChangeFlags.configChanged, message: "App_Resources are changed." });
+			}
+
 			this._changesInfo.configChanged = true;
 		}
 		if (this._changesInfo.hasChanges) {
@@ -177,6 +234,7 @@ export class ProjectChangesService implements IProjectChangesService {
 			time: "",
 			nativePlatformStatus,
 			release: prepareData.release,
+			environment: projectData.environmentName,
 			changesRequireBuild: true,
 			projectFileHash: this.getProjectFileStrippedHash(projectData.projectDir, platformData),
 			changesRequireBuildTime: null
@@ -189,6 +247,10 @@ export class ProjectChangesService implements IProjectChangesService {
 		this._changesInfo.configChanged = true;
 		this._changesInfo.nativeChanged = true;
 		this._changesInfo.nsConfigChanged = true;
+		const prepareInfoMessage = `There is no ${prepareInfoFileName} file from a previous prepare.`;
+		_.each([ProjectChangeFlags.appResourcesChanged, ProjectChangeFlags.configChanged, ProjectChangeFlags.nativeChanged, ProjectChangeFlags.nsConfigChanged], flag => {
+			this.addChangeReason({ flag, message: prepareInfoMessage, filePath: this.getPrepareInfoFilePath(platformData) });
+		});
 		return true;
 	}
 
@@ -212,52 +274,71 @@ export class ProjectChangesService implements IProjectChangesService {
 		return projectFileStrippedContentsHash !== prepareInfo.projectFileHash;
 	}
 
-	private filesChanged(files: string[]): boolean {
-		for (const file of files) {
-			if (this.$fs.exists(file)) {
-				const fileStats = this.$fs.getFsStats(file);
-				if (fileStats.mtime.getTime() >= this._outputProjectMtime || fileStats.ctime.getTime() >= this._outputProjectCTime) {
-					return true;
-				}
-			}
+	private addFileChangeReasons(flag: string, message: string, filePaths: string[]): void {
+		const remainingCount = ProjectChangesService.MAX_CHANGED_FILES_PER_FLAG - this.getFileChangeReasonsCount(flag);
+		_.each(_.take(filePaths, remainingCount), filePath => this.addChangeReason({ flag, message, filePath }));
+		if (remainingCount > 0 && filePaths.length > remainingCount) {
+			this.addChangeReason({ flag, message: `More files are modified, only the first ${ProjectChangesService.MAX_CHANGED_FILES_PER_FLAG} are listed.` });
 		}
+	}
 
-		return false;
+	private getFileChangeReasonsCount(flag: string): number {
+		return _.filter(this._changesInfo.reasons, reason => reason.flag === flag && !!reason.filePath).length;
 	}
 
-	private containsNewerFiles(dir: string, projectData: IProjectData): boolean {
+	private addChangeReason(reason: IProjectChangeReason): void {
+		if (reason.filePath && this.$fs.exists(reason.filePath)) {
+			const fileStats = this.$fs.getFsStats(reason.filePath);
+			reason.mtime = fileStats.mtime.toISOString();
+			reason.ctime = fileStats.ctime.toISOString();
+		}
+
+		this._changesInfo.reasons.push(reason);
+	}
+
+	private getChangedFiles(files: string[]): string[] {
+		return _.filter(files, file => {
+			if (!this.$fs.exists(file)) {
+				return false;
+			}
+
+			const fileStats = this.$fs.getFsStats(file);
+			return fileStats.mtime.getTime() >= this._outputProjectMtime || fileStats.ctime.getTime() >= this._outputProjectCTime;
+		});
+	}
+
+	/**
+	 * Returns the modified files and directories in the directory. The search stops when one more than the listed files per flag are found.
+	 */
+	private getNewerFiles(dir: string, projectData: IProjectData, newerFiles: string[] = []): string[] {
 		const dirName = path.basename(dir);
-		this.$logger.trace(`containsNewerFiles will check ${dir}`);
+		this.$logger.trace(`getNewerFiles will check ${dir}`);
 		if (_.startsWith(dirName, '.')) {
-			return false;
+			return newerFiles;
 		}
 
 		if (this.isFileModified(dir)) {
-			this.$logger.trace(`containsNewerFiles returns true for ${dir} as the dir itself has been modified.`);
-			return true;
+			this.$logger.trace(`getNewerFiles found ${dir} as the dir itself has been modified.`);
+			newerFiles.push(dir);
 		}
 
 		const files = this.$fs.readDirectory(dir);
 		for (const file of files) {
-			const filePath = path.join(dir, file);
-
-			const fileStats = this.$fs.getFsStats(filePath);
-			const changed = this.isFileModified(filePath, fileStats);
-
-			if (changed) {
-				this.$logger.trace(`containsNewerFiles returns true for ${dir}. The modified file is ${filePath}`);
-				return true;
+			if (newerFiles.length > ProjectChangesService.MAX_CHANGED_FILES_PER_FLAG) {
+				break;
 			}
 
-			if (fileStats.isDirectory()) {
-				if (this.containsNewerFiles(filePath, projectData)) {
-					this.$logger.trace(`containsNewerFiles returns true for ${dir}.`);
-					return true;
-				}
+			const filePath = path.join(dir, file);
+			const fileStats = this.$fs.getFsStats(filePath);
+			if (fileStats.isDirectory() && !_.startsWith(file, ".")) {
+				this.getNewerFiles(filePath, projectData, newerFiles);
+			} else if (this.isFileModified(filePath, fileStats)) {
+				this.$logger.trace(`getNewerFiles found ${filePath} in ${dir}.`);
+				newerFiles.push(filePath);
 			}
 		}
 
-		return false;
+		return newerFiles;
 	}
 
 	private isFileModified(filePath: string, filePathStats?: IFsStats): boolean {
@@ -0,0 +1,138 @@
+import * as path from "path";
+import { EOL } from "os";
+import { GENERATORS_DIR_NAME, GENERATOR_CONFIG_FILE_NAME, GENERATOR_FILES_DIR_NAME, GENERATOR_TEMPLATE_EXTENSION_NAME } from "../constants";
+
+export class ProjectGeneratorsService implements IProjectGeneratorsService {
+	private static PATH_VARIABLE_REGEX = /__([a-zA-Z_$][\w$]*?)__/g;
+
+	constructor(private $errors: IErrors,
+		private $fs: IFileSystem,
+		private $microTemplateService: IMicroTemplateService) { }
+
+	public getGenerators(projectDir: string): IProjectGenerator[] {
+		const generatorsDir = path.join(projectDir, GENERATORS_DIR_NAME);
+		if (!this.$fs.exists(generatorsDir)) {
+			return [];
+		}
+
+		return _(this.$fs.readDirectory(generatorsDir))
+			.filter(name => this.$fs.exists(path.join(generatorsDir, name, GENERATOR_FILES_DIR_NAME)))
+			.map(name => this.getGenerator(projectDir, name))
+			.value();
+	}
+
+	public getGenerator(projectDir: string, name: string): IProjectGenerator {
+		const generatorDir = path.join(projectDir, GENERATORS_DIR_NAME, name);
+		const filesDir = path.join(generatorDir, GENERATOR_FILES_DIR_NAME);
+		if (!name || !this.$fs.exists(filesDir)) {
+			return null;
+		}
+
+		const configPath = path.join(generatorDir, GENERATOR_CONFIG_FILE_NAME);
+		let config: IProjectGeneratorConfig = {};
+		if (this.$fs.exists(configPath)) {
+			try {
+				config = this.$fs.readJson(configPath);
+			} catch (err) {
+				this.$errors.fail(`Unable to parse ${configPath}. Error: ${err.message}`);
+			}
+		}
+
+		const args = _.map(config.arguments, arg => {
+			if (!arg || !arg.name) {
+				this.$errors.fail(`Each argument of the generator in ${configPath} must have a name.`);
+			}
+
+			return arg;
+		});
+
+		return {
+			name,
+			description: config.description || "",
+			generatorDir,
+			filesDir,
+			arguments: args
+		};
+	}
+
+	public getMissingArguments(generator: IProjectGenerator, args: IDictionary<string>): IProjectGeneratorArgument[] {
+		return _.filter(generator.arguments, arg => !_.has(args, arg.name) && !_.has(arg, "default"));
+	}
+
+	public async generate(generator: IProjectGenerator, options: IProjectGeneratorOptions): Promise<IGeneratedFile[]> {
+		const missingArguments = this.getMissingArguments(generator, options.args);
+		if (missingArguments.length) {
+			this.$errors.fail(`The generator ${generator.name} requires the following arguments: ${_.map(missingArguments, arg => arg.name).join(", ")}.`);
+		}
+
+		const localVariables = _.assign(_(generator.arguments).keyBy(arg => arg.name).mapValues(arg => arg.default).value(), options.args);
+		const templates = this.$fs.enumerateFilesInDirectorySync(generator.filesDir);
+		const files: IGeneratedFile[] = [];
+		for (const template of templates) {
+			const relativePath = this.getRelativeFilePath(path.relative(generator.filesDir, template), localVariables);
+			const filePath = path.join(options.projectDir, relativePath);
+			const content = await this.$microTemplateService.parseContent(this.$fs.readText(template), { isHtml: false, localVariables, ignoreEsInterpolation: true });
+			const previousContent = this.$fs.exists(filePath) ? this.$fs.readText(filePath) : null;
+			const action = previousContent === null ? GeneratedFileAction.Create : (previousContent === content ? GeneratedFileAction.Unchanged : GeneratedFileAction.Update);
+			files.push({ path: filePath, relativePath, content, previousContent, action });
+		}
+
+		const updatedFiles = _.filter(files, file => file.action === GeneratedFileAction.Update);
+		if (updatedFiles.length && !options.force && !options.dryRun) {
+			this.$errors.fail(`The following files already exist and will be overwritten: ${_.map(updatedFiles, file => file.relativePath).join(", ")}. Use --force to overwrite them or --dry-run to see the changes.`);
+		}
+
+		if (!options.dryRun) {
+			_(files)
+				.filter(file => file.action !== GeneratedFileAction.Unchanged)
+				.each(file => this.$fs.writeFile(file.path, file.content));
+		}
+
+		return files;
+	}
+
+	public getDiff(file: IGeneratedFile): string {
+		const oldLines = file.previousContent === null ? [] : file.previousContent.split(/\r?\n/);
+		const newLines = file.content.split(/\r?\n/);
+
+		// Longest common subsequence of the lines, computed from the end so the diff can be printed from the start.
+		const lcs: number[][] = _.times(oldLines.length + 1, () => _.times(newLines.length + 1, _.constant(0)));
+		for (let oldIndex = oldLines.length - 1; oldIndex >= 0; oldIndex--) {
+			for (let newIndex = newLines.length - 1; newIndex >= 0; newIndex--) {
+				lcs[oldIndex][newIndex] = oldLines[oldIndex] === newLines[newIndex] ?
+					lcs[oldIndex + 1][newIndex + 1] + 1 :
+					Math.max(lcs[oldIndex + 1][newIndex], lcs[oldIndex][newIndex + 1]);
+			}
+		}
+
+		const result: string[] = [];
+		let i = 0;
+		let j = 0;
+		while (i < oldLines.length || j < newLines.length) {
+			if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+				result.push(`  ${oldLines[i++]}`);
+				j++;
+			} else if (j < newLines.length && (i === oldLines.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+				result.push(`+ ${newLines[j++]}`);
+			} else {
+				result.push(`- ${oldLines[i++]}`);
+			}
+		}
+
+		return result.join(EOL);
+	}
+
+	private getRelativeFilePath(templatePath: string, localVariables: IDictionary<any>): string {
+		const relativePath = templatePath.replace(ProjectGeneratorsService.PATH_VARIABLE_REGEX, (match: string, name: string) => {
+			if (!_.has(localVariables, name)) {
+				this.$errors.fail(`The file name ${templatePath} uses the variable ${name} which is not an argument of the generator.`);
+			}
+
+			return localVariables[name];
+		});
+
+		return path.extname(relativePath) === GENERATOR_TEMPLATE_EXTENSION_NAME ? relativePath.slice(0, -GENERATOR_TEMPLATE_EXTENSION_NAME.length) : relativePath;
+	}
+}
+
+$injector.register("projectGeneratorsService", ProjectGeneratorsService);
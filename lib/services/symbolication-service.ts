@@ -0,0 +1,68 @@
+import * as path from "path";
+import { APP_FOLDER_NAME, TNS_MODULES_FOLDER_NAME } from "../constants";
+
+export class SymbolicationService implements ISymbolicationService {
+	private static HIDDEN_SOURCE_MAPS_DIRECTORY_NAME = "sourceMap";
+
+	constructor(private $errors: IErrors,
+		private $fs: IFileSystem,
+		private $logSourceMapService: Mobile.ILogSourceMapService,
+		private $platformsDataService: IPlatformsDataService,
+		private $projectDataService: IProjectDataService,
+		private $tempService: ITempService) { }
+
+	public async symbolicate(data: string, options: ISymbolicateOptions): Promise<string> {
+		const appFilesDirectory = options.buildPath ?
+			await this.getArchivedAppFilesDirectory(options.buildPath) :
+			this.getBuiltAppFilesDirectory(options.platform, options.projectDir);
+
+		if (!appFilesDirectory || !this.$fs.exists(appFilesDirectory)) {
+			const location = options.buildPath || `the ${options.platform} platform of the project`;
+			this.$errors.fail(`Unable to find the application files in ${location}. Build the application or pass the path to an archived build with --build-path.`);
+		}
+
+		// The hidden source maps are not part of the build. nativescript-dev-webpack writes them in the sourceMap directory of the application.
+		const hiddenSourceMapsDirectory = path.join(this.$projectDataService.getProjectData(options.projectDir).appDirectoryPath, SymbolicationService.HIDDEN_SOURCE_MAPS_DIRECTORY_NAME);
+		const files = this.$fs.enumerateFilesInDirectorySync(appFilesDirectory, (file, stat) => stat.isDirectory() ? path.basename(file) !== TNS_MODULES_FOLDER_NAME : path.extname(file) === ".js");
+		for (const file of files) {
+			const hiddenSourceMapPath = path.join(hiddenSourceMapsDirectory, `${path.relative(appFilesDirectory, file)}.map`);
+			await this.$logSourceMapService.setSourceMapConsumerForFile(file, hiddenSourceMapPath);
+		}
+
+		return this.$logSourceMapService.replaceWithOriginalFileLocations(options.platform, data, { logLevel: null, projectDir: options.projectDir, appFilesDirectory });
+	}
+
+	private getBuiltAppFilesDirectory(platform: string, projectDir: string): string {
+		const projectData = this.$projectDataService.getProjectData(projectDir);
+		const platformData = this.$platformsDataService.getPlatformData(platform, projectData);
+		return path.join(platformData.appDestinationDirectoryPath, APP_FOLDER_NAME);
+	}
+
+	private async getArchivedAppFilesDirectory(buildPath: string): Promise<string> {
+		if (!this.$fs.exists(buildPath)) {
+			this.$errors.fail(`The build ${buildPath} does not exist.`);
+		}
+
+		if (this.$fs.getFsStats(buildPath).isDirectory() && path.basename(buildPath) === APP_FOLDER_NAME) {
+			return buildPath;
+		}
+
+		let buildDirectory = buildPath;
+		if (!this.$fs.getFsStats(buildPath).isDirectory()) {
+			buildDirectory = await this.$tempService.mkdirSync("symbolicate");
+			await this.$fs.unzip(buildPath, buildDirectory);
+		}
+
+		// The application files are in assets/app in .apk files, in base/assets/app in .aab files and in Payload/<name>.app/app in .ipa files.
+		const parentDirectories = [buildDirectory, path.join(buildDirectory, "assets"), path.join(buildDirectory, "base", "assets")];
+		const payloadDirectory = path.join(buildDirectory, "Payload");
+		if (this.$fs.exists(payloadDirectory)) {
+			parentDirectories.push(...this.$fs.readDirectory(payloadDirectory).map(name => path.join(payloadDirectory, name)));
+		}
+
+		return _(parentDirectories)
+			.map(parentDirectory => path.join(parentDirectory, APP_FOLDER_NAME))
+			.find(appFilesDirectory => this.$fs.exists(appFilesDirectory));
+	}
+}
+$injector.register("symbolicationService", SymbolicationService);
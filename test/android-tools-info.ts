@@ -1,6 +1,7 @@
 import { Yok } from "../lib/common/yok";
 import { AndroidToolsInfo } from "../lib/android-tools-info";
 import { format } from "util";
+import * as path from "path";
 import { assert } from "chai";
 import { ErrorsStub } from "./stubs";
 
@@ -14,13 +15,34 @@ describe("androidToolsInfo", () => {
 		loggedMarkdownMessages = [];
 	});
 
+	let javaPath: string;
+	let isWindows: boolean;
+	let existingFiles: string[];
+
+	beforeEach(() => {
+		javaPath = null;
+		isWindows = false;
+		existingFiles = [];
+	});
+
 	const createTestInjector = (): IInjector => {
 		const testInjector = new Yok();
 		testInjector.register("childProcess", {});
 
 		testInjector.register("errors", ErrorsStub);
-		testInjector.register("fs", {});
-		testInjector.register("hostInfo", {});
+		testInjector.register("fs", {
+			exists: (filePath: string): boolean => _.some(existingFiles, existingFile => existingFile === filePath || _.startsWith(existingFile, filePath + path.sep)),
+			readDirectory: (directoryPath: string): string[] => _(existingFiles)
+				.filter(existingFile => _.startsWith(existingFile, directoryPath + path.sep))
+				.map(existingFile => path.relative(directoryPath, existingFile).split(path.sep)[0])
+				.uniq()
+				.value()
+		});
+		testInjector.register("hostInfo", {
+			get isWindows() {
+				return isWindows;
+			}
+		});
 		testInjector.register("logger", {
 			warn: (...args: string[]): void => {
 				loggedWarnings.push(format.apply(null, args));
@@ -31,6 +53,9 @@ describe("androidToolsInfo", () => {
 			}
 		});
 		testInjector.register("options", {});
+		testInjector.register("sysInfo", {
+			getJavaPath: async (): Promise<string> => javaPath
+		});
 		testInjector.register("staticConfig", {
 			SYS_REQUIREMENTS_LINK: sysRequirementsLink
 		});
@@ -44,4 +69,98 @@ describe("androidToolsInfo", () => {
 			assert.throws(() => androidToolsInfo.validateJavacVersion(null, { showWarningsAsErrors: true }), "Error executing command 'javac'. Make sure you have installed The Java Development Kit (JDK) and set JAVA_HOME environment variable.");
 		});
 	});
+
+	describe("getPathToKeytool", () => {
+		it("returns keytool from the directory of java from JAVA_HOME", async () => {
+			javaPath = path.join("/jdk", "bin", "java");
+			const androidToolsInfo = createTestInjector().resolve<IAndroidToolsInfo>(AndroidToolsInfo);
+			assert.equal(await androidToolsInfo.getPathToKeytool(), path.join("/jdk", "bin", "keytool"));
+		});
+
+		it("returns keytool.exe on Windows", async () => {
+			javaPath = path.join("/jdk", "bin", "java.exe");
+			isWindows = true;
+			const androidToolsInfo = createTestInjector().resolve<IAndroidToolsInfo>(AndroidToolsInfo);
+			assert.equal(await androidToolsInfo.getPathToKeytool(), path.join("/jdk", "bin", "keytool.exe"));
+		});
+
+		it("returns keytool when java is found in PATH", async () => {
+			javaPath = "java";
+			const androidToolsInfo = createTestInjector().resolve<IAndroidToolsInfo>(AndroidToolsInfo);
+			assert.equal(await androidToolsInfo.getPathToKeytool(), "keytool");
+		});
+
+		it("returns null when java is not found", async () => {
+			const androidToolsInfo = createTestInjector().resolve<IAndroidToolsInfo>(AndroidToolsInfo);
+			assert.isNull(await androidToolsInfo.getPathToKeytool());
+		});
+	});
+
+	describe("Android SDK executables", () => {
+		const androidHome = path.join("/android", "sdk");
+		let originalAndroidHome: string;
+
+		beforeEach(() => {
+			originalAndroidHome = process.env.ANDROID_HOME;
+			process.env.ANDROID_HOME = androidHome;
+		});
+
+		afterEach(() => {
+			if (originalAndroidHome === undefined) {
+				delete process.env.ANDROID_HOME;
+			} else {
+				process.env.ANDROID_HOME = originalAndroidHome;
+			}
+		});
+
+		it("returns avdmanager from the command-line tools when they are installed", () => {
+			existingFiles = [path.join(androidHome, "cmdline-tools", "latest", "bin", "avdmanager"), path.join(androidHome, "tools", "bin", "avdmanager")];
+			const androidToolsInfo = createTestInjector().resolve<IAndroidToolsInfo>(AndroidToolsInfo);
+			assert.equal(androidToolsInfo.getPathToAvdManager(), existingFiles[0]);
+		});
+
+		it("returns avdmanager.bat from the SDK tools on Windows", () => {
+			isWindows = true;
+			existingFiles = [path.join(androidHome, "tools", "bin", "avdmanager.bat")];
+			const androidToolsInfo = createTestInjector().resolve<IAndroidToolsInfo>(AndroidToolsInfo);
+			assert.equal(androidToolsInfo.getPathToAvdManager(), existingFiles[0]);
+		});
+
+		it("returns the emulator from the emulator package", () => {
+			existingFiles = [path.join(androidHome, "emulator", "emulator"), path.join(androidHome, "tools", "emulator")];
+			const androidToolsInfo = createTestInjector().resolve<IAndroidToolsInfo>(AndroidToolsInfo);
+			assert.equal(androidToolsInfo.getPathToEmulator(), existingFiles[0]);
+		});
+
+		it("returns apksigner from the latest Build Tools which contain it", () => {
+			existingFiles = [
+				path.join(androidHome, "build-tools", "9.0.0", "apksigner"),
+				path.join(androidHome, "build-tools", "29.0.3", "apksigner"),
+				path.join(androidHome, "build-tools", "30.0.0-rc1", "aapt")
+			];
+			const androidToolsInfo = createTestInjector().resolve<IAndroidToolsInfo>(AndroidToolsInfo);
+			assert.equal(androidToolsInfo.getPathToApkSigner(), existingFiles[1]);
+		});
+
+		it("returns apksigner.bat on Windows", () => {
+			isWindows = true;
+			existingFiles = [path.join(androidHome, "build-tools", "29.0.3", "apksigner.bat")];
+			const androidToolsInfo = createTestInjector().resolve<IAndroidToolsInfo>(AndroidToolsInfo);
+			assert.equal(androidToolsInfo.getPathToApkSigner(), existingFiles[0]);
+		});
+
+		it("returns null when the executables are not installed", () => {
+			const androidToolsInfo = createTestInjector().resolve<IAndroidToolsInfo>(AndroidToolsInfo);
+			assert.isNull(androidToolsInfo.getPathToAvdManager());
+			assert.isNull(androidToolsInfo.getPathToEmulator());
+			assert.isNull(androidToolsInfo.getPathToApkSigner());
+		});
+
+		it("returns null when ANDROID_HOME is not set", () => {
+			delete process.env.ANDROID_HOME;
+			existingFiles = [path.join(androidHome, "emulator", "emulator")];
+			const androidToolsInfo = createTestInjector().resolve<IAndroidToolsInfo>(AndroidToolsInfo);
+			assert.isNull(androidToolsInfo.getPathToEmulator());
+		});
+	});
 });
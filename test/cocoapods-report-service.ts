@@ -0,0 +1,158 @@
+import * as path from "path";
+import { assert } from "chai";
+import { Yok } from "../lib/common/yok";
+import { CocoaPodsReportService } from "../lib/services/cocoapods-report-service";
+import { DevicePlatformsConstants } from "../lib/common/mobile/device-platforms-constants";
+
+describe("CocoaPodsReportService", () => {
+	let podfiles: IStringDictionary;
+	let plugins: string[];
+	let projectData: any;
+	let cocoaPodsReportService: ICocoaPodsReportService;
+
+	const getPodfilePath = (moduleName: string) => path.join("node_modules", moduleName, "platforms", "ios", "Podfile");
+	const appResourcesPodfilePath = path.join("app", "App_Resources", "iOS", "Podfile");
+
+	beforeEach(() => {
+		podfiles = {};
+		plugins = ["plugin-a", "plugin-b"];
+		projectData = { appResourcesDirectoryPath: path.join("app", "App_Resources"), nsConfig: {} };
+
+		const testInjector = new Yok();
+		testInjector.register("devicePlatformsConstants", DevicePlatformsConstants);
+		testInjector.register("fs", {
+			exists: (filePath: string) => _.has(podfiles, filePath),
+			readText: (filePath: string) => podfiles[filePath]
+		});
+		testInjector.register("pluginsService", {
+			getAllProductionPlugins: () => _.map(plugins, name => ({ name }))
+		});
+		testInjector.register("cocoapodsService", {
+			getPluginPodfilePath: (pluginData: IPluginData) => getPodfilePath(pluginData.name)
+		});
+		testInjector.register("cocoaPodsReportService", CocoaPodsReportService);
+		cocoaPodsReportService = testInjector.resolve("cocoaPodsReportService");
+	});
+
+	describe("parsePodfile", () => {
+		it("parses the pod declarations", () => {
+			const model = cocoaPodsReportService.parsePodfile(`platform :ios, '10.0'
+# pod 'Commented'
+pod 'Firebase/Core', '~> 5.0', '< 5.4'
+pod "Alamofire", :git => 'https://github.com/Alamofire/Alamofire.git', :branch => 'master'
+pod 'Realm', configurations: ['Debug', 'Release'] # comment
+pod('SwiftyJSON')
+`);
+
+			assert.deepEqual(model.pods, [
+				{ name: "Firebase/Core", rootName: "Firebase", requirements: ["~> 5.0", "< 5.4"], options: {}, line: 3 },
+				{ name: "Alamofire", rootName: "Alamofire", requirements: [], options: { git: "https://github.com/Alamofire/Alamofire.git", branch: "master" }, line: 4 },
+				{ name: "Realm", rootName: "Realm", requirements: [], options: { configurations: "['Debug', 'Release']" }, line: 5 },
+				{ name: "SwiftyJSON", rootName: "SwiftyJSON", requirements: [], options: {}, line: 6 }
+			]);
+		});
+
+		it("parses the post_install blocks", () => {
+			const model = cocoaPodsReportService.parsePodfile(`pod 'Realm'
+post_install do |installer|
+  installer.pods_project.targets.each do |target|
+    if target.name == 'Realm'
+      target.build_configurations.each { |config| config.build_settings['SWIFT_VERSION'] = '4.2' }
+    end
+  end
+end
+pod 'AFNetworking'
+`);
+
+			assert.deepEqual(model.postInstallBlocks, [[
+				"installer.pods_project.targets.each do |target|",
+				"if target.name == 'Realm'",
+				"target.build_configurations.each { |config| config.build_settings['SWIFT_VERSION'] = '4.2' }",
+				"end",
+				"end"
+			].join("\n")]);
+			assert.deepEqual(_.map(model.pods, pod => pod.name), ["Realm", "AFNetworking"]);
+		});
+	});
+
+	describe("getPodsReport", () => {
+		it("lists the pods with the modules which request them", () => {
+			podfiles[getPodfilePath("plugin-a")] = "pod 'Firebase/Core', '~> 5.0'\npod 'Realm'";
+			podfiles[getPodfilePath("plugin-b")] = "pod 'Firebase/Messaging', '>= 5.2'";
+			podfiles[appResourcesPodfilePath] = "pod 'AFNetworking', '3.2.1'";
+
+			const report = cocoaPodsReportService.getPodsReport(projectData);
+
+			assert.deepEqual(_.map(report.pods, pod => ({ name: pod.name, modules: _.map(pod.requests, request => request.moduleName) })), [
+				{ name: "AFNetworking", modules: ["App_Resources"] },
+				{ name: "Firebase", modules: ["plugin-a", "plugin-b"] },
+				{ name: "Realm", modules: ["plugin-a"] }
+			]);
+			assert.deepEqual(report.conflicts, []);
+		});
+
+		it("detects incompatible version requirements", () => {
+			podfiles[getPodfilePath("plugin-a")] = "pod 'Firebase/Core', '~> 5.0'";
+			podfiles[getPodfilePath("plugin-b")] = "pod 'Firebase/Messaging', '~> 6.1'";
+
+			const report = cocoaPodsReportService.getPodsReport(projectData);
+
+			assert.deepEqual(report.conflicts, [{
+				type: PodfileConflictType.VersionRequirements,
+				podName: "Firebase",
+				moduleNames: ["plugin-a", "plugin-b"],
+				message: "The pod Firebase is requested with incompatible versions: plugin-a (~> 5.0), plugin-b (~> 6.1)."
+			}]);
+		});
+
+		it("treats ~> with three segments as a patch range", () => {
+			podfiles[getPodfilePath("plugin-a")] = "pod 'Realm', '~> 3.1.2'";
+			podfiles[getPodfilePath("plugin-b")] = "pod 'Realm', '>= 3.2'";
+
+			assert.deepEqual(_.map(cocoaPodsReportService.getPodsReport(projectData).conflicts, conflict => conflict.type), [PodfileConflictType.VersionRequirements]);
+		});
+
+		it("detects different sources", () => {
+			podfiles[getPodfilePath("plugin-a")] = "pod 'Realm', :git => 'https://github.com/realm/realm-cocoa.git'";
+			podfiles[getPodfilePath("plugin-b")] = "pod 'Realm', :path => '../realm'";
+
+			const report = cocoaPodsReportService.getPodsReport(projectData);
+
+			assert.deepEqual(_.map(report.conflicts, conflict => conflict.type), [PodfileConflictType.Sources]);
+			assert.deepEqual(report.conflicts[0].moduleNames, ["plugin-a", "plugin-b"]);
+		});
+
+		it("does not report conflicts for pods overridden by App_Resources", () => {
+			projectData.nsConfig.overridePods = "true";
+			podfiles[getPodfilePath("plugin-a")] = "pod 'Realm', '~> 2.0'";
+			podfiles[appResourcesPodfilePath] = "pod 'Realm', '~> 3.0'";
+
+			const report = cocoaPodsReportService.getPodsReport(projectData);
+
+			assert.deepEqual(report.conflicts, []);
+			assert.deepEqual(_.map(report.pods[0].requests, request => request.isOverridden), [true, false]);
+		});
+
+		it("detects identical post_install blocks", () => {
+			const podfile = "post_install do |installer|\n  installer.pods_project.build_configurations.each { |config| config.build_settings['ENABLE_BITCODE'] = 'NO' }\nend";
+			podfiles[getPodfilePath("plugin-a")] = podfile;
+			podfiles[getPodfilePath("plugin-b")] = podfile;
+
+			const report = cocoaPodsReportService.getPodsReport(projectData);
+
+			assert.deepEqual(report.conflicts, [{
+				type: PodfileConflictType.PostInstall,
+				moduleNames: ["plugin-a", "plugin-b"],
+				message: "The Podfiles of plugin-a, plugin-b have identical post_install blocks, which will be executed 2 times."
+			}]);
+		});
+
+		it("detects multiple post_install blocks in a Podfile", () => {
+			podfiles[getPodfilePath("plugin-a")] = "post_install do |installer|\n  puts 'a'\nend\npost_install do |installer|\n  puts 'b'\nend";
+
+			const report = cocoaPodsReportService.getPodsReport(projectData);
+
+			assert.deepEqual(_.map(report.conflicts, conflict => conflict.message), ["The Podfile of plugin-a has 2 post_install blocks."]);
+		});
+	});
+});
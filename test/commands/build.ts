@@ -0,0 +1,88 @@
+import temp = require("temp");
+import * as path from "path";
+import { assert } from "chai";
+import { Yok } from "../../lib/common/yok";
+import { BuildAndroidCommand } from "../../lib/commands/build";
+import { BuildArtefactsService } from "../../lib/services/build-artefacts-service";
+import { DevicePlatformsConstants } from "../../lib/common/mobile/device-platforms-constants";
+import { FileSystem } from "../../lib/common/file-system";
+import { ErrorsStub, LoggerStub } from "../stubs";
+
+temp.track();
+
+const aabOutputPath = path.join("platforms", "android", "app", "build", "outputs", "bundle", "release", "app.aab");
+
+const createTestInjector = (options: any): IInjector => {
+	const testInjector = new Yok();
+	testInjector.register("options", options);
+	testInjector.register("errors", ErrorsStub);
+	testInjector.register("logger", LoggerStub);
+	testInjector.register("fs", FileSystem);
+	testInjector.register("projectData", {
+		projectDir: "projectDir",
+		initializeProjectData: (): void => undefined
+	});
+	testInjector.register("platformsDataService", {});
+	testInjector.register("devicePlatformsConstants", DevicePlatformsConstants);
+	testInjector.register("buildController", {
+		prepareAndBuild: async (): Promise<string> => aabOutputPath
+	});
+	testInjector.register("platformValidationService", {});
+	testInjector.register("androidBundleValidatorHelper", {});
+	testInjector.register("buildDataService", {
+		getBuildData: (): any => ({})
+	});
+	testInjector.register("migrateController", {});
+	testInjector.register("markingModeService", {
+		handleMarkingModeFullDeprecation: async (): Promise<void> => undefined
+	});
+	testInjector.register("androidBundleToolService", {
+		buildUniversalApk: async (): Promise<void> => undefined
+	});
+	testInjector.register("artifactsManifestService", {});
+	testInjector.register("buildArtefactsService", BuildArtefactsService);
+	testInjector.register("buildMatrixController", {});
+	testInjector.registerCommand("build|android", BuildAndroidCommand);
+
+	return testInjector;
+};
+
+describe("build android command", () => {
+	describe("execute with --universal-apk", () => {
+		const getApkOutputPath = async (copyTo?: string): Promise<string> => {
+			const testInjector = createTestInjector({ aab: true, universalApk: true, copyTo });
+			let apkOutputPath: string = null;
+			testInjector.resolve("androidBundleToolService").buildUniversalApk = async (data: IBuildUniversalApkOptions): Promise<void> => {
+				assert.equal(data.aabFilePath, aabOutputPath);
+				apkOutputPath = data.apkOutputPath;
+			};
+
+			const buildCommand = testInjector.resolveCommand("build|android");
+			await buildCommand.execute([]);
+
+			return apkOutputPath;
+		};
+
+		it("saves the universal APK next to the built .aab", async () => {
+			const apkOutputPath = await getApkOutputPath();
+
+			assert.equal(apkOutputPath, path.join(path.dirname(aabOutputPath), "app-universal.apk"));
+		});
+
+		it("saves the universal APK in the --copy-to directory", async () => {
+			const copyTo = temp.mkdirSync("copyTo");
+
+			const apkOutputPath = await getApkOutputPath(copyTo);
+
+			assert.equal(apkOutputPath, path.join(path.resolve(copyTo), "app-universal.apk"));
+		});
+
+		it("saves the universal APK next to the --copy-to file", async () => {
+			const copyTo = path.join(temp.mkdirSync("copyTo"), "my-app.aab");
+
+			const apkOutputPath = await getApkOutputPath(copyTo);
+
+			assert.equal(apkOutputPath, path.join(path.dirname(copyTo), "my-app-universal.apk"));
+		});
+	});
+});
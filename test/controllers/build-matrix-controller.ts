@@ -0,0 +1,228 @@
+import * as path from "path";
+import { assert } from "chai";
+import { Yok } from "../../lib/common/yok";
+import { BuildMatrixController } from "../../lib/controllers/build-matrix-controller";
+import { BuildDataService } from "../../lib/services/build-data-service";
+import { MobileHelper } from "../../lib/common/mobile/mobile-helper";
+import { DevicePlatformsConstants } from "../../lib/common/mobile/device-platforms-constants";
+import { FileSystem } from "../../lib/common/file-system";
+import { getHash } from "../../lib/common/helpers";
+import { ErrorsStub, LoggerStub, TempServiceStub } from "../stubs";
+import temp = require("temp");
+
+temp.track();
+
+const signingOptions = { keyStorePath: "ks", keyStorePassword: "pass", keyStoreAlias: "alias", keyStoreAliasPassword: "aliasPass" };
+
+interface ITestData {
+	injector: IInjector;
+	projectData: IProjectData;
+	preparedData: IPrepareData[];
+	builtData: IBuildData[];
+	options: IDictionary<any>;
+	environments: IDictionary<string>;
+}
+
+function createTestData(nsConfig?: INsConfig): ITestData {
+	const projectDir = temp.mkdirSync("buildMatrixProject");
+	const preparedData: IPrepareData[] = [];
+	const builtData: IBuildData[] = [];
+	const options: IDictionary<any> = { environment: "development" };
+	// The environment of each prepared and built platform, as it is read by the project data.
+	const environments: IDictionary<string> = {};
+
+	const injector: IInjector = new Yok();
+	injector.register("options", options);
+	injector.register("errors", ErrorsStub);
+	injector.register("fs", FileSystem);
+	injector.register("logger", LoggerStub);
+	injector.register("tempService", TempServiceStub);
+	injector.register("devicePlatformsConstants", DevicePlatformsConstants);
+	injector.register("mobileHelper", MobileHelper);
+	injector.register("buildDataService", BuildDataService);
+	injector.register("prepareController", {
+		prepare: async (prepareData: IPrepareData) => {
+			preparedData.push(prepareData);
+			environments[`prepare-${preparedData.length}`] = options.environment;
+		}
+	});
+	injector.register("buildController", {
+		build: async (buildData: IAndroidBuildData) => {
+			builtData.push(buildData);
+			environments[`build-${builtData.length}`] = options.environment;
+			const fs = injector.resolve<IFileSystem>("fs");
+			const artifactPath = path.join(projectDir, "outputs", `${buildData.platform}-${buildData.androidFlavor || ""}-${buildData.release ? "release" : "debug"}.apk`);
+			fs.writeFile(artifactPath, artifactPath);
+
+			return artifactPath;
+		}
+	});
+	injector.register("artifactsManifestService", {
+		getPackageHash: (packagePath: string) => injector.resolve<IFileSystem>("fs").getFileShasum(packagePath, { algorithm: "sha256" })
+	});
+	injector.register("buildMatrixController", BuildMatrixController);
+
+	return {
+		injector,
+		projectData: <any>{ projectDir, nsConfig },
+		preparedData,
+		builtData,
+		options,
+		environments
+	};
+}
+
+describe("BuildMatrixController", () => {
+	describe("getBuildMatrix", () => {
+		const writeMatrix = (injector: IInjector, projectData: IProjectData, matrix: any): string => {
+			const matrixFilePath = path.join(projectData.projectDir, "build-matrix.json");
+			injector.resolve<IFileSystem>("fs").writeJson(matrixFilePath, matrix);
+
+			return matrixFilePath;
+		};
+
+		it("reads the builds of the platform from the specified file", () => {
+			const { injector, projectData } = createTestData();
+			const matrixFilePath = writeMatrix(injector, projectData, { builds: [{ platform: "android" }, { platform: "ios" }, { platform: "Android", release: true }], manifest: "manifest.json" });
+
+			const buildMatrixController = injector.resolve<IBuildMatrixController>("buildMatrixController");
+
+			assert.deepEqual(buildMatrixController.getBuildMatrix(projectData, matrixFilePath, "android"), { builds: [{ platform: "android" }, { platform: "Android", release: true }], manifest: "manifest.json" });
+		});
+
+		it("fails when the file does not exist", () => {
+			const { injector, projectData } = createTestData();
+			const matrixFilePath = path.join(projectData.projectDir, "build-matrix.json");
+			const buildMatrixController = injector.resolve<IBuildMatrixController>("buildMatrixController");
+
+			assert.throws(() => buildMatrixController.getBuildMatrix(projectData, matrixFilePath, "android"), `The build matrix file ${matrixFilePath} does not exist.`);
+		});
+
+		it("fails when the matrix has no builds", () => {
+			const { injector, projectData } = createTestData();
+			const matrixFilePath = writeMatrix(injector, projectData, { builds: [] });
+			const buildMatrixController = injector.resolve<IBuildMatrixController>("buildMatrixController");
+
+			assert.throws(() => buildMatrixController.getBuildMatrix(projectData, matrixFilePath, "android"), `The build matrix in ${matrixFilePath} must have a non-empty "builds" array.`);
+		});
+
+		it("fails when the matrix has no builds for the platform", () => {
+			const { injector, projectData } = createTestData();
+			const matrixFilePath = writeMatrix(injector, projectData, { builds: [{ platform: "ios" }] });
+			const buildMatrixController = injector.resolve<IBuildMatrixController>("buildMatrixController");
+
+			assert.throws(() => buildMatrixController.getBuildMatrix(projectData, matrixFilePath, "android"), `The build matrix in ${matrixFilePath} has no builds for platform android.`);
+		});
+
+		it("fails when a build uses an environment which is not defined", () => {
+			const { injector, projectData } = createTestData({ environments: { staging: {} } });
+			const matrixFilePath = writeMatrix(injector, projectData, { builds: [{ platform: "android", environment: "staging" }, { platform: "ios", environment: "prod" }] });
+			const buildMatrixController = injector.resolve<IBuildMatrixController>("buildMatrixController");
+
+			assert.throws(() => buildMatrixController.getBuildMatrix(projectData, matrixFilePath, "android"), `The build at index 1 of the build matrix in ${matrixFilePath} uses the environment "prod" which is not defined`);
+		});
+
+		it("fails when a build has invalid platform", () => {
+			const { injector, projectData } = createTestData();
+			const matrixFilePath = writeMatrix(injector, projectData, { builds: [{ platform: "android" }, { platform: "windows" }] });
+			const buildMatrixController = injector.resolve<IBuildMatrixController>("buildMatrixController");
+
+			assert.throws(() => buildMatrixController.getBuildMatrix(projectData, matrixFilePath, "android"), `The build at index 1 of the build matrix in ${matrixFilePath} has invalid platform.`);
+		});
+	});
+
+	describe("buildMatrix", () => {
+		it("prepares once the builds which share the prepare options", async () => {
+			const { injector, projectData, preparedData, builtData } = createTestData();
+			const matrix: IBuildMatrix = {
+				builds: [
+					{ platform: "android", flavor: "free" },
+					{ platform: "android", release: true, flavor: "free", ...signingOptions },
+					{ platform: "android", flavor: "paid" }
+				]
+			};
+
+			const buildMatrixController = injector.resolve<IBuildMatrixController>("buildMatrixController");
+			await buildMatrixController.buildMatrix(projectData, matrix, {});
+
+			assert.deepEqual(_.map(preparedData, data => data.release), [undefined, true]);
+			assert.deepEqual(_.map(builtData, (data: IAndroidBuildData) => [data.androidFlavor, data.release]), [["free", undefined], ["paid", undefined], ["free", true]]);
+		});
+
+		it("uses the shared options unless the build overrides them", async () => {
+			const { injector, projectData, builtData } = createTestData();
+			const matrix: IBuildMatrix = {
+				builds: [
+					{ platform: "android", env: { snapshot: true } },
+					{ platform: "android", release: false, env: { uglify: false } }
+				]
+			};
+
+			const buildMatrixController = injector.resolve<IBuildMatrixController>("buildMatrixController");
+			await buildMatrixController.buildMatrix(projectData, matrix, { release: true, env: { uglify: true }, copyTo: "out", ...signingOptions });
+
+			assert.deepEqual(_.map(builtData, data => [data.release, data.env, data.copyTo]), [
+				[true, { uglify: true, snapshot: true, hmr: undefined }, undefined],
+				[false, { uglify: false, hmr: undefined }, undefined]
+			]);
+		});
+
+		it("prepares and builds each build with its environment", async () => {
+			const { injector, projectData, preparedData, options, environments } = createTestData();
+			const matrix: IBuildMatrix = {
+				builds: [
+					{ platform: "android", environment: "staging" },
+					{ platform: "android", environment: "production", flavor: "free" },
+					{ platform: "android" }
+				]
+			};
+
+			const buildMatrixController = injector.resolve<IBuildMatrixController>("buildMatrixController");
+			const result = await buildMatrixController.buildMatrix(projectData, matrix, options);
+
+			assert.equal(preparedData.length, 3);
+			assert.deepEqual(environments, {
+				"prepare-1": "staging", "build-1": "staging",
+				"prepare-2": "production", "build-2": "production",
+				"prepare-3": "development", "build-3": "development"
+			});
+			assert.deepEqual(_.map(result.artifacts, artifact => [artifact.name, artifact.environment]), [
+				["android-staging-debug", "staging"],
+				["android-production-free-debug", "production"],
+				["android-development-debug", "development"]
+			]);
+			assert.equal(options.environment, "development");
+		});
+
+		it("fails for Android release builds without signing options", async () => {
+			const { injector, projectData, builtData } = createTestData();
+			const buildMatrixController = injector.resolve<IBuildMatrixController>("buildMatrixController");
+
+			await assert.isRejected(buildMatrixController.buildMatrix(projectData, { builds: [{ platform: "android" }, { platform: "android", release: true }] }, {}),
+				"The build at index 1 of the build matrix is a release build without signing options.");
+			assert.deepEqual(builtData, []);
+		});
+
+		it("writes a manifest with the hashes of the artifacts", async () => {
+			const { injector, projectData } = createTestData();
+			const matrix: IBuildMatrix = {
+				builds: [{ name: "free", platform: "android", flavor: "free" }, { platform: "android", flavor: "paid" }],
+				manifest: path.join("dist", "manifest.json")
+			};
+
+			const buildMatrixController = injector.resolve<IBuildMatrixController>("buildMatrixController");
+			const result = await buildMatrixController.buildMatrix(projectData, matrix, {});
+
+			const fs = injector.resolve<IFileSystem>("fs");
+			const freeArtifactPath = path.join(projectData.projectDir, "outputs", "android-free-debug.apk");
+			const paidArtifactPath = path.join(projectData.projectDir, "outputs", "android-paid-debug.apk");
+			const expectedArtifacts = [
+				{ name: "free", platform: "android", release: false, path: freeArtifactPath, sha256: getHash(freeArtifactPath) },
+				{ name: "android-paid-debug", platform: "android", release: false, path: paidArtifactPath, sha256: getHash(paidArtifactPath) }
+			];
+			assert.equal(result.manifestPath, path.join(projectData.projectDir, "dist", "manifest.json"));
+			assert.deepEqual(result.artifacts, expectedArtifacts);
+			assert.deepEqual(fs.readJson(result.manifestPath), { builds: expectedArtifacts });
+		});
+	});
+});
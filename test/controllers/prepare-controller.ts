@@ -137,4 +137,26 @@ describe("prepareController", () => {
 			});
 		});
 	});
+
+	describe("preparePlatform with environment", () => {
+		it("passes the env values of the environment to webpack", async () => {
+			const injector = createTestInjector({ hasNativeChanges: false });
+			const projectDataService = injector.resolve<IProjectDataService>("projectDataService");
+			const getProjectData = projectDataService.getProjectData.bind(projectDataService);
+			projectDataService.getProjectData = (dir: string): IProjectData => ({
+				...getProjectData(dir),
+				environmentName: "staging",
+				environment: { id: "org.nativescript.staging", env: { apiUrl: "staging", verbose: true } }
+			});
+			let webpackEnv: IDictionary<any>;
+			injector.resolve("webpackCompilerService").compileWithoutWatch = async (platformData: IPlatformData, projectData: IProjectData, data: IPrepareData) => {
+				webpackEnv = data.env;
+			};
+
+			const prepareController: PrepareController = injector.resolve("prepareController");
+			await prepareController.prepare({ ...prepareData, env: { verbose: false }, watch: false, platform: "android" });
+
+			assert.deepEqual(webpackEnv, { apiUrl: "staging", verbose: false });
+		});
+	});
 });
@@ -152,6 +152,7 @@ function createTestInjector(projectPath: string, projectName: string, xCode?: IX
 		on: () => ({})
 	});
 	testInjector.register("emulatorHelper", {});
+	testInjector.register("deviceGroupsService", {});
 	testInjector.register("filesHashService", {
 		hasChangesInShasums: (oldPluginNativeHashes: IStringDictionary, currentPluginNativeHashes: IStringDictionary) => true,
 		generateHashes: async (files: string[]): Promise<IStringDictionary> => ({})
@@ -262,6 +262,42 @@ describe("options", () => {
 		});
 	});
 
+	describe("credential references", () => {
+		beforeEach(() => {
+			testInjector.register("credentialStoreService", {
+				resolveCredentialReference: (value: string) => `resolved ${value}`
+			});
+		});
+
+		it("replaces the values of sensitive options which reference the credential store", () => {
+			process.argv.push("--key-store-password", "@store:android-release");
+			const options = createOptions(testInjector);
+			options.validateOptions();
+			process.argv.pop();
+			process.argv.pop();
+			assert.equal(options.keyStorePassword, "resolved @store:android-release");
+			assert.isFalse(isExecutionStopped);
+		});
+
+		it("does not replace the values of options which are not sensitive", () => {
+			process.argv.push("--flavor", "@store:android-release");
+			const options = createOptions(testInjector);
+			options.validateOptions();
+			process.argv.pop();
+			process.argv.pop();
+			assert.equal(options.flavor, "@store:android-release");
+		});
+
+		it("does not replace values which are not references", () => {
+			process.argv.push("--key-store-password", "password");
+			const options = createOptions(testInjector);
+			options.validateOptions();
+			process.argv.pop();
+			process.argv.pop();
+			assert.equal(options.keyStorePassword, "password");
+		});
+	});
+
 	describe("setupOptions", () => {
 		const testCasesExpectingToThrow = [
 			{
@@ -169,6 +169,137 @@ describe("Project Changes Service Tests", () => {
 		});
 	});
 
+	describe("reasons", () => {
+		const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+		it("explains all flags with the missing prepare info on first prepare", async () => {
+			const platformData = serviceTest.getPlatformData("android");
+			const changesInfo = await serviceTest.projectChangesService.checkForChanges(platformData, serviceTest.projectData, <any>{});
+
+			const nativeChangedReason = _.find(changesInfo.reasons, reason => reason.flag === Constants.ProjectChangeFlags.nativeChanged);
+			assert.isTrue(changesInfo.nativeChanged);
+			assert.deepEqual(nativeChangedReason.filePath, serviceTest.projectChangesService.getPrepareInfoFilePath(platformData));
+			assert.include(nativeChangedReason.message, ".nsprepareinfo");
+		});
+
+		it("records the modified nsconfig.json as the reason for nsConfigChanged and nativeChanged", async () => {
+			const fs: FileSystem = serviceTest.resolve("fs");
+			const projectData: any = serviceTest.projectData;
+			projectData.appResourcesDirectoryPath = path.join(serviceTest.projectDir, "app", "App_Resources");
+			fs.createDirectory(path.join(projectData.appResourcesDirectoryPath, "Android"));
+			serviceTest.resolve("nodeModulesDependenciesBuilder").getProductionDependencies = (): IDependencyData[] => [];
+			_.extend(serviceTest.resolve("devicePlatformsConstants"), { iOS: "iOS", Android: "Android" });
+			const platformData: any = _.extend(serviceTest.getPlatformData("android"), {
+				platformNameLowerCase: "android",
+				normalizedPlatformName: "Android",
+				configurationFileName: "AndroidManifest.xml",
+				platformProjectService: { checkForChanges: async (): Promise<void> => undefined }
+			});
+
+			await wait(20);
+			await serviceTest.projectChangesService.checkForChanges(platformData, projectData, <any>{});
+			await serviceTest.projectChangesService.savePrepareInfo(platformData, projectData, <any>{});
+			await wait(20);
+			const nsConfigPath = path.join(serviceTest.projectDir, Constants.CONFIG_NS_FILE_NAME);
+			fs.writeJson(nsConfigPath, {});
+
+			const changesInfo = await serviceTest.projectChangesService.checkForChanges(platformData, projectData, <any>{});
+
+			assert.isTrue(changesInfo.nsConfigChanged);
+			assert.isFalse(changesInfo.appResourcesChanged);
+			assert.deepEqual(_.map(changesInfo.reasons, reason => ({ flag: reason.flag, filePath: reason.filePath })), [
+				{ flag: Constants.ProjectChangeFlags.nsConfigChanged, filePath: nsConfigPath },
+				{ flag: Constants.ProjectChangeFlags.nativeChanged, filePath: nsConfigPath }
+			]);
+			assert.isString(changesInfo.reasons[0].mtime);
+		});
+
+		it("records the changed environment as the reason for appResourcesChanged and configChanged", async () => {
+			const fs: FileSystem = serviceTest.resolve("fs");
+			const projectData: any = serviceTest.projectData;
+			projectData.appResourcesDirectoryPath = path.join(serviceTest.projectDir, "app", "App_Resources");
+			fs.createDirectory(path.join(projectData.appResourcesDirectoryPath, "Android"));
+			serviceTest.resolve("nodeModulesDependenciesBuilder").getProductionDependencies = (): IDependencyData[] => [];
+			_.extend(serviceTest.resolve("devicePlatformsConstants"), { iOS: "iOS", Android: "Android" });
+			const platformData: any = _.extend(serviceTest.getPlatformData("android"), {
+				platformNameLowerCase: "android",
+				normalizedPlatformName: "Android",
+				configurationFileName: "AndroidManifest.xml",
+				platformProjectService: { checkForChanges: async (): Promise<void> => undefined }
+			});
+
+			await wait(20);
+			await serviceTest.projectChangesService.checkForChanges(platformData, projectData, <any>{});
+			await serviceTest.projectChangesService.savePrepareInfo(platformData, projectData, <any>{});
+			await wait(20);
+			projectData.environmentName = "staging";
+
+			const changesInfo = await serviceTest.projectChangesService.checkForChanges(platformData, projectData, <any>{});
+
+			assert.isTrue(changesInfo.appResourcesChanged);
+			assert.isTrue(changesInfo.configChanged);
+			assert.deepEqual(_.map(changesInfo.reasons, reason => ({ flag: reason.flag, message: reason.message })), [
+				{ flag: Constants.ProjectChangeFlags.appResourcesChanged, message: "The environment is changed to staging." },
+				{ flag: Constants.ProjectChangeFlags.configChanged, message: "The environment is changed to staging." }
+			]);
+			await serviceTest.projectChangesService.savePrepareInfo(platformData, projectData, <any>{});
+			assert.equal(serviceTest.projectChangesService.getPrepareInfo(platformData).environment, "staging");
+		});
+		describe("modified App_Resources files", () => {
+			let fs: FileSystem;
+			let projectData: any;
+			let platformData: any;
+			let platformResourcesDir: string;
+
+			beforeEach(async () => {
+				fs = serviceTest.resolve("fs");
+				projectData = serviceTest.projectData;
+				projectData.appResourcesDirectoryPath = path.join(serviceTest.projectDir, "app", "App_Resources");
+				platformResourcesDir = path.join(projectData.appResourcesDirectoryPath, "Android");
+				fs.writeFile(path.join(platformResourcesDir, "src", "main", "res", "values", "strings.xml"), "strings");
+				serviceTest.resolve("nodeModulesDependenciesBuilder").getProductionDependencies = (): IDependencyData[] => [];
+				_.extend(serviceTest.resolve("devicePlatformsConstants"), { iOS: "iOS", Android: "Android" });
+				platformData = _.extend(serviceTest.getPlatformData("android"), {
+					platformNameLowerCase: "android",
+					normalizedPlatformName: "Android",
+					configurationFileName: "AndroidManifest.xml",
+					platformProjectService: { checkForChanges: async (): Promise<void> => undefined }
+				});
+
+				await wait(20);
+				await serviceTest.projectChangesService.checkForChanges(platformData, projectData, <any>{});
+				await serviceTest.projectChangesService.savePrepareInfo(platformData, projectData, <any>{});
+				await wait(20);
+			});
+
+			it("records every modified file", async () => {
+				const stringsPath = path.join(platformResourcesDir, "src", "main", "res", "values", "strings.xml");
+				const appGradlePath = path.join(platformResourcesDir, Constants.APP_GRADLE_FILE_NAME);
+				fs.writeFile(stringsPath, "new strings");
+				fs.writeFile(appGradlePath, "android {}");
+
+				const changesInfo = await serviceTest.projectChangesService.checkForChanges(platformData, projectData, <any>{});
+
+				const appResourcesChangedFiles = _(changesInfo.reasons)
+					.filter(reason => reason.flag === Constants.ProjectChangeFlags.appResourcesChanged)
+					.map(reason => reason.filePath)
+					.value();
+				assert.includeMembers(appResourcesChangedFiles, [stringsPath, appGradlePath]);
+				assert.deepEqual(_(changesInfo.reasons).filter(reason => reason.flag === Constants.ProjectChangeFlags.configChanged).map(reason => reason.filePath).value(), [appGradlePath]);
+			});
+
+			it("lists at most 20 files for each flag", async () => {
+				_.times(25, index => fs.writeFile(path.join(platformResourcesDir, "src", "main", "res", "drawable", `icon${index}.png`), "icon"));
+
+				const changesInfo = await serviceTest.projectChangesService.checkForChanges(platformData, projectData, <any>{});
+
+				const appResourcesChangedReasons = _.filter(changesInfo.reasons, reason => reason.flag === Constants.ProjectChangeFlags.appResourcesChanged);
+				assert.lengthOf(_.filter(appResourcesChangedReasons, reason => !!reason.filePath), 20);
+				assert.equal(_.last(appResourcesChangedReasons).message, "More files are modified, only the first 20 are listed.");
+			});
+		});
+	});
+
 	describe("setNativePlatformStatus", () => {
 		it("creates prepare info and sets only the native platform status when there isn't an existing prepare info", async () => {
 			for (const platform of ["ios", "android"]) {
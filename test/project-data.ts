@@ -43,10 +43,11 @@ describe("projectData", () => {
 	};
 
 	const projectDir = "projectDir";
-	const prepareTest = (opts?: { packageJsonData?: { dependencies?: IStringDictionary, devDependencies: IStringDictionary }, nsconfigData?: { shared?: boolean, webpackConfigPath?: string } }): IProjectData => {
+	const prepareTest = (opts?: { packageJsonData?: { dependencies?: IStringDictionary, devDependencies: IStringDictionary }, nsconfigData?: { shared?: boolean, webpackConfigPath?: string, hooks?: any, environments?: IDictionary<INsConfigEnvironment> }, environment?: string }): IProjectData => {
 		const testInjector = createTestInjector();
+		testInjector.resolve("options").environment = opts && opts.environment;
 		const fs = testInjector.resolve("fs");
-		fs.exists = (filePath: string) => filePath && (path.basename(filePath) === "package.json" || (path.basename(filePath) === "nsconfig.json" && opts && opts.nsconfigData));
+		fs.exists = (filePath: string) => filePath && (path.basename(filePath) === "package.json" || path.basename(filePath) === "existing-hook.js" || (path.basename(filePath) === "nsconfig.json" && opts && opts.nsconfigData));
 
 		fs.readText = (filePath: string) => {
 			if (path.basename(filePath) === "package.json") {
@@ -162,4 +163,65 @@ describe("projectData", () => {
 			assert.equal(projectData.webpackConfigPath, pathToConfig);
 		});
 	});
+
+	describe("nsconfig hooks", () => {
+		it("accepts hooks with valid type and existing script", () => {
+			const hooks = [{ type: "before-prepare", script: "./tools/existing-hook.js" }];
+			const projectData = prepareTest({ nsconfigData: { hooks } });
+			assert.deepEqual(projectData.nsConfig.hooks, hooks);
+		});
+
+		it("fails when hooks is not an array", () => {
+			assert.throws(() => prepareTest({ nsconfigData: { hooks: { type: "before-prepare", script: "./tools/existing-hook.js" } } }), 'The "hooks" property in nsconfig.json must be an array.');
+		});
+
+		it("fails when the type of a hook is not a valid hook name", () => {
+			assert.throws(() => prepareTest({ nsconfigData: { hooks: [{ type: "prepare", script: "./tools/existing-hook.js" }] } }), "The hook at index 0 in nsconfig.json has invalid type.");
+		});
+
+		it("fails when the timeout of a hook is not a positive number", () => {
+			assert.throws(() => prepareTest({ nsconfigData: { hooks: [{ type: "after-prepare", script: "./tools/existing-hook.js", timeout: "100" }] } }), 'The "timeout" property of the after-prepare hook at index 0 in nsconfig.json must be a positive number of milliseconds.');
+		});
+
+		it("fails when the script of a hook does not exist", () => {
+			assert.throws(() => prepareTest({ nsconfigData: { hooks: [{ type: "after-prepare", script: "./tools/missing-hook.js" }] } }), "missing-hook.js of the after-prepare hook in nsconfig.json does not exist.");
+		});
+	});
+
+	describe("environments", () => {
+		const environments: IDictionary<INsConfigEnvironment> = {
+			staging: { id: "com.test.testid.staging", displayName: "Test Staging", appResourcesPath: "environments/staging", env: { apiUrl: "https://staging" } },
+			production: { id: { android: "com.test.android", ios: "com.test.ios" } }
+		};
+
+		it("does not use an environment when --environment is not passed", () => {
+			const projectData = prepareTest({ nsconfigData: { environments } });
+			assert.isNull(projectData.environmentName);
+			assert.isNull(projectData.environment);
+			assert.isNull(projectData.environmentAppResourcesDirectoryPath);
+			assert.deepEqual(projectData.projectIdentifiers, { android: "com.test.testid", ios: "com.test.testid" });
+		});
+
+		it("overrides the app id and resolves the App_Resources overlay of the selected environment", () => {
+			const projectData = prepareTest({ nsconfigData: { environments }, environment: "staging" });
+			assert.equal(projectData.environmentName, "staging");
+			assert.deepEqual(projectData.environment, environments.staging);
+			assert.equal(projectData.environmentAppResourcesDirectoryPath, path.resolve(projectDir, "environments/staging"));
+			assert.deepEqual(projectData.projectIdentifiers, { android: "com.test.testid.staging", ios: "com.test.testid.staging" });
+		});
+
+		it("supports per-platform app ids in the selected environment", () => {
+			const projectData = prepareTest({ nsconfigData: { environments }, environment: "production" });
+			assert.deepEqual(projectData.projectIdentifiers, { android: "com.test.android", ios: "com.test.ios" });
+			assert.isNull(projectData.environmentAppResourcesDirectoryPath);
+		});
+
+		it("fails when the selected environment is not defined", () => {
+			assert.throws(() => prepareTest({ nsconfigData: { environments }, environment: "dev" }), 'The environment "dev" is not defined in the "environments" property of nsconfig.json. The available environments are: staging, production.');
+		});
+
+		it("fails when no environments are defined", () => {
+			assert.throws(() => prepareTest({ environment: "dev" }), 'The environment "dev" is not defined in the "environments" property of nsconfig.json. There are no environments defined.');
+		});
+	});
 });
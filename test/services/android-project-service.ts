@@ -45,6 +45,7 @@ const createTestInjector = (): IInjector => {
 	testInjector.register("gradleBuildArgsService", GradleBuildArgsService);
 	testInjector.register("analyticsService", stubs.AnalyticsService);
 	testInjector.register("staticConfig", { TRACK_FEATURE_USAGE_SETTING_NAME: "TrackFeatureUsage" });
+	testInjector.register("resources", {});
 	return testInjector;
 };
 
@@ -141,6 +142,61 @@ describe("androidProjectService", () => {
 		});
 	});
 
+	describe("getPlatformData", () => {
+		const outputsPath = path.join("platforms", "android", "app", "build", "outputs");
+		let platformData: IPlatformData;
+
+		beforeEach(() => {
+			const projectData = injector.resolve<IProjectData>("projectData");
+			projectData.platformsDir = "platforms";
+			projectData.projectIdentifiers = { android: "org.nativescript.myApp", ios: "org.nativescript.myApp" };
+			platformData = androidProjectService.getPlatformData(projectData);
+		});
+
+		it("returns the apk directory of the flavor and build type", () => {
+			assert.equal(platformData.getBuildOutputPath({ release: false, androidFlavor: "free" }), path.join(outputsPath, "apk", "free", "debug"));
+			assert.equal(platformData.getBuildOutputPath({ release: true, androidFlavor: "free", androidBuildType: "staging" }), path.join(outputsPath, "apk", "free", "staging"));
+			assert.equal(platformData.getBuildOutputPath({ release: false }), path.join(outputsPath, "apk"));
+		});
+
+		it("returns the bundle directory of the variant", () => {
+			assert.equal(platformData.getBuildOutputPath({ release: true, androidBundle: true, androidFlavor: "free" }), path.join(outputsPath, "bundle", "freeRelease"));
+			assert.equal(platformData.getBuildOutputPath({ release: false, androidBundle: true, androidBuildType: "staging" }), path.join(outputsPath, "bundle", "staging"));
+		});
+
+		it("returns only the package names of the variant when flavor or build type is passed", () => {
+			assert.deepEqual(platformData.getValidBuildOutputData({ release: false, androidFlavor: "free", androidBuildType: "staging" }), { packageNames: ["app-free-staging.apk"] });
+			assert.deepEqual(platformData.getValidBuildOutputData({ release: true, androidBundle: true, androidFlavor: "free" }), { packageNames: ["app.aab", "app-free-release.aab"] });
+		});
+
+		describe("with flavors from several dimensions", () => {
+			let files: IDictionary<any>;
+
+			beforeEach(() => {
+				files = {};
+				const fs = injector.resolve<IFileSystem>("fs");
+				fs.exists = (filePath: string): boolean => _.has(files, filePath);
+				fs.readJson = (filePath: string): any => files[filePath];
+			});
+
+			it("returns the package names from output-metadata.json", () => {
+				files[path.join(outputsPath, "apk", "freeProd", "debug", "output-metadata.json")] = { elements: [{ outputFile: "app-free-prod-debug.apk" }] };
+
+				assert.deepEqual(platformData.getValidBuildOutputData({ release: false, androidFlavor: "freeProd" }), { packageNames: ["app-free-prod-debug.apk", "app-freeProd-debug.apk"] });
+			});
+
+			it("returns the package names from output.json of the older Android Gradle plugins", () => {
+				files[path.join(outputsPath, "apk", "freeProd", "staging", "output.json")] = [{ path: "app-free-prod-staging.apk" }];
+
+				assert.deepEqual(platformData.getValidBuildOutputData({ release: false, androidFlavor: "freeProd", androidBuildType: "staging" }), { packageNames: ["app-free-prod-staging.apk", "app-freeProd-staging.apk"] });
+			});
+
+			it("splits the camel-cased flavor when there is no output metadata", () => {
+				assert.deepEqual(platformData.getValidBuildOutputData({ release: true, androidBundle: true, androidFlavor: "freeProd" }), { packageNames: ["app.aab", "app-freeProd-release.aab", "app-free-prod-release.aab"] });
+			});
+		});
+	});
+
 	describe("prepareAppResources", () => {
 		const projectDir = "testDir";
 		const pathToAppResourcesDir = path.join(projectDir, "app", "App_Resources");
@@ -0,0 +1,99 @@
+import * as path from "path";
+import { assert } from "chai";
+import { Yok } from "../../../lib/common/yok";
+import { AndroidBundleToolService } from "../../../lib/services/android/android-bundle-tool-service";
+import { FileSystem } from "../../../lib/common/file-system";
+import { ErrorsStub, TempServiceStub } from "../../stubs";
+import temp = require("temp");
+
+temp.track();
+
+const signingData: IAndroidSigningData = {
+	keyStorePath: "/keystores/release.keystore",
+	keyStorePassword: "storePassword",
+	keyStoreAlias: "release",
+	keyStoreAliasPassword: "aliasPassword"
+};
+
+describe("AndroidBundleToolService", () => {
+	describe("buildUniversalApk", () => {
+		let fs: IFileSystem;
+		let androidBundleToolService: IAndroidBundleToolService;
+		let spawnedArgs: string[];
+		let spawnResult: ISpawnResult;
+		let hasUniversalApk: boolean;
+
+		beforeEach(() => {
+			spawnedArgs = null;
+			spawnResult = { exitCode: 0, stdout: "", stderr: "" };
+			hasUniversalApk = true;
+
+			const testInjector = new Yok();
+			testInjector.register("errors", ErrorsStub);
+			testInjector.register("fs", FileSystem);
+			testInjector.register("tempService", TempServiceStub);
+			testInjector.register("sysInfo", { getJavaPath: async () => "java" });
+			testInjector.register("childProcess", {
+				trySpawnFromCloseEvent: async (command: string, args: string[]) => {
+					spawnedArgs = args;
+					return spawnResult;
+				}
+			});
+			testInjector.register("androidBundleToolService", AndroidBundleToolService);
+
+			fs = testInjector.resolve("fs");
+			fs.unzip = async (zipFile: string, destinationDir: string) => {
+				if (hasUniversalApk) {
+					fs.writeFile(path.join(destinationDir, "universal.apk"), "apk");
+				}
+			};
+			androidBundleToolService = testInjector.resolve("androidBundleToolService");
+		});
+
+		it("builds the apks in universal mode with the signing options and copies the universal apk to the output path", async () => {
+			const apkOutputPath = path.join(temp.mkdirSync("universalApk"), "output", "app-release-universal.apk");
+
+			await androidBundleToolService.buildUniversalApk({ aabFilePath: "/app/app-release.aab", apkOutputPath, signingData });
+
+			assert.include(spawnedArgs, "build-apks");
+			assert.include(spawnedArgs, "--mode=universal");
+			assert.deepEqual(spawnedArgs.slice(spawnedArgs.indexOf("--bundle"), spawnedArgs.indexOf("--bundle") + 2), ["--bundle", "/app/app-release.aab"]);
+			assert.deepEqual(spawnedArgs.slice(spawnedArgs.indexOf("--ks")), [
+				"--ks", "/keystores/release.keystore",
+				"--ks-pass", "pass:storePassword",
+				"--ks-key-alias", "release",
+				"--key-pass", "pass:aliasPassword"
+			]);
+			assert.equal(fs.readText(apkOutputPath), "apk");
+		});
+
+		it("fails when the signing information is not full", async () => {
+			await assert.isRejected(androidBundleToolService.buildUniversalApk({
+				aabFilePath: "/app/app-release.aab",
+				apkOutputPath: "/app/app-release-universal.apk",
+				signingData: <IAndroidSigningData>_.omit(signingData, "keyStoreAliasPassword")
+			}), `Unable to build universal "apk" without a full signing information.`);
+			assert.isNull(spawnedArgs);
+		});
+
+		it("fails when bundletool fails", async () => {
+			spawnResult = { exitCode: 1, stdout: "", stderr: "Invalid keystore" };
+
+			await assert.isRejected(androidBundleToolService.buildUniversalApk({
+				aabFilePath: "/app/app-release.aab",
+				apkOutputPath: "/app/app-release-universal.apk",
+				signingData
+			}), `Unable to build universal "apk" from the provided "aab". Error: Invalid keystore`);
+		});
+
+		it("fails when the apks does not contain universal apk", async () => {
+			hasUniversalApk = false;
+
+			await assert.isRejected(androidBundleToolService.buildUniversalApk({
+				aabFilePath: "/app/app-release.aab",
+				apkOutputPath: "/app/app-release-universal.apk",
+				signingData
+			}), `Unable to find "universal.apk" in the "apks" built from /app/app-release.aab.`);
+		});
+	});
+});
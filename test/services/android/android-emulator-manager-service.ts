@@ -0,0 +1,146 @@
+import { assert } from "chai";
+import { Yok } from "../../../lib/common/yok";
+import { AndroidEmulatorManagerService } from "../../../lib/services/android/android-emulator-manager-service";
+import { EmulatorHelper } from "../../../lib/common/mobile/emulator-helper";
+import { DevicePlatformsConstants } from "../../../lib/common/mobile/device-platforms-constants";
+import { RUNNING_EMULATOR_STATUS, NOT_RUNNING_EMULATOR_STATUS } from "../../../lib/common/constants";
+import { ErrorsStub, LoggerStub } from "../../stubs";
+
+describe("AndroidEmulatorManagerService", () => {
+	let emulators: Mobile.IDeviceInfo[];
+	let runningEmulatorIds: string[];
+	let spawnedCommands: { command: string, args: string[], spawnFromEventOptions: ISpawnFromEventOptions }[];
+	let adbCommands: { args: string[], options: Mobile.IAndroidDebugBridgeCommandOptions }[];
+	let startEmulatorOptions: Mobile.IAndroidStartEmulatorOptions[];
+	let avdManagerResult: ISpawnResult;
+	let pathToAvdManager: string;
+	let androidEmulatorManagerService: IAndroidEmulatorManagerService;
+
+	const createEmulator = (imageIdentifier: string, identifier?: string): Mobile.IDeviceInfo => (<any>{
+		identifier: identifier || null,
+		imageIdentifier,
+		displayName: imageIdentifier,
+		vendor: "Avd",
+		platform: "Android",
+		status: identifier ? RUNNING_EMULATOR_STATUS : NOT_RUNNING_EMULATOR_STATUS
+	});
+
+	beforeEach(() => {
+		emulators = [createEmulator("Pixel_API_28"), createEmulator("Nexus_API_25", "emulator-5554")];
+		runningEmulatorIds = ["emulator-5554"];
+		spawnedCommands = [];
+		adbCommands = [];
+		startEmulatorOptions = [];
+		avdManagerResult = { exitCode: 0, stdout: "", stderr: "" };
+		pathToAvdManager = "avdmanager";
+
+		const testInjector = new Yok();
+		testInjector.register("adb", {
+			executeCommand: async (args: string[], options: Mobile.IAndroidDebugBridgeCommandOptions) => {
+				adbCommands.push({ args, options });
+				runningEmulatorIds = _.without(runningEmulatorIds, options.deviceIdentifier);
+			}
+		});
+		testInjector.register("androidEmulatorDiscovery", {
+			startLookingForDevices: async (): Promise<void> => undefined,
+			getDevices: () => emulators
+		});
+		testInjector.register("androidEmulatorServices", {
+			getEmulatorImages: async () => ({ devices: emulators, errors: <string[]>[] }),
+			getRunningEmulatorIds: async () => runningEmulatorIds,
+			startEmulator: async (options: Mobile.IAndroidStartEmulatorOptions) => {
+				startEmulatorOptions.push(options);
+				emulators = _.map(emulators, emulator => emulator.imageIdentifier === options.imageIdentifier ? createEmulator(emulator.imageIdentifier, "emulator-5556") : emulator);
+				return { errors: <string[]>[] };
+			}
+		});
+		testInjector.register("androidToolsInfo", {
+			getPathToAvdManager: () => pathToAvdManager,
+			getPathToEmulator: () => "emulator"
+		});
+		testInjector.register("childProcess", {
+			trySpawnFromCloseEvent: async (command: string, args: string[], options: any, spawnFromEventOptions: ISpawnFromEventOptions) => {
+				spawnedCommands.push({ command, args, spawnFromEventOptions });
+				if (avdManagerResult.exitCode === 0) {
+					emulators.push(createEmulator(args[args.indexOf("--name") + 1]));
+				}
+
+				return avdManagerResult;
+			}
+		});
+		testInjector.register("devicePlatformsConstants", DevicePlatformsConstants);
+		testInjector.register("emulatorHelper", EmulatorHelper);
+		testInjector.register("errors", ErrorsStub);
+		testInjector.register("logger", LoggerStub);
+		testInjector.register("utils", { getMilliSecondsTimeout: (timeout: number) => timeout * 1000 });
+		testInjector.register("androidEmulatorManagerService", AndroidEmulatorManagerService);
+		androidEmulatorManagerService = testInjector.resolve("androidEmulatorManagerService");
+	});
+
+	describe("createEmulator", () => {
+		it("creates the emulator with avdmanager", async () => {
+			const emulator = await androidEmulatorManagerService.createEmulator({ name: "CI", systemImage: "system-images;android-29;google_apis;x86", deviceProfile: "pixel", force: true });
+
+			assert.deepEqual(spawnedCommands[0].args, ["create", "avd", "--name", "CI", "--package", "system-images;android-29;google_apis;x86", "--device", "pixel", "--force"]);
+			assert.equal(spawnedCommands[0].spawnFromEventOptions.input, "no\n");
+			assert.equal(emulator.imageIdentifier, "CI");
+		});
+
+		it("fails when avdmanager fails", async () => {
+			avdManagerResult = { exitCode: 1, stdout: "", stderr: "Package path is not valid." };
+
+			await assert.isRejected(androidEmulatorManagerService.createEmulator({ name: "CI", systemImage: "invalid" }), "Unable to create the emulator CI. Error: Package path is not valid.");
+		});
+
+		it("fails when avdmanager is not found", async () => {
+			pathToAvdManager = null;
+
+			await assert.isRejected(androidEmulatorManagerService.createEmulator({ name: "CI", systemImage: "invalid" }), "Unable to find avdmanager.");
+			assert.deepEqual(spawnedCommands, []);
+		});
+	});
+
+	describe("startEmulator", () => {
+		it("starts the emulator in headless mode", async () => {
+			const emulator = await androidEmulatorManagerService.startEmulator("Pixel_API_28", { headless: true, coldBoot: true });
+
+			assert.deepEqual(startEmulatorOptions, [{ imageIdentifier: "Pixel_API_28", emulatorArgs: ["-no-window", "-no-audio", "-no-boot-anim", "-no-snapshot-load"] }]);
+			assert.equal(emulator.identifier, "emulator-5556");
+			assert.equal(emulator.status, RUNNING_EMULATOR_STATUS);
+		});
+
+		it("does not start an emulator which is already running", async () => {
+			const emulator = await androidEmulatorManagerService.startEmulator("Nexus_API_25", {});
+
+			assert.deepEqual(startEmulatorOptions, []);
+			assert.equal(emulator.identifier, "emulator-5554");
+		});
+
+		it("fails when the emulator does not exist", async () => {
+			await assert.isRejected(androidEmulatorManagerService.startEmulator("Missing", {}), "Unable to find an Android Virtual Device with name or identifier Missing.");
+		});
+	});
+
+	describe("stopEmulator", () => {
+		it("stops the running emulator by its identifier", async () => {
+			const emulator = await androidEmulatorManagerService.stopEmulator("emulator-5554");
+
+			assert.deepEqual(adbCommands, [{ args: ["emu", "kill"], options: { deviceIdentifier: "emulator-5554" } }]);
+			assert.equal(emulator.status, NOT_RUNNING_EMULATOR_STATUS);
+			assert.isNull(emulator.identifier);
+		});
+
+		it("fails when the emulator is not running", async () => {
+			await assert.isRejected(androidEmulatorManagerService.stopEmulator("Pixel_API_28"), "The emulator Pixel_API_28 is not running.");
+		});
+	});
+
+	describe("wipeEmulator", () => {
+		it("stops the running emulator and starts it with wiped data", async () => {
+			await androidEmulatorManagerService.wipeEmulator("Nexus_API_25", { headless: true });
+
+			assert.deepEqual(_.map(adbCommands, command => command.options.deviceIdentifier), ["emulator-5554"]);
+			assert.deepEqual(startEmulatorOptions, [{ imageIdentifier: "Nexus_API_25", emulatorArgs: ["-no-window", "-no-audio", "-no-boot-anim", "-wipe-data"] }]);
+		});
+	});
+});
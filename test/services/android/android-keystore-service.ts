@@ -0,0 +1,218 @@
+import * as path from "path";
+import { assert } from "chai";
+import { Yok } from "../../../lib/common/yok";
+import { AndroidKeystoreService } from "../../../lib/services/android/android-keystore-service";
+import { FileSystem } from "../../../lib/common/file-system";
+import { ErrorsStub } from "../../stubs";
+import temp = require("temp");
+
+temp.track();
+
+const keystoreListOutput = `Alias name: release
+Creation date: Oct 18, 2026
+Entry type: PrivateKeyEntry
+Certificate chain length: 1
+Certificate[1]:
+Owner: CN=Release, O=Company
+Issuer: CN=Release, O=Company
+Serial number: 5e8a1c3f
+Valid from: Sun Oct 18 10:00:00 UTC 2026 until: Thu Mar 05 10:00:00 UTC 2054
+Certificate fingerprints:
+	 SHA1: AA:BB:CC
+	 SHA256: 11:22:33
+Signature algorithm name: SHA256withRSA
+`;
+
+const packageCertificateOutput = (sha256: string) => `Signer #1:
+
+Signature:
+
+Owner: CN=Release, O=Company
+Issuer: CN=Release, O=Company
+Serial number: 5e8a1c3f
+Valid from: Sun Oct 18 10:00:00 UTC 2026 until: Thu Mar 05 10:00:00 UTC 2054
+Certificate fingerprints:
+	 SHA1: AA:BB:CC
+	 SHA256: ${sha256}
+`;
+
+const apkSignerOutput = (sha256: string) => `Signer #1 certificate DN: CN=Release, O=Company
+Signer #1 certificate SHA-256 digest: ${sha256}
+Signer #1 certificate SHA-1 digest: aabbcc
+Signer #1 certificate MD5 digest: ddeeff
+`;
+
+describe("AndroidKeystoreService", () => {
+	let fs: IFileSystem;
+	let androidKeystoreService: IAndroidKeystoreService;
+	let spawnedCommands: { command: string, args: string[], options: any }[];
+	let outputs: IDictionary<ISpawnResult>;
+	let keystoreOptions: IAndroidKeystoreOptions;
+	let packagePath: string;
+	let bundlePath: string;
+
+	beforeEach(() => {
+		spawnedCommands = [];
+		outputs = {
+			"-list": { exitCode: 0, stdout: keystoreListOutput, stderr: "" },
+			"-printcert": { exitCode: 0, stdout: packageCertificateOutput("11:22:33"), stderr: "" },
+			"-genkeypair": { exitCode: 0, stdout: "", stderr: "" },
+			"--print-certs": { exitCode: 0, stdout: apkSignerOutput("112233"), stderr: "" }
+		};
+
+		const testInjector = new Yok();
+		testInjector.register("errors", ErrorsStub);
+		testInjector.register("fs", FileSystem);
+		testInjector.register("androidToolsInfo", {
+			getPathToKeytool: async () => "keytool",
+			getPathToApkSigner: () => "apksigner"
+		});
+		testInjector.register("childProcess", {
+			trySpawnFromCloseEvent: async (command: string, args: string[], options: any) => {
+				spawnedCommands.push({ command, args, options });
+				if (_.includes(args, "-genkeypair")) {
+					fs.writeFile(args[args.indexOf("-keystore") + 1], "");
+				}
+
+				return outputs[_.find(args, arg => _.has(outputs, arg))];
+			}
+		});
+		testInjector.register("androidKeystoreService", AndroidKeystoreService);
+
+		fs = testInjector.resolve("fs");
+		androidKeystoreService = testInjector.resolve("androidKeystoreService");
+
+		const dir = temp.mkdirSync("androidKeystore");
+		keystoreOptions = { keyStorePath: path.join(dir, "release.keystore"), keyStorePassword: "password", keyStoreAlias: "release" };
+		packagePath = path.join(dir, "app-release.apk");
+		bundlePath = path.join(dir, "app-release.aab");
+		fs.writeFile(keystoreOptions.keyStorePath, "");
+		fs.writeFile(packagePath, "");
+		fs.writeFile(bundlePath, "");
+	});
+
+	describe("getCertificateInfo", () => {
+		it("parses the certificate of the alias", async () => {
+			const certificate = await androidKeystoreService.getCertificateInfo(keystoreOptions);
+
+			assert.deepEqual(certificate, {
+				owner: "CN=Release, O=Company",
+				issuer: "CN=Release, O=Company",
+				serialNumber: "5e8a1c3f",
+				validFrom: "Sun Oct 18 10:00:00 UTC 2026",
+				validUntil: "Thu Mar 05 10:00:00 UTC 2054",
+				sha1: "AA:BB:CC",
+				sha256: "11:22:33"
+			});
+		});
+
+		it("passes the password through an environment variable", async () => {
+			await androidKeystoreService.getCertificateInfo(keystoreOptions);
+
+			const { args, options } = spawnedCommands[0];
+			assert.notInclude(args, "password");
+			assert.deepEqual(args.slice(-2), ["-storepass:env", "NS_KEYSTORE_PASSWORD"]);
+			assert.equal(options.env.NS_KEYSTORE_PASSWORD, "password");
+		});
+
+		it("fails when keytool fails", async () => {
+			outputs["-list"] = { exitCode: 1, stdout: "keytool error: java.io.IOException: keystore password was incorrect", stderr: "" };
+
+			await assert.isRejected(androidKeystoreService.getCertificateInfo(keystoreOptions), "keystore password was incorrect");
+		});
+
+		it("fails when the keystore does not exist", async () => {
+			await assert.isRejected(androidKeystoreService.getCertificateInfo({ ...keystoreOptions, keyStorePath: "missing.keystore" }), "The keystore missing.keystore does not exist.");
+		});
+	});
+
+	describe("createKeystore", () => {
+		it("generates a PKCS12 keystore with the alias", async () => {
+			const newKeystoreOptions = { ...keystoreOptions, keyStorePath: path.join(temp.mkdirSync("newKeystore"), "new.keystore") };
+
+			const certificate = await androidKeystoreService.createKeystore({ ...newKeystoreOptions, dname: "CN=Release, O=Company" });
+
+			const { args } = spawnedCommands[0];
+			assert.include(args, "-genkeypair");
+			assert.deepEqual(args.slice(args.indexOf("-storetype"), args.indexOf("-storetype") + 2), ["-storetype", "PKCS12"]);
+			assert.deepEqual(args.slice(args.indexOf("-validity"), args.indexOf("-validity") + 2), ["-validity", "10000"]);
+			assert.deepEqual(args.slice(args.indexOf("-dname"), args.indexOf("-dname") + 2), ["-dname", "CN=Release, O=Company"]);
+			assert.equal(certificate.sha256, "11:22:33");
+		});
+
+		it("fails when the keystore already exists", async () => {
+			await assert.isRejected(androidKeystoreService.createKeystore(keystoreOptions), `The keystore ${keystoreOptions.keyStorePath} already exists.`);
+			assert.deepEqual(spawnedCommands, []);
+		});
+	});
+
+	describe("verifyPackageSignature", () => {
+		it("reads the signature of an APK with apksigner, so APKs signed only with the v2 or v3 scheme are verified", async () => {
+			const verification = await androidKeystoreService.verifyPackageSignature(packagePath, keystoreOptions);
+
+			assert.deepEqual(_.last(spawnedCommands).command, "apksigner");
+			assert.deepEqual(_.last(spawnedCommands).args, ["verify", "--print-certs", packagePath]);
+			assert.isTrue(verification.isSigned);
+			assert.isTrue(verification.isSignedWithKeystore);
+			assert.deepEqual(verification.packageCertificates, [{
+				owner: "CN=Release, O=Company",
+				issuer: null,
+				serialNumber: null,
+				validFrom: null,
+				validUntil: null,
+				sha1: "AA:BB:CC",
+				sha256: "11:22:33"
+			}]);
+		});
+
+		it("returns that the APK is not signed with the keystore when the fingerprints are different", async () => {
+			outputs["--print-certs"].stdout = apkSignerOutput("445566");
+
+			const verification = await androidKeystoreService.verifyPackageSignature(packagePath, keystoreOptions);
+
+			assert.isTrue(verification.isSigned);
+			assert.isFalse(verification.isSignedWithKeystore);
+		});
+
+		it("returns that the APK is not signed when apksigner does not verify it", async () => {
+			outputs["--print-certs"] = { exitCode: 1, stdout: "DOES NOT VERIFY\nERROR: Missing META-INF/MANIFEST.MF\n", stderr: "" };
+
+			const verification = await androidKeystoreService.verifyPackageSignature(packagePath, keystoreOptions);
+
+			assert.isFalse(verification.isSigned);
+			assert.isFalse(verification.isSignedWithKeystore);
+		});
+
+		it("fails when apksigner cannot read the APK", async () => {
+			outputs["--print-certs"] = { exitCode: 1, stdout: "", stderr: "java.util.zip.ZipException: Archive is not a ZIP archive" };
+
+			await assert.isRejected(androidKeystoreService.verifyPackageSignature(packagePath, keystoreOptions), `Unable to read the signature of ${packagePath}. Error: java.util.zip.ZipException: Archive is not a ZIP archive`);
+		});
+
+		it("reads the signature of an Android App Bundle with keytool", async () => {
+			const verification = await androidKeystoreService.verifyPackageSignature(bundlePath, keystoreOptions);
+
+			assert.deepEqual(_.last(spawnedCommands).args.slice(-2), ["-jarfile", bundlePath]);
+			assert.isTrue(verification.isSigned);
+			assert.isTrue(verification.isSignedWithKeystore);
+		});
+
+		it("returns that the Android App Bundle is not signed with the keystore when the fingerprints are different", async () => {
+			outputs["-printcert"].stdout = packageCertificateOutput("44:55:66");
+
+			const verification = await androidKeystoreService.verifyPackageSignature(bundlePath, keystoreOptions);
+
+			assert.isTrue(verification.isSigned);
+			assert.isFalse(verification.isSignedWithKeystore);
+		});
+
+		it("returns that the Android App Bundle is not signed", async () => {
+			outputs["-printcert"].stdout = "Not a signed jar file";
+
+			const verification = await androidKeystoreService.verifyPackageSignature(bundlePath, keystoreOptions);
+
+			assert.isFalse(verification.isSigned);
+			assert.isFalse(verification.isSignedWithKeystore);
+		});
+	});
+});
@@ -0,0 +1,185 @@
+import * as path from "path";
+import * as zlib from "zlib";
+import { assert } from "chai";
+import { Yok } from "../../../lib/common/yok";
+import { AndroidPackageInspectorService } from "../../../lib/services/android/android-package-inspector-service";
+import { FileSystem } from "../../../lib/common/file-system";
+import { ErrorsStub, LoggerStub } from "../../stubs";
+import temp = require("temp");
+
+temp.track();
+
+function createTestInjector(): IInjector {
+	const testInjector = new Yok();
+	testInjector.register("errors", ErrorsStub);
+	testInjector.register("fs", FileSystem);
+	testInjector.register("logger", LoggerStub);
+	testInjector.register("androidPackageInspectorService", AndroidPackageInspectorService);
+
+	return testInjector;
+}
+
+// Creates a zip archive with deflated files. Only the fields which are read by the service are filled in.
+function createPackage(fs: IFileSystem, packageName: string, files: IStringDictionary): string {
+	const localFileHeaders: Buffer[] = [];
+	const centralDirectoryHeaders: Buffer[] = [];
+	let offset = 0;
+	_.each(files, (content, fileName) => {
+		const name = Buffer.from(fileName);
+		const data = zlib.deflateRawSync(Buffer.from(content));
+		const localFileHeader = Buffer.alloc(30);
+		localFileHeader.writeUInt32LE(0x04034b50, 0);
+		localFileHeader.writeUInt16LE(8, 8);
+		localFileHeader.writeUInt32LE(data.length, 18);
+		localFileHeader.writeUInt32LE(content.length, 22);
+		localFileHeader.writeUInt16LE(name.length, 26);
+		localFileHeaders.push(localFileHeader, name, data);
+
+		const centralDirectoryHeader = Buffer.alloc(46);
+		centralDirectoryHeader.writeUInt32LE(0x02014b50, 0);
+		centralDirectoryHeader.writeUInt16LE(8, 10);
+		centralDirectoryHeader.writeUInt32LE(data.length, 20);
+		centralDirectoryHeader.writeUInt32LE(content.length, 24);
+		centralDirectoryHeader.writeUInt16LE(name.length, 28);
+		centralDirectoryHeader.writeUInt32LE(offset, 42);
+		centralDirectoryHeaders.push(centralDirectoryHeader, name);
+
+		offset += localFileHeader.length + name.length + data.length;
+	});
+
+	const centralDirectory = Buffer.concat(centralDirectoryHeaders);
+	const endOfCentralDirectory = Buffer.alloc(22);
+	endOfCentralDirectory.writeUInt32LE(0x06054b50, 0);
+	endOfCentralDirectory.writeUInt16LE(_.keys(files).length, 8);
+	endOfCentralDirectory.writeUInt16LE(_.keys(files).length, 10);
+	endOfCentralDirectory.writeUInt32LE(centralDirectory.length, 12);
+	endOfCentralDirectory.writeUInt32LE(offset, 16);
+
+	const packagePath = path.join(temp.mkdirSync("androidPackage"), packageName);
+	fs.writeFile(packagePath, Buffer.concat([...localFileHeaders, centralDirectory, endOfCentralDirectory]));
+
+	return packagePath;
+}
+
+describe("AndroidPackageInspectorService", () => {
+	let fs: IFileSystem;
+	let androidPackageInspectorService: IAndroidPackageInspectorService;
+
+	beforeEach(() => {
+		const testInjector = createTestInjector();
+		fs = testInjector.resolve("fs");
+		androidPackageInspectorService = testInjector.resolve("androidPackageInspectorService");
+	});
+
+	const apkFiles: IStringDictionary = {
+		"classes.dex": "dex".repeat(100),
+		"assets/app/bundle.js": "console.log('bundle');".repeat(200),
+		"assets/app/vendor.js": "console.log('vendor');".repeat(400),
+		"assets/app/bundle.js.map": "{}",
+		"lib/arm64-v8a/libNativeScript.so": "arm64".repeat(300),
+		"lib/x86/libNativeScript.so": "x86".repeat(200)
+	};
+
+	describe("inspect", () => {
+		it("calculates the compressed sizes of an .apk per ABI", async () => {
+			const packagePath = createPackage(fs, "app-debug.apk", apkFiles);
+
+			const inspection = await androidPackageInspectorService.inspect(packagePath);
+
+			assert.equal(inspection.packagePath, packagePath);
+			assert.equal(inspection.size, fs.getFsStats(packagePath).size);
+			assert.deepEqual(_.keys(inspection.modules), ["base"]);
+			assert.deepEqual(_.map(inspection.nativeLibraries, file => file.path), ["lib/arm64-v8a/libNativeScript.so", "lib/x86/libNativeScript.so"]);
+			const [arm64Library, x86Library] = inspection.nativeLibraries;
+			assert.deepEqual(inspection.abis, {
+				"arm64-v8a": inspection.modules.base - x86Library.compressedSize,
+				"x86": inspection.modules.base - arm64Library.compressedSize
+			});
+			assert.deepEqual(_.map(inspection.largestAppFiles, file => [file.path, file.size]), [
+				["assets/app/vendor.js", apkFiles["assets/app/vendor.js"].length],
+				["assets/app/bundle.js", apkFiles["assets/app/bundle.js"].length],
+				["assets/app/bundle.js.map", 2]
+			]);
+			assert.deepEqual(_.map(inspection.sourceMaps, file => file.path), ["assets/app/bundle.js.map"]);
+		});
+
+		it("calculates the compressed sizes of an .aab per module without the bundle metadata", async () => {
+			const packagePath = createPackage(fs, "app.aab", {
+				"BundleConfig.pb": "config",
+				"BUNDLE-METADATA/com.android.tools.build.obfuscation/proguard.map": "mapping".repeat(100),
+				"base/dex/classes.dex": "dex".repeat(100),
+				"base/assets/app/bundle.js": "console.log('bundle');".repeat(200),
+				"base/lib/arm64-v8a/libNativeScript.so": "arm64".repeat(300),
+				"camera/dex/classes.dex": "camera".repeat(100)
+			});
+
+			const inspection = await androidPackageInspectorService.inspect(packagePath);
+
+			assert.deepEqual(_.keys(inspection.modules), ["base", "camera"]);
+			assert.deepEqual(inspection.abis, { "arm64-v8a": inspection.modules.base + inspection.modules.camera });
+			assert.deepEqual(_.map(inspection.largestAppFiles, file => file.path), ["base/assets/app/bundle.js"]);
+			assert.deepEqual(_.map(inspection.nativeLibraries, file => file.path), ["base/lib/arm64-v8a/libNativeScript.so"]);
+			assert.deepEqual(inspection.sourceMaps, []);
+		});
+
+		it("fails when the package is not a zip archive", async () => {
+			const packagePath = path.join(temp.mkdirSync("androidPackage"), "app.apk");
+			fs.writeFile(packagePath, "not a zip archive");
+
+			await assert.isRejected(androidPackageInspectorService.inspect(packagePath), `${packagePath} is not a valid .apk or .aab file.`);
+		});
+
+		// Overwrites a field of the end of central directory record or of the first central directory entry of a package.
+		const corruptPackage = (packagePath: string, getOffset: (content: Buffer) => number, write: (content: Buffer, offset: number) => void): void => {
+			const content = <Buffer>fs.readFile(packagePath);
+			write(content, getOffset(content));
+			fs.writeFile(packagePath, content);
+		};
+		const endOfCentralDirectory = (content: Buffer) => content.length - 22;
+		const firstCentralDirectoryEntry = (content: Buffer) => content.readUInt32LE(content.length - 22 + 16);
+
+		_.each([
+			{ name: "the central directory is outside of the package", getOffset: endOfCentralDirectory, write: (content: Buffer, offset: number) => content.writeUInt32LE(0x7FFFFFF0, offset + 16) },
+			{ name: "an entry is outside of the central directory", getOffset: firstCentralDirectoryEntry, write: (content: Buffer, offset: number) => content.writeUInt16LE(0xFFF0, offset + 28) },
+			{ name: "the central directory has less entries than expected", getOffset: endOfCentralDirectory, write: (content: Buffer, offset: number) => content.writeUInt16LE(100, offset + 10) }
+		], testCase => {
+			it(`fails when ${testCase.name}`, async () => {
+				const packagePath = createPackage(fs, "app.apk", apkFiles);
+				corruptPackage(packagePath, testCase.getOffset, testCase.write);
+
+				await assert.isRejected(androidPackageInspectorService.inspect(packagePath), `${packagePath} is not a valid .apk or .aab file.`);
+			});
+		});
+
+		it("fails when the package is a ZIP64 archive", async () => {
+			const packagePath = createPackage(fs, "app.apk", apkFiles);
+			corruptPackage(packagePath, endOfCentralDirectory, (content, offset) => content.writeUInt32LE(0xFFFFFFFF, offset + 16));
+
+			await assert.isRejected(androidPackageInspectorService.inspect(packagePath), `${packagePath} is a ZIP64 archive, which is not supported.`);
+		});
+	});
+
+	describe("compare", () => {
+		it("reports the changed files ordered by the size of the change", async () => {
+			const previousPackagePath = createPackage(fs, "app-previous.apk", apkFiles);
+			const packagePath = createPackage(fs, "app-debug.apk", {
+				..._.omit(apkFiles, "assets/app/bundle.js.map"),
+				"assets/app/vendor.js": apkFiles["assets/app/vendor.js"] + "Math.random();".repeat(2000).split("").reverse().join("")
+			});
+
+			const comparison = await androidPackageInspectorService.compare(packagePath, previousPackagePath);
+
+			assert.equal(comparison.previousPackagePath, previousPackagePath);
+			assert.equal(comparison.sizeDiff, fs.getFsStats(packagePath).size - fs.getFsStats(previousPackagePath).size);
+			assert.deepEqual(_.map(comparison.changedFiles, file => file.path), ["assets/app/vendor.js", "assets/app/bundle.js.map"]);
+			assert.isAbove(comparison.changedFiles[0].compressedSizeDiff, 0);
+			assert.isBelow(comparison.changedFiles[1].compressedSizeDiff, 0);
+			assert.deepEqual(_.keys(comparison.abis), ["arm64-v8a", "x86"]);
+			assert.isAbove(comparison.modules.base, 0);
+		});
+
+		it("fails when the packages are not of the same type", async () => {
+			await assert.isRejected(androidPackageInspectorService.compare("app.apk", "app.aab"), "Unable to compare app.apk with app.aab as they are not packages of the same type.");
+		});
+	});
+});
@@ -2,6 +2,7 @@ import { Yok } from "../../../lib/common/yok";
 import { GradleBuildArgsService } from "../../../lib/services/android/gradle-build-args-service";
 import * as stubs from "../../stubs";
 import { assert } from "chai";
+import * as path from "path";
 import * as temp from "temp";
 temp.track();
 
@@ -20,6 +21,12 @@ function createTestInjector(): IInjector {
 	injector.register("gradleBuildArgsService", GradleBuildArgsService);
 	injector.register("analyticsService", stubs.AnalyticsService);
 	injector.register("staticConfig", {TRACK_FEATURE_USAGE_SETTING_NAME: "TrackFeatureUsage"});
+	injector.register("resources", {
+		resolvePath: (resourcePath: string) => path.join("resources", resourcePath)
+	});
+	injector.register("projectDataService", {
+		getProjectData: () => ({})
+	});
 
 	return injector;
 }
@@ -28,6 +35,11 @@ async function executeTests(testCases: any[], testFunction: (gradleBuildArgsServ
 	for (const testCase of testCases) {
 		it(testCase.name, async () => {
 			const injector = createTestInjector();
+			if (testCase.projectData) {
+				const projectDataService = injector.resolve("projectDataService");
+				projectDataService.getProjectData = () => testCase.projectData;
+			}
+
 			if (testCase.logLevel) {
 				const logger = injector.resolve("logger");
 				logger.getLevel = () => testCase.logLevel;
@@ -105,6 +117,31 @@ describe("GradleBuildArgsService", () => {
 				buildConfig: { ...releaseBuildConfig, androidBundle: true },
 				logLevel: "TRACE",
 				expectedResult: ["bundleRelease"].concat(expectedTraceLoggingArgs).concat(expectedReleaseBuildArgs)
+			},
+			{
+				name: "should return correct args for debug build with flavor",
+				buildConfig: { release: false, androidFlavor: "free" },
+				logLevel: "INFO",
+				expectedResult: ["assembleFreeDebug"].concat(expectedInfoLoggingArgs).concat(expectedDebugBuildArgs)
+			},
+			{
+				name: "should return correct args for release build with flavor and custom build type",
+				buildConfig: { ...releaseBuildConfig, androidFlavor: "free", androidBuildType: "staging" },
+				logLevel: "INFO",
+				expectedResult: ["assembleFreeStaging"].concat(expectedInfoLoggingArgs).concat(expectedReleaseBuildArgs)
+			},
+			{
+				name: "should return correct args for debug build with custom build type and android bundle",
+				buildConfig: { release: false, androidBuildType: "staging", androidBundle: true },
+				logLevel: "INFO",
+				expectedResult: ["bundleStaging"].concat(expectedInfoLoggingArgs).concat(expectedDebugBuildArgs)
+			},
+			{
+				name: "should return correct args for debug build with environment",
+				buildConfig: { release: false },
+				projectData: { environmentName: "staging", environment: {}, projectIdentifiers: { android: "com.test.staging" } },
+				logLevel: "INFO",
+				expectedResult: ["assembleDebug"].concat(expectedInfoLoggingArgs).concat(expectedDebugBuildArgs).concat(["--init-script", path.join("resources", "android", "environment.gradle"), "-Penvironment=staging", "-PappIdentifier=com.test.staging"])
 			}
 		];
 
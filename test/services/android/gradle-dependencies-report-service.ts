@@ -0,0 +1,131 @@
+import { EOL } from "os";
+import * as path from "path";
+import { assert } from "chai";
+import { Yok } from "../../../lib/common/yok";
+import { GradleDependenciesReportService } from "../../../lib/services/android/gradle-dependencies-report-service";
+import { DevicePlatformsConstants } from "../../../lib/common/mobile/device-platforms-constants";
+
+describe("GradleDependenciesReportService", () => {
+	let gradleFiles: IStringDictionary;
+	let plugins: string[];
+	let projectData: any;
+	let gradleDependenciesReportService: IGradleDependenciesReportService;
+
+	const getIncludeGradlePath = (moduleName: string) => path.join("node_modules", moduleName, "platforms", "android", "include.gradle");
+	const appGradlePath = path.join("app", "App_Resources", "Android", "app.gradle");
+
+	beforeEach(() => {
+		gradleFiles = {};
+		plugins = ["plugin-a", "plugin-b"];
+		projectData = { appResourcesDirectoryPath: path.join("app", "App_Resources") };
+
+		const testInjector = new Yok();
+		testInjector.register("devicePlatformsConstants", DevicePlatformsConstants);
+		testInjector.register("fs", {
+			exists: (filePath: string) => _.has(gradleFiles, filePath),
+			readText: (filePath: string) => gradleFiles[filePath]
+		});
+		testInjector.register("pluginsService", {
+			getAllProductionPlugins: () => _.map(plugins, name => ({ name, pluginPlatformsFolderPath: (platform: string) => path.join("node_modules", name, "platforms", platform) }))
+		});
+		testInjector.register("gradleDependenciesReportService", GradleDependenciesReportService);
+		gradleDependenciesReportService = testInjector.resolve("gradleDependenciesReportService");
+	});
+
+	describe("parseGradleFile", () => {
+		it("parses the dependencies in string and map notation", () => {
+			const declarations = gradleDependenciesReportService.parseGradleFile(`buildscript {
+    dependencies {
+        classpath "com.android.tools.build:gradle:3.4.1"
+    }
+}
+
+android {
+    defaultConfig {
+        minSdkVersion 17
+    }
+}
+
+dependencies {
+    // implementation "com.commented:library:1.0.0"
+    implementation "androidx.appcompat:appcompat:1.1.0"
+    api('com.google.android.gms:play-services-base:16.1.0') {
+        exclude group: 'com.android.support'
+    }
+    compileOnly group: 'com.squareup.okhttp3', name: 'okhttp', version: '3.12.1'
+    implementation "com.android.support:design:$supportVersion"
+    implementation fileTree(dir: 'libs', include: ['*.jar'])
+}
+`);
+
+			assert.deepEqual(declarations, [
+				{ configuration: "implementation", group: "androidx.appcompat", name: "appcompat", version: "1.1.0", line: 15 },
+				{ configuration: "api", group: "com.google.android.gms", name: "play-services-base", version: "16.1.0", line: 16 },
+				{ configuration: "compileOnly", group: "com.squareup.okhttp3", name: "okhttp", version: "3.12.1", line: 19 },
+				{ configuration: "implementation", group: "com.android.support", name: "design", version: "$supportVersion", line: 20 }
+			]);
+		});
+	});
+
+	describe("getDependenciesReport", () => {
+		it("lists the dependencies with the modules which request them", () => {
+			gradleFiles[getIncludeGradlePath("plugin-a")] = "dependencies {\n    implementation 'androidx.core:core:1.0.0'\n}";
+			gradleFiles[getIncludeGradlePath("plugin-b")] = "dependencies {\n    implementation 'androidx.core:core:1.0.0'\n    implementation 'androidx.appcompat:appcompat:1.0.0'\n}";
+
+			const report = gradleDependenciesReportService.getDependenciesReport(projectData);
+
+			assert.deepEqual(_.map(report.dependencies, dependency => ({ module: dependency.module, modules: _.map(dependency.requests, request => request.moduleName) })), [
+				{ module: "androidx.appcompat:appcompat", modules: ["plugin-b"] },
+				{ module: "androidx.core:core", modules: ["plugin-a", "plugin-b"] }
+			]);
+			assert.deepEqual(report.conflicts, []);
+			assert.isNull(report.resolutionBlock);
+		});
+
+		it("detects different versions and forces the highest one", () => {
+			gradleFiles[getIncludeGradlePath("plugin-a")] = "dependencies {\n    implementation 'androidx.core:core:1.1.0-alpha01'\n}";
+			gradleFiles[getIncludeGradlePath("plugin-b")] = "dependencies {\n    implementation 'androidx.core:core:1.1.0'\n    implementation 'androidx.core:core:1.0.2'\n}";
+
+			const report = gradleDependenciesReportService.getDependenciesReport(projectData);
+
+			const versionConflict = _.find(report.conflicts, conflict => conflict.type === GradleDependencyConflictType.Versions);
+			assert.deepEqual(versionConflict, {
+				type: GradleDependencyConflictType.Versions,
+				module: "androidx.core:core",
+				moduleNames: ["plugin-a", "plugin-b"],
+				resolvedVersion: "1.1.0",
+				message: "The dependency androidx.core:core is requested with different versions: plugin-a (1.1.0-alpha01), plugin-b (1.1.0), plugin-b (1.0.2)."
+			});
+			assert.equal(report.resolutionBlock, ["configurations.all {", "    resolutionStrategy {", "        force \"androidx.core:core:1.1.0\"", "    }", "}"].join(EOL));
+		});
+
+		it("prefers the version from app.gradle", () => {
+			gradleFiles[getIncludeGradlePath("plugin-a")] = "dependencies {\n    implementation 'com.google.android.gms:play-services-maps:17.0.0'\n}";
+			gradleFiles[appGradlePath] = "dependencies {\n    implementation 'com.google.android.gms:play-services-maps:16.1.0'\n}";
+
+			const report = gradleDependenciesReportService.getDependenciesReport(projectData);
+
+			assert.deepEqual(_.map(report.conflicts, conflict => conflict.resolvedVersion), ["16.1.0"]);
+		});
+
+		it("does not report versions from variables and dynamic versions as conflicts", () => {
+			gradleFiles[getIncludeGradlePath("plugin-a")] = "dependencies {\n    implementation \"com.android.support:design:$supportVersion\"\n}";
+			gradleFiles[getIncludeGradlePath("plugin-b")] = "dependencies {\n    implementation 'com.android.support:design:28.+'\n}";
+
+			assert.deepEqual(gradleDependenciesReportService.getDependenciesReport(projectData).conflicts, []);
+		});
+
+		it("detects duplicate declarations in a Gradle file", () => {
+			gradleFiles[getIncludeGradlePath("plugin-a")] = "dependencies {\n    implementation 'androidx.core:core:1.0.0'\n    api 'androidx.core:core:1.0.0'\n}";
+
+			const report = gradleDependenciesReportService.getDependenciesReport(projectData);
+
+			assert.deepEqual(report.conflicts, [{
+				type: GradleDependencyConflictType.DuplicateDeclarations,
+				module: "androidx.core:core",
+				moduleNames: ["plugin-a"],
+				message: `The dependency androidx.core:core is declared 2 times in ${getIncludeGradlePath("plugin-a")} (lines 2, 3).`
+			}]);
+		});
+	});
+});
@@ -0,0 +1,186 @@
+import * as path from "path";
+import { assert } from "chai";
+import { Yok } from "../../lib/common/yok";
+import { ArtifactsManifestService } from "../../lib/services/artifacts-manifest-service";
+import { FileSystem } from "../../lib/common/file-system";
+import { getHash } from "../../lib/common/helpers";
+import { ErrorsStub, LoggerStub } from "../stubs";
+import temp = require("temp");
+
+temp.track();
+
+const gitCommit = "0123456789abcdef0123456789abcdef01234567";
+
+function createTestInjector(gitExitCode: number): IInjector {
+	const testInjector = new Yok();
+	testInjector.register("childProcess", {
+		trySpawnFromCloseEvent: async () => ({ stdout: `${gitCommit}\n`, stderr: "", exitCode: gitExitCode })
+	});
+	testInjector.register("errors", ErrorsStub);
+	testInjector.register("fs", FileSystem);
+	testInjector.register("logger", LoggerStub);
+	testInjector.register("mobileHelper", {
+		isAndroidPlatform: (platform: string) => platform.toLowerCase() === "android"
+	});
+	testInjector.register("plistParser", {
+		parseFile: async () => ({ CFBundleShortVersionString: "2.1.0", CFBundleVersion: "210" })
+	});
+	testInjector.register("pluginsService", {
+		getAllInstalledPlugins: async () => [{ name: "nativescript-camera", version: "4.5.0", fullPath: "camera" }]
+	});
+	testInjector.register("projectDataService", {
+		getNSValue: () => ({ version: "6.5.0" })
+	});
+	testInjector.register("staticConfig", { version: "6.7.8" });
+	testInjector.register("artifactsManifestService", ArtifactsManifestService);
+
+	return testInjector;
+}
+
+function createTestProject(fs: IFileSystem, platform: string): { projectData: IProjectData, platformData: IPlatformData, outputPath: string } {
+	const projectDir = temp.mkdirSync("artifactsManifestProject");
+	const normalizedPlatformName = platform === "android" ? "Android" : "iOS";
+	const configurationFilePath = path.join(projectDir, "platforms", platform, platform === "android" ? "AndroidManifest.xml" : "Info.plist");
+	fs.writeFile(configurationFilePath, `<manifest android:versionCode="7" android:versionName="1.2.0"></manifest>`);
+
+	return {
+		outputPath: path.join(projectDir, "platforms", platform, "build"),
+		projectData: <any>{
+			projectDir,
+			appResourcesDirectoryPath: path.join(projectDir, "app", "App_Resources"),
+			projectIdentifiers: { android: "org.nativescript.android", ios: "org.nativescript.ios" }
+		},
+		platformData: <any>{
+			platformNameLowerCase: platform,
+			normalizedPlatformName,
+			frameworkPackageName: `tns-${platform}`,
+			configurationFilePath
+		}
+	};
+}
+
+describe("ArtifactsManifestService", () => {
+	describe("saveManifest", () => {
+		it("writes the metadata of an Android build next to the package", async () => {
+			const testInjector = createTestInjector(0);
+			const fs = testInjector.resolve<IFileSystem>("fs");
+			const { projectData, platformData, outputPath } = createTestProject(fs, "android");
+			const packagePath = path.join(outputPath, "app-free-debug.apk");
+			fs.writeFile(packagePath, "apk");
+
+			const artifactsManifestService = testInjector.resolve<IArtifactsManifestService>("artifactsManifestService");
+			const manifestPath = await artifactsManifestService.saveManifest(platformData, projectData, <any>{ androidFlavor: "free" }, packagePath);
+
+			assert.equal(manifestPath, path.join(outputPath, "artifacts.json"));
+			const manifest: IArtifactsManifest = fs.readJson(manifestPath);
+			assert.isString(manifest.buildTime);
+			assert.deepEqual(_.omit(manifest, "buildTime"), {
+				appIdentifier: "org.nativescript.android",
+				version: "1.2.0",
+				versionCode: "7",
+				platform: "android",
+				configuration: "Debug",
+				androidFlavor: "free",
+				runtimeVersion: "6.5.0",
+				cliVersion: "6.7.8",
+				plugins: [{ name: "nativescript-camera", version: "4.5.0" }],
+				gitCommit,
+				artifacts: [{ path: "app-free-debug.apk", sha256: getHash("apk") }]
+			});
+		});
+
+		it("uses the Android version from app.gradle when it is set there", async () => {
+			const testInjector = createTestInjector(0);
+			const fs = testInjector.resolve<IFileSystem>("fs");
+			const { projectData, platformData, outputPath } = createTestProject(fs, "android");
+			fs.writeFile(path.join(projectData.appResourcesDirectoryPath, "Android", "app.gradle"), `android {\n\tdefaultConfig {\n\t\tversionCode 12\n\t\tversionName "1.3.0"\n\t}\n}`);
+			const packagePath = path.join(outputPath, "app-release.apk");
+			fs.writeFile(packagePath, "apk");
+
+			const artifactsManifestService = testInjector.resolve<IArtifactsManifestService>("artifactsManifestService");
+			const manifest: IArtifactsManifest = fs.readJson(await artifactsManifestService.saveManifest(platformData, projectData, <any>{ release: true }, packagePath));
+
+			assert.deepEqual(_.pick(manifest, ["version", "versionCode", "configuration"]), { version: "1.3.0", versionCode: "12", configuration: "Release" });
+		});
+
+		it("writes the metadata of an iOS build outside of a git repository", async () => {
+			const testInjector = createTestInjector(128);
+			const fs = testInjector.resolve<IFileSystem>("fs");
+			const { projectData, platformData, outputPath } = createTestProject(fs, "ios");
+			const packagePath = path.join(outputPath, "app.ipa");
+			fs.writeFile(packagePath, "ipa");
+
+			const artifactsManifestService = testInjector.resolve<IArtifactsManifestService>("artifactsManifestService");
+			const manifest: IArtifactsManifest = fs.readJson(await artifactsManifestService.saveManifest(platformData, projectData, <any>{ release: true, iosConfiguration: "Staging" }, packagePath));
+
+			assert.deepEqual(_.pick(manifest, ["appIdentifier", "version", "versionCode", "configuration", "iosConfiguration", "gitCommit"]), {
+				appIdentifier: "org.nativescript.ios",
+				version: "2.1.0",
+				versionCode: "210",
+				configuration: "Staging",
+				iosConfiguration: "Staging",
+				gitCommit: null
+			});
+		});
+	});
+
+	describe("copyManifest", () => {
+		it("writes the manifest next to the copied package and points it to the copy", async () => {
+			const testInjector = createTestInjector(0);
+			const fs = testInjector.resolve<IFileSystem>("fs");
+			const { projectData, platformData, outputPath } = createTestProject(fs, "android");
+			const packagePath = path.join(outputPath, "app-debug.apk");
+			fs.writeFile(packagePath, "apk");
+			const targetPackagePath = path.join(temp.mkdirSync("artifactsManifestCopy"), "myapp.apk");
+
+			const artifactsManifestService = testInjector.resolve<IArtifactsManifestService>("artifactsManifestService");
+			await artifactsManifestService.saveManifest(platformData, projectData, <any>{}, packagePath);
+			const targetManifestPath = artifactsManifestService.copyManifest(packagePath, targetPackagePath);
+
+			assert.equal(targetManifestPath, path.join(path.dirname(targetPackagePath), "artifacts.json"));
+			assert.deepEqual(fs.readJson(targetManifestPath).artifacts, [{ path: "myapp.apk", sha256: getHash("apk") }]);
+			assert.deepEqual(fs.readJson(artifactsManifestService.getManifestPath(packagePath)).artifacts, [{ path: "app-debug.apk", sha256: getHash("apk") }]);
+		});
+
+		it("returns null when the package has no manifest", () => {
+			const testInjector = createTestInjector(0);
+			const packagePath = path.join(temp.mkdirSync("artifactsManifestPackage"), "app-debug.apk");
+
+			const artifactsManifestService = testInjector.resolve<IArtifactsManifestService>("artifactsManifestService");
+
+			assert.isNull(artifactsManifestService.copyManifest(packagePath, path.join(path.dirname(packagePath), "myapp.apk")));
+		});
+
+		it("returns null when the manifest in the directory of the package describes another package", async () => {
+			const testInjector = createTestInjector(0);
+			const fs = testInjector.resolve<IFileSystem>("fs");
+			const { projectData, platformData, outputPath } = createTestProject(fs, "ios");
+			const packagePath = path.join(outputPath, "app.ipa");
+			const otherPackagePath = path.join(outputPath, "other.ipa");
+			fs.writeFile(packagePath, "ipa");
+			fs.writeFile(otherPackagePath, "other ipa");
+			const targetPackagePath = path.join(temp.mkdirSync("artifactsManifestCopy"), "myapp.ipa");
+
+			const artifactsManifestService = testInjector.resolve<IArtifactsManifestService>("artifactsManifestService");
+			await artifactsManifestService.saveManifest(platformData, projectData, <any>{}, otherPackagePath);
+
+			assert.isNull(artifactsManifestService.copyManifest(packagePath, targetPackagePath));
+			assert.isFalse(fs.exists(path.join(path.dirname(targetPackagePath), "artifacts.json")));
+		});
+	});
+
+	describe("getPackageHash", () => {
+		it("calculates the hash of a directory from the paths and the hashes of its files", async () => {
+			const testInjector = createTestInjector(0);
+			const fs = testInjector.resolve<IFileSystem>("fs");
+			const packagePath = path.join(temp.mkdirSync("artifactsManifestPackage"), "app.app");
+			fs.writeFile(path.join(packagePath, "Info.plist"), "plist");
+			fs.writeFile(path.join(packagePath, "app", "bundle.js"), "bundle");
+
+			const artifactsManifestService = testInjector.resolve<IArtifactsManifestService>("artifactsManifestService");
+			const hash = await artifactsManifestService.getPackageHash(packagePath);
+
+			assert.equal(hash, getHash([`Info.plist:${getHash("plist")}`, `${path.join("app", "bundle.js")}:${getHash("bundle")}`].join("\n")));
+		});
+	});
+});
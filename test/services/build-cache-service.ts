@@ -0,0 +1,213 @@
+import * as path from "path";
+import { Yok } from "../../lib/common/yok";
+import { assert } from "chai";
+import { BuildCacheService } from "../../lib/services/build-cache/build-cache-service";
+import { LocalBuildCacheBackend } from "../../lib/services/build-cache/local-build-cache-backend";
+import { FilesHashService } from "../../lib/services/files-hash-service";
+import { FileSystem } from "../../lib/common/file-system";
+import { ErrorsStub, LoggerStub } from "../stubs";
+import temp = require("temp");
+
+temp.track();
+
+const appIdentifier = "org.nativescript.cache";
+const packageName = "app-debug.apk";
+
+interface ITestProject {
+	projectData: IProjectData;
+	platformData: IPlatformData;
+	outputPath: string;
+}
+
+function createTestInjector(): IInjector {
+	const testInjector = new Yok();
+	testInjector.register("errors", ErrorsStub);
+	testInjector.register("fs", FileSystem);
+	testInjector.register("filesHashService", FilesHashService);
+	testInjector.register("logger", LoggerStub);
+	testInjector.register("mobileHelper", {
+		isAndroidPlatform: (platform: string) => platform.toLowerCase() === "android"
+	});
+	testInjector.register("pluginsService", {
+		getAllPluginsNativeHashes: (): IDictionary<IStringDictionary> => ({})
+	});
+	testInjector.register("projectDataService", {
+		getNSValue: () => ({ version: "6.5.0" })
+	});
+	testInjector.register("staticConfig", { version: "6.7.8" });
+	testInjector.register("buildCacheService", BuildCacheService);
+	testInjector.register("localBuildCacheBackend", LocalBuildCacheBackend);
+
+	return testInjector;
+}
+
+function createTestProject(fs: IFileSystem, appFileContent: string, nsConfig?: INsConfig): ITestProject {
+	const projectDir = temp.mkdirSync("buildCacheProject");
+	const projectRoot = path.join(projectDir, "platforms", "android");
+	const appDestinationDirectoryPath = path.join(projectRoot, "app", "src", "main", "assets");
+	const appResourcesDirectoryPath = path.join(projectDir, "app", "App_Resources");
+	const outputPath = path.join(projectRoot, "app", "build", "outputs", "apk", "debug");
+
+	fs.writeFile(path.join(appDestinationDirectoryPath, "app", "bundle.js"), appFileContent);
+	fs.writeFile(path.join(appResourcesDirectoryPath, "Android", "app.gradle"), "android {}");
+
+	return {
+		outputPath,
+		projectData: <any>{
+			projectDir,
+			appResourcesDirectoryPath,
+			projectIdentifiers: { android: appIdentifier, ios: appIdentifier },
+			nsConfig
+		},
+		platformData: <any>{
+			platformNameLowerCase: "android",
+			normalizedPlatformName: "Android",
+			frameworkPackageName: "tns-android",
+			appDestinationDirectoryPath,
+			getBuildOutputPath: () => outputPath
+		}
+	};
+}
+
+function createBuildData(projectDir: string, data?: any): IAndroidBuildData {
+	return <any>_.extend({ projectDir, platform: "android", release: false, clean: false }, data);
+}
+
+describe("buildCacheService", () => {
+	let testInjector: IInjector;
+	let fs: IFileSystem;
+	let buildCacheService: IBuildCacheService;
+	let cacheLocation: string;
+
+	beforeEach(() => {
+		testInjector = createTestInjector();
+		fs = testInjector.resolve("fs");
+		buildCacheService = testInjector.resolve("buildCacheService");
+		cacheLocation = temp.mkdirSync("buildCache");
+	});
+
+	describe("getBuildCacheKey", () => {
+		it("returns null when the build cache is not configured", async () => {
+			const { projectData, platformData } = createTestProject(fs, "console.log(1);");
+
+			const key = await buildCacheService.getBuildCacheKey(platformData, projectData, createBuildData(projectData.projectDir));
+
+			assert.isNull(key);
+		});
+
+		it("returns the same key for identical projects in different directories", async () => {
+			const firstProject = createTestProject(fs, "console.log(1);");
+			const secondProject = createTestProject(fs, "console.log(1);");
+
+			const firstKey = await buildCacheService.getBuildCacheKey(firstProject.platformData, firstProject.projectData, createBuildData(firstProject.projectData.projectDir, { buildCache: cacheLocation }));
+			const secondKey = await buildCacheService.getBuildCacheKey(secondProject.platformData, secondProject.projectData, createBuildData(secondProject.projectData.projectDir, { buildCache: cacheLocation }));
+
+			assert.isString(firstKey);
+			assert.equal(firstKey, secondKey);
+		});
+
+		it("uses the location from nsconfig.json when the option is not passed", async () => {
+			const { projectData, platformData } = createTestProject(fs, "console.log(1);", { buildCache: { location: cacheLocation } });
+
+			const key = await buildCacheService.getBuildCacheKey(platformData, projectData, createBuildData(projectData.projectDir));
+
+			assert.isString(key);
+		});
+
+		it("returns different keys when the prepared app files are different", async () => {
+			const firstProject = createTestProject(fs, "console.log(1);");
+			const secondProject = createTestProject(fs, "console.log(2);");
+
+			const firstKey = await buildCacheService.getBuildCacheKey(firstProject.platformData, firstProject.projectData, createBuildData(firstProject.projectData.projectDir, { buildCache: cacheLocation }));
+			const secondKey = await buildCacheService.getBuildCacheKey(secondProject.platformData, secondProject.projectData, createBuildData(secondProject.projectData.projectDir, { buildCache: cacheLocation }));
+
+			assert.notEqual(firstKey, secondKey);
+		});
+
+		it("returns different keys when the App_Resources overlays of the environment are different", async () => {
+			const [firstProject, secondProject] = _.map(["free", "premium"], appName => {
+				const project = createTestProject(fs, "console.log(1);");
+				const environment = { id: appIdentifier, appResourcesPath: "environments/staging" };
+				project.projectData.environmentName = "staging";
+				project.projectData.environment = environment;
+				project.projectData.environmentAppResourcesDirectoryPath = path.join(project.projectData.projectDir, environment.appResourcesPath);
+				fs.writeFile(path.join(project.projectData.environmentAppResourcesDirectoryPath, "Android", "src", "main", "res", "values", "strings.xml"), `<string name="app_name">${appName}</string>`);
+
+				return project;
+			});
+
+			const firstKey = await buildCacheService.getBuildCacheKey(firstProject.platformData, firstProject.projectData, createBuildData(firstProject.projectData.projectDir, { buildCache: cacheLocation }));
+			const secondKey = await buildCacheService.getBuildCacheKey(secondProject.platformData, secondProject.projectData, createBuildData(secondProject.projectData.projectDir, { buildCache: cacheLocation }));
+
+			assert.notEqual(firstKey, secondKey);
+		});
+
+		it("returns different keys for different environments", async () => {
+			const { projectData, platformData } = createTestProject(fs, "console.log(1);");
+			const buildData = createBuildData(projectData.projectDir, { buildCache: cacheLocation });
+
+			projectData.environmentName = "staging";
+			projectData.environment = { id: appIdentifier, displayName: "Staging" };
+			const stagingKey = await buildCacheService.getBuildCacheKey(platformData, projectData, buildData);
+			projectData.environmentName = "production";
+			projectData.environment = { id: appIdentifier, displayName: "Production" };
+			const productionKey = await buildCacheService.getBuildCacheKey(platformData, projectData, buildData);
+
+			assert.notEqual(stagingKey, productionKey);
+		});
+
+		it("returns different keys for debug and release builds", async () => {
+			const { projectData, platformData } = createTestProject(fs, "console.log(1);");
+
+			const debugKey = await buildCacheService.getBuildCacheKey(platformData, projectData, createBuildData(projectData.projectDir, { buildCache: cacheLocation }));
+			const releaseKey = await buildCacheService.getBuildCacheKey(platformData, projectData, createBuildData(projectData.projectDir, { buildCache: cacheLocation, release: true }));
+
+			assert.notEqual(debugKey, releaseKey);
+		});
+
+		it("does not include the keystore passwords in the key", async () => {
+			const { projectData, platformData } = createTestProject(fs, "console.log(1);");
+			const keyStorePath = path.join(projectData.projectDir, "release.keystore");
+			fs.writeFile(keyStorePath, "keystore");
+			const signingData = { buildCache: cacheLocation, release: true, keyStorePath, keyStoreAlias: "release" };
+
+			const firstKey = await buildCacheService.getBuildCacheKey(platformData, projectData, createBuildData(projectData.projectDir, _.extend({ keyStorePassword: "first" }, signingData)));
+			const secondKey = await buildCacheService.getBuildCacheKey(platformData, projectData, createBuildData(projectData.projectDir, _.extend({ keyStorePassword: "second" }, signingData)));
+
+			assert.equal(firstKey, secondKey);
+		});
+	});
+
+	describe("saveBuildResult and restoreBuildResult", () => {
+		it("restores the stored application package in the build output directory", async () => {
+			const firstProject = createTestProject(fs, "console.log(1);");
+			const firstBuildData = createBuildData(firstProject.projectData.projectDir, { buildCache: cacheLocation });
+			const key = await buildCacheService.getBuildCacheKey(firstProject.platformData, firstProject.projectData, firstBuildData);
+			const builtPackagePath = path.join(firstProject.outputPath, packageName);
+			fs.writeFile(builtPackagePath, "apk content");
+
+			await buildCacheService.saveBuildResult(key, builtPackagePath, firstProject.projectData, firstBuildData);
+
+			const secondProject = createTestProject(fs, "console.log(1);");
+			const secondBuildData = createBuildData(secondProject.projectData.projectDir, { buildCache: cacheLocation });
+			const isRestored = await buildCacheService.restoreBuildResult(key, secondProject.platformData, secondProject.projectData, secondBuildData);
+
+			assert.isTrue(isRestored);
+			assert.equal(fs.readText(path.join(secondProject.outputPath, packageName)), "apk content");
+		});
+
+		it("returns false when the key is not in the cache", async () => {
+			const { projectData, platformData } = createTestProject(fs, "console.log(1);");
+
+			const isRestored = await buildCacheService.restoreBuildResult("missing", platformData, projectData, createBuildData(projectData.projectDir, { buildCache: cacheLocation }));
+
+			assert.isFalse(isRestored);
+		});
+
+		it("fails when the configured backend is not registered", async () => {
+			const { projectData, platformData } = createTestProject(fs, "console.log(1);", { buildCache: { location: cacheLocation, backend: "s3" } });
+
+			await assert.isRejected(buildCacheService.restoreBuildResult("key", platformData, projectData, createBuildData(projectData.projectDir)), "Unknown build cache backend 's3'");
+		});
+	});
+});
@@ -0,0 +1,122 @@
+import * as path from "path";
+import { assert } from "chai";
+import { Yok } from "../../lib/common/yok";
+import { CredentialStoreService } from "../../lib/services/credential-store-service";
+import { FileSystem } from "../../lib/common/file-system";
+import { ErrorsStub } from "../stubs";
+import temp = require("temp");
+
+temp.track();
+
+describe("CredentialStoreService", () => {
+	let fs: IFileSystem;
+	let profileDir: string;
+	let credentialStoreService: ICredentialStoreService;
+	let originalEnv: NodeJS.ProcessEnv;
+
+	const createCredentialStoreService = (): ICredentialStoreService => {
+		const testInjector = new Yok();
+		testInjector.register("errors", ErrorsStub);
+		testInjector.register("fs", FileSystem);
+		testInjector.register("settingsService", { getProfileDir: () => profileDir });
+		testInjector.register("credentialStoreService", CredentialStoreService);
+		fs = testInjector.resolve("fs");
+
+		return testInjector.resolve("credentialStoreService");
+	};
+
+	beforeEach(() => {
+		originalEnv = process.env;
+		process.env = { ..._.omit(process.env, ["NS_CREDENTIAL_ANDROID_RELEASE"]), NS_CREDENTIAL_STORE_KEY: "key" };
+		profileDir = temp.mkdirSync("credentialStore");
+		credentialStoreService = createCredentialStoreService();
+	});
+
+	afterEach(() => {
+		process.env = originalEnv;
+	});
+
+	it("saves the credentials encrypted", () => {
+		credentialStoreService.setCredential("android-release", "secret password");
+
+		assert.equal(createCredentialStoreService().getCredential("android-release"), "secret password");
+		assert.notInclude(fs.readText(path.join(profileDir, "credentials.json")), "secret password");
+		assert.deepEqual(fs.readDirectory(profileDir), ["credentials.json"]);
+	});
+
+	if (process.platform !== "win32") {
+		it("creates the credentials file readable only by the current user", () => {
+			credentialStoreService.setCredential("android-release", "secret password");
+
+			assert.equal(fs.getFsStats(path.join(profileDir, "credentials.json")).mode & 0o777, 0o600);
+		});
+	}
+
+	it("fails to save a credential when the key is not set", () => {
+		delete process.env.NS_CREDENTIAL_STORE_KEY;
+
+		assert.throws(() => credentialStoreService.setCredential("android-release", "password"), "The credential store is encrypted with the NS_CREDENTIAL_STORE_KEY environment variable.");
+		assert.isFalse(fs.exists(path.join(profileDir, "credentials.json")));
+	});
+
+	it("uses the environment variable of the credential when the key is not set", () => {
+		credentialStoreService.setCredential("android-release", "password");
+		delete process.env.NS_CREDENTIAL_STORE_KEY;
+		process.env.NS_CREDENTIAL_ANDROID_RELEASE = "from environment";
+
+		assert.equal(credentialStoreService.getCredential("android-release"), "from environment");
+	});
+
+	it("lists and removes the credentials", () => {
+		credentialStoreService.setCredential("ios-certificate", "1");
+		credentialStoreService.setCredential("android-release", "2");
+
+		assert.deepEqual(credentialStoreService.getCredentialNames(), ["android-release", "ios-certificate"]);
+		assert.isTrue(credentialStoreService.removeCredential("ios-certificate"));
+		assert.isFalse(credentialStoreService.removeCredential("ios-certificate"));
+		assert.deepEqual(credentialStoreService.getCredentialNames(), ["android-release"]);
+	});
+
+	it("uses the environment variable when the credential is not in the store", () => {
+		process.env.NS_CREDENTIAL_ANDROID_RELEASE = "from environment";
+
+		assert.equal(credentialStoreService.getCredential("android-release"), "from environment");
+	});
+
+	it("fails when the credential is neither in the store, nor in the environment", () => {
+		assert.throws(() => credentialStoreService.getCredential("android-release"), "The credential android-release is not in the credential store and the NS_CREDENTIAL_ANDROID_RELEASE environment variable is not set.");
+	});
+
+	it("uses the key from the environment variable", () => {
+		credentialStoreService.setCredential("android-release", "password");
+
+		assert.equal(credentialStoreService.getCredential("android-release"), "password");
+
+		process.env.NS_CREDENTIAL_STORE_KEY = "other key";
+		assert.throws(() => credentialStoreService.getCredential("android-release"), "Unable to decrypt the credential store");
+	});
+
+	it("uses the environment variable when the credential store cannot be decrypted", () => {
+		credentialStoreService.setCredential("android-release", "password");
+
+		process.env.NS_CREDENTIAL_STORE_KEY = "other key";
+		process.env.NS_CREDENTIAL_ANDROID_RELEASE = "from environment";
+		assert.equal(credentialStoreService.getCredential("android-release"), "from environment");
+	});
+
+	it("fails when the credential name is not valid", () => {
+		assert.throws(() => credentialStoreService.setCredential("android release", "password"), "The credential name 'android release' is not valid.");
+	});
+
+	describe("resolveCredentialReference", () => {
+		it("returns the credential for references", () => {
+			credentialStoreService.setCredential("android-release", "password");
+
+			assert.equal(credentialStoreService.resolveCredentialReference("@store:android-release"), "password");
+		});
+
+		it("returns the value when it is not a reference", () => {
+			assert.equal(credentialStoreService.resolveCredentialReference("password"), "password");
+		});
+	});
+});
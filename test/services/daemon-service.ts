@@ -0,0 +1,194 @@
+import * as net from "net";
+import * as path from "path";
+import * as readline from "readline";
+import { Yok } from "../../lib/common/yok";
+import { assert } from "chai";
+import { DaemonService } from "../../lib/services/daemon-service";
+import { CancellationService } from "../../lib/common/services/cancellation";
+import { ChildProcess } from "../../lib/common/child-process";
+import { FileSystem } from "../../lib/common/file-system";
+import { JsonRpcErrorCodes } from "../../lib/constants";
+import { CHILD_PROCESS_STARTED_EVENT_NAME } from "../../lib/common/constants";
+import { ErrorsStub, LoggerStub } from "../stubs";
+import temp = require("temp");
+
+temp.track();
+
+function createTestInjector(): IInjector {
+	const testInjector = new Yok();
+	testInjector.register("childProcess", ChildProcess);
+	testInjector.register("errors", ErrorsStub);
+	testInjector.register("fs", FileSystem);
+	testInjector.register("logger", LoggerStub);
+	testInjector.register("hostInfo", { isWindows: false });
+	testInjector.register("cancellation", CancellationService);
+	testInjector.register("daemonService", DaemonService);
+
+	const projectDataService = {
+		getProjectData: (projectDir: string) => ({ projectDir }),
+		getNSValue: (projectDir: string, propertyName: string) => Promise.reject(new Error(`Unable to read ${propertyName}.`)),
+		waitForever: (): Promise<void> => new Promise<void>(() => undefined),
+		_privateMethod: (): void => undefined
+	};
+	Object.defineProperty(testInjector.publicApi, "projectDataService", { get: () => projectDataService });
+
+	const buildService = {
+		build: async (): Promise<void> => {
+			await (<IChildProcess>testInjector.resolve("childProcess")).spawnFromEvent(process.execPath, ["-e", "setTimeout(() => undefined, 30000)"], "close");
+		},
+		buildAfterDelay: async (delay: number): Promise<void> => {
+			await new Promise<void>(resolve => setTimeout(resolve, delay));
+			await buildService.build();
+		}
+	};
+	Object.defineProperty(testInjector.publicApi, "buildService", { get: () => buildService });
+
+	return testInjector;
+}
+
+function createRequest(id: number, method: string, params?: any): string {
+	return JSON.stringify({ jsonrpc: "2.0", id, method, params });
+}
+
+describe("daemonService", () => {
+	let testInjector: IInjector;
+	let daemonService: IDaemonService;
+
+	beforeEach(() => {
+		testInjector = createTestInjector();
+		daemonService = testInjector.resolve("daemonService");
+	});
+
+	afterEach(() => {
+		testInjector.resolve<ICancellationService>("cancellation").dispose();
+	});
+
+	describe("handleMessage", () => {
+		it("calls the method of the public module with the params as arguments", async () => {
+			const response = await daemonService.handleMessage(createRequest(1, "projectDataService.getProjectData", ["/projectDir"]));
+
+			assert.deepEqual(response, { jsonrpc: "2.0", id: 1, result: { projectDir: "/projectDir" } });
+		});
+
+		it("returns the error when the method fails", async () => {
+			const response = await daemonService.handleMessage(createRequest(2, "projectDataService.getNSValue", ["/projectDir", "id"]));
+
+			assert.deepEqual(response.error, { code: JsonRpcErrorCodes.InternalError, message: "Unable to read id." });
+		});
+
+		it("returns method not found for methods which are not public", async () => {
+			const methods = ["projectDataService.missingMethod", "projectDataService._privateMethod", "__modules__.projectDataService", "missingService.method", "projectDataService"];
+
+			for (const method of methods) {
+				const response = await daemonService.handleMessage(createRequest(3, method));
+				assert.equal(response.error.code, JsonRpcErrorCodes.MethodNotFound, method);
+			}
+		});
+
+		it("returns parse error when the message is not JSON", async () => {
+			const response = await daemonService.handleMessage("{ invalid");
+
+			assert.equal(response.error.code, JsonRpcErrorCodes.ParseError);
+			assert.isNull(response.id);
+		});
+
+		it("does not return response for notifications", async () => {
+			const response = await daemonService.handleMessage(JSON.stringify({ jsonrpc: "2.0", method: "projectDataService.getProjectData", params: ["/projectDir"] }));
+
+			assert.isNull(response);
+		});
+
+		it("returns the names of the public modules", async () => {
+			const response = await daemonService.handleMessage(createRequest(4, "daemon.getModules"));
+
+			assert.deepEqual(response.result, ["projectDataService", "buildService"]);
+		});
+
+		it("cancels a pending request", async () => {
+			const pendingResponse = daemonService.handleMessage(createRequest(5, "projectDataService.waitForever"));
+
+			const cancelResponse = await daemonService.handleMessage(JSON.stringify({ jsonrpc: "2.0", method: "$/cancelRequest", params: { id: 5 } }));
+
+			assert.isNull(cancelResponse);
+			assert.deepEqual((await pendingResponse).error, { code: JsonRpcErrorCodes.RequestCancelled, message: "The request 5 is cancelled." });
+		});
+
+		const waitForChildProcessExit = (): Promise<string> => new Promise<string>(resolve => {
+			testInjector.resolve<IChildProcess>("childProcess").once(CHILD_PROCESS_STARTED_EVENT_NAME, (childProcess: NodeJS.EventEmitter) => {
+				childProcess.once("exit", (code: number, signal: string) => resolve(signal));
+			});
+		});
+
+		it("stops the child processes of the cancelled request", async () => {
+			const childProcessExited = waitForChildProcessExit();
+			const pendingResponse = daemonService.handleMessage(createRequest(6, "buildService.build"));
+
+			await daemonService.handleMessage(JSON.stringify({ jsonrpc: "2.0", method: "$/cancelRequest", params: { id: 6 } }));
+
+			assert.equal((await pendingResponse).error.code, JsonRpcErrorCodes.RequestCancelled);
+			assert.equal(await childProcessExited, "SIGTERM");
+		});
+
+		it("stops the child processes which the cancelled request starts after the cancellation", async () => {
+			const childProcessExited = waitForChildProcessExit();
+			const pendingResponse = daemonService.handleMessage(createRequest(7, "buildService.buildAfterDelay", [50]));
+
+			await daemonService.handleMessage(JSON.stringify({ jsonrpc: "2.0", method: "$/cancelRequest", params: { id: 7 } }));
+
+			assert.equal((await pendingResponse).error.code, JsonRpcErrorCodes.RequestCancelled);
+			assert.equal(await childProcessExited, "SIGTERM");
+		});
+
+		it("rejects a request with the id of a request in progress", async () => {
+			const pendingResponse = daemonService.handleMessage(createRequest(8, "projectDataService.waitForever"));
+
+			const response = await daemonService.handleMessage(createRequest(8, "projectDataService.getProjectData", ["/projectDir"]));
+
+			assert.deepEqual(response.error, { code: JsonRpcErrorCodes.InvalidRequest, message: "The request 8 is already in progress. Use a different id." });
+			await daemonService.handleMessage(JSON.stringify({ jsonrpc: "2.0", method: "$/cancelRequest", params: { id: 8 } }));
+			assert.equal((await pendingResponse).error.code, JsonRpcErrorCodes.RequestCancelled);
+		});
+
+		it("accepts the id of a finished request", async () => {
+			await daemonService.handleMessage(createRequest(9, "projectDataService.getProjectData", ["/projectDir"]));
+
+			const response = await daemonService.handleMessage(createRequest(9, "projectDataService.getProjectData", ["/otherProjectDir"]));
+
+			assert.deepEqual(response.result, { projectDir: "/otherProjectDir" });
+		});
+	});
+
+	describe("start", () => {
+		it("serves the requests on a socket until daemon.exit is called", async () => {
+			const socketPath = path.join(temp.mkdirSync("daemon"), "daemon.sock");
+			const daemonStopped = daemonService.start({ socketPath });
+
+			const client = await new Promise<net.Socket>((resolve, reject) => {
+				const tryConnect = (retries: number) => {
+					const socket = net.connect(socketPath, () => resolve(socket));
+					socket.once("error", err => retries ? setTimeout(() => tryConnect(retries - 1), 10) : reject(err));
+				};
+				tryConnect(10);
+			});
+			const responses: IJsonRpcResponse[] = [];
+			const receivedResponses = new Promise<void>(resolve => {
+				readline.createInterface({ input: client }).on("line", (line: string) => {
+					responses.push(JSON.parse(line));
+					if (responses.length === 2) {
+						resolve();
+					}
+				});
+			});
+
+			client.write(`${createRequest(1, "projectDataService.getProjectData", ["/projectDir"])}\n`);
+			client.write(`${createRequest(2, "daemon.exit")}\n`);
+			await receivedResponses;
+			await daemonStopped;
+
+			assert.deepEqual(_.sortBy(responses, response => response.id), [
+				{ jsonrpc: "2.0", id: 1, result: { projectDir: "/projectDir" } },
+				{ jsonrpc: "2.0", id: 2, result: null }
+			]);
+		});
+	});
+});
@@ -0,0 +1,70 @@
+import * as path from "path";
+import { EventEmitter } from "events";
+import { Yok } from "../../lib/common/yok";
+import { assert } from "chai";
+import { DeviceLogFileService } from "../../lib/services/device-log-file-service";
+import { FileSystem } from "../../lib/common/file-system";
+import { DEVICE_LOG_PROCESSED_EVENT_NAME } from "../../lib/common/constants";
+import { LoggerStub } from "../stubs";
+import temp = require("temp");
+
+temp.track();
+
+const timestampRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z /;
+
+function createTestInjector(): IInjector {
+	const testInjector = new Yok();
+	testInjector.register("fs", FileSystem);
+	testInjector.register("logger", LoggerStub);
+	testInjector.register("deviceLogProvider", new EventEmitter());
+	testInjector.register("deviceLogFileService", DeviceLogFileService);
+
+	return testInjector;
+}
+
+describe("deviceLogFileService", () => {
+	let logDir: string;
+	let fs: IFileSystem;
+	let deviceLogProvider: EventEmitter;
+	let deviceLogFileService: IDeviceLogFileService;
+
+	const readLines = (fileName: string): string[] => _.compact(fs.readText(path.join(logDir, fileName)).split("\n")).map(line => line.replace(timestampRegex, ""));
+
+	beforeEach(() => {
+		logDir = path.join(temp.mkdirSync("deviceLogs"), "logs");
+		const testInjector = createTestInjector();
+		fs = testInjector.resolve("fs");
+		deviceLogProvider = testInjector.resolve("deviceLogProvider");
+		deviceLogFileService = testInjector.resolve("deviceLogFileService");
+	});
+
+	it("writes each line with a timestamp to a separate file for each device", () => {
+		deviceLogFileService.start({ logDir });
+
+		deviceLogProvider.emit(DEVICE_LOG_PROCESSED_EVENT_NAME, "JS: first line\nJS: second line\n", "device1", "iOS");
+		deviceLogProvider.emit(DEVICE_LOG_PROCESSED_EVENT_NAME, "JS: line from app.ts:12:3", "192.168.0.10:5555", "Android");
+
+		assert.deepEqual(readLines("device1.log"), ["JS: first line", "JS: second line"]);
+		assert.deepEqual(readLines("192.168.0.10_5555.log"), ["JS: line from app.ts:12:3"]);
+		assert.isTrue(_.every(fs.readText(path.join(logDir, "device1.log")).split("\n").slice(0, 2), line => timestampRegex.test(line)));
+	});
+
+	it("writes a marker before the application crashes", () => {
+		deviceLogFileService.start({ logDir });
+
+		deviceLogProvider.emit(DEVICE_LOG_PROCESSED_EVENT_NAME, "JS: error\nFatal JavaScript exception - application has been terminated.\n", "device1", "iOS");
+
+		assert.deepEqual(readLines("device1.log"), ["JS: error", "===== The application has crashed =====", "Fatal JavaScript exception - application has been terminated."]);
+	});
+
+	it("rotates the log file when it reaches the maximum size and keeps only the maximum number of files", () => {
+		deviceLogFileService.start({ logDir, maxFileSize: 40, maxFiles: 3 });
+
+		_.each(["first", "second", "third", "fourth"], message => deviceLogProvider.emit(DEVICE_LOG_PROCESSED_EVENT_NAME, message, "device1", "Android"));
+
+		assert.deepEqual(readLines("device1.log"), ["fourth"]);
+		assert.deepEqual(readLines("device1.1.log"), ["third"]);
+		assert.deepEqual(readLines("device1.2.log"), ["second"]);
+		assert.isFalse(fs.exists(path.join(logDir, "device1.3.log")));
+	});
+});
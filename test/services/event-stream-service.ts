@@ -0,0 +1,142 @@
+import * as net from "net";
+import * as path from "path";
+import { EventEmitter } from "events";
+import { Yok } from "../../lib/common/yok";
+import { assert } from "chai";
+import { EventStreamService } from "../../lib/services/event-stream-service";
+import { DeviceDiscoveryEventNames } from "../../lib/common/constants";
+import { RunOnDeviceEvents, WEBPACK_COMPILATION_COMPLETE } from "../../lib/constants";
+import { ErrorsStub, LoggerStub } from "../stubs";
+import temp = require("temp");
+
+temp.track();
+
+const eventSources = ["runController", "debugController", "devicesService", "previewDevicesService", "previewAppController", "webpackCompilerService"];
+
+function createTestInjector(options: any): IInjector {
+	const testInjector = new Yok();
+	testInjector.register("errors", ErrorsStub);
+	testInjector.register("logger", LoggerStub);
+	testInjector.register("options", options);
+	_.each(eventSources, eventSource => testInjector.register(eventSource, new EventEmitter()));
+	testInjector.register("eventStreamService", EventStreamService);
+
+	return testInjector;
+}
+
+function parseMessages(output: string): IEventStreamMessage[] {
+	return _.compact(output.split("\n")).map(line => JSON.parse(line));
+}
+
+describe("eventStreamService", () => {
+	describe("start", () => {
+		let originalStdoutWrite: typeof process.stdout.write;
+		let originalStderrWrite: typeof process.stderr.write;
+		let stdout: string;
+		let stderr: string;
+
+		beforeEach(() => {
+			originalStdoutWrite = process.stdout.write;
+			originalStderrWrite = process.stderr.write;
+			stdout = "";
+			stderr = "";
+			process.stdout.write = <any>((data: string) => {
+				stdout += data;
+				return true;
+			});
+			process.stderr.write = <any>((data: string) => {
+				stderr += data;
+				return true;
+			});
+		});
+
+		afterEach(() => {
+			process.stdout.write = originalStdoutWrite;
+			process.stderr.write = originalStderrWrite;
+		});
+
+		it("does not listen for events when the event stream is not requested", async () => {
+			const testInjector = createTestInjector({});
+
+			await testInjector.resolve<IEventStreamService>("eventStreamService").start();
+
+			assert.deepEqual(testInjector.resolve<EventEmitter>("runController").eventNames(), []);
+		});
+
+		it("writes the events as newline-delimited JSON to the standard output", async () => {
+			const testInjector = createTestInjector({ events: "ndjson" });
+			await testInjector.resolve<IEventStreamService>("eventStreamService").start();
+
+			testInjector.resolve<EventEmitter>("runController").emit(RunOnDeviceEvents.runOnDeviceStarted, { projectDir: "projectDir", deviceIdentifier: "device1" });
+			testInjector.resolve<EventEmitter>("webpackCompilerService").emit(WEBPACK_COMPILATION_COMPLETE, { platform: "android", files: ["bundle.js"] });
+
+			const messages = parseMessages(stdout);
+			assert.deepEqual(messages.map(message => _.omit(message, "timestamp")), [
+				{ event: RunOnDeviceEvents.runOnDeviceStarted, source: "runController", data: { projectDir: "projectDir", deviceIdentifier: "device1" } },
+				{ event: WEBPACK_COMPILATION_COMPLETE, source: "webpackCompilerService", data: { platform: "android", files: ["bundle.js"] } }
+			]);
+			assert.isTrue(_.every(messages, message => !isNaN(Date.parse(message.timestamp))));
+		});
+
+		it("writes only the device information of the discovered devices and the messages of the errors", async () => {
+			const testInjector = createTestInjector({ events: "ndjson" });
+			await testInjector.resolve<IEventStreamService>("eventStreamService").start();
+
+			const device = { deviceInfo: { identifier: "device1", platform: "Android" }, applicationManager: { devicesService: testInjector.resolve("devicesService") } };
+			testInjector.resolve<EventEmitter>("devicesService").emit(DeviceDiscoveryEventNames.DEVICE_FOUND, device);
+			testInjector.resolve<EventEmitter>("runController").emit(RunOnDeviceEvents.runOnDeviceError, { deviceIdentifier: "device1", error: new Error("Unable to install") });
+
+			assert.deepEqual(parseMessages(stdout).map(message => message.data), [
+				{ identifier: "device1", platform: "Android" },
+				{ deviceIdentifier: "device1", error: { message: "Unable to install" } }
+			]);
+		});
+
+		it("writes the regular output to the standard error, so the standard output contains only JSON lines", async () => {
+			const testInjector = createTestInjector({ events: "ndjson" });
+			await testInjector.resolve<IEventStreamService>("eventStreamService").start();
+
+			console.log("Successfully synced application on device device1.");
+			testInjector.resolve<EventEmitter>("runController").emit(RunOnDeviceEvents.runOnDeviceExecuted, { deviceIdentifier: "device1" });
+			process.stdout.write("Webpack compilation complete.\n");
+
+			assert.equal(stderr, "Successfully synced application on device device1.\nWebpack compilation complete.\n");
+			assert.isTrue(_.every(_.compact(stdout.split("\n")), line => _.isPlainObject(JSON.parse(line))));
+			assert.deepEqual(parseMessages(stdout).map(message => message.event), [RunOnDeviceEvents.runOnDeviceExecuted]);
+		});
+
+		it("fails when the format is not supported", async () => {
+			const testInjector = createTestInjector({ events: "xml" });
+
+			await assert.isRejected(testInjector.resolve<IEventStreamService>("eventStreamService").start(), "The value 'xml' of the --events option is not supported.");
+		});
+	});
+
+	describe("start with events socket", () => {
+		it("writes the events to the socket", async () => {
+			const socketPath = path.join(temp.mkdirSync("eventStream"), "events.sock");
+			let received = "";
+			let server: net.Server;
+			const receivedLine = new Promise<void>(resolve => {
+				server = net.createServer(socket => {
+					socket.on("data", data => {
+						received += data.toString();
+						if (_.endsWith(received, "\n")) {
+							socket.end();
+							resolve();
+						}
+					});
+				});
+			});
+			await new Promise<void>(resolve => server.listen(socketPath, resolve));
+
+			const testInjector = createTestInjector({ eventsSocket: socketPath });
+			await testInjector.resolve<IEventStreamService>("eventStreamService").start();
+			testInjector.resolve<EventEmitter>("runController").emit(RunOnDeviceEvents.runOnDeviceStopped, { deviceIdentifier: "device1" });
+			await receivedLine;
+			await new Promise<void>(resolve => server.close(() => resolve()));
+
+			assert.deepEqual(_.omit(parseMessages(received)[0], "timestamp"), { event: RunOnDeviceEvents.runOnDeviceStopped, source: "runController", data: { deviceIdentifier: "device1" } });
+		});
+	});
+});
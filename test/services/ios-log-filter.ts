@@ -1,6 +1,8 @@
 import { IOSLogFilter } from "../../lib/services/ios-log-filter";
 import { Yok } from "../../lib/common/yok";
 import { LoggingLevels } from "../../lib/common/mobile/logging-levels";
+import { LogFilter } from "../../lib/common/mobile/log-filter";
+import { DevicePlatformsConstants } from "../../lib/common/mobile/device-platforms-constants";
 import { LoggerStub } from "../stubs";
 import * as assert from "assert";
 
@@ -255,4 +257,55 @@ describe("iOSLogFilter", () => {
 			});
 		});
 	});
+	describe("getLineInfo", () => {
+		it("returns the process name and the severity of the lines", () => {
+			logFilter = createTestInjector("NativeScript250").resolve(IOSLogFilter);
+
+			assert.deepEqual(logFilter.getLineInfo("May 24 14:44:59 iPad-90 NativeScript250[790] <Notice>: CONSOLE LOG file:///app/main.js:13:24: CUSTOM CONSOLE LOG"), { tag: "NativeScript250", severity: "info" });
+			assert.deepEqual(logFilter.getLineInfo("May 24 15:54:38 Dragons-iPhone backboardd(BaseBoard)[62] <Error>: Unable to bootstrap_look_up port"), { tag: "backboardd", severity: "error" });
+			assert.deepEqual(logFilter.getLineInfo("2019-05-01 10:00:00.000000+0300  localhost NativeScript250[1234]: CONSOLE LOG"), { tag: "NativeScript250", severity: "info" });
+			assert.deepEqual(logFilter.getLineInfo("continuation of the message"), null);
+		});
+	});
+
+	describe("filtering by tag and severity", () => {
+		const simulatorOutput = [
+			"appTestLogs[8455]: CONSOLE LOG file:///app/main.js:13:24: first message",
+			"continuation of the first message",
+			"backboardd[62]: unrelated message",
+			"continuation of the unrelated message",
+			"appTestLogs[8455]: CONSOLE LOG file:///app/main.js:14:24: second message",
+			""
+		].join("\n");
+
+		const filterSimulatorOutput = (options: Partial<Mobile.IDeviceLogFilterOptions>): string => {
+			const injector = createTestInjector("appTestLogs");
+			injector.register("injector", injector);
+			injector.register("devicePlatformsConstants", DevicePlatformsConstants);
+			injector.register("errors", {});
+			injector.register("iOSLogFilter", IOSLogFilter);
+			injector.register("logFilter", LogFilter);
+
+			return injector.resolve<Mobile.ILogFilter>("logFilter").filterData("iOS", simulatorOutput, { logLevel: "FULL", ...options });
+		};
+
+		_.each(["verbose", "info"], severity => {
+			it(`keeps the output of the application on iOS simulator when the severity is ${severity}`, () => {
+				assert.deepEqual(filterSimulatorOutput({ severity }), simulatorOutput);
+			});
+		});
+
+		it("keeps the lines which continue a message of the application on iOS simulator", () => {
+			assert.deepEqual(filterSimulatorOutput({ tag: "appTestLogs", severity: "verbose" }), [
+				"appTestLogs[8455]: CONSOLE LOG file:///app/main.js:13:24: first message",
+				"continuation of the first message",
+				"appTestLogs[8455]: CONSOLE LOG file:///app/main.js:14:24: second message",
+				""
+			].join("\n"));
+		});
+
+		it("skips the output of the application on iOS simulator when the severity is warning", () => {
+			assert.equal(filterSimulatorOutput({ severity: "warning" }), null);
+		});
+	});
 });
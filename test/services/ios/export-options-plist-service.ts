@@ -13,7 +13,11 @@ function createTestInjector() {
 	injector.register("fs", {
 		writeFile: (exportPath: string, plistTemplate: string) => {
 			actualPlistTemplate = plistTemplate;
-		}
+		},
+		exists: () => true
+	});
+	injector.register("plistParser", {
+		parseFileSync: () => ({ ApplicationProperties: { CFBundleIdentifier: "org.nativescript.myTestApp.staging" } })
 	});
 	injector.register("exportOptionsPlistService", ExportOptionsPlistService);
 	injector.register("tempService", TempServiceStub);
@@ -42,6 +46,11 @@ describe("ExportOptionsPlistService", () => {
 				name: "should create export options plist with Production iCloudContainerEnvironment",
 				buildConfig: { iCloudContainerEnvironment: "Production" },
 				expectedPlist: "<key>iCloudContainerEnvironment</key>     <string>Production</string>"
+			},
+			{
+				name: "should create export options plist with the bundle identifier of the archive when custom configuration is used",
+				buildConfig: { provision: "myTestProvision", iosConfiguration: "Staging" },
+				expectedPlist: "<key>provisioningProfiles</key> <dict> 	<key>org.nativescript.myTestApp.staging</key> 	<string>myTestProvision</string> </dict>"
 			}
 		];
 
@@ -86,6 +95,11 @@ describe("ExportOptionsPlistService", () => {
 				name: "should create export options plist with teamID",
 				buildConfig: { teamId: "myTeamId" },
 				expectedPlist: "<key>teamID</key>     <string>myTeamId</string>"
+			},
+			{
+				name: "should create export options plist with the bundle identifier of the archive when custom scheme is used",
+				buildConfig: { provision: "myTestProvision", iosScheme: "myScheme" },
+				expectedPlist: "<key>provisioningProfiles</key>     <dict>         <key>org.nativescript.myTestApp.staging</key>         <string>myTestProvision</string>     </dict>"
 			}
 		];
 
@@ -83,6 +83,32 @@ describe("xcodebuildArgsService", () => {
 			});
 		});
 	});
+	describe("custom configuration and scheme", () => {
+		_.each([true, false], hasProjectWorkspace => {
+			it(`should pass the configuration and scheme from the build config when workspace is ${hasProjectWorkspace}`, async () => {
+				const injector = createTestInjector({ logLevel: "TRACE", hasProjectWorkspace });
+
+				const buildConfig = { buildForDevice: false, release: true, iosConfiguration: "Staging", iosScheme: "myAppStaging" };
+				const xcodebuildArgsService = injector.resolve("xcodebuildArgsService");
+				const actualArgs = await xcodebuildArgsService.getBuildForSimulatorArgs({ projectRoot }, { projectName }, buildConfig);
+
+				const expectedProjectArgs = hasProjectWorkspace ?
+					["-workspace", path.join(projectRoot, `${projectName}.xcworkspace`), "-scheme", "myAppStaging"] :
+					["-project", path.join(projectRoot, `${projectName}.xcodeproj`), "-scheme", "myAppStaging"];
+				const expectedArgs = [
+					"ONLY_ACTIVE_ARCH=NO",
+					"CODE_SIGN_IDENTITY=",
+					"build",
+					"-configuration", "Staging",
+					"-sdk", "iphonesimulator"
+				]
+					.concat(getCommonArgs())
+					.concat(expectedProjectArgs);
+
+				assert.deepEqual(actualArgs, expectedArgs);
+			});
+		});
+	});
 	describe("getBuildForDeviceArgs", () => {
 		const testCases = [
 			{
@@ -0,0 +1,148 @@
+import * as path from "path";
+import { EOL } from "os";
+import { assert } from "chai";
+import { Yok } from "../../lib/common/yok";
+import { ProjectGeneratorsService } from "../../lib/services/project-generators-service";
+import { MicroTemplateService } from "../../lib/common/services/micro-templating-service";
+import { FileSystem } from "../../lib/common/file-system";
+import { ErrorsStub } from "../stubs";
+import temp = require("temp");
+
+temp.track();
+
+describe("ProjectGeneratorsService", () => {
+	let fs: IFileSystem;
+	let projectGeneratorsService: IProjectGeneratorsService;
+	let projectDir: string;
+
+	const createGenerator = (name: string, files: IStringDictionary, config?: IProjectGeneratorConfig): void => {
+		const generatorDir = path.join(projectDir, "generators", name);
+		_.each(files, (content, filePath) => fs.writeFile(path.join(generatorDir, "files", filePath), content));
+		if (config) {
+			fs.writeJson(path.join(generatorDir, "generator.json"), config);
+		}
+	};
+
+	beforeEach(() => {
+		const testInjector = new Yok();
+		testInjector.register("errors", ErrorsStub);
+		testInjector.register("fs", FileSystem);
+		testInjector.register("microTemplateService", MicroTemplateService);
+		testInjector.register("projectGeneratorsService", ProjectGeneratorsService);
+
+		fs = testInjector.resolve("fs");
+		projectGeneratorsService = testInjector.resolve("projectGeneratorsService");
+		projectDir = temp.mkdirSync("projectGenerators");
+
+		createGenerator("page", {
+			"app/__name__/__name__-page.ts.template": "export class <%= _.upperFirst(name) %>Page {\n\ttitle = `${this.name}`;\n}\n",
+			"app/__name__/__name__-page.css": "/* <%= style %> */"
+		}, {
+			description: "Creates a page",
+			arguments: [{ name: "name", message: "Name of the page" }, { name: "style", default: "css" }]
+		});
+	});
+
+	describe("getGenerators", () => {
+		it("returns the generators with files directory", () => {
+			createGenerator("service", { "app/__name__.service.ts": "" });
+			fs.createDirectory(path.join(projectDir, "generators", "empty"));
+
+			const generators = projectGeneratorsService.getGenerators(projectDir);
+
+			assert.deepEqual(_.map(generators, generator => generator.name), ["page", "service"]);
+			assert.equal(generators[0].description, "Creates a page");
+			assert.deepEqual(generators[1].arguments, []);
+		});
+
+		it("returns empty array when the project does not have generators", () => {
+			assert.deepEqual(projectGeneratorsService.getGenerators(temp.mkdirSync("projectWithoutGenerators")), []);
+		});
+	});
+
+	describe("getMissingArguments", () => {
+		it("returns the arguments without value and without default value", () => {
+			const generator = projectGeneratorsService.getGenerator(projectDir, "page");
+
+			assert.deepEqual(projectGeneratorsService.getMissingArguments(generator, {}), [{ name: "name", message: "Name of the page" }]);
+			assert.deepEqual(projectGeneratorsService.getMissingArguments(generator, { name: "home" }), []);
+		});
+	});
+
+	describe("generate", () => {
+		it("renders the templates and the file names and writes the files", async () => {
+			const generator = projectGeneratorsService.getGenerator(projectDir, "page");
+
+			const files = await projectGeneratorsService.generate(generator, { projectDir, args: { name: "home" } });
+
+			assert.deepEqual(_.map(files, file => [file.relativePath, file.action]), [
+				[path.join("app", "home", "home-page.css"), GeneratedFileAction.Create],
+				[path.join("app", "home", "home-page.ts"), GeneratedFileAction.Create]
+			]);
+			assert.equal(fs.readText(path.join(projectDir, "app", "home", "home-page.ts")), "export class HomePage {\n\ttitle = `${this.name}`;\n}\n");
+			assert.equal(fs.readText(path.join(projectDir, "app", "home", "home-page.css")), "/* css */");
+		});
+
+		it("fails when a required argument is not passed", async () => {
+			const generator = projectGeneratorsService.getGenerator(projectDir, "page");
+
+			await assert.isRejected(projectGeneratorsService.generate(generator, { projectDir, args: {} }), "The generator page requires the following arguments: name.");
+		});
+
+		it("fails without writing files when an existing file would be overwritten", async () => {
+			const generator = projectGeneratorsService.getGenerator(projectDir, "page");
+			const existingFilePath = path.join(projectDir, "app", "home", "home-page.ts");
+			fs.writeFile(existingFilePath, "export class HomePage { }\n");
+
+			await assert.isRejected(projectGeneratorsService.generate(generator, { projectDir, args: { name: "home" } }), "The following files already exist and will be overwritten");
+			assert.isFalse(fs.exists(path.join(projectDir, "app", "home", "home-page.css")));
+
+			await projectGeneratorsService.generate(generator, { projectDir, args: { name: "home" }, force: true });
+			assert.equal(fs.readText(existingFilePath), "export class HomePage {\n\ttitle = `${this.name}`;\n}\n");
+		});
+
+		it("does not write files on dry run", async () => {
+			const generator = projectGeneratorsService.getGenerator(projectDir, "page");
+			fs.writeFile(path.join(projectDir, "app", "home", "home-page.ts"), "export class HomePage { }\n");
+
+			const files = await projectGeneratorsService.generate(generator, { projectDir, args: { name: "home" }, dryRun: true });
+
+			assert.deepEqual(_.map(files, file => file.action), [GeneratedFileAction.Create, GeneratedFileAction.Update]);
+			assert.isFalse(fs.exists(path.join(projectDir, "app", "home", "home-page.css")));
+			assert.equal(fs.readText(path.join(projectDir, "app", "home", "home-page.ts")), "export class HomePage { }\n");
+		});
+
+		it("fails when a file name uses an unknown variable", async () => {
+			createGenerator("model", { "app/__model__.ts": "" });
+			const generator = projectGeneratorsService.getGenerator(projectDir, "model");
+
+			await assert.isRejected(projectGeneratorsService.generate(generator, { projectDir, args: {} }), `The file name ${path.join("app", "__model__.ts")} uses the variable model which is not an argument of the generator.`);
+		});
+	});
+
+	describe("getDiff", () => {
+		it("marks the added and the removed lines", () => {
+			const diff = projectGeneratorsService.getDiff({
+				path: "",
+				relativePath: "",
+				previousContent: "a\nb\nc",
+				content: "a\nc\nd",
+				action: GeneratedFileAction.Update
+			});
+
+			assert.deepEqual(diff.split(EOL), ["  a", "- b", "  c", "+ d"]);
+		});
+
+		it("marks all lines as added for new files", () => {
+			const diff = projectGeneratorsService.getDiff({
+				path: "",
+				relativePath: "",
+				previousContent: null,
+				content: "a\nb",
+				action: GeneratedFileAction.Create
+			});
+
+			assert.deepEqual(diff.split(EOL), ["+ a", "+ b"]);
+		});
+	});
+});
@@ -0,0 +1,134 @@
+import { Yok } from "../../lib/common/yok";
+import { assert } from "chai";
+import * as path from "path";
+import { SymbolicationService } from "../../lib/services/symbolication-service";
+import { LogSourceMapService } from "../../lib/services/log-source-map-service";
+import { DevicePlatformsConstants } from "../../lib/common/mobile/device-platforms-constants";
+import { FileSystem } from "../../lib/common/file-system";
+import { stringReplaceAll } from "../../lib/common/helpers";
+import * as sourceMapConverter from "convert-source-map";
+import { ErrorsStub, LoggerStub } from "../stubs";
+import temp = require("temp");
+
+temp.track();
+
+const sourceMapBundleDir = path.join(__dirname, "..", "files", "sourceMapBundle");
+const projectDir = "projectDir";
+let appDirectoryPath: string;
+
+function createTestInjector(): IInjector {
+	const testInjector = new Yok();
+	testInjector.register("projectDataService", {
+		getProjectData: () => ({
+			getAppDirectoryRelativePath: () => "src",
+			appDirectoryPath,
+			projectIdentifiers: {
+				android: "org.nativescript.sourceMap",
+				ios: "org.nativescript.sourceMap"
+			},
+			projectDir
+		}),
+		getNSValue: (): any => ({ version: "6.1.0" })
+	});
+	testInjector.register("platformsDataService", {
+		getPlatformData: (platform: string) => ({
+			appDestinationDirectoryPath: path.join(sourceMapBundleDir, platform.toLowerCase()),
+			frameworkPackageName: `tns-${platform.toLowerCase()}`
+		})
+	});
+	testInjector.register("fs", FileSystem);
+	testInjector.register("errors", ErrorsStub);
+	testInjector.register("devicePlatformsConstants", DevicePlatformsConstants);
+	testInjector.register("logger", LoggerStub);
+	testInjector.register("tempService", {
+		mkdirSync: (affixes: string): Promise<string> => Promise.resolve(temp.mkdirSync(affixes))
+	});
+	testInjector.register("logSourceMapService", LogSourceMapService);
+	testInjector.register("symbolicationService", SymbolicationService);
+
+	return testInjector;
+}
+
+describe("symbolicationService", () => {
+	const expectedLocation = stringReplaceAll("src/main-view-model.ts", "/", path.sep);
+	const crashLog = [
+		"Fatal Exception: com.tns.NativeScriptException",
+		"Calling js method onClick failed",
+		"Error: Test",
+		"    onTap(file:///data/data/org.nativescript.sourceMap/files/app/bundle.js:303:17)",
+		"    at com.tns.Runtime.callJSMethodNative(Native Method)"
+	].join("\n");
+
+	let symbolicationService: ISymbolicationService;
+	let fs: IFileSystem;
+
+	beforeEach(() => {
+		appDirectoryPath = path.join(projectDir, "src");
+		const testInjector = createTestInjector();
+		symbolicationService = testInjector.resolve("symbolicationService");
+		fs = testInjector.resolve("fs");
+	});
+
+	it("replaces the locations with the ones from the last build of the project", async () => {
+		const output = await symbolicationService.symbolicate(crashLog, { platform: "android", projectDir });
+
+		assert.deepEqual(output.split("\n"), [
+			"Fatal Exception: com.tns.NativeScriptException",
+			"Calling js method onClick failed",
+			"Error: Test",
+			`    onTap(file: ${expectedLocation}:30:16)`,
+			"    at com.tns.Runtime.callJSMethodNative(Native Method)",
+			""
+		]);
+	});
+
+	it("uses the source maps from the application files of an archived build", async () => {
+		const buildPath = temp.mkdirSync("extractedIpa");
+		fs.copyFile(path.join(sourceMapBundleDir, "ios", "app", "bundle.js"), path.join(buildPath, "Payload", "sourceMap.app", "app", "bundle.js"));
+
+		const output = await symbolicationService.symbolicate("onTap(file:///app/bundle.js:296:22)", { platform: "ios", projectDir, buildPath });
+
+		assert.equal(output, `onTap(file: ${expectedLocation}:31:18)\n`);
+	});
+
+	describe("external source maps", () => {
+		let buildPath: string;
+		let sourceMapJson: string;
+
+		beforeEach(() => {
+			buildPath = path.join(temp.mkdirSync("hiddenSourceMapBuild"), "app");
+			const source = fs.readText(path.join(sourceMapBundleDir, "ios", "app", "bundle.js"));
+			fs.writeFile(path.join(buildPath, "bundle.js"), sourceMapConverter.removeComments(source));
+			sourceMapJson = sourceMapConverter.fromSource(source).toJSON();
+		});
+
+		it("uses the .map file next to the bundle", async () => {
+			fs.writeFile(path.join(buildPath, "bundle.js.map"), sourceMapJson);
+
+			const output = await symbolicationService.symbolicate("onTap(file:///app/bundle.js:296:22)", { platform: "ios", projectDir, buildPath });
+
+			assert.equal(output, `onTap(file: ${expectedLocation}:31:18)\n`);
+		});
+
+		it("uses the hidden source maps from the sourceMap directory of the application", async () => {
+			appDirectoryPath = temp.mkdirSync("appDirectory");
+			fs.writeFile(path.join(appDirectoryPath, "sourceMap", "bundle.js.map"), sourceMapJson);
+
+			const output = await symbolicationService.symbolicate("onTap(file:///app/bundle.js:296:22)", { platform: "ios", projectDir, buildPath });
+
+			assert.equal(output, `onTap(file: ${expectedLocation}:31:18)\n`);
+		});
+	});
+
+	it("fails when the archived build does not exist", async () => {
+		const buildPath = path.join(temp.mkdirSync("missingBuild"), "app.apk");
+
+		await assert.isRejected(symbolicationService.symbolicate(crashLog, { platform: "android", projectDir, buildPath }), `The build ${buildPath} does not exist.`);
+	});
+
+	it("fails when the archived build does not contain application files", async () => {
+		const buildPath = temp.mkdirSync("emptyBuild");
+
+		await assert.isRejected(symbolicationService.symbolicate(crashLog, { platform: "android", projectDir, buildPath }), `Unable to find the application files in ${buildPath}.`);
+	});
+});
@@ -97,6 +97,10 @@ export class FileSystemStub implements IFileSystem {
 		return undefined;
 	}
 
+	readFileRange(filename: string, position: number, length: number): Buffer {
+		return undefined;
+	}
+
 	readText(filename: string, encoding?: string): string {
 		return undefined;
 	}
@@ -105,7 +109,7 @@ export class FileSystemStub implements IFileSystem {
 		return {};
 	}
 
-	writeFile(filename: string, data: any, encoding?: string): void {
+	writeFile(filename: string, data: any, encoding?: string, mode?: number): void {
 		return undefined;
 	}
 
@@ -364,6 +368,9 @@ export class ProjectDataStub implements IProjectData {
 	public podfilePath: string;
 	public isShared: boolean;
 	public previewAppSchema: string;
+	public environmentName: string = null;
+	public environment: INsConfigEnvironment = null;
+	public environmentAppResourcesDirectoryPath: string = null;
 
 	public initializeProjectData(projectDir?: string): void {
 		this.projectDir = this.projectDir || projectDir;
@@ -605,6 +612,9 @@ export class HooksServiceStub implements IHooksService {
 	async executeAfterHooks(commandName: string): Promise<void> {
 		return Promise.resolve();
 	}
+	getHooks(projectDir?: string): IHook[] {
+		return [];
+	}
 
 	hookArgsName = "hookArgs";
 }
@@ -740,6 +750,22 @@ export class AndroidToolsInfoStub implements IAndroidToolsInfo {
 		return Promise.resolve("");
 	}
 
+	public async getPathToKeytool(): Promise<string> {
+		return "keytool";
+	}
+
+	public getPathToAvdManager(): string {
+		return "avdmanager";
+	}
+
+	public getPathToEmulator(): string {
+		return "emulator";
+	}
+
+	public getPathToApkSigner(): string {
+		return "apksigner";
+	}
+
 	public validateAndroidHomeEnvVariable(options?: { showWarningsAsErrors: boolean }): boolean {
 		return false;
 	}
@@ -77,6 +77,9 @@ class AppStore {
 							areCredentialsValid: true
 						};
 					}
+				},
+				"credentialStoreService": {
+					resolveCredentialReference: (value: string) => value
 				}
 			}
 		});